@@ -13,7 +13,7 @@ export function sha1Short(input: string): string {
   return crypto.createHash('sha1').update(input).digest('hex').slice(0, 8);
 }
 
-export function buildIdempotencyKey(platform: 'instagram' | 'youtube', videoHash: string, scheduledAt: Date): string {
+export function buildIdempotencyKey(platform: string, videoHash: string, scheduledAt: Date): string {
   const minuteKey = formatMinuteKey(scheduledAt);
   const v = sha1Short(videoHash);
   return `${platform}:${minuteKey}:${v}`;
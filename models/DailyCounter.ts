@@ -1,15 +1,15 @@
 import mongoose, { Schema, Document, Model } from 'mongoose';
 
 export interface DailyCounterDoc extends Document {
-  platform: 'instagram' | 'youtube';
-  dateKey: string; // YYYYMMDD
+  platform: string; // services/providers
+  dateKey: string; // YYYYMMDD in settings.timeZone (services/dateBoundary)
   count: number;
   createdAt: Date;
   updatedAt: Date;
 }
 
 const DailyCounterSchema = new Schema<DailyCounterDoc>({
-  platform: { type: String, required: true, enum: ['instagram', 'youtube'], index: true },
+  platform: { type: String, required: true, enum: require('../services/providers').platformNames(), index: true },
   dateKey: { type: String, required: true, index: true },
   count: { type: Number, required: true, default: 0 }
 }, { timestamps: true, collection: 'DailyCounters' });
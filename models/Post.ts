@@ -1,6 +1,7 @@
 import mongoose, { Schema, Document, Model } from 'mongoose';
 
-export type SupportedPlatform = 'instagram' | 'youtube';
+// Any platform registered in services/providers
+export type SupportedPlatform = string;
 
 export interface PostDoc extends Document {
   idempotencyKey: string;
@@ -16,7 +17,10 @@ export interface PostDoc extends Document {
   };
   // New dedupe/metadata fields
   postedAt?: Date;
-  visualHash?: string;      // aHash/pHash or robust hash
+  visualHash?: string;      // "<hashVersion>:<hex>" from utils/visualHash
+  hashVersion?: string;
+  videoFingerprint?: string; // "vfp-v1:…" from utils/videoFingerprint
+  audioFingerprint?: string; // "afp-v1:…" from utils/audioFingerprint
   audioKey?: string;        // stable audio identifier
   captionNorm?: string;     // normalized caption
   durationSec?: number;     // integer seconds
@@ -27,7 +31,7 @@ export interface PostDoc extends Document {
 
 const PostSchema = new Schema<PostDoc>({
   idempotencyKey: { type: String, required: true, index: true, unique: true },
-  platform: { type: String, required: true, enum: ['instagram', 'youtube'], index: true },
+  platform: { type: String, required: true, enum: require('../services/providers').platformNames(), index: true },
   videoHash: { type: String, required: true },
   scheduledAt: { type: Date, required: true, index: true },
   status: { type: String, required: true, enum: ['posting', 'posted', 'failed'], index: true },
@@ -39,6 +43,9 @@ const PostSchema = new Schema<PostDoc>({
   },
   postedAt: { type: Date, index: true },
   visualHash: { type: String },
+  hashVersion: { type: String },
+  videoFingerprint: { type: String },
+  audioFingerprint: { type: String },
   audioKey: { type: String },
   captionNorm: { type: String },
   durationSec: { type: Number },
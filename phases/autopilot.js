@@ -151,6 +151,8 @@ async function runInstagramAutoPilot(SettingsModel, SchedulerQueueModel) {
     
     // STEP 6: Process each video
     let processedCount = 0;
+    const { createSlotPlanner } = require('../services/spacing');
+    const planner = await createSlotPlanner(SchedulerQueueModel, settings);
     for (let i = 0; i < videosToProcess.length; i++) {
       const video = videosToProcess[i];
       console.log(`📹 [AUTOPILOT] Processing video ${i + 1}/${videosToProcess.length}...`);
@@ -183,8 +185,9 @@ async function runInstagramAutoPilot(SettingsModel, SchedulerQueueModel) {
         const enhancedCaption = await generateSmartCaptionWithKey(video.caption, settings.openaiApiKey);
         
         // Calculate scheduled times
-        const instagramTime = await getSmartSchedulerTime('instagram', settings);
-        const youtubeTime = await getSmartSchedulerTime('youtube', settings);
+        // Peak-time slots, then minimum gap / jitter from the spacing policy
+        const instagramTime = planner.place(await getSmartSchedulerTime('instagram', settings), { platform: 'instagram' });
+        const youtubeTime = planner.place(await getSmartSchedulerTime('youtube', settings), { platform: 'youtube' });
         
         // Queue for Instagram
         const instagramPost = {
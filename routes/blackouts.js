@@ -0,0 +1,114 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const router = express.Router();
+const { BlackoutModel, POLICIES, parseBound, importIcs, getActiveBlackout, blackoutPolicy } = require('../services/blackouts');
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
+
+async function loadSettings() {
+  return (await mongoose.model('SettingsClean').findOne({}).lean()) || {};
+}
+
+function allowedPlatforms() {
+  return require('../services/providers').platformNames();
+}
+
+// Validate optional platforms/policy shared by ranges and imports; returns { value } or { error }
+function parseScope(body) {
+  const out = {};
+  if (body.platforms !== undefined) {
+    const platforms = typeof body.platforms === 'string' ? body.platforms.split(',').map(s => s.trim()).filter(Boolean) : body.platforms;
+    if (!Array.isArray(platforms) || platforms.some(p => !allowedPlatforms().includes(p))) return { error: `platforms must be a subset of: ${allowedPlatforms().join(', ')}` };
+    if (platforms.length) out.platforms = platforms;
+  }
+  if (body.policy !== undefined && body.policy !== '') {
+    if (!POLICIES.includes(body.policy)) return { error: `policy must be one of: ${POLICIES.join(', ')}` };
+    out.policy = body.policy;
+  }
+  return { value: out };
+}
+
+// ?from&to (defaults: now .. +90 days)
+router.get('/', async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(String(req.query.from)) : new Date();
+    const to = req.query.to ? new Date(String(req.query.to)) : new Date(from.getTime() + 90 * 24 * 60 * 60 * 1000);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) return res.status(400).json({ ok: false, error: 'Invalid from/to' });
+    const settings = await loadSettings();
+    const blackouts = await BlackoutModel.find({ start: { $lt: to }, end: { $gt: from } }).sort({ start: 1 }).lean();
+    return res.json({ ok: true, policy: blackoutPolicy(settings, null), blackouts });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || 'list failed' });
+  }
+});
+
+router.get('/active', async (req, res) => {
+  try {
+    const settings = await loadSettings();
+    const blackout = await getActiveBlackout(new Date(), req.query.platform ? String(req.query.platform) : undefined);
+    return res.json({ ok: true, active: !!blackout, blackout: blackout && { ...blackout, policy: blackoutPolicy(settings, blackout) } });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || 'lookup failed' });
+  }
+});
+
+// Date range. Body: { name?, start, end, platforms?, policy? }; YYYY-MM-DD bounds are whole local days
+router.post('/', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { resolveTimeZone } = require('../services/dateBoundary');
+    const tz = resolveTimeZone(await loadSettings());
+    const start = parseBound(body.start, tz, false);
+    const end = parseBound(body.end || body.start, tz, true);
+    if (!start || !end) return res.status(400).json({ ok: false, error: 'start and end must be dates (YYYY-MM-DD) or ISO timestamps' });
+    if (end <= start) return res.status(400).json({ ok: false, error: 'end must be after start' });
+    const scope = parseScope(body);
+    if (scope.error) return res.status(400).json({ ok: false, error: scope.error });
+    const doc = await BlackoutModel.create({ name: body.name || 'Blackout', start, end, source: 'manual', ...scope.value });
+    return res.status(201).json({ ok: true, blackout: doc.toObject() });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || 'create failed' });
+  }
+});
+
+// iCalendar import: multipart field "file", raw text/calendar body, or JSON { ics }. ?calendar=name replaces a previous import
+router.post('/ics', upload.single('file'), express.text({ type: ['text/calendar', 'text/plain'], limit: '2mb' }), async (req, res) => {
+  try {
+    const text = req.file ? req.file.buffer.toString('utf8') : (typeof req.body === 'string' ? req.body : req.body?.ics);
+    if (!text || !/BEGIN:VCALENDAR/.test(text)) return res.status(400).json({ ok: false, error: 'Expected an iCalendar (.ics) file' });
+    const params = { ...req.query, ...(typeof req.body === 'object' ? req.body : {}) };
+    const scope = parseScope(params);
+    if (scope.error) return res.status(400).json({ ok: false, error: scope.error });
+    const calendar = String(params.calendar || req.file?.originalname || 'calendar.ics');
+    const result = await importIcs(text, { calendar, settings: await loadSettings(), ...scope.value });
+    return res.status(201).json({ ok: true, ...result });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || 'import failed' });
+  }
+});
+
+// Default policy for blackouts without their own. Body: { policy: 'push'|'skip' }
+router.put('/policy', async (req, res) => {
+  try {
+    const policy = req.body?.policy;
+    if (!POLICIES.includes(policy)) return res.status(400).json({ ok: false, error: `policy must be one of: ${POLICIES.join(', ')}` });
+    await mongoose.model('SettingsClean').findOneAndUpdate({}, { $set: { blackoutPolicy: policy } }, { upsert: true });
+    return res.json({ ok: true, policy });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || 'update failed' });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ ok: false, error: 'Blackout not found' });
+    const r = await BlackoutModel.deleteOne({ _id: req.params.id });
+    if (!r.deletedCount) return res.status(404).json({ ok: false, error: 'Blackout not found' });
+    return res.json({ ok: true, deleted: req.params.id });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || 'delete failed' });
+  }
+});
+
+module.exports = router;
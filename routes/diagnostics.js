@@ -147,4 +147,17 @@ router.get('/report', async (req, res) => {
   }
 });
 
+// Drop cached candidate signals (services/signalCache): one media id / thumbnail URL, or everything
+router.delete('/signal-cache', async (req, res) => {
+  try {
+    const { invalidateSignals } = require('../services/signalCache');
+    const mediaId = req.query.mediaId || req.body?.mediaId;
+    const thumbnailUrl = req.query.thumbnailUrl || req.body?.thumbnailUrl;
+    const removed = await invalidateSignals({ mediaId, thumbnailUrl });
+    return res.json({ success: true, removed });
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || 'Signal cache invalidation failed' });
+  }
+});
+
 module.exports = router;
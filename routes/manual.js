@@ -0,0 +1,262 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+require('../services/inbox'); // registers the InboxItems model
+
+function models() {
+  const SettingsModel = mongoose.model('SettingsClean');
+  const SchedulerQueueModel = mongoose.model('SchedulerQueue');
+  let ActivityLogModel;
+  try {
+    ActivityLogModel = mongoose.model('ActivityLog');
+  } catch (e) {
+    const activityLogSchema = new mongoose.Schema({}, { strict: false, timestamps: true });
+    ActivityLogModel = mongoose.model('ActivityLog', activityLogSchema, 'activitylogs');
+  }
+  return { SettingsModel, SchedulerQueueModel, ActivityLogModel };
+}
+
+// videoId may be an inbox item or a queue item
+async function resolveItem(videoId) {
+  if (!mongoose.isValidObjectId(videoId)) return null;
+  const InboxModel = mongoose.model('InboxItems');
+  const inbox = await InboxModel.findById(videoId).lean();
+  if (inbox) return { kind: 'inbox', doc: inbox };
+  const queued = await models().SchedulerQueueModel.findById(videoId).lean();
+  if (queued) return { kind: 'queue', doc: queued };
+  return null;
+}
+
+// Inbox videos: ?status=ready,scheduled&limit=100&rescan=true
+router.get('/videos', async (req, res) => {
+  try {
+    const { listInboxItems, scanInbox } = require('../services/inbox');
+    let scan = null;
+    if (String(req.query.rescan || '').toLowerCase() === 'true') {
+      const settings = await mongoose.model('SettingsClean').findOne({}).lean();
+      scan = await scanInbox(settings || {});
+    }
+    const videos = await listInboxItems({ status: req.query.status, limit: req.query.limit });
+    return res.json({ success: true, videos, scan });
+  } catch (e) {
+    return res.status(500).json({ success: false, error: 'Failed to load videos', details: e?.message });
+  }
+});
+
+// Caption variants, each generated separately. Body: { styles?: string[], apply?: 'clickbait'|'informational'|'emotional' }
+router.post('/refresh-caption/:videoId', async (req, res) => {
+  try {
+    const { generateCaptionVariant, CAPTION_STYLES } = require('../services/captionAI');
+    const item = await resolveItem(req.params.videoId);
+    if (!item) return res.status(404).json({ success: false, error: 'Video not found' });
+    const settings = await models().SettingsModel.findOne({}).lean();
+    const styles = Array.isArray(req.body?.styles) && req.body.styles.length ? req.body.styles : CAPTION_STYLES;
+    const unknown = styles.filter(s => !CAPTION_STYLES.includes(s));
+    if (unknown.length) return res.status(400).json({ success: false, error: `Unknown caption style: ${unknown.join(', ')}` });
+
+    const base = item.kind === 'inbox'
+      ? [item.doc.caption, (item.doc.hashtags || []).join(' ')].filter(Boolean).join('\n\n')
+      : (item.doc.caption || '');
+    const captions = {};
+    for (const style of styles) {
+      captions[style] = await generateCaptionVariant(base, style, settings?.openaiApiKey || null);
+    }
+
+    const apply = req.body?.apply;
+    if (apply) {
+      if (!captions[apply]) return res.status(400).json({ success: false, error: `Cannot apply style not generated: ${apply}` });
+      if (item.kind === 'queue') {
+        const { normalizeCaption } = require('../services/candidateBuilder');
+        await models().SchedulerQueueModel.updateOne({ _id: item.doc._id }, { $set: { caption: captions[apply], captionNorm: normalizeCaption(captions[apply]) } });
+      } else {
+        await mongoose.model('InboxItems').updateOne({ _id: item.doc._id }, { $set: { caption: captions[apply] } });
+      }
+    }
+    return res.json({ success: true, kind: item.kind, captions, applied: apply || null });
+  } catch (e) {
+    return res.status(500).json({ success: false, error: 'Failed to refresh caption', details: e?.message });
+  }
+});
+
+// Swap to the next trending audio not already used by this item or anything queued in the last 24h
+router.post('/refresh-audio/:videoId', async (req, res) => {
+  try {
+    const { rankTrendingAudio } = require('../services/captionAI');
+    const item = await resolveItem(req.params.videoId);
+    if (!item) return res.status(404).json({ success: false, error: 'Video not found' });
+    const { SettingsModel, SchedulerQueueModel } = models();
+    const settings = await SettingsModel.findOne({}).lean();
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const recentlyUsed = await SchedulerQueueModel.find({ audioKey: { $exists: true, $ne: null }, scheduledTime: { $gte: since } }).select('audioKey').lean();
+    const previousAudio = item.doc.audioKey || null;
+    const ranked = await rankTrendingAudio(settings || {}, { exclude: [previousAudio, ...recentlyUsed.map(r => r.audioKey)] });
+    if (!ranked.length) return res.status(404).json({ success: false, error: 'No trending audio available', previousAudio });
+
+    const next = ranked[0].audioKey;
+    const Model = item.kind === 'queue' ? SchedulerQueueModel : mongoose.model('InboxItems');
+    await Model.updateOne({ _id: item.doc._id }, { $set: { audioKey: next } });
+    return res.json({ success: true, kind: item.kind, currentAudio: next, previousAudio, alternatives: ranked.slice(1, 5) });
+  } catch (e) {
+    return res.status(500).json({ success: false, error: 'Failed to refresh audio', details: e?.message });
+  }
+});
+
+// Schedule an inbox video (or reschedule a queue item).
+// Body: { scheduledTime?, platforms?: string[], platform?, caption?, captions?: { [platform]: string }, ignoreDuplicate? }
+// Without scheduledTime the slot is an hour out, moved by the spacing policy; an explicit time that breaks it is rejected
+// Several platforms form one post group: each member gets settings.postGroups offset/caption unless captions[platform] is given
+
+router.post('/schedule/:videoId', async (req, res) => {
+  try {
+    const item = await resolveItem(req.params.videoId);
+    if (!item) return res.status(404).json({ success: false, error: 'Video not found' });
+    const { SettingsModel, SchedulerQueueModel, ActivityLogModel } = models();
+    const body = req.body || {};
+
+    const requested = body.scheduledTime ? new Date(body.scheduledTime) : null;
+    if (requested && Number.isNaN(requested.getTime())) return res.status(400).json({ success: false, error: 'Invalid scheduledTime' });
+    const { createSlotPlanner } = require('../services/spacing');
+    const planner = await createSlotPlanner(SchedulerQueueModel, (await SettingsModel.findOne({}).lean()) || {});
+    // Explicit time: check it; otherwise place a slot an hour out
+    const slotFor = (spacingItem, offsetMinutes = 0) => {
+      const offsetMs = offsetMinutes * 60 * 1000;
+      if (!requested) return { at: planner.place(new Date(Date.now() + 60 * 60 * 1000 + offsetMs), spacingItem) };
+      const at = new Date(requested.getTime() + offsetMs);
+      const conflict = planner.conflict(at, spacingItem);
+      return conflict ? { conflict } : { at: planner.place(at, spacingItem, { jitter: false }) };
+    };
+    const spacingError = (platform, conflict) => ({
+      success: false,
+      error: 'scheduledTime is too close to another post',
+      reason: conflict.reason,
+      platform,
+      earliest: conflict.until.toISOString(),
+    });
+
+    if (item.kind === 'queue') {
+      if (['posted', 'completed', 'processing'].includes(item.doc.status)) {
+        return res.status(409).json({ success: false, error: `Queue item already ${item.doc.status}` });
+      }
+      const slot = slotFor({ id: item.doc._id, platform: item.doc.platform, audioKey: item.doc.audioKey, locationKey: item.doc.locationKey });
+      if (slot.conflict) return res.status(409).json(spacingError(item.doc.platform, slot.conflict));
+      const scheduledTime = slot.at;
+      const set = { scheduledTime, status: 'scheduled' };
+      if (typeof body.caption === 'string') {
+        const { normalizeCaption } = require('../services/candidateBuilder');
+        set.caption = body.caption;
+        set.captionNorm = normalizeCaption(body.caption);
+      }
+      await SchedulerQueueModel.updateOne({ _id: item.doc._id }, { $set: set });
+      return res.json({ success: true, kind: 'queue', scheduledIds: [String(item.doc._id)], scheduledTime: scheduledTime.toISOString() });
+    }
+
+    const inbox = item.doc;
+    if (!inbox.videoUrl || !['ready', 'scheduled'].includes(inbox.status)) {
+      return res.status(409).json({ success: false, error: `Inbox video not ready (status: ${inbox.status})` });
+    }
+    const platforms = Array.isArray(body.platforms) && body.platforms.length ? body.platforms : [body.platform || 'instagram'];
+    const { platformNames } = require('../services/providers');
+    const unknown = platforms.filter(p => !platformNames().includes(p));
+    if (unknown.length) {
+      return res.status(400).json({ success: false, error: `Unknown platform(s): ${unknown.join(', ')}; must be one of: ${platformNames().join(', ')}` });
+    }
+    const settings = (await SettingsModel.findOne({}).lean()) || {};
+    const caption = typeof body.caption === 'string'
+      ? body.caption
+      : [inbox.caption, (inbox.hashtags || []).join(' ')].filter(Boolean).join('\n\n');
+    const candidate = {
+      id: `inbox:${inbox._id}`,
+      url: inbox.videoUrl,
+      thumbnailUrl: inbox.thumbnailUrl,
+      caption,
+      audioKey: inbox.audioKey || null,
+      duration: inbox.info?.duration ?? null,
+      visualHash: inbox.visualHash || null,
+      videoFingerprint: inbox.videoFingerprint || null,
+      audioFingerprint: inbox.audioFingerprint || null,
+    };
+
+    // Same dedupe as autopilot
+    const { buildDedupeContext, checkCandidate, checkQueueCollision, isVideoDuplicate, findAudioDuplicate, audioKeyFor } = require('../services/dedupe');
+    const ignoreDuplicate = body.ignoreDuplicate === true;
+    const ctx = await buildDedupeContext(settings, { SchedulerQueueModel, ActivityLogModel }, { platforms });
+    const check = await checkCandidate(candidate, ctx);
+    if (check.duplicate && !ignoreDuplicate) {
+      return res.status(409).json({ success: false, error: 'Duplicate of recent content', reason: check.reason });
+    }
+    if (!ignoreDuplicate && isVideoDuplicate(candidate.videoFingerprint, ctx, settings)) {
+      return res.status(409).json({ success: false, error: 'Duplicate of recent content', reason: 'VIDEO_FINGERPRINT_MATCH' });
+    }
+    if (!ignoreDuplicate && findAudioDuplicate(candidate.audioFingerprint, ctx, settings)) {
+      return res.status(409).json({ success: false, error: 'Duplicate of recent content', reason: 'AUDIO_FINGERPRINT_MATCH' });
+    }
+    const audioKey = audioKeyFor(candidate, candidate.audioFingerprint, ctx, settings);
+
+    const { normalizeCaption } = require('../services/candidateBuilder');
+    const { hashVersionOf } = require('../utils/visualHash');
+    const { groupMembers, newGroupId, memberCaption } = require('../services/postGroups');
+    // Picking several platforms here is an explicit cross-post, so it groups even when autopilot grouping is off
+    const members = groupMembers({ ...settings, postGroups: { ...(settings.postGroups || {}), enabled: true } }, platforms);
+    const groupId = members ? newGroupId() : undefined;
+    const captions = body.captions && typeof body.captions === 'object' ? body.captions : {};
+    const scheduledIds = [];
+    const scheduledTimes = {};
+    const skipped = [];
+    for (const platform of platforms) {
+      if (!ignoreDuplicate && await checkQueueCollision(SchedulerQueueModel, platform, candidate.id, check.visualHash)) {
+        skipped.push({ platform, reason: 'ALREADY_IN_LAST_30' });
+        continue;
+      }
+      const member = members && members.find(m => m.platform === platform);
+      const slot = slotFor({ platform, audioKey }, member ? member.offsetMinutes : 0);
+      if (slot.conflict) {
+        skipped.push({ platform, reason: slot.conflict.reason, earliest: slot.conflict.until.toISOString() });
+        continue;
+      }
+      const scheduledTime = slot.at;
+      scheduledTimes[platform] = scheduledTime.toISOString();
+      const platformCaption = typeof captions[platform] === 'string'
+        ? captions[platform]
+        : (member ? memberCaption(caption, member) : caption);
+      const doc = await SchedulerQueueModel.create({
+        platform,
+        caption: platformCaption,
+        scheduledTime,
+        status: 'scheduled',
+        source: 'manual',
+        videoUrl: inbox.videoUrl,
+        s3Url: inbox.videoUrl,
+        thumbnailUrl: inbox.thumbnailUrl || undefined,
+        visualHash: check.visualHash || undefined,
+        hashVersion: hashVersionOf(check.visualHash) || undefined,
+        videoFingerprint: candidate.videoFingerprint || undefined,
+        audioFingerprint: candidate.audioFingerprint || undefined,
+        captionNorm: normalizeCaption(platformCaption),
+        audioKey,
+        durationSec: typeof candidate.duration === 'number' ? Math.round(candidate.duration) : undefined,
+        hashtags: inbox.hashtags || [],
+        ignoreDuplicate,
+        originalVideoId: candidate.id,
+        groupId,
+      });
+      scheduledIds.push(String(doc._id));
+    }
+    if (scheduledIds.length) {
+      const { markInboxItem } = require('../services/inbox');
+      await markInboxItem(candidate.id, 'scheduled');
+    }
+    return res.status(scheduledIds.length ? 201 : 409).json({
+      success: scheduledIds.length > 0,
+      kind: 'inbox',
+      scheduledIds,
+      groupId: groupId && scheduledIds.length ? groupId : null,
+      skipped,
+      scheduledTime: Object.values(scheduledTimes)[0] || null,
+      scheduledTimes,
+    });
+  } catch (e) {
+    return res.status(500).json({ success: false, error: 'Failed to schedule', details: e?.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+async function loadSettings() {
+  return (await mongoose.model('SettingsClean').findOne({}).lean()) || {};
+}
+
+// Boards the saved token can pin to, with the one currently selected
+router.get('/boards', async (req, res) => {
+  try {
+    const settings = await loadSettings();
+    if (!settings.pinterestAccessToken) return res.status(400).json({ ok: false, error: 'pinterestAccessToken is not set' });
+    const { listPinterestBoards } = require('../services/providers/pinterest');
+    const boards = await listPinterestBoards(settings.pinterestAccessToken, settings.pinterestApiBase);
+    return res.json({ ok: true, selected: settings.pinterestBoardId || null, boards });
+  } catch (e) {
+    return res.status(502).json({ ok: false, error: e?.message || 'board list failed' });
+  }
+});
+
+// Select the board new pins go to. Body: { boardId }
+router.put('/board', async (req, res) => {
+  try {
+    const boardId = req.body?.boardId ? String(req.body.boardId) : '';
+    if (!boardId) return res.status(400).json({ ok: false, error: 'boardId is required' });
+    const settings = await loadSettings();
+    if (!settings.pinterestAccessToken) return res.status(400).json({ ok: false, error: 'pinterestAccessToken is not set' });
+    const { listPinterestBoards } = require('../services/providers/pinterest');
+    const board = (await listPinterestBoards(settings.pinterestAccessToken, settings.pinterestApiBase)).find(b => b.id === boardId);
+    if (!board) return res.status(404).json({ ok: false, error: 'Board not found for this Pinterest account' });
+    await mongoose.model('SettingsClean').findOneAndUpdate({}, { $set: { pinterestBoardId: board.id, pinterestBoardName: board.name } }, { upsert: true });
+    return res.json({ ok: true, board });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || 'board update failed' });
+  }
+});
+
+module.exports = router;
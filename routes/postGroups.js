@@ -0,0 +1,41 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { listGroups, loadGroups, cancelGroup } = require('../services/postGroups');
+
+function queueModel() {
+  return mongoose.model('SchedulerQueue');
+}
+
+// Recent groups with their members: ?limit=20
+router.get('/', async (req, res) => {
+  try {
+    const groups = await listGroups(queueModel(), { limit: req.query.limit });
+    return res.json({ ok: true, groups });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || 'list failed' });
+  }
+});
+
+router.get('/:groupId', async (req, res) => {
+  try {
+    const group = (await loadGroups(queueModel(), [req.params.groupId])).get(req.params.groupId);
+    if (!group) return res.status(404).json({ ok: false, error: 'Post group not found' });
+    return res.json({ ok: true, group });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || 'get failed' });
+  }
+});
+
+// Cancel every member that has not been posted yet
+router.delete('/:groupId', async (req, res) => {
+  try {
+    const result = await cancelGroup(queueModel(), req.params.groupId);
+    if (!result.found) return res.status(404).json({ ok: false, error: 'Post group not found' });
+    return res.json({ ok: true, groupId: req.params.groupId, cancelled: result.cancelled, remaining: result.remaining });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || 'cancel failed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,265 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+// Items that are being posted or already went out are read-only
+const LOCKED_STATUSES = ['processing', 'posted', 'completed'];
+
+function queueModel() {
+  return mongoose.model('SchedulerQueue');
+}
+
+function allowedPlatforms() {
+  return require('../services/providers').platformNames();
+}
+
+function formatItem(doc) {
+  return {
+    _id: String(doc._id),
+    platform: doc.platform,
+    status: doc.status,
+    source: doc.source,
+    caption: doc.caption || '',
+    scheduledTime: doc.scheduledTime,
+    videoUrl: doc.videoUrl || doc.s3Url || null,
+    thumbnailUrl: doc.thumbnailUrl || null,
+    ignoreDuplicate: !!doc.ignoreDuplicate,
+    visualHash: doc.visualHash || null,
+    originalVideoId: doc.originalVideoId || null,
+    groupId: doc.groupId || null,
+    postedAt: doc.postedAt || null,
+    retryCount: doc.retryCount || 0,
+    errorMessage: doc.errorMessage || null,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+  };
+}
+
+async function s3ObjectExists(url) {
+  const { checkS3Object } = require('../services/s3');
+  return checkS3Object(url);
+}
+
+/**
+ * Spacing rule (services/spacing) an explicitly chosen time breaks; null when it fits
+ */
+async function spacingViolation(item, at) {
+  const { createSlotPlanner } = require('../services/spacing');
+  const planner = await createSlotPlanner(queueModel(), await loadSettings());
+  const conflict = planner.conflict(at, item);
+  return conflict && { type: 'spacing', platform: item.platform, reason: conflict.reason, at: at.toISOString(), conflictId: conflict.conflictId, earliest: conflict.until.toISOString() };
+}
+
+/**
+ * Validate editable fields; returns { set } or { error }
+ */
+async function buildUpdate(body) {
+  const set = {};
+  if (body.caption !== undefined) {
+    if (typeof body.caption !== 'string') return { error: 'caption must be a string' };
+    const { normalizeCaption } = require('../services/candidateBuilder');
+    set.caption = body.caption;
+    set.captionNorm = normalizeCaption(body.caption);
+  }
+  if (body.scheduledTime !== undefined) {
+    const d = new Date(body.scheduledTime);
+    if (Number.isNaN(d.getTime())) return { error: 'Invalid scheduledTime' };
+    set.scheduledTime = d;
+  }
+  if (body.platform !== undefined) {
+    if (!allowedPlatforms().includes(body.platform)) return { error: `platform must be one of: ${allowedPlatforms().join(', ')}` };
+    set.platform = body.platform;
+  }
+  const thumb = body.thumbnailUrl !== undefined ? body.thumbnailUrl : body.thumbnail;
+  if (thumb !== undefined) {
+    if (thumb !== null && typeof thumb !== 'string') return { error: 'thumbnailUrl must be a string or null' };
+    if (thumb && /amazonaws\.com/.test(thumb) && !(await s3ObjectExists(thumb))) return { error: 'thumbnailUrl not found in S3' };
+    set.thumbnailUrl = thumb || undefined;
+  }
+  if (body.ignoreDuplicate !== undefined) {
+    if (typeof body.ignoreDuplicate !== 'boolean') return { error: 'ignoreDuplicate must be a boolean' };
+    set.ignoreDuplicate = body.ignoreDuplicate;
+  }
+  return { set };
+}
+
+// Create a single queue item; the video must already be in S3
+router.post('/', async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!body.videoUrl || typeof body.videoUrl !== 'string') return res.status(400).json({ ok: false, error: 'videoUrl is required' });
+    if (!body.scheduledTime) return res.status(400).json({ ok: false, error: 'scheduledTime is required' });
+    const { set, error } = await buildUpdate({ platform: 'instagram', caption: '', ...body });
+    if (error) return res.status(400).json({ ok: false, error });
+    if (!(await s3ObjectExists(body.videoUrl))) {
+      return res.status(422).json({ ok: false, error: 'videoUrl not found in S3' });
+    }
+    // Soundtrack key so same-audio spacing and duplicate checks see manual uploads too
+    const { getSignals } = require('../services/signalCache');
+    const { loadFingerprintHistory, audioKeyFor } = require('../services/dedupe');
+    const settings = await loadSettings();
+    const { audioFingerprint } = await getSignals({ url: body.videoUrl }, ['audioFingerprint']);
+    const { recentAudio } = await loadFingerprintHistory(settings, queueModel());
+    const audioKey = audioKeyFor({ id: body.originalVideoId }, audioFingerprint, { recentAudio }, settings);
+    const violation = await spacingViolation({ platform: set.platform, audioKey }, set.scheduledTime);
+    if (violation) return res.status(409).json({ ok: false, error: 'scheduledTime is too close to another post', violations: [violation] });
+    const doc = await queueModel().create({
+      ...set,
+      status: 'scheduled',
+      source: 'manual',
+      videoUrl: body.videoUrl,
+      s3Url: body.videoUrl,
+      audioKey,
+      audioFingerprint: audioFingerprint || undefined,
+    });
+    return res.status(201).json({ ok: true, item: formatItem(doc.toObject()) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || 'create failed' });
+  }
+});
+
+async function loadSettings() {
+  return (await mongoose.model('SettingsClean').findOne({}).lean()) || {};
+}
+
+async function applyMoves(moves) {
+  const ops = [...moves].map(([id, at]) => ({
+    updateOne: { filter: { _id: id, status: { $nin: LOCKED_STATUSES } }, update: { $set: { scheduledTime: at } } },
+  }));
+  if (ops.length) await queueModel().bulkWrite(ops, { ordered: false });
+}
+
+// Reassign the existing time slots of the given items in the given order. Body: { ids: string[], dryRun? }
+router.post('/reorder', async (req, res) => {
+  try {
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(String) : [];
+    if (!ids.length) return res.status(400).json({ ok: false, error: 'ids must be a non-empty array' });
+    if (new Set(ids).size !== ids.length) return res.status(400).json({ ok: false, error: 'ids must be unique' });
+    if (!ids.every(id => mongoose.isValidObjectId(id))) return res.status(400).json({ ok: false, error: 'Invalid id in ids' });
+
+    const docs = await queueModel().find({ _id: { $in: ids } }).select('_id status scheduledTime').lean();
+    if (docs.length !== ids.length) {
+      const found = new Set(docs.map(d => String(d._id)));
+      return res.status(404).json({ ok: false, error: 'Queue items not found', missing: ids.filter(id => !found.has(id)) });
+    }
+    const locked = docs.filter(d => LOCKED_STATUSES.includes(d.status));
+    if (locked.length) return res.status(409).json({ ok: false, error: 'Some items can no longer be moved', locked: locked.map(d => String(d._id)) });
+
+    const slots = docs.map(d => new Date(d.scheduledTime)).sort((a, b) => a - b);
+    const moves = new Map();
+    ids.forEach((id, i) => moves.set(id, slots[i]));
+
+    const { validateMoves } = require('../services/caps');
+    const check = await validateMoves(queueModel(), await loadSettings(), moves);
+    if (!check.ok) return res.status(409).json({ ok: false, error: 'Reorder would exceed posting caps or spacing', violations: check.violations });
+
+    if (req.body?.dryRun !== true) await applyMoves(moves);
+    return res.json({ ok: true, dryRun: req.body?.dryRun === true, order: ids.map(id => ({ _id: id, scheduledTime: moves.get(id).toISOString() })) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || 'reorder failed' });
+  }
+});
+
+// Shift matching items by an offset. Body: { filter: { ids?, platform?, from?, to? }, offsetMinutes? | offsetHours?, dryRun? }
+router.post('/shift', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const offsetMin = body.offsetMinutes !== undefined ? Number(body.offsetMinutes) : Number(body.offsetHours) * 60;
+    if (!Number.isFinite(offsetMin) || offsetMin === 0) return res.status(400).json({ ok: false, error: 'offsetMinutes or offsetHours must be a non-zero number' });
+
+    const filter = body.filter || {};
+    const query = { status: { $in: ['scheduled', 'pending'] } };
+    if (Array.isArray(filter.ids) && filter.ids.length) {
+      if (!filter.ids.every(id => mongoose.isValidObjectId(id))) return res.status(400).json({ ok: false, error: 'Invalid id in filter.ids' });
+      query._id = { $in: filter.ids };
+    }
+    if (filter.platform) query.platform = filter.platform;
+    if (filter.from || filter.to) {
+      query.scheduledTime = {};
+      if (filter.from) query.scheduledTime.$gte = new Date(filter.from);
+      if (filter.to) query.scheduledTime.$lte = new Date(filter.to);
+      if (Object.values(query.scheduledTime).some(d => Number.isNaN(d.getTime()))) return res.status(400).json({ ok: false, error: 'Invalid filter.from/to' });
+    }
+    const docs = await queueModel().find(query).select('_id scheduledTime').lean();
+    if (!docs.length) return res.json({ ok: true, shifted: 0, items: [] });
+
+    const now = Date.now();
+    const moves = new Map();
+    for (const d of docs) moves.set(String(d._id), new Date(new Date(d.scheduledTime).getTime() + offsetMin * 60 * 1000));
+    const intoPast = [...moves].filter(([, at]) => at.getTime() <= now).map(([id]) => id);
+    if (intoPast.length) return res.status(409).json({ ok: false, error: 'Shift would move items into the past', ids: intoPast });
+
+    const { validateMoves } = require('../services/caps');
+    const check = await validateMoves(queueModel(), await loadSettings(), moves);
+    if (!check.ok) return res.status(409).json({ ok: false, error: 'Shift would exceed posting caps or spacing', violations: check.violations });
+
+    if (body.dryRun !== true) await applyMoves(moves);
+    return res.json({
+      ok: true,
+      dryRun: body.dryRun === true,
+      shifted: moves.size,
+      items: [...moves].map(([id, at]) => ({ _id: id, scheduledTime: at.toISOString() })),
+    });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || 'shift failed' });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ ok: false, error: 'Queue item not found' });
+    const doc = await queueModel().findById(req.params.id).lean();
+    if (!doc) return res.status(404).json({ ok: false, error: 'Queue item not found' });
+    return res.json({ ok: true, item: formatItem(doc) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || 'get failed' });
+  }
+});
+
+// Edit caption, scheduledTime, platform, thumbnailUrl, ignoreDuplicate
+router.patch('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ ok: false, error: 'Queue item not found' });
+    const { set, error } = await buildUpdate(req.body || {});
+    if (error) return res.status(400).json({ ok: false, error });
+    if (!Object.keys(set).length) return res.status(400).json({ ok: false, error: 'No editable fields provided' });
+    if (set.scheduledTime || set.platform) {
+      const current = await queueModel().findById(req.params.id).select('platform scheduledTime audioKey locationKey').lean();
+      if (current) {
+        const item = { id: req.params.id, platform: set.platform || current.platform, audioKey: current.audioKey, locationKey: current.locationKey };
+        const violation = await spacingViolation(item, set.scheduledTime || new Date(current.scheduledTime));
+        if (violation) return res.status(409).json({ ok: false, error: 'scheduledTime is too close to another post', violations: [violation] });
+      }
+    }
+    const doc = await queueModel().findOneAndUpdate(
+      { _id: req.params.id, status: { $nin: LOCKED_STATUSES } },
+      { $set: set },
+      { new: true }
+    ).lean();
+    if (!doc) {
+      const existing = await queueModel().findById(req.params.id).select('status').lean();
+      if (!existing) return res.status(404).json({ ok: false, error: 'Queue item not found' });
+      return res.status(409).json({ ok: false, error: `Queue item is ${existing.status} and can no longer be edited` });
+    }
+    return res.json({ ok: true, item: formatItem(doc) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || 'update failed' });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ ok: false, error: 'Queue item not found' });
+    const r = await queueModel().deleteOne({ _id: req.params.id, status: { $ne: 'processing' } });
+    if (!r.deletedCount) {
+      const existing = await queueModel().findById(req.params.id).select('status').lean();
+      if (!existing) return res.status(404).json({ ok: false, error: 'Queue item not found' });
+      return res.status(409).json({ ok: false, error: 'Queue item is being posted right now' });
+    }
+    return res.json({ ok: true, deleted: req.params.id });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || 'delete failed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { ScheduleTemplateModel, normalizeTemplate, expandTemplate } = require('../services/scheduleTemplates');
+
+function allowedPlatforms() {
+  return require('../services/providers').platformNames();
+}
+
+async function loadSettings() {
+  return (await mongoose.model('SettingsClean').findOne({}).lean()) || {};
+}
+
+router.get('/', async (_req, res) => {
+  try {
+    const settings = await loadSettings();
+    const templates = await ScheduleTemplateModel.find({}).sort({ updatedAt: -1 }).lean();
+    return res.json({ ok: true, schedulerType: settings.schedulerType || 'daily', scheduleTemplateId: settings.scheduleTemplateId || null, templates });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || 'list failed' });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    let data;
+    try { data = normalizeTemplate({ rules: [], ...(req.body || {}) }, allowedPlatforms()); }
+    catch (err) { return res.status(400).json({ ok: false, error: err.message }); }
+    if (!data.name) return res.status(400).json({ ok: false, error: 'name is required' });
+    const doc = await ScheduleTemplateModel.create(data);
+    return res.status(201).json({ ok: true, template: doc.toObject() });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || 'create failed' });
+  }
+});
+
+router.patch('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ ok: false, error: 'Template not found' });
+    let set;
+    try { set = normalizeTemplate(req.body || {}, allowedPlatforms()); }
+    catch (err) { return res.status(400).json({ ok: false, error: err.message }); }
+    if (!Object.keys(set).length) return res.status(400).json({ ok: false, error: 'No editable fields provided' });
+    const doc = await ScheduleTemplateModel.findByIdAndUpdate(req.params.id, { $set: set }, { new: true }).lean();
+    if (!doc) return res.status(404).json({ ok: false, error: 'Template not found' });
+    return res.json({ ok: true, template: doc });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || 'update failed' });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ ok: false, error: 'Template not found' });
+    const r = await ScheduleTemplateModel.deleteOne({ _id: req.params.id });
+    if (!r.deletedCount) return res.status(404).json({ ok: false, error: 'Template not found' });
+    await mongoose.model('SettingsClean').updateOne({ scheduleTemplateId: req.params.id }, { $unset: { scheduleTemplateId: 1 } });
+    return res.json({ ok: true, deleted: req.params.id });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || 'delete failed' });
+  }
+});
+
+// Make this the template autopilot and refill use (switches schedulerType to 'template')
+router.post('/:id/activate', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ ok: false, error: 'Template not found' });
+    const doc = await ScheduleTemplateModel.findById(req.params.id).lean();
+    if (!doc) return res.status(404).json({ ok: false, error: 'Template not found' });
+    await ScheduleTemplateModel.updateMany({ _id: { $ne: doc._id } }, { $set: { active: false } });
+    await ScheduleTemplateModel.updateOne({ _id: doc._id }, { $set: { active: true } });
+    await mongoose.model('SettingsClean').findOneAndUpdate({}, { $set: { schedulerType: 'template', scheduleTemplateId: String(doc._id) } }, { upsert: true });
+    return res.json({ ok: true, schedulerType: 'template', scheduleTemplateId: String(doc._id) });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || 'activate failed' });
+  }
+});
+
+// Expanded slots for the next N days: ?days=7&platform=instagram
+router.get('/:id/preview', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ ok: false, error: 'Template not found' });
+    const doc = await ScheduleTemplateModel.findById(req.params.id).lean();
+    if (!doc) return res.status(404).json({ ok: false, error: 'Template not found' });
+    const { resolveTimeZone } = require('../services/dateBoundary');
+    const settings = await loadSettings();
+    const days = Math.min(31, Math.max(1, Number(req.query.days) || 7));
+    const from = new Date();
+    const to = new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+    const platforms = req.query.platform ? [String(req.query.platform)] : allowedPlatforms();
+    const slots = {};
+    for (const platform of platforms) {
+      slots[platform] = expandTemplate(doc, platform, { from, to, timeZone: resolveTimeZone(settings) }).map(d => d.toISOString());
+    }
+    return res.json({ ok: true, timeZone: doc.timeZone || resolveTimeZone(settings), from: from.toISOString(), to: to.toISOString(), slots });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e?.message || 'preview failed' });
+  }
+});
+
+module.exports = router;
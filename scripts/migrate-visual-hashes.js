@@ -0,0 +1,117 @@
+/**
+ * Rehash SchedulerQueue and Posts visual hashes into the current utils/visualHash version
+ *
+ *   MONGODB_URI=... node scripts/migrate-visual-hashes.js [--dry-run] [--limit=500]
+ *
+ * - Documents already on CURRENT_HASH_VERSION are left alone, so the script can be re-run
+ * - Rehash source: the stored thumbnail (SchedulerQueue.thumbnailUrl, Posts.thumbUrl), else the first frame of the
+ *   video (SchedulerQueue.s3Url/videoUrl, Posts.payloadSummary.videoUrl) since platform CDN thumbnails expire
+ * - Neither readable: legacy aHash bit strings are rewritten to "ahash-v1:<hex>" (still only compared with ahash-v1);
+ *   values that are not perceptual hashes at all (URL/md5 digests) are removed
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const COLLECTIONS = [
+  { name: 'SchedulerQueue', imageFields: ['thumbnailUrl'], videoFields: ['s3Url', 'videoUrl'] },
+  { name: 'Posts', imageFields: ['thumbUrl'], videoFields: ['payloadSummary.videoUrl'] },
+];
+
+function pick(doc, path) {
+  return path.split('.').reduce((v, k) => (v == null ? v : v[k]), doc);
+}
+
+/**
+ * Current-version hash from the first thumbnail or video frame that can still be read
+ * @returns {Promise<{ hash: string, fromFrame: boolean }|null>}
+ */
+async function rehash(doc, { imageFields, videoFields }) {
+  const { computeHashFromImageUrl, computeHashFromBuffer } = require('../utils/visualHash');
+  for (const field of imageFields) {
+    const url = pick(doc, field);
+    if (!url) continue;
+    try { return { hash: await computeHashFromImageUrl(url), fromFrame: false }; } catch (_) {}
+  }
+  const urls = [...new Set(videoFields.map(f => pick(doc, f)).filter(Boolean))];
+  for (const url of urls) {
+    try {
+      const { generateThumbnailBuffer } = require('../utils/videoThumbnail');
+      return { hash: await computeHashFromBuffer(await generateThumbnailBuffer(url)), fromFrame: true };
+    } catch (_) {}
+  }
+  return null;
+}
+
+/**
+ * @param {import('mongodb').Db} db
+ * @param {{ dryRun?: boolean, limit?: number }} [options]
+ * @returns {Promise<Object<string, { scanned: number, rehashed: number, fromFrame: number, canonicalized: number, cleared: number, failed: number }>>}
+ */
+async function migrateVisualHashes(db, { dryRun = false, limit = 0 } = {}) {
+  const { CURRENT_HASH_VERSION, canonicalHash, hashVersionOf } = require('../utils/visualHash');
+  const report = {};
+  for (const collection of COLLECTIONS) {
+    const { name, imageFields, videoFields } = collection;
+    const coll = db.collection(name);
+    const stats = { scanned: 0, rehashed: 0, fromFrame: 0, canonicalized: 0, cleared: 0, failed: 0 };
+    const projection = Object.fromEntries(['visualHash', ...imageFields, ...videoFields].map(f => [f, 1]));
+    const cursor = coll.find(
+      { visualHash: { $exists: true, $nin: [null, ''], $not: new RegExp(`^${CURRENT_HASH_VERSION}:`) } },
+      { projection, limit: limit > 0 ? limit : undefined }
+    );
+    for await (const doc of cursor) {
+      stats.scanned++;
+      let update;
+      let outcome;
+      const fresh = await rehash(doc, collection);
+      const legacy = canonicalHash(doc.visualHash);
+      if (fresh) {
+        update = { $set: { visualHash: fresh.hash, hashVersion: CURRENT_HASH_VERSION } };
+        outcome = 'rehashed';
+        if (fresh.fromFrame) stats.fromFrame++;
+      } else if (legacy) {
+        update = { $set: { visualHash: legacy, hashVersion: hashVersionOf(legacy) } };
+        outcome = 'canonicalized';
+      } else {
+        update = { $unset: { visualHash: '', hashVersion: '' } };
+        outcome = 'cleared';
+      }
+      if (dryRun) { stats[outcome]++; continue; }
+      try {
+        await coll.updateOne({ _id: doc._id }, update);
+        stats[outcome]++;
+      } catch (e) {
+        stats.failed++;
+        console.warn(`⚠️ [HASH MIGRATION] ${name} ${doc._id}:`, e?.message || e);
+      }
+    }
+    report[name] = stats;
+    console.log(`🛠️ [HASH MIGRATION] ${name}${dryRun ? ' (dry run)' : ''}:`, JSON.stringify(stats));
+  }
+  return report;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const limitArg = args.find(a => a.startsWith('--limit='));
+  const limit = limitArg ? Number(limitArg.split('=')[1]) || 0 : 0;
+  const uri = process.env.MONGODB_URI || process.env.MONGO_URI;
+  if (!uri) {
+    console.error('❌ [HASH MIGRATION] Set MONGODB_URI');
+    process.exit(1);
+  }
+  (async () => {
+    try {
+      await mongoose.connect(uri);
+      await migrateVisualHashes(mongoose.connection.db, { dryRun, limit });
+      await mongoose.disconnect();
+    } catch (e) {
+      console.error('❌ [HASH MIGRATION] Failed:', e?.message || e);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = { migrateVisualHashes };
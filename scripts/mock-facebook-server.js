@@ -0,0 +1,147 @@
+/**
+ * Local stand-in for Facebook Page Reels (video_reels start → rupload → finish → status) so postOnce('facebook') runs offline
+ *
+ *   node scripts/mock-facebook-server.js          # listens on MOCK_FACEBOOK_PORT || 4013
+ *   settings.facebookApiBase = 'http://localhost:4013' (or env FACEBOOK_API_BASE), FACEBOOK_POLL_INTERVAL_MS=200
+ *
+ * - Accepts any access_token except 'invalid'; the token is also the Page token it hands back
+ * - Token 'fail-processing' finishes and then reports a processing error; 'stuck-processing' never leaves processing
+ * - GET/DELETE /v18.0/:videoId and GET /v18.0/:pageId/video_reels cover provider status, delete and fetchRecent
+ * - GET /_mock/posts lists uploaded reels, deleted ones included
+ */
+
+const http = require('http');
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function graphError(res, status, code, message) {
+  send(res, status, { error: { message, type: 'OAuthException', code } });
+}
+
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(Buffer.concat(chunks).toString('utf8')))));
+    req.on('error', reject);
+  });
+}
+
+function videoStatus(video) {
+  if (video.state === 'error') {
+    return { video_status: 'error', processing_phase: { status: 'error', errors: [{ message: 'Video format not supported' }] } };
+  }
+  if (video.state === 'ready') return { video_status: 'ready', processing_phase: { status: 'complete' }, publishing_phase: { status: 'complete' } };
+  return { video_status: 'processing', processing_phase: { status: 'in_progress' }, publishing_phase: { status: 'not_started' } };
+}
+
+/**
+ * @param {{ port?: number, processingPolls?: number }} [options] - processingPolls: status checks that report processing first
+ * @returns {Promise<{ url: string, port: number, videos: Map<string, Object>, close: () => Promise<void> }>}
+ */
+function startMockFacebookServer({ port = Number(process.env.MOCK_FACEBOOK_PORT || 4013), processingPolls = 1 } = {}) {
+  const videos = new Map();
+  let seq = 1029384756000000;
+  let baseUrl = '';
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, baseUrl);
+      const body = req.method === 'POST' ? await readForm(req) : {};
+      const bearer = String(req.headers.authorization || '').replace(/^OAuth\s+/i, '');
+      const token = body.access_token || url.searchParams.get('access_token') || bearer;
+      const parts = url.pathname.split('/').filter(Boolean); // ['v18.0', id, edge?]
+
+      if (req.method === 'GET' && url.pathname === '/_mock/posts') {
+        return send(res, 200, { videos: [...videos.values()] });
+      }
+      if (!token || token === 'invalid') return graphError(res, 401, 190, 'Invalid OAuth access token.');
+
+      if (req.method === 'POST' && parts[0] === 'video-upload') {
+        const video = videos.get(parts[2]);
+        if (!video) return graphError(res, 400, 100, 'Invalid video_id');
+        if (!req.headers.file_url) return send(res, 400, { success: false, debug_info: { message: 'file_url header is required' } });
+        video.fileUrl = req.headers.file_url;
+        video.uploaded = true;
+        return send(res, 200, { success: true });
+      }
+
+      if (parts[0] !== 'v18.0' || !parts[1]) return send(res, 404, { error: `no mock route for ${req.method} ${url.pathname}` });
+      const [, id, edge] = parts;
+
+      if (req.method === 'POST' && edge === 'video_reels' && body.upload_phase === 'start') {
+        const video = { id: String(++seq), pageId: id, token, description: '', uploaded: false, finished: false, deleted: false, polls: 0, state: 'processing', createdTime: new Date().toISOString() };
+        videos.set(video.id, video);
+        return send(res, 200, { video_id: video.id, upload_url: `${baseUrl}/video-upload/v18.0/${video.id}` });
+      }
+
+      if (req.method === 'POST' && edge === 'video_reels' && body.upload_phase === 'finish') {
+        const video = videos.get(body.video_id);
+        if (!video || video.pageId !== id) return graphError(res, 400, 100, 'Invalid video_id');
+        if (!video.uploaded) return graphError(res, 400, 6000, 'Video has not been uploaded');
+        if (video.finished) return graphError(res, 400, 6000, 'Video was already finished');
+        video.finished = true;
+        video.description = body.description || '';
+        return send(res, 200, { success: true });
+      }
+
+      if (req.method === 'GET' && edge === 'video_reels') {
+        const limit = Number(url.searchParams.get('limit') || 25);
+        const data = [...videos.values()].filter(v => v.pageId === id && v.finished && !v.deleted && v.state !== 'error').reverse().slice(0, limit).map(v => ({
+          id: v.id, description: v.description, permalink_url: `/reel/${v.id}`, picture: `${baseUrl}/thumb/${v.id}.jpg`, length: 12.5, created_time: v.createdTime,
+        }));
+        return send(res, 200, { data });
+      }
+
+      if (req.method === 'GET' && !edge) {
+        const video = videos.get(id);
+        if (!video || video.deleted) {
+          // resolvePageToken reads the Page's own token; every Page id is known here
+          if (url.searchParams.get('fields') === 'access_token') return send(res, 200, { id, access_token: token });
+          return graphError(res, 400, 100, `Object with ID '${id}' does not exist`);
+        }
+        if (video.finished) {
+          video.polls += 1;
+          if (video.state === 'processing' && video.polls > processingPolls && video.token !== 'stuck-processing') {
+            video.state = video.token === 'fail-processing' ? 'error' : 'ready';
+          }
+        }
+        return send(res, 200, { id, status: videoStatus(video), permalink_url: `/reel/${id}` });
+      }
+
+      if (req.method === 'DELETE' && !edge) {
+        const video = videos.get(id);
+        if (!video || video.deleted) return graphError(res, 400, 100, `Object with ID '${id}' does not exist`);
+        video.deleted = true;
+        return send(res, 200, { success: true });
+      }
+
+      return send(res, 404, { error: `no mock route for ${req.method} ${url.pathname}` });
+    } catch (e) {
+      return graphError(res, 500, 1, e?.message || String(e));
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      const actual = server.address().port;
+      baseUrl = `http://localhost:${actual}`;
+      resolve({ url: baseUrl, port: actual, videos, close: () => new Promise(r => server.close(() => r())) });
+    });
+  });
+}
+
+if (require.main === module) {
+  startMockFacebookServer().then(({ url }) => {
+    console.log(`📘 [MOCK FACEBOOK] Listening on ${url}`);
+  }).catch((e) => {
+    console.error('❌ [MOCK FACEBOOK] Failed to start:', e?.message || e);
+    process.exit(1);
+  });
+}
+
+module.exports = { startMockFacebookServer };
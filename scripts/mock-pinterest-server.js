@@ -0,0 +1,164 @@
+/**
+ * Local stand-in for the Pinterest v5 API (media register → upload → media status → pin) so postOnce('pinterest') runs offline
+ *
+ *   node scripts/mock-pinterest-server.js         # listens on MOCK_PINTEREST_PORT || 4012
+ *   settings.pinterestApiBase = 'http://localhost:4012' (or env PINTEREST_API_BASE), PINTEREST_POLL_INTERVAL_MS=200
+ *
+ * - Accepts any bearer token except 'invalid'; token 'fail-media' uploads fine and then reports media status failed
+ * - Two boards exist: 'board-homes' and 'board-interiors'
+ * - GET /sample.mp4 serves a small fake video to use as videoUrl
+ * - GET /_mock/posts lists media uploads and pins
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const SAMPLE_VIDEO = Buffer.concat([Buffer.from('00000018667479706d703432', 'hex'), crypto.randomBytes(64 * 1024)]);
+const BOARDS = [
+  { id: 'board-homes', name: 'New Homes', privacy: 'PUBLIC' },
+  { id: 'board-interiors', name: 'Interiors', privacy: 'PUBLIC' },
+];
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function apiError(res, status, code, message) {
+  send(res, status, { code, message });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * @param {{ port?: number, processingPolls?: number }} [options] - processingPolls: media status checks that report processing first
+ * @returns {Promise<{ url: string, port: number, media: Map<string, Object>, pins: Map<string, Object>, close: () => Promise<void> }>}
+ */
+function startMockPinterestServer({ port = Number(process.env.MOCK_PINTEREST_PORT || 4012), processingPolls = 1 } = {}) {
+  const media = new Map();
+  const pins = new Map();
+  let seq = 1000;
+  let baseUrl = '';
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, baseUrl);
+      const token = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+      const raw = await readBody(req);
+      const json = () => JSON.parse(raw.toString('utf8') || '{}');
+
+      if (req.method === 'GET' && url.pathname === '/sample.mp4') {
+        res.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': SAMPLE_VIDEO.length });
+        return res.end(SAMPLE_VIDEO);
+      }
+      if (req.method === 'GET' && url.pathname === '/_mock/posts') {
+        return send(res, 200, { media: [...media.values()], pins: [...pins.values()] });
+      }
+
+      // Presigned upload target: no auth header, fields from upload_parameters plus the file part
+      if (req.method === 'POST' && url.pathname.startsWith('/upload/')) {
+        const m = media.get(url.pathname.slice('/upload/'.length));
+        if (!m) return send(res, 404, { error: 'unknown upload' });
+        const text = raw.toString('latin1');
+        if (!/multipart\/form-data/.test(String(req.headers['content-type'] || '')) || !text.includes(`name="key"`) || !text.includes(m.uploadKey) || !text.includes('name="file"')) {
+          return send(res, 400, { error: 'expected multipart form with key and file' });
+        }
+        m.bytes = raw.length;
+        m.uploaded = true;
+        return send(res, 204);
+      }
+
+      if (!url.pathname.startsWith('/v5/')) return send(res, 404, { error: `no mock route for ${req.method} ${url.pathname}` });
+      if (!token || token === 'invalid') return apiError(res, 401, 2, 'Authentication failed.');
+      const parts = url.pathname.split('/').filter(Boolean).slice(1); // after 'v5'
+
+      if (req.method === 'POST' && parts[0] === 'media' && !parts[1]) {
+        if (json().media_type !== 'video') return apiError(res, 400, 1, 'media_type must be video');
+        const id = String(++seq);
+        const uploadKey = `uploads/${id}.mp4`;
+        media.set(id, { id, token, uploadKey, uploaded: false, bytes: 0, polls: 0, status: 'registered' });
+        return send(res, 201, { media_id: id, media_type: 'video', upload_url: `${baseUrl}/upload/${id}`, upload_parameters: { key: uploadKey, 'x-amz-date': '20260101T000000Z', policy: 'mock' } });
+      }
+
+      if (req.method === 'GET' && parts[0] === 'media' && parts[1]) {
+        const m = media.get(parts[1]);
+        if (!m) return apiError(res, 404, 3, 'Media not found.');
+        m.polls += 1;
+        if (m.uploaded && m.status !== 'succeeded' && m.status !== 'failed') {
+          m.status = m.polls > processingPolls ? (m.token === 'fail-media' ? 'failed' : 'succeeded') : 'processing';
+        }
+        return send(res, 200, { media_id: m.id, media_type: 'video', status: m.status });
+      }
+
+      if (req.method === 'GET' && parts[0] === 'boards' && !parts[1]) {
+        return send(res, 200, { items: BOARDS, bookmark: null });
+      }
+
+      if (req.method === 'GET' && parts[0] === 'boards' && parts[2] === 'pins') {
+        const limit = Number(url.searchParams.get('page_size') || 25);
+        const items = [...pins.values()].filter(p => p.board_id === parts[1]).reverse().slice(0, limit);
+        return send(res, 200, { items, bookmark: null });
+      }
+
+      if (req.method === 'POST' && parts[0] === 'pins' && !parts[1]) {
+        const body = json();
+        if (!BOARDS.some(b => b.id === body.board_id)) return apiError(res, 404, 40, 'Board not found.');
+        const m = media.get(String(body.media_source?.media_id || ''));
+        if (body.media_source?.source_type !== 'video_id' || !m) return apiError(res, 400, 1, 'media_source needs source_type video_id and a known media_id');
+        if (m.status !== 'succeeded') return apiError(res, 400, 1, 'Media is not ready.');
+        if (m.pinned) return apiError(res, 409, 1, 'Media was already used for a pin.');
+        if (!body.media_source.cover_image_url && body.media_source.cover_image_key_frame_time === undefined) return apiError(res, 400, 1, 'Video pins need a cover image');
+        const id = String(900000000000 + ++seq);
+        m.pinned = true;
+        pins.set(id, {
+          id,
+          board_id: body.board_id,
+          title: body.title || '',
+          description: body.description || '',
+          link: body.link || null,
+          created_at: new Date().toISOString(),
+          media: { media_type: 'video', cover_image_url: body.media_source.cover_image_url || `${baseUrl}/cover/${id}.jpg`, duration: 15000 },
+        });
+        return send(res, 201, pins.get(id));
+      }
+
+      if (parts[0] === 'pins' && parts[1]) {
+        const pin = pins.get(parts[1]);
+        if (!pin) return apiError(res, 404, 50, 'Pin not found.');
+        if (req.method === 'GET') return send(res, 200, pin);
+        if (req.method === 'DELETE') { pins.delete(parts[1]); return send(res, 204); }
+      }
+
+      return send(res, 404, { error: `no mock route for ${req.method} ${url.pathname}` });
+    } catch (e) {
+      return apiError(res, 500, 0, e?.message || String(e));
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      const actual = server.address().port;
+      baseUrl = `http://localhost:${actual}`;
+      resolve({ url: baseUrl, port: actual, media, pins, close: () => new Promise(r => server.close(() => r())) });
+    });
+  });
+}
+
+if (require.main === module) {
+  startMockPinterestServer().then(({ url }) => {
+    console.log(`📌 [MOCK PINTEREST] Listening on ${url} (sample video: ${url}/sample.mp4)`);
+  }).catch((e) => {
+    console.error('❌ [MOCK PINTEREST] Failed to start:', e?.message || e);
+    process.exit(1);
+  });
+}
+
+module.exports = { startMockPinterestServer };
@@ -0,0 +1,125 @@
+/**
+ * Local stand-in for the Threads API (container → status → threads_publish) so postOnce('threads') runs offline
+ *
+ *   node scripts/mock-threads-server.js           # listens on MOCK_THREADS_PORT || 4011
+ *   settings.threadsApiBase = 'http://localhost:4011' (or env THREADS_API_BASE), THREADS_POLL_INTERVAL_MS=200
+ *
+ * - Accepts any access_token except 'invalid'; a video_url containing 'fail' finishes with status ERROR
+ * - GET/DELETE /v1.0/:mediaId and GET /v1.0/:userId/threads cover provider status, delete and fetchRecent
+ * - GET /_mock/posts lists containers and what was published
+ */
+
+const http = require('http');
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function graphError(res, status, code, message) {
+  send(res, status, { error: { message, type: 'OAuthException', code } });
+}
+
+function readForm(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(Buffer.concat(chunks).toString('utf8')))));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * @param {{ port?: number, processingPolls?: number }} [options] - processingPolls: status checks that report IN_PROGRESS first
+ * @returns {Promise<{ url: string, port: number, containers: Map<string, Object>, posts: Map<string, Object>, close: () => Promise<void> }>}
+ */
+function startMockThreadsServer({ port = Number(process.env.MOCK_THREADS_PORT || 4011), processingPolls = 1 } = {}) {
+  const containers = new Map();
+  const posts = new Map();
+  let seq = 17841400000000;
+  let baseUrl = '';
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, baseUrl);
+      const body = req.method === 'POST' ? await readForm(req) : {};
+      const token = body.access_token || url.searchParams.get('access_token');
+      const parts = url.pathname.split('/').filter(Boolean); // ['v1.0', id, edge?]
+
+      if (req.method === 'GET' && url.pathname === '/_mock/posts') {
+        return send(res, 200, { containers: [...containers.values()], posts: [...posts.values()] });
+      }
+      if (parts[0] !== 'v1.0' || !parts[1]) return send(res, 404, { error: `no mock route for ${req.method} ${url.pathname}` });
+      if (!token || token === 'invalid') return graphError(res, 401, 190, 'Invalid OAuth access token.');
+      const [, id, edge] = parts;
+
+      if (req.method === 'POST' && edge === 'threads') {
+        if (body.media_type !== 'VIDEO' || !body.video_url) return graphError(res, 400, 100, 'media_type VIDEO needs video_url');
+        const container = { id: String(++seq), userId: id, videoUrl: body.video_url, text: body.text || '', polls: 0, status: 'IN_PROGRESS', published: false };
+        containers.set(container.id, container);
+        return send(res, 200, { id: container.id });
+      }
+
+      if (req.method === 'POST' && edge === 'threads_publish') {
+        const container = containers.get(body.creation_id);
+        if (!container || container.userId !== id) return graphError(res, 400, 100, 'Invalid creation_id');
+        if (container.status !== 'FINISHED') return graphError(res, 400, 9007, 'Media is not ready to be published');
+        if (container.published) return graphError(res, 400, 9007, 'Container was already published');
+        container.published = true;
+        container.status = 'PUBLISHED';
+        const post = { id: String(++seq), userId: id, text: container.text, videoUrl: container.videoUrl, timestamp: new Date().toISOString() };
+        posts.set(post.id, post);
+        return send(res, 200, { id: post.id });
+      }
+
+      if (req.method === 'GET' && edge === 'threads') {
+        const limit = Number(url.searchParams.get('limit') || 25);
+        const data = [...posts.values()].filter(p => p.userId === id).reverse().slice(0, limit).map(p => ({
+          id: p.id, text: p.text, media_type: 'VIDEO', media_url: p.videoUrl, permalink: `https://www.threads.net/@mock/post/${p.id}`, timestamp: p.timestamp,
+        }));
+        return send(res, 200, { data });
+      }
+
+      if (req.method === 'GET' && !edge) {
+        const container = containers.get(id);
+        if (container) {
+          container.polls += 1;
+          if (container.status === 'IN_PROGRESS' && container.polls > processingPolls) container.status = /fail/i.test(container.videoUrl) ? 'ERROR' : 'FINISHED';
+          return send(res, 200, { id, status: container.status, error_message: container.status === 'ERROR' ? 'Video format not supported' : undefined });
+        }
+        const post = posts.get(id);
+        if (post) return send(res, 200, { id, permalink: `https://www.threads.net/@mock/post/${id}` });
+        return graphError(res, 400, 100, `Object with ID '${id}' does not exist`);
+      }
+
+      if (req.method === 'DELETE' && !edge) {
+        if (!posts.delete(id)) return graphError(res, 400, 100, `Object with ID '${id}' does not exist`);
+        return send(res, 200, { success: true });
+      }
+
+      return send(res, 404, { error: `no mock route for ${req.method} ${url.pathname}` });
+    } catch (e) {
+      return graphError(res, 500, 1, e?.message || String(e));
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      const actual = server.address().port;
+      baseUrl = `http://localhost:${actual}`;
+      resolve({ url: baseUrl, port: actual, containers, posts, close: () => new Promise(r => server.close(() => r())) });
+    });
+  });
+}
+
+if (require.main === module) {
+  startMockThreadsServer().then(({ url }) => {
+    console.log(`🧵 [MOCK THREADS] Listening on ${url}`);
+  }).catch((e) => {
+    console.error('❌ [MOCK THREADS] Failed to start:', e?.message || e);
+    process.exit(1);
+  });
+}
+
+module.exports = { startMockThreadsServer };
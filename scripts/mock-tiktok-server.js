@@ -0,0 +1,171 @@
+/**
+ * Local stand-in for the TikTok Content Posting API (init → upload → status) so postOnce('tiktok') runs offline
+ *
+ *   node scripts/mock-tiktok-server.js            # listens on MOCK_TIKTOK_PORT || 4010
+ *   settings.tiktokApiBase = 'http://localhost:4010' (or env TIKTOK_API_BASE), TIKTOK_POLL_INTERVAL_MS=200
+ *
+ * - Accepts any bearer token except 'invalid'; token 'fail-publish' uploads fine and then reports FAILED,
+ *   'stuck-processing' uploads fine and never leaves PROCESSING_UPLOAD
+ * - GET /sample.mp4 serves a small fake video to use as videoUrl
+ * - POST /v2/video/query/ and /v2/video/list/ return published videos (provider status/fetchRecent)
+ * - GET /_mock/posts lists what was published
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const SAMPLE_VIDEO = Buffer.concat([Buffer.from('00000018667479706d703432', 'hex'), crypto.randomBytes(64 * 1024)]);
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function apiError(res, status, code, message) {
+  send(res, status, { data: {}, error: { code, message, log_id: crypto.randomBytes(8).toString('hex') } });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * @param {{ port?: number, processingPolls?: number }} [options] - processingPolls: status checks that report PROCESSING_UPLOAD before completion
+ * @returns {Promise<{ url: string, port: number, publishes: Map<string, Object>, close: () => Promise<void> }>}
+ */
+function startMockTikTokServer({ port = Number(process.env.MOCK_TIKTOK_PORT || 4010), processingPolls = 1 } = {}) {
+  const publishes = new Map();
+  let baseUrl = '';
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, baseUrl);
+      const token = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+
+      if (req.method === 'GET' && url.pathname === '/sample.mp4') {
+        res.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': SAMPLE_VIDEO.length });
+        return res.end(SAMPLE_VIDEO);
+      }
+
+      if (req.method === 'GET' && url.pathname === '/_mock/posts') {
+        return send(res, 200, { posts: [...publishes.values()].map(({ bytes, ...p }) => ({ ...p, bytesReceived: bytes })) });
+      }
+
+      if (req.method === 'POST' && url.pathname === '/v2/post/publish/video/init/') {
+        if (!token || token === 'invalid') return apiError(res, 401, 'access_token_invalid', 'The access token is invalid or not found in the request.');
+        const body = JSON.parse((await readBody(req)).toString('utf8') || '{}');
+        const src = body.source_info || {};
+        if (src.source !== 'FILE_UPLOAD' || !(src.video_size > 0) || !(src.chunk_size > 0) || !(src.total_chunk_count >= 1)) {
+          return apiError(res, 400, 'invalid_params', 'source_info needs FILE_UPLOAD with video_size, chunk_size and total_chunk_count');
+        }
+        const publishId = `v_pub_file~v2-1.${Date.now()}${Math.floor(Math.random() * 1000)}`;
+        publishes.set(publishId, {
+          publishId,
+          token,
+          title: body.post_info?.title || '',
+          privacyLevel: body.post_info?.privacy_level || null,
+          videoSize: src.video_size,
+          totalChunks: src.total_chunk_count,
+          chunksReceived: 0,
+          bytes: 0,
+          polls: 0,
+          status: 'PROCESSING_UPLOAD',
+          postId: null,
+        });
+        return send(res, 200, { data: { publish_id: publishId, upload_url: `${baseUrl}/upload/${encodeURIComponent(publishId)}` }, error: { code: 'ok', message: '' } });
+      }
+
+      if (req.method === 'PUT' && url.pathname.startsWith('/upload/')) {
+        const p = publishes.get(decodeURIComponent(url.pathname.slice('/upload/'.length)));
+        if (!p) return send(res, 404, { error: 'unknown upload' });
+        const range = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(String(req.headers['content-range'] || ''));
+        const chunk = await readBody(req);
+        if (!range || Number(range[3]) !== p.videoSize || Number(range[2]) - Number(range[1]) + 1 !== chunk.length) {
+          return send(res, 416, { error: 'bad Content-Range' });
+        }
+        p.chunksReceived += 1;
+        p.bytes += chunk.length;
+        res.writeHead(p.bytes >= p.videoSize ? 201 : 206);
+        return res.end();
+      }
+
+      if (req.method === 'POST' && url.pathname === '/v2/post/publish/status/fetch/') {
+        if (!token || token === 'invalid') return apiError(res, 401, 'access_token_invalid', 'The access token is invalid or not found in the request.');
+        const body = JSON.parse((await readBody(req)).toString('utf8') || '{}');
+        const p = publishes.get(body.publish_id);
+        if (!p) return apiError(res, 400, 'invalid_publish_id', 'publish_id not found');
+        p.polls += 1;
+        if (p.status === 'PROCESSING_UPLOAD' && p.bytes >= p.videoSize && p.polls > processingPolls && p.token !== 'stuck-processing') {
+          if (p.token === 'fail-publish') {
+            p.status = 'FAILED';
+            p.failReason = 'spam_risk_too_many_posts';
+          } else {
+            p.status = 'PUBLISH_COMPLETE';
+            p.postId = String(7000000000000000000n + BigInt(publishes.size * 1000 + p.polls));
+            p.publishedAt = Date.now();
+          }
+        }
+        return send(res, 200, {
+          data: {
+            status: p.status,
+            fail_reason: p.failReason,
+            publicaly_available_post_id: p.postId ? [p.postId] : [],
+            uploaded_bytes: p.bytes,
+          },
+          error: { code: 'ok', message: '' },
+        });
+      }
+
+      // Published videos, as the Display API lists them (query by id / list newest first)
+      if (req.method === 'POST' && (url.pathname === '/v2/video/query/' || url.pathname === '/v2/video/list/')) {
+        if (!token || token === 'invalid') return apiError(res, 401, 'access_token_invalid', 'The access token is invalid or not found in the request.');
+        const body = JSON.parse((await readBody(req)).toString('utf8') || '{}');
+        let videos = [...publishes.values()].filter(p => p.postId).reverse().map(p => ({
+          id: p.postId,
+          title: p.title,
+          video_description: p.title,
+          share_url: `https://www.tiktok.com/@mock/video/${p.postId}`,
+          cover_image_url: `${baseUrl}/cover/${p.postId}.jpg`,
+          create_time: Math.floor(p.publishedAt / 1000),
+        }));
+        if (url.pathname === '/v2/video/query/') videos = videos.filter(v => (body.filters?.video_ids || []).includes(v.id));
+        else videos = videos.slice(0, Number(body.max_count || 20));
+        return send(res, 200, { data: { videos, has_more: false }, error: { code: 'ok', message: '' } });
+      }
+
+      return send(res, 404, { error: `no mock route for ${req.method} ${url.pathname}` });
+    } catch (e) {
+      return apiError(res, 500, 'internal_error', e?.message || String(e));
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      const actual = server.address().port;
+      baseUrl = `http://localhost:${actual}`;
+      resolve({
+        url: baseUrl,
+        port: actual,
+        publishes,
+        close: () => new Promise(r => server.close(() => r())),
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  startMockTikTokServer().then(({ url }) => {
+    console.log(`🎵 [MOCK TIKTOK] Listening on ${url} (sample video: ${url}/sample.mp4)`);
+  }).catch((e) => {
+    console.error('❌ [MOCK TIKTOK] Failed to start:', e?.message || e);
+    process.exit(1);
+  });
+}
+
+module.exports = { startMockTikTokServer };
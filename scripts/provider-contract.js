@@ -0,0 +1,234 @@
+/**
+ * Provider contract check: runs a registry provider end to end against its local fake server
+ *
+ *   npm run contract:providers                   # threads, pinterest, tiktok and facebook
+ *   node scripts/provider-contract.js threads
+ *
+ * Each run: publish → status published → fetchRecent lists it → delete → status failed (delete must
+ * reject where the platform has none), then a publish the fake rejects. postOnce owns retries and the
+ * exactly-once guard, so a provider must hit the platform's publish step exactly once per call,
+ * including when processing fails.
+ *
+ * Then the same provider through postOnce, with the lock, Posts and DailyCounters models held in memory:
+ * one publish per idempotency key, a held lock or a full daily cap publishes nothing, the Post record and
+ * counter follow the outcome and the lock is always released. Where the fake can hold a post in processing
+ * (contract.stuck), a publish that outlives the provider's polling stays posted and is never republished.
+ */
+
+require('../node_modules/ts-node').register({ transpileOnly: true });
+const assert = require('node:assert/strict');
+
+process.env.THREADS_POLL_INTERVAL_MS = process.env.THREADS_POLL_INTERVAL_MS || '50';
+process.env.PINTEREST_POLL_INTERVAL_MS = process.env.PINTEREST_POLL_INTERVAL_MS || '50';
+process.env.TIKTOK_POLL_INTERVAL_MS = process.env.TIKTOK_POLL_INTERVAL_MS || '50';
+process.env.FACEBOOK_POLL_INTERVAL_MS = process.env.FACEBOOK_POLL_INTERVAL_MS || '50';
+
+const CONTRACTS = {
+  threads: {
+    start: () => require('./mock-threads-server').startMockThreadsServer({ port: 0 }),
+    settings: (mock) => ({ postToThreads: true, threadsUserId: '1790000000', threadsAccessToken: 'mock-token', threadsApiBase: mock.url }),
+    payload: () => ({ videoUrl: 'https://cdn.example.com/reel.mp4', caption: 'Contract check #threads' }),
+    failing: (settings) => ({ settings, payload: { videoUrl: 'https://cdn.example.com/fail.mp4', caption: 'should not publish' } }),
+    publishes: (mock) => [...mock.containers.values()].filter(c => c.published).length,
+    attempts: (mock) => mock.containers.size,
+  },
+  pinterest: {
+    start: () => require('./mock-pinterest-server').startMockPinterestServer({ port: 0 }),
+    settings: (mock) => ({ postToPinterest: true, pinterestAccessToken: 'mock-token', pinterestBoardId: 'board-homes', pinterestApiBase: mock.url }),
+    payload: (mock) => ({ videoUrl: `${mock.url}/sample.mp4`, caption: 'Contract check #pinterest', title: 'Contract check' }),
+    failing: (settings, mock) => ({ settings: { ...settings, pinterestAccessToken: 'fail-media' }, payload: { videoUrl: `${mock.url}/sample.mp4`, caption: 'should not publish' } }),
+    publishes: (mock) => [...mock.media.values()].filter(m => m.pinned).length,
+    attempts: (mock) => mock.media.size,
+  },
+  tiktok: {
+    start: () => require('./mock-tiktok-server').startMockTikTokServer({ port: 0 }),
+    settings: (mock) => ({ postToTikTok: true, tiktokAccessToken: 'mock-token', tiktokApiBase: mock.url }),
+    payload: (mock) => ({ videoUrl: `${mock.url}/sample.mp4`, caption: 'Contract check #tiktok' }),
+    failing: (settings, mock) => ({ settings: { ...settings, tiktokAccessToken: 'fail-publish' }, payload: { videoUrl: `${mock.url}/sample.mp4`, caption: 'should not publish' } }),
+    stuck: (settings) => ({ ...settings, tiktokAccessToken: 'stuck-processing' }),
+    publishes: (mock) => [...mock.publishes.values()].filter(p => p.postId).length,
+    attempts: (mock) => mock.publishes.size,
+  },
+  facebook: {
+    start: () => require('./mock-facebook-server').startMockFacebookServer({ port: 0 }),
+    settings: (mock) => ({ postToFacebook: true, facebookPage: '104857600000', facebookPageToken: 'mock-token', facebookApiBase: mock.url }),
+    payload: () => ({ videoUrl: 'https://cdn.example.com/reel.mp4', caption: 'Contract check #facebook' }),
+    failing: (settings) => ({ settings: { ...settings, facebookPageToken: 'fail-processing' }, payload: { videoUrl: 'https://cdn.example.com/reel.mp4', caption: 'should not publish' } }),
+    stuck: (settings) => ({ ...settings, facebookPageToken: 'stuck-processing' }),
+    publishes: (mock) => [...mock.videos.values()].filter(v => v.finished && v.state !== 'error').length,
+    attempts: (mock) => mock.videos.size,
+  },
+};
+
+/**
+ * Replace the Mongoose calls postOnce makes on a model with an in-memory collection
+ * @param {string} [uniqueField] - create() rejects a second document with the same value (E11000)
+ * @returns {Object[]} the documents
+ */
+function stubModel(model, uniqueField) {
+  const docs = [];
+  const matches = (doc, filter) => Object.entries(filter).every(([k, v]) => doc[k] === v);
+  const query = (doc) => {
+    const value = doc ? { ...doc } : null;
+    return { lean: async () => value, then: (resolve, reject) => Promise.resolve(value).then(resolve, reject) };
+  };
+  Object.assign(model, {
+    async create(doc) {
+      if (uniqueField && docs.some(d => d[uniqueField] === doc[uniqueField])) {
+        const err = new Error('E11000 duplicate key error');
+        err.code = 11000;
+        throw err;
+      }
+      docs.push({ ...doc });
+      return doc;
+    },
+    async deleteOne(filter) {
+      const i = docs.findIndex(d => matches(d, filter));
+      if (i >= 0) docs.splice(i, 1);
+      return { deletedCount: i >= 0 ? 1 : 0 };
+    },
+    findOne: (filter) => query(docs.find(d => matches(d, filter))),
+    async updateOne(filter, update, options = {}) {
+      let doc = docs.find(d => matches(d, filter));
+      if (!doc) {
+        if (!options.upsert) return { matchedCount: 0 };
+        doc = { ...filter, ...update.$setOnInsert };
+        docs.push(doc);
+      }
+      Object.assign(doc, update.$set);
+      for (const [k, n] of Object.entries(update.$inc || {})) doc[k] = (doc[k] || 0) + n;
+      return { matchedCount: 1 };
+    },
+  });
+  return docs;
+}
+
+async function runContract(name) {
+  const { requireProvider } = require('../services/providers');
+  const provider = requireProvider(name);
+  const contract = CONTRACTS[name];
+  const mock = await contract.start();
+  try {
+    const settings = contract.settings(mock);
+    assert.ok(provider.isConfigured(settings), 'isConfigured with full credentials');
+    assert.ok(provider.isEnabled(settings), 'isEnabled with the toggle on');
+
+    const { externalPostId } = await provider.publish(contract.payload(mock), settings);
+    assert.ok(externalPostId, 'publish returns externalPostId');
+    assert.equal(contract.attempts(mock), 1, 'one upload per publish call');
+    assert.equal(contract.publishes(mock), 1, 'one published post per publish call');
+
+    const live = await provider.status(externalPostId, settings);
+    assert.equal(live.state, 'published', 'status after publish');
+    assert.ok(live.url, 'status carries a public url');
+
+    const recent = await provider.fetchRecent(settings, { limit: 30 });
+    assert.ok(recent.some(r => String(r.id) === String(externalPostId)), 'fetchRecent lists the new post');
+
+    if (provider.capabilities.delete) {
+      assert.deepEqual(await provider.delete(externalPostId, settings), { deleted: true }, 'delete');
+      assert.equal((await provider.status(externalPostId, settings)).state, 'failed', 'status after delete');
+    } else {
+      await assert.rejects(provider.delete(externalPostId, settings), 'delete rejects without the capability');
+    }
+
+    const bad = contract.failing(settings, mock);
+    await assert.rejects(provider.publish(bad.payload, bad.settings), 'publish rejects when processing fails');
+    assert.equal(contract.attempts(mock), 2, 'failed publish is not retried inside the provider');
+    assert.equal(contract.publishes(mock), 1, 'failed publish creates no post');
+
+    console.log(`✅ [CONTRACT] ${name}`);
+  } finally {
+    await mock.close();
+  }
+}
+
+async function runPostOnceContract(name) {
+  const { LockModel } = require('../models/Lock');
+  const { PostModel } = require('../models/Post');
+  const { DailyCounterModel } = require('../models/DailyCounter');
+  const { buildIdempotencyKey } = require('../lib/idempotency');
+  const { postOnce } = require('../services/postOnce');
+  const { requireProvider } = require('../services/providers');
+  const locks = stubModel(LockModel, 'key');
+  const posts = stubModel(PostModel);
+  const counters = stubModel(DailyCounterModel);
+  const contract = CONTRACTS[name];
+  const mock = await contract.start();
+  try {
+    const settings = contract.settings(mock);
+    const scheduledAt = new Date();
+    const payload = { ...contract.payload(mock), settings };
+    const posted = () => counters.reduce((n, c) => n + (c.platform === name ? c.count : 0), 0);
+
+    const first = await postOnce(name, 'contract-video', scheduledAt, payload);
+    assert.ok(first.success && first.externalPostId, 'postOnce publishes');
+    const key = buildIdempotencyKey(name, 'contract-video', scheduledAt);
+    const record = posts.find(p => p.idempotencyKey === key);
+    assert.ok(record, 'Post record under the idempotency key');
+    assert.equal(record.status, 'posted', 'Post record marked posted');
+    assert.equal(record.externalPostId, first.externalPostId, 'Post record keeps externalPostId');
+    assert.equal(posted(), 1, 'DailyCounter counts the post');
+    assert.equal(locks.length, 0, 'lock released after publish');
+
+    assert.deepEqual(await postOnce(name, 'contract-video', scheduledAt, payload), { deduped: true, externalPostId: first.externalPostId }, 'same key is deduped');
+    assert.equal(contract.publishes(mock), 1, 'same key does not publish again');
+
+    await LockModel.create({ key: `post:${buildIdempotencyKey(name, 'contract-locked', scheduledAt)}` });
+    assert.equal((await postOnce(name, 'contract-locked', scheduledAt, payload)).note, 'locked-already-posting', 'held lock is deduped');
+    locks.length = 0;
+
+    const capped = { ...payload, settings: { ...settings, platformLimits: { [name]: { daily: 1 } } } };
+    assert.equal((await postOnce(name, 'contract-capped', scheduledAt, capped)).note, 'daily-limit-reached', 'full daily cap stops the post');
+    assert.equal(contract.publishes(mock), 1, 'locked or capped posts do not publish');
+
+    const bad = contract.failing(settings, mock);
+    const failed = await postOnce(name, 'contract-failing', scheduledAt, { ...bad.payload, settings: bad.settings });
+    assert.equal(failed.success, false, 'failed publish is reported');
+    assert.equal(posts.find(p => p.idempotencyKey === buildIdempotencyKey(name, 'contract-failing', scheduledAt))?.status, 'failed', 'Post record marked failed');
+    assert.equal(posted(), 1, 'failed publish is not counted');
+    assert.equal(locks.length, 0, 'lock released after failure');
+
+    if (contract.stuck) {
+      // Still processing when polling runs out: the platform already has the post, so it must stay posted
+      const stuckSettings = contract.stuck(settings);
+      const stuckPayload = { ...contract.payload(mock), settings: stuckSettings };
+      const stuck = await postOnce(name, 'contract-stuck', scheduledAt, stuckPayload);
+      assert.ok(stuck.success && stuck.externalPostId, 'publish still processing is reported as posted');
+      assert.equal(posts.find(p => p.idempotencyKey === buildIdempotencyKey(name, 'contract-stuck', scheduledAt))?.status, 'posted', 'Post record marked posted while processing');
+      assert.equal((await requireProvider(name).status(stuck.externalPostId, stuckSettings)).state, 'processing', 'status settles it later');
+      const published = contract.publishes(mock);
+      const attempted = contract.attempts(mock);
+      assert.deepEqual(await postOnce(name, 'contract-stuck', scheduledAt, stuckPayload), { deduped: true, externalPostId: stuck.externalPostId }, 'retry of a processing post is deduped');
+      assert.equal(contract.publishes(mock), published, 'processing post is not republished');
+      assert.equal(contract.attempts(mock), attempted, 'processing post is not uploaded again');
+      assert.equal(posted(), 2, 'processing post is counted once');
+    }
+
+    console.log(`✅ [CONTRACT] ${name} via postOnce`);
+  } finally {
+    await mock.close();
+  }
+}
+
+if (require.main === module) {
+  const names = process.argv.slice(2).length ? process.argv.slice(2) : Object.keys(CONTRACTS);
+  // Anything postOnce touches that is not stubbed fails fast instead of waiting for a connection
+  require('mongoose').set('bufferCommands', false);
+  (async () => {
+    let failed = 0;
+    for (const name of names) {
+      if (!CONTRACTS[name]) { console.error(`❌ [CONTRACT] No contract for "${name}"`); failed++; continue; }
+      try {
+        await runContract(name);
+        await runPostOnceContract(name);
+      } catch (e) {
+        console.error(`❌ [CONTRACT] ${name}:`, e?.message || e);
+        failed++;
+      }
+    }
+    process.exit(failed ? 1 : 0);
+  })();
+}
+
+module.exports = { runContract, runPostOnceContract };
@@ -57,12 +57,34 @@ setTimeout(() => { ensureDbIndexes().catch(()=>{}); }, 0);
 const settingsSchema = new mongoose.Schema({
   instagramToken: String,
   igBusinessId: String,
+  // Facebook Page ID for Reels (services/providers/facebook); facebookPageToken falls back to instagramToken,
+  // facebookApiBase overrides the Graph host, e.g. scripts/mock-facebook-server.js
   facebookPage: String,
+  facebookPageToken: String,
+  facebookApiBase: String,
   youtubeClientId: String,
   youtubeClientSecret: String,
   youtubeAccessToken: String,
   youtubeRefreshToken: String,
   youtubeChannelId: String,
+  // TikTok Content Posting API (services/providers/tiktok); tiktokApiBase overrides the API host, e.g. scripts/mock-tiktok-server.js
+  tiktokClientKey: String,
+  tiktokClientSecret: String,
+  tiktokAccessToken: String,
+  tiktokRefreshToken: String,
+  tiktokOpenId: String,
+  tiktokPrivacyLevel: { type: String, default: 'PUBLIC_TO_EVERYONE' },
+  tiktokApiBase: String,
+  // Threads video posts (services/providers/threads)
+  threadsUserId: String,
+  threadsAccessToken: String,
+  threadsApiBase: String,
+  // Pinterest video pins (services/providers/pinterest); board picked via /api/pinterest/boards
+  pinterestAccessToken: String,
+  pinterestBoardId: String,
+  pinterestBoardName: String,
+  pinterestLink: String,
+  pinterestApiBase: String,
   s3AccessKey: String,
   s3SecretKey: String,
   s3BucketName: String,
@@ -75,7 +97,11 @@ const settingsSchema = new mongoose.Schema({
   autopilotEnabled: { type: Boolean, default: false },
   autopilotPaused: { type: Boolean, default: false },
   cartoonMode: { type: Boolean, default: false },
+  // 'template' places autopilot/refill posts on the weekly template (services/scheduleTemplates) before heatmap slots
   schedulerType: { type: String, default: 'daily' },
+  scheduleTemplateId: String,
+  // Due items during a blackout (services/blackouts): 'push' to its end or 'skip'
+  blackoutPolicy: { type: String, enum: ['push', 'skip'], default: 'push' },
   timeZone: { type: String, default: 'America/Chicago' },
   repostDelay: { type: Number, default: 2 },
   // Content filters
@@ -84,14 +110,33 @@ const settingsSchema = new mongoose.Schema({
   // Visual duplicate config
   dupHashMaxDistance: { type: Number, default: 6 },
   dupLookbackDays: { type: Number, default: 30 },
+  // Content sources (services/sources): ownFeed, discovery, localFolder, s3Prefix
+  contentSources: { type: [String], default: ['inbox', 'ownFeed', 'discovery', 'localFolder', 's3Prefix'] },
+  discoveryUsernames: { type: [String], default: [] },
+  localSourceDir: String,
+  s3SourcePrefix: String,
+  // Inbox (services/inbox): original MP4s + optional sidecar JSON
+  inboxDir: String,
+  inboxS3Prefix: String,
   postToYouTube: { type: Boolean, default: false },
   postToInstagram: { type: Boolean, default: true },
+  postToTikTok: { type: Boolean, default: false },
+  postToFacebook: { type: Boolean, default: false },
+  postToThreads: { type: Boolean, default: false },
+  postToPinterest: { type: Boolean, default: false },
   // Caps and controls
   hourlyLimit: { type: Number, default: 3 },
-  dailyLimit: { type: Number, default: 5 },
+  dailyLimit: { type: Number, default: 5 }, // per platform; was a total across platforms before platformLimits
+  // Per-platform caps: { instagram: { daily, hourly }, youtube: {...} }; unset values use dailyLimit/hourlyLimit (services/caps)
+  platformLimits: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Minimum gap, jitter and same audio/location rules (services/spacing)
+  spacingPolicy: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Cross-post groups: { enabled, platforms: { youtube: { offsetMinutes, captionPrefix, captionSuffix, maxCaptionLength } } } (services/postGroups)
+  postGroups: { type: mongoose.Schema.Types.Mixed, default: {} },
   repostDelayDays: { type: Number, default: 30 },
   // Burst Mode controls and defaults
   burstModeEnabled: { type: Boolean, default: true },
+  // Single startTime/endTime pair or windows: [...] (services/burstWindows)
   burstModeConfig: {
     type: mongoose.Schema.Types.Mixed,
     default: {
@@ -105,6 +150,8 @@ const settingsSchema = new mongoose.Schema({
       autoOffAfterWindow: true
     }
   },
+  // Preload/auto-off bookkeeping written by the cron tick
+  burstModeState: { type: mongoose.Schema.Types.Mixed, default: {} },
 }, { timestamps: true, collection: 'SettingsClean' });
 
 const SettingsModel = mongoose.model('SettingsClean', settingsSchema);
@@ -115,7 +162,7 @@ const schedulerQueueSchema = new mongoose.Schema({
   caption: String,
   platform: {
     type: String,
-    enum: ['instagram', 'youtube'],
+    enum: require('./services/providers').platformNames(),
     default: 'instagram'
   },
   scheduledTime: {
@@ -124,7 +171,7 @@ const schedulerQueueSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'scheduled', 'processing', 'posted', 'failed', 'completed'],
+    enum: ['pending', 'scheduled', 'processing', 'posted', 'failed', 'completed', 'skipped'],
     default: 'scheduled'
   },
   source: {
@@ -142,11 +189,22 @@ const schedulerQueueSchema = new mongoose.Schema({
     visualHash: { type: String, index: true },
     visualHashBits: Number,
     hashVersion: String,
+    // Multi-frame video fingerprint (utils/videoFingerprint)
+    videoFingerprint: String,
+    // Soundtrack fingerprint (utils/audioFingerprint)
+    audioFingerprint: String,
     ignoreDuplicate: { type: Boolean, default: false },
+    audioKey: String,
+    locationKey: String,
+    // Cross-post group shared by items made from one source video (services/postGroups)
+    groupId: { type: String, index: true },
+    captionNorm: String,
+    durationSec: Number,
   postedAt: { type: Date },
   hashtags: [String],
   retryCount: { type: Number, default: 0 },
-  errorMessage: String
+  errorMessage: String,
+  skipReason: String
   ,
   autofill: { type: Boolean, default: false }
 }, { timestamps: true, collection: 'SchedulerQueue' });
@@ -157,7 +215,7 @@ const SchedulerQueueModel = mongoose.model('SchedulerQueue', schedulerQueueSchem
 
 // Audience Activity schema for hourly engagement logging
 const audienceActivitySchema = new mongoose.Schema({
-  platform: { type: String, enum: ['instagram', 'youtube'], required: true },
+  platform: { type: String, enum: require('./services/providers').platformNames(), required: true },
   hour: { type: Number, min: 0, max: 23, required: true },
   dayOfWeek: { type: Number, min: 0, max: 6, required: true },
   score: { type: Number, min: 0, max: 1, required: true },
@@ -179,9 +237,18 @@ const schedulerHeartbeat = {
 
 // Time debug utility
 function formatCTDateKey(date = new Date()) {
-  const fmt = new Intl.DateTimeFormat('en-US', { timeZone: 'America/Chicago', year: 'numeric', month: '2-digit', day: '2-digit' });
-  const parts = fmt.formatToParts(date).reduce((acc, p) => (acc[p.type] = p.value, acc), {});
-  return `${parts.year}${parts.month}${parts.day}`;
+  return require('./services/dateBoundary').dateKey(date, 'America/Chicago');
+}
+
+// Active blackout (services/blackouts) for status endpoints; null when posting is allowed
+async function activeBlackoutSummary(settings) {
+  try {
+    const { getActiveBlackout, blackoutPolicy } = require('./services/blackouts');
+    const b = await getActiveBlackout(new Date());
+    return b ? { name: b.name, startIso: b.start.toISOString(), endIso: b.end.toISOString(), policy: blackoutPolicy(settings, b) } : null;
+  } catch (_) {
+    return null;
+  }
 }
 
 // Idempotent Post-Now debug endpoint: today counts + last 5 per platform
@@ -191,8 +258,8 @@ try {
   const { runAutopilotDiagnostics } = require('./services/diagnostics');
   app.get('/api/posting/debug', async (req, res) => {
     try {
-      const today = new Date();
-      const dateKey = `${today.getFullYear()}${String(today.getMonth() + 1).padStart(2, '0')}${String(today.getDate()).padStart(2, '0')}`;
+      const { dateKey: keyFor, loadTimeZone } = require('./services/dateBoundary');
+      const dateKey = keyFor(new Date(), await loadTimeZone());
       const counters = await DailyCounterModel.find({ dateKey }).lean();
       const lastIg = await PostModel.find({ platform: 'instagram' }).sort({ createdAt: -1 }).limit(5).lean();
       const lastYt = await PostModel.find({ platform: 'youtube' }).sort({ createdAt: -1 }).limit(5).lean();
@@ -226,35 +293,13 @@ app.get('/api/scheduler/health', (_req, res) => {
   try {
     const s = mongoose.model('SettingsClean');
     s.findOne({}).lean().then(doc => {
-      const tz = doc?.timeZone || 'America/Chicago';
-      const cfg = doc?.burstModeConfig || {};
-      const enabled = !!doc?.burstModeEnabled;
+      const { activeBurstOccurrence, nextBurstOccurrence } = require('./services/burstWindows');
       const now = new Date();
-      const fmt = new Intl.DateTimeFormat('en-US', { timeZone: tz, hour: '2-digit', minute: '2-digit', hour12: false });
-      const parts = fmt.formatToParts(now).reduce((a,p)=>(a[p.type]=p.value,a),{});
-      const cur = `${parts.hour}:${parts.minute}`;
-      function toMinutes(hhmm){ const [h,m]=String(hhmm || '00:00').split(':').map(Number); return h*60+(m||0); }
-      const curM = toMinutes(cur);
-      const startM = toMinutes(String(cfg.startTime || '18:00'));
-      const endM = toMinutes(String(cfg.endTime || '19:00'));
-      const inBurstWindow = enabled && ((startM <= endM) ? (curM >= startM && curM < endM) : (curM >= startM || curM < endM));
-
-      // next window boundaries (approximate, today-based)
-      const today = new Date(now);
-      function atHM(base, hm){ const d = new Date(base); const [h,m]=String(hm).split(':').map(Number); d.setHours(h||0,m||0,0,0); return d; }
-      let startDt = atHM(today, cfg.startTime || '18:00');
-      let endDt = atHM(today, cfg.endTime || '19:00');
-      if (endDt <= startDt) { // overnight
-        const plus1 = new Date(startDt); plus1.setDate(plus1.getDate()+1);
-        endDt = atHM(plus1, cfg.endTime || '19:00');
-      }
-      if (now > endDt) { // next day window
-        const next = new Date(today); next.setDate(next.getDate()+1);
-        startDt = atHM(next, cfg.startTime || '18:00');
-        endDt = atHM(next, cfg.endTime || '19:00');
-      }
+      const open = activeBurstOccurrence(doc, now);
+      const inBurstWindow = !!doc?.burstModeEnabled && !!open;
+      const next = open || nextBurstOccurrence(doc, now);
 
-      res.json({ ok: true, lastTickAt: schedulerHeartbeat.lastTickAtISO, lastRunDurationMs: _lastRunDurationMs, lockHeld: _lastLockHeld, lastRefillAt: _lastRefillAt, lastRefillAdded: _lastRefillAdded, inBurstWindow, nextBurstStartIso: startDt.toISOString(), nextBurstEndIso: endDt.toISOString() });
+      res.json({ ok: true, lastTickAt: schedulerHeartbeat.lastTickAtISO, lastRunDurationMs: _lastRunDurationMs, lockHeld: _lastLockHeld, lastRefillAt: _lastRefillAt, lastRefillAdded: _lastRefillAdded, inBurstWindow, burstWindow: next ? next.window.name : null, nextBurstStartIso: next ? next.startAt.toISOString() : null, nextBurstEndIso: next ? next.endAt.toISOString() : null });
     }).catch(() => {
       res.json({ ok: true, lastTickAt: schedulerHeartbeat.lastTickAtISO, lastRunDurationMs: _lastRunDurationMs, lockHeld: _lastLockHeld, lastRefillAt: _lastRefillAt, lastRefillAdded: _lastRefillAdded });
     });
@@ -263,8 +308,11 @@ app.get('/api/scheduler/health', (_req, res) => {
   }
 });
 
-app.get('/api/time/debug', (req, res) => {
+app.get('/api/time/debug', async (req, res) => {
   const now = new Date();
+  const { dayBounds, loadTimeZone } = require('./services/dateBoundary');
+  const timeZone = await loadTimeZone();
+  const today = dayBounds(now, timeZone);
   const nowUTC = now.toISOString();
   const nowCT = new Intl.DateTimeFormat('en-US', {
     timeZone: 'America/Chicago',
@@ -275,7 +323,11 @@ app.get('/api/time/debug', (req, res) => {
     serverTz: schedulerHeartbeat.serverTz,
     nowUTC,
     nowCT,
-    dateKeyCT: formatCTDateKey(now)
+    dateKeyCT: formatCTDateKey(now),
+    timeZone,
+    dateKey: today.dateKey,
+    dayStartUTC: today.start.toISOString(),
+    dayEndUTC: today.end.toISOString()
   });
 });
 
@@ -303,6 +355,30 @@ try {
   console.warn('⚠️ Failed to start cron scheduler:', e.message);
 }
 
+// Persistent Post Now worker: settings are re-read when the job runs so a
+// job reclaimed after a restart uses current credentials
+try {
+  const { registerJobHandler, startJobWorker } = require('./services/jobQueue');
+  registerJobHandler('postNow', async (_payload, { signal, checkpoints, saveCheckpoint }) => {
+    const settings = await SettingsModel.findOne({});
+    if (!settings || !settings.instagramToken || !settings.igBusinessId) {
+      throw new Error('Missing Instagram credentials in settings');
+    }
+    const { executePostNow } = require('./services/postNow');
+    return await executePostNow(settings, { signal, checkpoints, saveCheckpoint });
+  });
+  startJobWorker();
+} catch (e) {
+  console.warn('⚠️ Failed to start job worker:', e.message);
+}
+
+// Inbox watcher: probes and uploads new MP4s from the configured folder / S3 prefix
+try {
+  require('./services/inbox').startInboxWatcher();
+} catch (e) {
+  console.warn('⚠️ Failed to start inbox watcher:', e.message);
+}
+
 // Manual tick endpoint for Render Cron Jobs
 app.get('/api/scheduler/tick', async (req, res) => {
   try {
@@ -316,6 +392,17 @@ app.get('/api/scheduler/tick', async (req, res) => {
   }
 });
 
+// Dry run of the cron decisions over the next N hours (no posting): ?hours=24
+app.get('/api/scheduler/simulate', async (req, res) => {
+  try {
+    const { simulateSchedule } = require('./services/schedulerSimulator');
+    const result = await simulateSchedule(SchedulerQueueModel, SettingsModel, { hours: req.query.hours });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e?.message || 'simulate failed' });
+  }
+});
+
 // One-time migration: normalize legacy statuses to 'scheduled'
 (async () => {
   try {
@@ -328,6 +415,15 @@ app.get('/api/scheduler/tick', async (req, res) => {
   }
 })();
 
+// One-time migration: legacy dailyLimit/maxPosts becomes each enabled platform's daily cap (services/caps)
+(async () => {
+  try {
+    await require('./services/caps').migrateMaxPosts(SettingsModel);
+  } catch (e) {
+    console.warn('⚠️ [MIGRATION] Could not migrate maxPosts:', e?.message || e);
+  }
+})();
+
 // One-time normalization: assign scheduledTime if missing on scheduled items
 (async () => {
   try {
@@ -337,20 +433,14 @@ app.get('/api/scheduler/tick', async (req, res) => {
       .lean();
     if (!missing || !missing.length) return;
     const now = new Date();
-    // Collect existing future slots to avoid collisions
-    const existing = await SchedulerQueueModel.find({ status: 'scheduled', scheduledTime: { $gte: now } }).select('scheduledTime').lean();
-    const existingTimes = new Set((existing || []).map(d => new Date(d.scheduledTime).toISOString()));
-    let cursor = new Date(now.getTime() + 60 * 1000); // start at now+1min
+    // Hourly from now+1min, then the spacing policy keeps clear of existing slots
+    const settings = (await SettingsModel.findOne({}).lean()) || {};
+    const planner = await require('./services/spacing').createSlotPlanner(SchedulerQueueModel, settings, { now });
     const updates = [];
-    for (const doc of missing) {
-      // Find next free slot spaced by 60 minutes
-      while (existingTimes.has(cursor.toISOString())) {
-        cursor = new Date(cursor.getTime() + 60 * 60 * 1000);
-      }
-      updates.push({ id: doc._id, when: new Date(cursor) });
-      existingTimes.add(cursor.toISOString());
-      cursor = new Date(cursor.getTime() + 60 * 60 * 1000);
-    }
+    missing.forEach((doc, i) => {
+      const when = planner.place(new Date(now.getTime() + 60 * 1000 + i * 60 * 60 * 1000), { id: doc._id, platform: doc.platform, audioKey: doc.audioKey, locationKey: doc.locationKey });
+      updates.push({ id: doc._id, when });
+    });
     for (const u of updates) {
       await SchedulerQueueModel.updateOne({ _id: u.id }, { $set: { scheduledTime: u.when } });
     }
@@ -518,7 +608,8 @@ app.get('/api/autopilot/queue', async (req, res) => {
       engagement: item.engagement || 0,
       likes: item.engagement || 0,
       visualHash: item.visualHash || item.thumbnailHash || null,
-      originalVideoId: item.originalVideoId
+      originalVideoId: item.originalVideoId,
+      groupId: item.groupId || null
     }));
     
     console.log(`📋 [AUTOPILOT QUEUE] Found ${formattedQueue.length} scheduled posts`);
@@ -585,6 +676,18 @@ app.get('/api/settings', async (req, res) => {
 app.post('/api/settings', async (req, res) => {
   try {
     console.log('💾 [SETTINGS] Updating settings with:', Object.keys(req.body));
+    if (req.body && req.body.platformLimits !== undefined) {
+      const invalid = require('./services/caps').validatePlatformLimits(req.body.platformLimits);
+      if (invalid) return res.status(400).json({ error: invalid });
+    }
+    if (req.body && req.body.spacingPolicy !== undefined) {
+      const invalid = require('./services/spacing').validateSpacingPolicy(req.body.spacingPolicy);
+      if (invalid) return res.status(400).json({ error: invalid });
+    }
+    if (req.body && req.body.postGroups !== undefined) {
+      const invalid = require('./services/postGroups').validatePostGroups(req.body.postGroups);
+      if (invalid) return res.status(400).json({ error: invalid });
+    }
     const settings = await SettingsModel.findOneAndUpdate({}, req.body, { 
       new: true, 
       upsert: true 
@@ -603,7 +706,11 @@ app.post('/api/burst', async (req, res) => {
     const { enabled, config } = req.body || {};
     const setObj = {};
     if (typeof enabled === 'boolean') setObj.burstModeEnabled = enabled;
-    if (config && typeof config === 'object') setObj.burstModeConfig = config;
+    if (config && typeof config === 'object') {
+      const invalid = require('./services/burstWindows').validateBurstConfig(config);
+      if (invalid) return res.status(400).json({ ok: false, error: invalid });
+      setObj.burstModeConfig = config;
+    }
     const updated = await SettingsModel.findOneAndUpdate({}, { $set: setObj }, { upsert: true, new: true });
     return res.json({ ok: true, burstModeEnabled: !!updated?.burstModeEnabled, burstModeConfig: updated?.burstModeConfig || {} });
   } catch (e) {
@@ -614,6 +721,8 @@ app.post('/api/burst', async (req, res) => {
 app.post('/api/burst/config', async (req, res) => {
   try {
     const cfg = req.body || {};
+    const invalid = require('./services/burstWindows').validateBurstConfig(cfg);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
     const updated = await SettingsModel.findOneAndUpdate({}, { $set: { burstModeConfig: cfg } }, { upsert: true, new: true });
     return res.json({ ok: true, burstModeConfig: updated?.burstModeConfig || {} });
   } catch (e) {
@@ -672,7 +781,15 @@ app.get('/api/analytics', async (req, res) => {
       console.warn('⚠️ [ANALYTICS] YouTube fetch failed:', e.message);
     }
 
-    res.json({ instagram, youtube });
+    let groups = [];
+    try {
+      const { listGroups } = require('./services/postGroups');
+      groups = await listGroups(SchedulerQueueModel, { limit: 10 });
+    } catch (e) {
+      console.warn('⚠️ [ANALYTICS] Post groups lookup failed:', e.message);
+    }
+
+    res.json({ instagram, youtube, groups });
   } catch (error) {
     console.error('❌ [ANALYTICS] Error:', error);
     res.status(500).json({ error: 'Failed to get analytics' });
@@ -899,9 +1016,11 @@ app.post('/api/scheduler/autofill', async (req, res) => {
       return date;
     });
 
-    // Prevent duplicates: do not insert if a scheduled item already exists at that hour/day
+    // Spacing policy (services/spacing) moves each slot clear of the queue; skip exact duplicates
+    const planner = await require('./services/spacing').createSlotPlanner(SchedulerQueueModel, (await SettingsModel.findOne({}).lean()) || {}, { now });
     const inserts = [];
-    for (const dt of upcoming) {
+    for (const slot of upcoming) {
+      const dt = planner.place(slot, { platform });
       const exists = await SchedulerQueueModel.findOne({ platform, scheduledTime: dt });
       if (exists) continue;
       inserts.push({
@@ -917,7 +1036,7 @@ app.post('/api/scheduler/autofill', async (req, res) => {
       await SchedulerQueueModel.insertMany(inserts);
     }
 
-    res.json({ platform, added: inserts.length, slots: upcoming.map(d => d.toISOString()) });
+    res.json({ platform, added: inserts.length, slots: inserts.map(d => d.scheduledTime.toISOString()) });
   } catch (err) {
     console.error('❌ [AUTOFILL] Error:', err);
     res.status(500).json({ error: 'Failed to autofill schedule' });
@@ -999,10 +1118,7 @@ app.get('/api/chart/status', async (req, res) => {
     ]);
     const engagementScore = Number(((recent?.[0]?.avg) || 0.5).toFixed(3));
 
-    const startOfDay = new Date();
-    startOfDay.setHours(0,0,0,0);
-    const endOfDay = new Date();
-    endOfDay.setHours(23,59,59,999);
+    const { start: startOfDay, end: endOfDay } = require('./services/dateBoundary').dayBounds(new Date(), settings?.timeZone);
 
     const [igToday, ytToday, lastPosted] = await Promise.all([
       SchedulerQueueModel.countDocuments({ platform: 'instagram', status: { $in: ['posted','completed'] }, postedAt: { $gte: startOfDay, $lte: endOfDay } }),
@@ -1010,6 +1126,7 @@ app.get('/api/chart/status', async (req, res) => {
       SchedulerQueueModel.findOne({ status: { $in: ['posted','completed'] } }).sort({ postedAt: -1 }).select('postedAt')
     ]);
 
+    const { platformLimits } = require('./services/caps');
     res.json({
       settings: { dailyPostLimit: settings?.maxPosts || 3 },
       autopilotRunning: !!settings?.autopilotEnabled,
@@ -1017,8 +1134,8 @@ app.get('/api/chart/status', async (req, res) => {
       newHighScore: false,
       lastPostTime: lastPosted?.postedAt || null,
       platformData: {
-        instagram: { active: !!settings?.postToInstagram, todayPosts: igToday },
-        youtube: { active: !!settings?.postToYouTube, todayPosts: ytToday }
+        instagram: { active: !!settings?.postToInstagram, todayPosts: igToday, dailyLimit: platformLimits(settings || {}, 'instagram').daily },
+        youtube: { active: !!settings?.postToYouTube, todayPosts: ytToday, dailyLimit: platformLimits(settings || {}, 'youtube').daily }
       }
     });
   } catch (err) {
@@ -1045,13 +1162,21 @@ app.get('/api/activity/feed', async (req, res) => {
     const items = await SchedulerQueueModel.find(match)
       .sort({ postedAt: -1, updatedAt: -1 })
       .limit(Math.min(Math.max(limit, 1), 50))
-      .select('platform thumbnailUrl postedAt createdAt');
-
-    const data = items.map(it => ({
-      platform: it.platform,
-      thumbnailUrl: it.thumbnailUrl,
-      timestamp: it.postedAt || it.createdAt
-    }));
+      .select('platform thumbnailUrl postedAt createdAt groupId');
+
+    // Cross-posted items carry their group so the feed can show sibling platforms
+    const { loadGroups } = require('./services/postGroups');
+    const groups = await loadGroups(SchedulerQueueModel, items.map(it => it.groupId));
+    const data = items.map(it => {
+      const group = it.groupId && groups.get(it.groupId);
+      return {
+        platform: it.platform,
+        thumbnailUrl: it.thumbnailUrl,
+        timestamp: it.postedAt || it.createdAt,
+        groupId: it.groupId || null,
+        group: group ? { status: group.status, members: group.members.map(m => ({ platform: m.platform, status: m.status, postedAt: m.postedAt, postUrl: m.postUrl })) } : null
+      };
+    });
 
     res.json(data);
   } catch (err) {
@@ -1144,6 +1269,7 @@ app.get('/api/diag/autopilot-report', async (req, res) => {
       timeZone: (settingsDoc && settingsDoc.timeZone) || 'America/Chicago',
         dailyLimit: Number(settingsDoc && settingsDoc.dailyLimit || settingsDoc?.maxPosts || 0),
         hourlyLimit: Number(settingsDoc && settingsDoc.hourlyLimit || 3),
+        platformLimits: require('./services/caps').resolveCaps(settingsDoc || {}, now).platforms,
       burstModeEnabled: !!(settingsDoc && settingsDoc.burstModeEnabled),
         burstModeConfig: (settingsDoc && settingsDoc.burstModeConfig) || {},
         dupHashMaxDistance: Number(settingsDoc && settingsDoc.dupHashMaxDistance || 6),
@@ -1182,18 +1308,17 @@ app.get('/api/diag/autopilot-report', async (req, res) => {
     };
 
       let countersToday = { instagram: 0, youtube: 0, total: 0 };
+    const todayBounds = require('./services/dateBoundary').dayBounds(now, settingsDoc?.timeZone);
     if (DailyCounterModel) {
       try {
-        const d = new Date();
-        const dateKey = `${d.getFullYear()}${String(d.getMonth()+1).padStart(2,'0')}${String(d.getDate()).padStart(2,'0')}`;
+        const dateKey = todayBounds.dateKey;
         const rows = await DailyCounterModel.find({ dateKey }).lean();
         const igC = rows.find(r => r.platform === 'instagram')?.count || 0;
         const ytC = rows.find(r => r.platform === 'youtube')?.count || 0;
         countersToday = { instagram: igC, youtube: ytC, total: igC + ytC };
       } catch {}
     } else {
-      const start = new Date(now); start.setHours(0,0,0,0);
-      const end = new Date(now); end.setHours(23,59,59,999);
+      const { start, end } = todayBounds;
       const [igT, ytT] = await Promise.all([
         SchedulerQueueModel.countDocuments({ platform: 'instagram', status: { $in: ['posted','completed'] }, postedAt: { $gte: start, $lte: end } }).catch(() => 0),
         SchedulerQueueModel.countDocuments({ platform: 'youtube', status: { $in: ['posted','completed'] }, postedAt: { $gte: start, $lte: end } }).catch(() => 0)
@@ -1245,17 +1370,11 @@ app.get('/api/diag/autopilot-report', async (req, res) => {
         const fmt = new Intl.DateTimeFormat('en-US', { timeZone: tz, hour: '2-digit', minute: '2-digit', hour12: false });
         const parts = fmt.formatToParts(now).reduce((a,p)=>(a[p.type]=p.value,a),{});
         ctNow = `${parts.hour}:${parts.minute}`;
-        const cfg = settings.burstModeConfig || {};
-        const start = String(cfg.startTime || '18:00');
-        const end = String(cfg.endTime || '19:00');
-        function toMinutes(hhmm){ const [h,m]=String(hhmm).split(':').map(Number); return (h||0)*60+(m||0); }
-        const curM = toMinutes(ctNow); const sM = toMinutes(start); const eM = toMinutes(end);
-        inBurstWindow = !!settings.burstModeEnabled && ((sM <= eM) ? (curM >= sM && curM < eM) : (curM >= sM || curM < eM));
-        const today = new Date(now);
-        function atHM(base, hm){ const d = new Date(base); const [h,m]=String(hm).split(':').map(Number); d.setHours(h||0,m||0,0,0); return d; }
-        let sDt = atHM(today, start); let eDt = atHM(today, end); if (eDt <= sDt) { const plus1=new Date(sDt); plus1.setDate(plus1.getDate()+1); eDt = atHM(plus1, end); }
-        if (now > eDt) { const next = new Date(today); next.setDate(next.getDate()+1); sDt = atHM(next, start); eDt = atHM(next, end); }
-        nextBurstStartIso = sDt.toISOString(); nextBurstEndIso = eDt.toISOString();
+        const { activeBurstOccurrence, nextBurstOccurrence } = require('./services/burstWindows');
+        const open = activeBurstOccurrence(settingsDoc, now);
+        inBurstWindow = !!settings.burstModeEnabled && !!open;
+        const next = open || nextBurstOccurrence(settingsDoc, now);
+        if (next) { nextBurstStartIso = next.startAt.toISOString(); nextBurstEndIso = next.endAt.toISOString(); }
       } catch {}
     return res.json({
       nowIso,
@@ -1272,7 +1391,8 @@ app.get('/api/diag/autopilot-report', async (req, res) => {
         ctNow,
         inBurstWindow,
         nextBurstStartIso,
-      nextBurstEndIso
+      nextBurstEndIso,
+      blackout: await activeBlackoutSummary(settingsDoc)
     });
   } catch (e) {
     res.status(500).json({ ok: false, error: e?.message || 'failed to build report' });
@@ -1290,18 +1410,25 @@ app.post('/api/postNow', async (req, res) => {
       return res.status(400).json({ error: 'Missing Instagram credentials in settings' });
     }
 
-    const { enqueue, getQueueSnapshot } = require('./services/jobQueue');
-    const { executePostNow } = require('./services/postNow');
+    const { enqueue, getQueueSnapshot, isValidLane, DEFAULT_LANE } = require('./services/jobQueue');
+    const lane = String((req.body && req.body.lane) || req.query.lane || DEFAULT_LANE);
+    if (!isValidLane(lane)) {
+      return res.status(400).json({ success: false, error: `Unknown lane: ${lane}` });
+    }
+    // The postNow handler only runs the Instagram flow (YouTube follows it when postToYouTube is on)
+    const postNowLanes = [DEFAULT_LANE, 'instagram'];
+    if (!postNowLanes.includes(lane)) {
+      return res.status(400).json({ success: false, error: `Post Now runs the Instagram flow; lane must be one of: ${postNowLanes.join(', ')}` });
+    }
 
-    const jobId = enqueue(async () => {
-      return await executePostNow(settings);
-    });
+    const jobId = await enqueue('postNow', { requestedAt: new Date().toISOString() }, { lane });
 
-    const snapshot = getQueueSnapshot();
+    const snapshot = await getQueueSnapshot();
     return res.status(202).json({
       success: true,
       message: 'Post Now job enqueued',
       jobId,
+      lane,
       queue: snapshot,
     });
   } catch (err) {
@@ -1315,10 +1442,10 @@ app.post('/api/postNow', async (req, res) => {
 });
 
 // Job status endpoint (optional; helpful for debugging UI)
-app.get('/api/postNow/status/:jobId', (req, res) => {
+app.get('/api/postNow/status/:jobId', async (req, res) => {
   try {
     const { getJobStatus } = require('./services/jobQueue');
-    const status = getJobStatus(req.params.jobId);
+    const status = await getJobStatus(req.params.jobId);
     if (!status) return res.status(404).json({ error: 'Job not found' });
     res.json(status);
   } catch (err) {
@@ -1326,6 +1453,54 @@ app.get('/api/postNow/status/:jobId', (req, res) => {
   }
 });
 
+// Job list, newest first: ?status=queued,running&from=ISO&to=ISO&lane=instagram&limit=50
+app.get('/api/postNow/jobs', async (req, res) => {
+  try {
+    const { listJobs } = require('./services/jobQueue');
+    const jobs = await listJobs({
+      status: req.query.status,
+      from: req.query.from,
+      to: req.query.to,
+      lane: req.query.lane,
+      limit: req.query.limit,
+    });
+    res.json({ success: true, count: jobs.length, jobs });
+  } catch (err) {
+    const status = /Invalid from\/to date/.test(err.message) ? 400 : 500;
+    res.status(status).json({ success: false, error: 'Failed to list jobs', details: err.message });
+  }
+});
+
+// Cancel a job: queued jobs stop immediately, running jobs stop before their next step
+app.post('/api/postNow/jobs/:id/cancel', async (req, res) => {
+  try {
+    const { cancelJob } = require('./services/jobQueue');
+    const result = await cancelJob(req.params.id, req.body && req.body.reason);
+    if (!result) return res.status(404).json({ success: false, error: 'Job not found' });
+    if (result.outcome === 'not-cancellable') {
+      return res.status(409).json({ success: false, error: `Job already ${result.job.status}`, job: result.job });
+    }
+    res.status(result.outcome === 'cancelled' ? 200 : 202).json({ success: true, outcome: result.outcome, job: result.job });
+  } catch (err) {
+    res.status(500).json({ success: false, error: 'Failed to cancel job', details: err.message });
+  }
+});
+
+// Retry a failed or cancelled job as a new job (the original is kept for history)
+app.post('/api/postNow/jobs/:id/retry', async (req, res) => {
+  try {
+    const { retryJob } = require('./services/jobQueue');
+    const result = await retryJob(req.params.id);
+    if (!result) return res.status(404).json({ success: false, error: 'Job not found' });
+    if (result.outcome === 'not-retryable') {
+      return res.status(409).json({ success: false, error: `Only failed or cancelled jobs can be retried (status: ${result.job.status})`, job: result.job });
+    }
+    res.status(202).json({ success: true, jobId: result.job && result.job.id, job: result.job });
+  } catch (err) {
+    res.status(500).json({ success: false, error: 'Failed to retry job', details: err.message });
+  }
+});
+
 const fs = require('fs');
 const path = require('path');
 function readFileSafe(p){ try { return fs.readFileSync(p, 'utf8').trim(); } catch { return null; } }
@@ -1337,6 +1512,13 @@ console.log('🆕 Server booted', { version: VERSION, builtAt: BUILT_AT });
 // Diagnostics (read-only)
 try { app.use('/api/diagnostics', require('./routes/diagnostics')); } catch (e) { console.warn('diag route init failed', e?.message||e); }
 
+// Manual content (inbox videos)
+try { app.use('/api/manual', require('./routes/manual')); } catch (e) { console.warn('manual route init failed', e?.message||e); }
+try { app.use('/api/schedule-templates', require('./routes/scheduleTemplates')); } catch (e) { console.warn('schedule templates route init failed', e?.message||e); }
+try { app.use('/api/blackouts', require('./routes/blackouts')); } catch (e) { console.warn('blackouts route init failed', e?.message||e); }
+try { app.use('/api/post-groups', require('./routes/postGroups')); } catch (e) { console.warn('post groups route init failed', e?.message||e); }
+try { app.use('/api/pinterest', require('./routes/pinterest')); } catch (e) { console.warn('pinterest route init failed', e?.message||e); }
+
 // Health check
 app.get('/health', (_req, res) => {
   res.json({ ok: true, nowUTC: new Date().toISOString(), version: VERSION, builtAt: BUILT_AT, pid: process.pid });
@@ -1405,76 +1587,66 @@ app.post('/api/autopilot/refill', async (req, res) => {
   try {
     const settings = await SettingsModel.findOne({}).lean();
     if (!settings) return res.json({ ok: false, error: 'no settings' });
-    const hourlyLimit = Number(settings.hourlyLimit || 3);
-    const dailyLimit = Number(settings.dailyLimit || settings.maxPosts || 5);
+    // Refill schedules Instagram, so its own caps drive the threshold and target (services/caps)
+    const { platformLimits } = require('./services/caps');
+    const igLimits = platformLimits(settings, 'instagram');
     const repostDelayDays = Number(settings.repostDelayDays || 30);
       const minViews = Number(settings.minimumIGViewsToRepost || 0);
       const minLikes = Number(settings.minimumIGLikesToRepost || 0);
     const tz = settings.timeZone || 'America/Chicago';
-    const threshold = Math.max(3, hourlyLimit);
-    const targetQueue = Math.min(Number(settings.maxPosts || 10), 20);
+    const threshold = Math.max(3, igLimits.hourly);
+    const targetQueue = Math.min(igLimits.daily, 20);
 
-    const scheduledCount = await SchedulerQueueModel.countDocuments({ status: 'scheduled' });
+    const scheduledCount = await SchedulerQueueModel.countDocuments({ platform: 'instagram', status: 'scheduled' });
     if (scheduledCount > threshold) {
       return res.json({ ok: true, added: 0, scheduledCount, threshold, note: 'above threshold' });
     }
 
-    // Fetch candidates from recent IG posts
+    // Fetch candidates from the pooled content sources
     const { scrapeInstagramEngagement } = require('./utils/instagramScraper');
-    const { computeAverageHashFromImageUrl, hammingDistanceHex } = require('./utils/visualHash');
+    const { getCandidatePool } = require('./services/sources');
+    const { hashVersionOf } = require('./utils/visualHash');
+    const { createHashIndex } = require('./utils/hashIndex');
+    const { getSignals } = require('./services/signalCache');
     const igScrapeMax = Number((req.body && (req.body.igScrapeMax || req.body.scrapeLimit)) || (settings?.igScrapeMax) || 500);
     const igId = settings.igBusinessId; const igToken = settings.instagramToken;
     if (!igId || !igToken) return res.json({ ok: false, error: 'missing ig credentials' });
-    const candidates = await scrapeInstagramEngagement(igId, igToken, igScrapeMax).catch(() => []);
-    // Also fetch user's last 30 recent posts and compute visual hashes (no sharp)
+    const candidates = await getCandidatePool(settings, { limit: igScrapeMax }).catch(() => []);
+    // Also fetch user's last 30 recent posts and compute visual hashes
     let recent30 = [];
     try { recent30 = await scrapeInstagramEngagement(igId, igToken, 30, false); } catch { recent30 = []; }
-    const recentVisualHashes = new Set();
+    // One index over recent posts, the whole cooldown window and everything scheduled
+    const blockedHashes = createHashIndex();
     for (const r of (recent30 || [])) {
-      try {
-        const url = r.thumbnail_url || r.thumbnailUrl || r.media_url || r.url;
-        if (!url) continue;
-        const ah = await computeAverageHashFromImageUrl(url);
-        if (ah?.hash) recentVisualHashes.add(String(ah.hash));
-      } catch {}
+      const url = r.thumbnail_url || r.thumbnailUrl || r.media_url || r.url;
+      if (!url) continue;
+      blockedHashes.add((await getSignals({ id: r.id, thumbnailUrl: url }, ['visualHash'])).visualHash);
     }
     const cooldownSince = new Date(Date.now() - (Number(settings.repostCooldownDays || settings.dupLookbackDays || settings.repostDelayDays || 30) * 24 * 60 * 60 * 1000));
-    // Visual-hash cooldown and scheduled hash sets
-    const postedCooldown = await SchedulerQueueModel.find({ status: { $in: ['posted','completed'] }, postedAt: { $gte: cooldownSince }, visualHash: { $exists: true } }).select('visualHash').limit(500).lean();
-    const cooldownHashes = (postedCooldown || []).map(r => String(r.visualHash));
-    const scheduledDocs = await SchedulerQueueModel.find({ status: { $in: ['scheduled','processing'] }, visualHash: { $exists: true } }).select('visualHash').limit(500).lean();
-    const scheduledHashes = (scheduledDocs || []).map(r => String(r.visualHash));
+    const postedCooldown = await SchedulerQueueModel.find({ status: { $in: ['posted','completed'] }, postedAt: { $gte: cooldownSince }, visualHash: { $exists: true } }).select('visualHash').lean();
+    for (const r of (postedCooldown || [])) blockedHashes.add(r.visualHash);
+    const scheduledDocs = await SchedulerQueueModel.find({ status: { $in: ['scheduled','processing'] }, visualHash: { $exists: true } }).select('visualHash').lean();
+    for (const r of (scheduledDocs || [])) blockedHashes.add(r.visualHash);
+    const maxD = Number(settings.dupHashMaxDistance || 6);
 
     const examined = candidates.length;
     const qualifiedPool = [];
     const fallbackPool = [];
     const nearMisses = [];
     for (const v of (candidates || [])) {
-      const likes = Number(v.likes || v.like_count || 0);
-      if (minLikes && likes < minLikes && nearMisses.length < 10) {
+      const likes = Number(v.likes || 0);
+      const hasMetrics = v.likes != null;
+      if (hasMetrics && minLikes && likes < minLikes && nearMisses.length < 10) {
         nearMisses.push({ id: String(v.id || ''), likes });
       }
       // Visual hash block against recent with distance threshold
-      try {
-        let vhash = v.thumbnailHash || null;
-        if (!vhash && v.thumbnailUrl) {
-          const ah = await computeAverageHashFromImageUrl(v.thumbnailUrl);
-          vhash = ah.hash;
-        }
-        if (!vhash) continue; // no thumbnail → skip
-        const maxD = Number(settings.dupHashMaxDistance || 6);
-        for (const prev of recentVisualHashes) { if (hammingDistanceHex(vhash, prev) <= maxD) { vhash = null; break; } }
-        if (!vhash) continue;
-        let dupCooldown = false; for (const h of cooldownHashes) { if (hammingDistanceHex(vhash, h) <= maxD) { dupCooldown = true; break; } }
-        if (dupCooldown) continue;
-        let dupScheduled = false; for (const h of scheduledHashes) { if (hammingDistanceHex(vhash, h) <= maxD) { dupScheduled = true; break; } }
-        if (dupScheduled) continue;
-        v._visualHash = vhash;
-      } catch { continue; }
-      const hasUrl = !!(v.url || v.videoUrl || v.s3Url);
-      if (!hasUrl) continue;
-      const item = { id: String(v.id || ''), likes, videoUrl: v.url, caption: v.caption || '', engagement: likes, _visualHash: v._visualHash };
-      if (minLikes && likes < minLikes) {
+      if (!v.thumbnailUrl) continue; // no thumbnail → skip
+      const vhash = (await getSignals(v, ['visualHash'])).visualHash;
+      if (!vhash || blockedHashes.has(vhash, maxD)) continue;
+      v._visualHash = vhash;
+      if (!v.url) continue;
+      const item = { id: String(v.id || ''), likes, videoUrl: v.url, caption: v.caption || '', engagement: likes, origin: v.origin, thumbnailUrl: v.thumbnailUrl, audioKey: v.audioKey || null, locationKey: v.locationKey || null, _visualHash: v._visualHash };
+      if (hasMetrics && minLikes && likes < minLikes) {
         if (nearMisses.length < 10) nearMisses.push({ id: item.id, likes });
         fallbackPool.push(item);
       } else {
@@ -1482,7 +1654,6 @@ app.post('/api/autopilot/refill', async (req, res) => {
       }
     }
 
-    // Compute next scheduled times (CT) spaced by 1 hour
     const want = Math.max(0, (targetQueue - scheduledCount));
     qualifiedPool.sort((a, b) => (b.likes || 0) - (a.likes || 0));
     const selected = qualifiedPool.slice(0, want);
@@ -1497,10 +1668,21 @@ app.post('/api/autopilot/refill', async (req, res) => {
     const previewOnly = !!(req.body && (req.body.preview === true || String(req.body.preview).toLowerCase() === 'true'));
     const scheduledIds = [];
     const now = new Date();
+    // Weekly template slots first; anything beyond them falls back to hourly spacing from now
+    const { nextTemplateSlots } = require('./services/scheduleTemplates');
+    const templateSlots = await nextTemplateSlots(settings, 'instagram', { count: selected.length, from: now, SchedulerQueueModel }).catch(() => []);
     if (!previewOnly) {
+      const planner = await require('./services/spacing').createSlotPlanner(SchedulerQueueModel, settings, { now });
+      const { loadFingerprintHistory, audioKeyFor } = require('./services/dedupe');
+      const { recentAudio } = await loadFingerprintHistory(settings, SchedulerQueueModel);
       for (let i = 0; i < selected.length; i++) {
         const item = selected[i];
-        const runAt = new Date(now.getTime() + (i + 1) * 60 * 60 * 1000);
+        // Same soundtrack as something recent or already picked this run → same audioKey, so spacing keeps them apart
+        const { audioFingerprint } = await getSignals({ id: item.id, url: item.videoUrl, thumbnailUrl: item.thumbnailUrl }, ['audioFingerprint']);
+        item.audioKey = audioKeyFor(item, audioFingerprint, { recentAudio }, settings);
+        if (audioFingerprint) recentAudio.push({ audioKey: item.audioKey, audioFingerprint });
+        // Minimum gap, jitter and same audio/location spacing on top of the template/hourly slot
+        const runAt = planner.place(templateSlots[i] || new Date(now.getTime() + (i + 1) * 60 * 60 * 1000), { platform: 'instagram', audioKey: item.audioKey, locationKey: item.locationKey });
         const doc = await SchedulerQueueModel.create({
           platform: 'instagram',
           status: 'scheduled',
@@ -1510,10 +1692,16 @@ app.post('/api/autopilot/refill', async (req, res) => {
           videoUrl: item.videoUrl,
           caption: item.caption,
           engagement: item.engagement,
+          audioKey: item.audioKey || undefined,
+          audioFingerprint: audioFingerprint || undefined,
+          locationKey: item.locationKey || undefined,
           visualHash: item._visualHash || null,
-          hashVersion: item._visualHash ? 'ahash-v1' : null
+          hashVersion: hashVersionOf(item._visualHash)
         });
         scheduledIds.push(String(doc._id));
+        if (item.origin === 'inbox') {
+          try { await require('./services/inbox').markInboxItem(item.id, 'scheduled'); } catch (_) {}
+        }
       }
     }
 
@@ -1521,7 +1709,7 @@ app.post('/api/autopilot/refill', async (req, res) => {
     const shortfall = Math.max(0, want - added);
     const shortfallReason = shortfall > 0 ? 'NOT_ENOUGH_QUALIFIED' : null;
     console.log(`🎯 [REFILL STRICT] minLikes=${minLikes} examined=${examined} qualified=${qualified} added=${added} fallbackUsed=${fallbackUsed} shortfall=${shortfall}`);
-    return res.json({ ok: true, preview: previewOnly, minLikesRequested: minLikes, examined, qualified, added, fallbackUsed, shortfall, shortfallReason, nearMisses, scheduledCount: scheduledCount + added, threshold, scheduledIds });
+    return res.json({ ok: true, preview: previewOnly, templateSlots: templateSlots.map(d => d.toISOString()), minLikesRequested: minLikes, examined, qualified, added, fallbackUsed, shortfall, shortfallReason, nearMisses, scheduledCount: scheduledCount + added, threshold, scheduledIds });
   } catch (e) {
     return res.status(200).json({ ok: false, error: e?.message || 'refill failed' });
   }
@@ -1540,6 +1728,9 @@ app.get('/api/queue/summary', async (_req, res) => {
   }
 });
 
+// Single-item queue CRUD (mounted after /summary so it is not taken as an id)
+try { app.use('/api/queue', require('./routes/queue')); } catch (e) { console.warn('queue route init failed', e?.message||e); }
+
 // --- DIAG: Reset daily counters (today) ---
 app.post('/api/diag/reset-counters', async (req, res) => {
   try {
@@ -1547,9 +1738,10 @@ app.post('/api/diag/reset-counters', async (req, res) => {
     let DailyCounterModel = null; try { ({ DailyCounterModel } = require('./models/DailyCounter')); } catch {}
     if (scope !== 'today') return res.json({ ok: false, error: 'unsupported scope' });
     if (!DailyCounterModel) return res.json({ ok: true, reset: 'today', note: 'no DailyCounter model' });
-    const now = new Date(); const key = `${now.getFullYear()}${String(now.getMonth()+1).padStart(2,'0')}${String(now.getDate()).padStart(2,'0')}`;
+    const { dateKey, loadTimeZone } = require('./services/dateBoundary');
+    const key = dateKey(new Date(), await loadTimeZone());
     await DailyCounterModel.deleteMany({ dateKey: key });
-    return res.json({ ok: true, reset: 'today' });
+    return res.json({ ok: true, reset: 'today', dateKey: key });
   } catch (e) {
     return res.status(500).json({ ok: false, error: e?.message || 'failed to reset counters' });
   }
@@ -1602,15 +1794,18 @@ app.get('/api/heatmap/optimal-times', async (req, res) => {
 app.get('/api/scheduler/status', async (_req, res) => {
   try {
     const now = new Date();
-    const startOfDay = new Date(now); startOfDay.setHours(0,0,0,0);
-    const endOfDay = new Date(now); endOfDay.setHours(23,59,59,999);
+    const { dayBounds, loadTimeZone } = require('./services/dateBoundary');
+    const { start: startOfDay, end: endOfDay } = dayBounds(now, await loadTimeZone());
     const queueSize = await SchedulerQueueModel.countDocuments({ status: { $in: ['scheduled','processing','pending'] } });
-    const [igToday, ytToday] = await Promise.all([
-      SchedulerQueueModel.countDocuments({ platform: 'instagram', status: { $in: ['posted','completed'] }, postedAt: { $gte: startOfDay, $lte: endOfDay } }),
-      SchedulerQueueModel.countDocuments({ platform: 'youtube', status: { $in: ['posted','completed'] }, postedAt: { $gte: startOfDay, $lte: endOfDay } })
-    ]);
-    const settingsDoc = await SettingsModel.findOne({});
-    const limit = Number(settingsDoc?.maxPosts || 5);
+    const settingsDoc = await SettingsModel.findOne({}).lean();
+    // Each platform reports its own caps (services/caps)
+    const { resolveCaps } = require('./services/caps');
+    const today = {};
+    const perPlatform = {};
+    for (const [platform, caps] of Object.entries(resolveCaps(settingsDoc || {}, now).platforms)) {
+      today[platform] = await SchedulerQueueModel.countDocuments({ platform, status: { $in: ['posted','completed'] }, postedAt: { $gte: startOfDay, $lte: endOfDay } });
+      perPlatform[platform] = { used: today[platform], limit: caps.daily, hourlyLimit: caps.hourly };
+    }
     let nextRun = null;
     try {
       const nextDoc = await SchedulerQueueModel.findOne({ status: 'scheduled' }).sort({ scheduledTime: 1 }).select('scheduledTime').lean();
@@ -1618,10 +1813,10 @@ app.get('/api/scheduler/status', async (_req, res) => {
     } catch(_) {}
     res.json({
       queueSize,
-      today: { instagram: igToday, youtube: ytToday },
+      today,
       nextRun,
-      instagram: { used: igToday, limit },
-      youtube: { used: ytToday, limit }
+      blackout: await activeBlackoutSummary(settingsDoc),
+      ...perPlatform
     });
   } catch (e) {
     res.status(500).json({ error: 'Failed to get scheduler status' });
@@ -1632,11 +1827,15 @@ app.get('/api/scheduler/status', async (_req, res) => {
 app.post('/api/admin/force-reschedule', async (_req, res) => {
   try {
     const now = new Date();
-    const runAt = new Date(now.getTime() + 2 * 60 * 1000);
+    const next = await SchedulerQueueModel.findOne({ status: 'scheduled' }).sort({ scheduledTime: 1 }).lean();
+    if (!next) return res.json({ ok: false, error: 'no scheduled item' });
+    // ~2 minutes out, later if the spacing policy needs it (no jitter)
+    const planner = await require('./services/spacing').createSlotPlanner(SchedulerQueueModel, (await SettingsModel.findOne({}).lean()) || {}, { now });
+    const runAt = planner.place(new Date(now.getTime() + 2 * 60 * 1000), { id: next._id, platform: next.platform, audioKey: next.audioKey, locationKey: next.locationKey }, { jitter: false });
     const doc = await SchedulerQueueModel.findOneAndUpdate(
-      { status: 'scheduled' },
+      { _id: next._id, status: 'scheduled' },
       { $set: { scheduledTime: runAt } },
-      { sort: { scheduledTime: 1 }, new: true }
+      { new: true }
     );
     if (!doc) return res.json({ ok: false, error: 'no scheduled item' });
     return res.json({ ok: true, id: String(doc._id), runAt: runAt.toISOString() });
@@ -14,12 +14,38 @@ try { fetchFn = (global as any).fetch || require('node-fetch'); } catch { fetchF
 const settingsSchema = new mongoose.Schema({
   instagramToken: String,
   igBusinessId: String,
+  // Facebook Page ID for Reels (services/providers/facebook); facebookPageToken falls back to instagramToken,
+  // facebookApiBase overrides the Graph host, e.g. scripts/mock-facebook-server.js
   facebookPage: String,
+  facebookPageToken: String,
+  facebookApiBase: String,
   youtubeClientId: String,
   youtubeClientSecret: String,
   youtubeAccessToken: String,
   youtubeRefreshToken: String,
   youtubeChannelId: String,
+  // TikTok Content Posting API (services/providers/tiktok); tiktokApiBase overrides the API host, e.g. scripts/mock-tiktok-server.js
+  tiktokClientKey: String,
+  tiktokClientSecret: String,
+  tiktokAccessToken: String,
+  tiktokRefreshToken: String,
+  tiktokOpenId: String,
+  tiktokPrivacyLevel: { type: String, default: 'PUBLIC_TO_EVERYONE' },
+  tiktokApiBase: String,
+  // Threads video posts (services/providers/threads)
+  threadsUserId: String,
+  threadsAccessToken: String,
+  threadsApiBase: String,
+  // Pinterest video pins (services/providers/pinterest); board picked via /api/pinterest/boards
+  pinterestAccessToken: String,
+  pinterestBoardId: String,
+  pinterestBoardName: String,
+  pinterestLink: String,
+  pinterestApiBase: String,
+  postToTikTok: { type: Boolean, default: false },
+  postToFacebook: { type: Boolean, default: false },
+  postToThreads: { type: Boolean, default: false },
+  postToPinterest: { type: Boolean, default: false },
   s3AccessKey: String,
   s3SecretKey: String,
   s3BucketName: String,
@@ -29,10 +55,18 @@ const settingsSchema = new mongoose.Schema({
   dropboxToken: String,
   runwayApiKey: String,
   maxPosts: { type: Number, default: 4 },
+  // Per-platform caps: { instagram: { daily, hourly }, youtube: {...} } (services/caps)
+  platformLimits: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Minimum gap, jitter and same audio/location rules (services/spacing)
+  spacingPolicy: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Cross-post groups: { enabled, platforms: { youtube: { offsetMinutes, captionPrefix, captionSuffix, maxCaptionLength } } } (services/postGroups)
+  postGroups: { type: mongoose.Schema.Types.Mixed, default: {} },
   autopilotEnabled: { type: Boolean, default: false },
   autopilotPaused: { type: Boolean, default: false },
   cartoonMode: { type: Boolean, default: false },
   schedulerType: { type: String, default: 'daily' },
+  scheduleTemplateId: String,
+  blackoutPolicy: { type: String, enum: ['push', 'skip'], default: 'push' },
 }, { timestamps: true, collection: 'SettingsClean' });
 
 const SettingsModel = mongoose.model('SettingsClean', settingsSchema);
@@ -83,16 +117,24 @@ if (!SchedulerQueueModel) {
   const schedulerQueueSchema = new mongoose.Schema({
     filename: String,
     caption: String,
-    platform: { type: String, enum: ['instagram','youtube'], default: 'instagram', index: true },
+    platform: { type: String, enum: require('./services/providers').platformNames(), default: 'instagram', index: true },
     scheduledTime: { type: Date, required: true, index: true },
-    status: { type: String, enum: ['pending','scheduled','processing','posted','failed','completed'], default: 'scheduled', index: true },
+    status: { type: String, enum: ['pending','scheduled','processing','posted','failed','completed','skipped'], default: 'scheduled', index: true },
     source: { type: String, enum: ['autopilot','manual'], default: 'autopilot' },
     videoUrl: String,
     thumbnailUrl: String,
     s3Url: String,
     // Dedupe signals
     visualHash: { type: String, index: true },
+    hashVersion: { type: String },
+    // Multi-frame video fingerprint (utils/videoFingerprint)
+    videoFingerprint: { type: String },
+    // Soundtrack fingerprint (utils/audioFingerprint)
+    audioFingerprint: { type: String },
     audioKey: { type: String },
+    locationKey: { type: String },
+    // Cross-post group shared by items made from one source video (services/postGroups)
+    groupId: { type: String, index: true },
     captionNorm: { type: String },
     durationSec: { type: Number },
     engagement: Number,
@@ -102,6 +144,7 @@ if (!SchedulerQueueModel) {
     hashtags: [String],
     retryCount: { type: Number, default: 0 },
     errorMessage: String,
+    skipReason: String,
     autofill: { type: Boolean, default: false }
   }, { timestamps: true, collection: 'SchedulerQueue' });
 
@@ -118,7 +161,7 @@ let AudienceActivityModel;
 try { AudienceActivityModel = mongoose.model('AudienceActivity'); } catch (_) {}
 if (!AudienceActivityModel) {
   const audienceActivitySchema = new mongoose.Schema({
-    platform: { type: String, enum: ['instagram', 'youtube'], required: true },
+    platform: { type: String, enum: require('./services/providers').platformNames(), required: true },
     hour: { type: Number, min: 0, max: 23, required: true },
     dayOfWeek: { type: Number, min: 0, max: 6, required: true },
     score: { type: Number, min: 0, max: 1, required: true },
@@ -183,6 +226,18 @@ app.get('/api/settings', async (req, res) => {
 
 app.post('/api/settings', async (req, res) => {
   try {
+    if (req.body && req.body.platformLimits !== undefined) {
+      const invalid = require('./services/caps').validatePlatformLimits(req.body.platformLimits);
+      if (invalid) return res.status(400).json({ error: invalid });
+    }
+    if (req.body && req.body.spacingPolicy !== undefined) {
+      const invalid = require('./services/spacing').validateSpacingPolicy(req.body.spacingPolicy);
+      if (invalid) return res.status(400).json({ error: invalid });
+    }
+    if (req.body && req.body.postGroups !== undefined) {
+      const invalid = require('./services/postGroups').validatePostGroups(req.body.postGroups);
+      if (invalid) return res.status(400).json({ error: invalid });
+    }
     const settings = await SettingsModel.findOneAndUpdate({}, req.body, { new: true, upsert: true });
     return res.json(settings);
   } catch (e) {
@@ -223,7 +278,8 @@ app.get('/api/autopilot/queue', async (req, res) => {
       videoUrl: it.videoUrl || it.s3Url,
       thumbnailUrl: it.thumbnailUrl || it.s3Url,
       engagement: it.engagement || 0,
-      visualHash: it.visualHash || null
+      visualHash: it.visualHash || null,
+      groupId: it.groupId || null
     }));
     return res.json({ queue, totalCount: queue.length });
   } catch (error) {
@@ -268,6 +324,9 @@ app.delete('/api/autopilot/queue', async (req, res) => {
   }
 });
 
+// Single-item queue CRUD
+try { app.use('/api/queue', require('./routes/queue')); } catch (e:any) { console.warn('queue route init failed', e?.message||e); }
+
 // Emergency controls: stop/resume autopilot
 app.post('/api/autopilot/stop', async (req, res) => {
   try {
@@ -346,10 +405,10 @@ app.post('/phase9/post-now', handlePostNow);
 app.post('/api/manual/post-now/:videoId', handlePostNow);
 
 // Optional: job status
-app.get('/api/post-now/status/:jobId', (req, res) => {
+app.get('/api/post-now/status/:jobId', async (req, res) => {
   try {
     if (!getJobStatus) return res.status(404).json({ error: 'job status unavailable' });
-    const st = getJobStatus(req.params.jobId);
+    const st = await getJobStatus(req.params.jobId);
     return st ? res.json(st) : res.status(404).json({ error: 'not found' });
   } catch (e) {
     return res.status(500).json({ error: 'failed' });
@@ -360,27 +419,34 @@ app.get('/api/post-now/status/:jobId', (req, res) => {
 app.get('/api/scheduler/status', async (req, res) => {
   try {
     const now = new Date();
-    const start = new Date(now); start.setHours(0,0,0,0);
-    const end = new Date(now); end.setHours(23,59,59,999);
+    const { dateKey: keyFor, loadTimeZone } = require('./services/dateBoundary');
     const queueSize = await SchedulerQueueModel.countDocuments({ status: { $in: ['scheduled','processing','pending'] } });
-    let igToday = 0, ytToday = 0;
+    let counters: any[] = [];
     try {
-      if (DailyCounterModel) {
-        const dateKey = `${now.getFullYear()}${String(now.getMonth()+1).padStart(2,'0')}${String(now.getDate()).padStart(2,'0')}`;
-        const counters = await DailyCounterModel.find({ dateKey }).lean();
-        igToday = counters.find(c=>c.platform==='instagram')?.count || 0;
-        ytToday = counters.find(c=>c.platform==='youtube')?.count || 0;
-      }
+      if (DailyCounterModel) counters = await DailyCounterModel.find({ dateKey: keyFor(now, await loadTimeZone()) }).lean();
     } catch {}
-    const settingsDoc = await SettingsModel.findOne({});
-    const limit = Number(settingsDoc?.maxPosts || 5);
+    const settingsDoc: any = await SettingsModel.findOne({}).lean();
+    // Each platform reports its own caps (services/caps)
+    const { resolveCaps } = require('./services/caps');
+    const today: Record<string, number> = {};
+    const perPlatform: Record<string, { used: number; limit: number; hourlyLimit: number }> = {};
+    for (const [platform, caps] of Object.entries<any>(resolveCaps(settingsDoc || {}, now).platforms)) {
+      today[platform] = counters.find(c => c.platform === platform)?.count || 0;
+      perPlatform[platform] = { used: today[platform], limit: caps.daily, hourlyLimit: caps.hourly };
+    }
     const nextRun = new Date(Date.now()+60*1000).toISOString();
+    let blackout = null;
+    try {
+      const { getActiveBlackout, blackoutPolicy } = require('./services/blackouts');
+      const b = await getActiveBlackout(now);
+      if (b) blackout = { name: b.name, startIso: b.start.toISOString(), endIso: b.end.toISOString(), policy: blackoutPolicy(settingsDoc, b) };
+    } catch (_) {}
     return res.json({
       queueSize,
-      today: { instagram: igToday, youtube: ytToday },
+      today,
       nextRun,
-      instagram: { used: igToday, limit },
-      youtube: { used: ytToday, limit }
+      blackout,
+      ...perPlatform
     });
   } catch (e) {
     return res.status(500).json({ error: 'Failed to get scheduler status' });
@@ -413,8 +479,7 @@ app.post('/api/test/validate-apis', async (req, res) => {
   try {
     const s = await SettingsModel.findOne();
     const status = {
-      instagram: !!(s?.instagramToken && s?.igBusinessId),
-      youtube: !!(s?.youtubeAccessToken || (s?.youtubeClientId && s?.youtubeClientSecret && s?.youtubeRefreshToken)),
+      ...Object.fromEntries(require('./services/providers').listProviders().map((p: any) => [p.name, !!p.isConfigured(s || {})])),
       s3: !!(s?.s3AccessKey && s?.s3SecretKey && s?.s3BucketName),
       openai: !!(s?.openaiApiKey)
     };
@@ -488,7 +553,10 @@ app.get('/api/analytics', async (_req, res) => {
       autopilotEnabled: !!settings?.autopilotEnabled
     };
 
-    return res.json({ instagram, youtube, timeseries: { labels, instagram: igSeries, youtube: ytSeries, combined: igSeries.map((v,i)=>v+(ytSeries[i]||0)) } });
+    let groups: any[] = [];
+    try { groups = await require('./services/postGroups').listGroups(SchedulerQueueModel, { limit: 10 }); } catch {}
+
+    return res.json({ instagram, youtube, groups, timeseries: { labels, instagram: igSeries, youtube: ytSeries, combined: igSeries.map((v,i)=>v+(ytSeries[i]||0)) } });
   } catch (err: any) {
     console.error('Analytics error', err);
     return res.json({
@@ -536,12 +604,13 @@ app.get('/api/time/debug', (_req, res) => {
 app.get('/api/diagnostics/instagram/last-30', async (_req, res) => {
   try {
     const s = await SettingsModel.findOne({}).lean();
-    const { scrapeInstagramEngagement, generateThumbnailHash } = require('./utils/instagramScraper');
+    const { scrapeInstagramEngagement } = require('./utils/instagramScraper');
+    const { computeHashFromImageUrl } = require('./utils/visualHash');
     const list = await scrapeInstagramEngagement(s.igBusinessId, s.instagramToken, 30);
     const out:any[] = [];
     for (const v of list) {
       let vh = null;
-      try { vh = await generateThumbnailHash(v.thumbnailUrl || v.url || ''); } catch {}
+      try { vh = await computeHashFromImageUrl(v.thumbnailUrl || v.url || ''); } catch {}
       out.push({ postedAt: v.timestamp ? new Date(v.timestamp) : null, visualHash: vh, captionNorm: (v.caption||'').toLowerCase(), audioKey: v.audioId || v.music_metadata?.music_product_id || null, durationSec: typeof v.duration==='number'?Math.round(v.duration):null });
     }
     res.json(out);
@@ -593,16 +662,16 @@ app.post('/api/debug/similarity-check', async (req, res) => {
     const { normalizeCaption } = require('./services/candidateBuilder');
     const { computeWeeklyHeatmap } = require('./services/heatmap'); // not used, but keeps warm
     const normCaption = normalizeCaption(caption || '');
-    const { computeAverageHashFromImageUrl, hammingDistance } = require('./utils/visualHash');
+    const { computeHashFromImageUrl, hammingDistance, hashVersionOf } = require('./utils/visualHash');
     let visualHash = null;
-    try { visualHash = await computeAverageHashFromImageUrl(videoUrl); } catch {}
+    try { visualHash = await computeHashFromImageUrl(videoUrl); } catch {}
     const candidate = { visualHash, captionNorm: normCaption, audioKey: audioKey || null, durationSec: typeof durationSec === 'number' ? durationSec : null };
 
     // Build last-30 set (reuse candidateBuilder helpers)
     const Settings = mongoose.model('SettingsClean');
     const settings = await Settings.findOne({});
     const last = platform === 'instagram'
-      ? await (async () => { const { scrapeInstagramEngagement, generateThumbnailHash } = require('./utils/instagramScraper'); const list = await scrapeInstagramEngagement(settings.igBusinessId, settings.instagramToken, 30); const out:any[]=[]; for (const v of list){ let vh=null; try{ vh = await generateThumbnailHash(v.thumbnailUrl||v.url);}catch{} out.push({ postedAt: v.timestamp?new Date(v.timestamp):null, visualHash: vh, captionNorm: normalizeCaption(v.caption||''), audioKey: v.audioId || v.music_metadata?.music_product_id || null, durationSec: typeof v.duration==='number'?Math.round(v.duration):null, url: v.url }); } return out; })()
+      ? await (async () => { const { scrapeInstagramEngagement } = require('./utils/instagramScraper'); const list = await scrapeInstagramEngagement(settings.igBusinessId, settings.instagramToken, 30); const out:any[]=[]; for (const v of list){ let vh=null; try{ vh = await computeHashFromImageUrl(v.thumbnailUrl||v.url);}catch{} out.push({ postedAt: v.timestamp?new Date(v.timestamp):null, visualHash: vh, captionNorm: normalizeCaption(v.caption||''), audioKey: v.audioId || v.music_metadata?.music_product_id || null, durationSec: typeof v.duration==='number'?Math.round(v.duration):null, url: v.url }); } return out; })()
       : [];
 
     const CAPTION_MIN = 0.85;
@@ -613,7 +682,7 @@ app.post('/api/debug/similarity-check', async (req, res) => {
       audioKey: p.audioKey,
       durationSec: p.durationSec,
       distances: {
-        visualHamming: (visualHash && p.visualHash) ? hammingDistance(visualHash, p.visualHash) : null,
+        visualHamming: (visualHash && hashVersionOf(visualHash) === hashVersionOf(p.visualHash)) ? hammingDistance(visualHash, p.visualHash) : null,
         captionSim: require('string-similarity').compareTwoStrings(normCaption, p.captionNorm || ''),
         durationDelta: (typeof durationSec==='number' && typeof p.durationSec==='number') ? Math.abs(durationSec - p.durationSec) : null
       }
@@ -629,43 +698,13 @@ app.post('/api/debug/similarity-check', async (req, res) => {
   }
 });
 
-// ============ Minimal Manual endpoints (functional placeholders using candidate builder later) ============
-app.get('/api/manual/videos', async (req, res) => {
-  try {
-    // Provide minimal empty list to satisfy UI; real implementation can read from S3 or DB
-    return res.json({ success: true, videos: [] });
-  } catch (e) {
-    return res.status(500).json({ success: false, error: 'Failed to load videos' });
-  }
-});
-
-app.post('/api/manual/refresh-caption/:videoId', async (req, res) => {
-  try {
-    const { generateSmartCaptionWithKey } = require('./services/captionAI');
-    const s = await SettingsModel.findOne();
-    const out = await generateSmartCaptionWithKey('', s?.openaiApiKey || '');
-    return res.json({ success: true, captions: { clickbait: out, informational: out, emotional: out } });
-  } catch {
-    return res.status(500).json({ success: false, error: 'Failed to refresh caption' });
-  }
-});
-
-app.post('/api/manual/refresh-audio/:videoId', async (req, res) => {
-  try {
-    return res.json({ success: true, currentAudio: 'Trending Beat #247' });
-  } catch {
-    return res.status(500).json({ success: false, error: 'Failed to refresh audio' });
-  }
-});
-
-app.post('/api/manual/schedule/:videoId', async (req, res) => {
-  try {
-    // Accept schedule request; in future integrate with SchedulerQueueModel
-    return res.json({ success: true });
-  } catch {
-    return res.status(500).json({ success: false, error: 'Failed to schedule' });
-  }
-});
+// ============ Manual endpoints ============
+// Inbox videos, caption/audio refresh and scheduling live in routes/manual
+try { app.use('/api/manual', require('./routes/manual')); } catch (e:any) { console.warn('manual route init failed', e?.message||e); }
+try { app.use('/api/schedule-templates', require('./routes/scheduleTemplates')); } catch (e:any) { console.warn('schedule templates route init failed', e?.message||e); }
+try { app.use('/api/blackouts', require('./routes/blackouts')); } catch (e:any) { console.warn('blackouts route init failed', e?.message||e); }
+try { app.use('/api/post-groups', require('./routes/postGroups')); } catch (e:any) { console.warn('post groups route init failed', e?.message||e); }
+try { app.use('/api/pinterest', require('./routes/pinterest')); } catch (e:any) { console.warn('pinterest route init failed', e?.message||e); }
 
 // Activity feed endpoints (for dashboard)
 app.get('/api/activity/feed', async (req, res) => {
@@ -677,12 +716,19 @@ app.get('/api/activity/feed', async (req, res) => {
     const items = await SchedulerQueueModel.find(match)
       .sort({ postedAt: -1, updatedAt: -1 })
       .limit(limit)
-      .select('platform thumbnailUrl postedAt createdAt');
-    const arr = items.map((it: any) => ({
-      platform: it.platform,
-      thumbnailUrl: it.thumbnailUrl,
-      timestamp: it.postedAt || it.createdAt,
-    }));
+      .select('platform thumbnailUrl postedAt createdAt groupId');
+    const { loadGroups } = require('./services/postGroups');
+    const groups = await loadGroups(SchedulerQueueModel, items.map((it: any) => it.groupId));
+    const arr = items.map((it: any) => {
+      const group = it.groupId && groups.get(it.groupId);
+      return {
+        platform: it.platform,
+        thumbnailUrl: it.thumbnailUrl,
+        timestamp: it.postedAt || it.createdAt,
+        groupId: it.groupId || null,
+        group: group ? { status: group.status, members: group.members.map((m: any) => ({ platform: m.platform, status: m.status, postedAt: m.postedAt, postUrl: m.postUrl })) } : null,
+      };
+    });
     res.json(arr);
   } catch (error) {
     console.error('❌ [ACTIVITY FEED ERROR]', error);
@@ -708,8 +754,7 @@ app.get('/api/chart/status', async (_req, res) => {
   try {
     const settings: any = await SettingsModel.findOne();
     // Count today's posted items by platform for basic activity
-    const startOfDay = new Date(); startOfDay.setHours(0,0,0,0);
-    const endOfDay = new Date(); endOfDay.setHours(23,59,59,999);
+    const { start: startOfDay, end: endOfDay } = require('./services/dateBoundary').dayBounds(new Date(), settings?.timeZone);
     const [igToday, ytToday, lastPosted] = await Promise.all([
       SchedulerQueueModel.countDocuments({ platform: 'instagram', status: { $in: ['posted','completed'] }, postedAt: { $gte: startOfDay, $lte: endOfDay } }),
       SchedulerQueueModel.countDocuments({ platform: 'youtube', status: { $in: ['posted','completed'] }, postedAt: { $gte: startOfDay, $lte: endOfDay } }),
@@ -727,6 +772,7 @@ app.get('/api/chart/status', async (_req, res) => {
       engagementScore = Number(((recent?.[0]?.avg) || 0.5).toFixed(3));
     } catch {}
 
+    const { platformLimits } = require('./services/caps');
     return res.json({
       engagementScore,
       newHighScore: false,
@@ -734,8 +780,8 @@ app.get('/api/chart/status', async (_req, res) => {
       autopilotRunning: !!settings?.autopilotEnabled,
       settings: { dailyPostLimit: Number(settings?.maxPosts || 3) },
       platformData: {
-        instagram: { active: !!settings?.autopilotEnabled, todayPosts: igToday, reach: 0 },
-        youtube: { active: !!settings?.autopilotEnabled, todayPosts: ytToday, reach: 0 }
+        instagram: { active: !!settings?.autopilotEnabled, todayPosts: igToday, dailyLimit: platformLimits(settings || {}, 'instagram').daily, reach: 0 },
+        youtube: { active: !!settings?.autopilotEnabled, todayPosts: ytToday, dailyLimit: platformLimits(settings || {}, 'youtube').daily, reach: 0 }
       }
     });
   } catch (e) {
@@ -866,6 +912,12 @@ app.use((err, req, res, next) => {
 // Start server
 const startServer = async () => {
   await connectDB();
+  // One-time migration: legacy dailyLimit/maxPosts becomes each enabled platform's daily cap (services/caps)
+  try {
+    await require('./services/caps').migrateMaxPosts(SettingsModel);
+  } catch (e: any) {
+    console.warn('⚠️ [MIGRATION] Could not migrate maxPosts:', e?.message || e);
+  }
   // Start cron and wire heartbeat
   try {
     // Resolve correctly when running from dist/server.js
@@ -918,6 +970,23 @@ app.get('/api/scheduler/tick', async (_req, res) => {
     res.status(500).json({ ok: false, error: e?.message || 'tick failed' });
   }
 });
+
+// Dry run of the cron decisions over the next N hours (no posting): ?hours=24
+app.get('/api/scheduler/simulate', async (req, res) => {
+  try {
+    const path = require('path');
+    let simulateSchedule: any;
+    try {
+      ({ simulateSchedule } = require(path.resolve(__dirname, '..', 'services', 'schedulerSimulator')));
+    } catch (_) {
+      ({ simulateSchedule } = require('./services/schedulerSimulator'));
+    }
+    const result = await simulateSchedule(SchedulerQueueModel, SettingsModel, { hours: req.query.hours });
+    res.json({ ok: true, ...result });
+  } catch (e:any) {
+    res.status(500).json({ ok: false, error: e?.message || 'simulate failed' });
+  }
+});
   
   app.listen(PORT, () => {
     console.log('🚀 [SERVER] Backend v2 running on port', PORT);
@@ -1,12 +1,15 @@
 /**
  * Autopilot Service
  * - Reuses Post Now selection logic to find FIRST unique candidate
- * - Keeps queue filled up to settings.maxPosts per platform for the next 24h
+ * - Keeps each platform's queue filled up to its daily limit (services/caps) for the next 24h
+ * - Slots come from the weekly template when one applies, then the heatmap, then pass through the spacing policy (services/spacing)
+ * - With settings.postGroups enabled one candidate fans out to every platform as a linked post group (services/postGroups)
  * - 30-day repost delay via ActivityLog, and skip anything already queued (SchedulerQueue)
+ * - Multi-frame video fingerprints (utils/videoFingerprint) catch re-encoded, trimmed or cropped copies of posted/queued videos
+ * - Audio fingerprints (utils/audioFingerprint) catch the same soundtrack when the platform has no music id; every queued item gets an audioKey
  */
 
 const mongoose = require('mongoose');
-const stringSimilarity = require('string-similarity');
 
 async function getModels() {
   let SettingsModel, SchedulerQueueModel, ActivityLogModel;
@@ -27,78 +30,18 @@ async function getModels() {
   return { SettingsModel, SchedulerQueueModel, ActivityLogModel };
 }
 
-function isDurationSimilar(a, b) {
-  if (a == null || b == null) return false;
-  return Math.abs(Math.round(a) - Math.round(b)) <= 1;
-}
-
-async function selectUniqueCandidate(settings, blockedIds, last30, last30Hashes, last30Ahashes) {
-  const { scrapeInstagramEngagement, generateThumbnailHash } = require('../utils/instagramScraper');
-  const { computeAverageHashFromImageUrl, hammingDistance } = require('../utils/visualHash');
+async function selectUniqueCandidate(settings, ctx, platform) {
+  const { getCandidatePool } = require('./sources');
+  const { checkCandidate } = require('./dedupe');
 
-  // Scrape candidates (500), filter >= 10k engagement, sort desc
-  const raw = await scrapeInstagramEngagement(settings.igBusinessId, settings.instagramToken, 500);
+  // Pooled candidates from all enabled sources; likes filter only applies where metrics exist
   const minLikes = Number(settings.minimumIGLikesToRepost || 0);
-  let candidates = raw
-    .map(v => ({
-      id: v.id,
-      url: v.url,
-      thumbnailUrl: v.thumbnailUrl,
-      caption: v.caption,
-      likes: Number(v.likes || v.like_count || 0),
-      engagement: Number(v.engagement || 0),
-      audioId: v.audioId,
-      duration: v.duration
-    }))
-    .filter(v => (minLikes ? v.likes >= minLikes : true))
-    .sort((a,b) => (b.likes || 0) - (a.likes || 0));
-
-  const last30Captions = last30.map(p => p.caption);
-  const last30Durations = last30.map(p => p.duration);
-  const last30AudioIds = last30.map(p => p.audioId).filter(Boolean);
-
-  const MIN_BYTES_QUALITY = Number(process.env.MIN_VIDEO_BYTES_QUALITY || 3 * 1024 * 1024);
-  const fetch = require('node-fetch');
+  const candidates = (await getCandidatePool(settings, { limit: 500 }))
+    .filter(v => (minLikes && v.likes != null ? v.likes >= minLikes : true));
 
   for (const video of candidates) {
-    if (blockedIds.has(video.id)) continue;
-    if (last30Durations.some(d => isDurationSimilar(d, video.duration))) continue;
-
-    try {
-      const headResp = await fetch(video.url, { method: 'HEAD' });
-      const size = parseInt(headResp.headers.get('content-length') || '0', 10);
-      if (Number.isFinite(size) && size > 0 && size < MIN_BYTES_QUALITY) continue;
-    } catch (_) {}
-
-    let hash, candidateAhash = null;
-    try {
-      hash = await generateThumbnailHash(video.thumbnailUrl || video.url || '');
-      candidateAhash = await computeAverageHashFromImageUrl(video.thumbnailUrl || video.url || '');
-    } catch (e) {
-      const crypto = require('crypto');
-      const fallback = (video.thumbnailUrl || video.url || '').toLowerCase();
-      hash = crypto.createHash('md5').update(fallback).digest('hex').substring(0, 16);
-    }
-
-    const isDuplicateVisual = last30Hashes.includes(hash)
-      || (candidateAhash && last30Ahashes.some(past => hammingDistance(candidateAhash, past) <= 6));
-    const isDuplicateCaption = last30Captions.some((c) => {
-      const a = (video.caption || '').toLowerCase();
-      const b = (c || '').toLowerCase();
-      return stringSimilarity.compareTwoStrings(a, b) > 0.85;
-    });
-    const isDuplicateAudio = last30AudioIds.includes(video.audioId);
-
-    if (isDuplicateVisual || isDuplicateCaption || isDuplicateAudio) continue;
-    // Final strict visual-hash cooldown against posted/completed within window
-    try {
-      const mongoose = require('mongoose');
-      const SchedulerQueueModel = mongoose.model('SchedulerQueue');
-      const cooldownDays = Number(settings.repostCooldownDays || settings.dupLookbackDays || settings.repostDelay || 30);
-      const since = new Date(Date.now() - cooldownDays * 24 * 60 * 60 * 1000);
-      const recent = await SchedulerQueueModel.find({ status: { $in: ['posted','completed'] }, postedAt: { $gte: since }, visualHash: { $exists: true } }).select('visualHash').limit(200).lean();
-      if (candidateAhash && recent.some(r => hammingDistance(candidateAhash, r.visualHash) <= 6)) continue;
-    } catch (_) {}
+    const check = await checkCandidate(video, ctx, { qualityGate: true, platform });
+    if (check.duplicate) continue;
     return video;
   }
   return null;
@@ -112,43 +55,20 @@ async function runAutopilotOnce() {
   }
 
   // Platforms
-  const platforms = (settings.postToInstagram === false && settings.postToYouTube)
-    ? ['youtube']
-    : (settings.postToYouTube ? ['instagram','youtube'] : ['instagram']);
-  const maxPosts = Number(settings.maxPosts || 5);
-  const repostDelayDays = Number(settings.repostDelay || 30);
-
-  // Build last30 from IG and hashes
-  const { scrapeInstagramEngagement, generateThumbnailHash } = require('../utils/instagramScraper');
-  const { computeAverageHashFromImageUrl } = require('../utils/visualHash');
-  const myPosts = await scrapeInstagramEngagement(settings.igBusinessId, settings.instagramToken, 30);
-  const last30 = myPosts;
-  const last30Hashes = [];
-  const last30Ahashes = [];
-  for (const post of last30) {
-    try {
-      const h = await generateThumbnailHash(post.thumbnailUrl || post.url || '');
-      last30Hashes.push(h);
-      try {
-        const ah = await computeAverageHashFromImageUrl(post.thumbnailUrl || post.url || '');
-        last30Ahashes.push(ah);
-      } catch(_){}
-    } catch(_){}
-  }
+  // Platforms (settings toggles, services/providers)
+  const platforms = require('./providers').enabledPlatforms(settings);
+  const { platformLimits } = require('./caps');
 
-  // Blocked IDs: IG last30 + ActivityLog last 30d + SchedulerQueue pending
-  const blockedIds = new Set(last30.map(p=>p.id));
-  const since = new Date(Date.now() - repostDelayDays*24*60*60*1000);
-  const recentPosted = await ActivityLogModel.find({ platform: 'instagram', status: 'success', createdAt: { $gte: since } }).select('originalVideoId').lean();
-  for (const x of recentPosted) if (x.originalVideoId) blockedIds.add(x.originalVideoId);
-  const pending = await SchedulerQueueModel.find({ status: { $in: ['pending','scheduled','processing'] } }).select('originalVideoId').lean();
-  for (const x of pending) if (x.originalVideoId) blockedIds.add(x.originalVideoId);
+  // Dedupe context: our last 30 posts per platform being filled, blocked ids and the visual cooldown (shared with manual scheduling)
+  const { buildDedupeContext, checkQueueCollision, isVideoDuplicate, findAudioDuplicate, audioKeyFor } = require('./dedupe');
+  const dedupeCtx = await buildDedupeContext(settings, { SchedulerQueueModel, ActivityLogModel }, { platforms });
+  const blockedIds = dedupeCtx.blockedIds;
 
   // Optimal slots from heatmap
   let optimal;
   try {
     const { computeOptimalTimes } = require('./heatmap');
-    optimal = await computeOptimalTimes(Number(settings.maxPosts || 5));
+    optimal = await computeOptimalTimes(Math.max(...platforms.map(p => platformLimits(settings, p).daily)));
   } catch (_) { optimal = { platforms, slots: [] }; }
 
   // Count current pending per platform for next 24h
@@ -230,99 +150,208 @@ async function runAutopilotOnce() {
 
   const tz = settings.timeZone || 'America/Chicago';
   const isValidDate = (d) => d instanceof Date && !Number.isNaN(d.getTime());
-  for (const platform of platforms) {
-    const existing = await SchedulerQueueModel.countDocuments({ platform, status: { $in: ['pending','scheduled'] }, scheduledTime: { $gte: now, $lte: tomorrow } });
-    const need = Math.max(0, Number(settings.maxPosts || maxPosts) - existing);
-    // Prefer optimal slots; if not enough, fall back to Austin prime time 6–10pm CT slots already covered in normalizeOptimalSlots
-    const slotList = normalizeOptimalSlots(optimal, platform).slice(0, need);
-    for (let i = 0; i < need; i++) {
-      let desired = slotList[i] || null;
-      if (desired && !(desired instanceof Date)) {
-        if (typeof desired === 'string') desired = new Date(desired);
-        else if (desired?.iso) desired = new Date(desired.iso);
-        else if (desired?.ct || desired?.utc) desired = new Date(desired.ct || desired.utc);
+  const { createSlotPlanner } = require('./spacing');
+  const planner = await createSlotPlanner(SchedulerQueueModel, settings, { now });
+  const HOUR_MS = 60 * 60 * 1000;
+  const toSlotDate = (desired) => {
+    let d = desired || null;
+    if (d && !(d instanceof Date)) {
+      if (typeof d === 'string') d = new Date(d);
+      else if (d?.iso) d = new Date(d.iso);
+      else if (d?.ct || d?.utc) d = new Date(d.ct || d.utc);
+    }
+    return isValidDate(d) ? d : null;
+  };
+
+  // Fingerprints read straight from the source url, so duplicates are caught before anything is uploaded;
+  // inbox items arrive with them already
+  async function fingerprintCandidate(candidate) {
+    let videoFingerprint = candidate.videoFingerprint || null;
+    if (!videoFingerprint && candidate.url) {
+      try {
+        const { computeVideoFingerprint } = require('../utils/videoFingerprint');
+        videoFingerprint = await computeVideoFingerprint(candidate.url, { durationSec: candidate.duration });
+      } catch (_) {}
+    }
+    const { getSignals } = require('./signalCache');
+    const audioFingerprint = candidate.audioFingerprint || (await getSignals(candidate, ['audioFingerprint'])).audioFingerprint;
+    return { videoFingerprint, audioFingerprint };
+  }
+
+  // Next candidate whose video and soundtrack are new; fingerprint duplicates are blocked and selection
+  // moves on, so they never use up a slot
+  async function selectCandidate(platform) {
+    for (;;) {
+      const candidate = await selectUniqueCandidate(settings, dedupeCtx, platform);
+      if (!candidate) return null;
+      const fingerprints = await fingerprintCandidate(candidate);
+      // Same video under another id/thumbnail (re-encode, trim, crop)
+      if (isVideoDuplicate(fingerprints.videoFingerprint, dedupeCtx, settings)) {
+        blockedIds.add(candidate.id);
+        totalSkipped += 1; skipReasons.push('VIDEO_FINGERPRINT_MATCH'); continue;
+      }
+      // Same soundtrack as a recent/queued post, including original audio with no music id
+      if (findAudioDuplicate(fingerprints.audioFingerprint, dedupeCtx, settings)) {
+        blockedIds.add(candidate.id);
+        totalSkipped += 1; skipReasons.push('AUDIO_FINGERPRINT_MATCH'); continue;
       }
-      const candidate = await selectUniqueCandidate(settings, blockedIds, last30, last30Hashes, last30Ahashes);
-      if (!candidate) { totalSkipped += 1; skipReasons.push('NO_UNIQUE_CANDIDATE'); break; }
+      return { candidate, fingerprints };
+    }
+  }
 
-      // Upload once (video)
-      const s3Key = `autopilot/queue/${Date.now()}_${Math.random().toString(36).slice(2,8)}.mp4`;
-      const s3Url = await uploadUrlToS3(candidate.url, s3Key, 'video/mp4');
+  // Upload, caption and dedupe signals for one candidate; shared by every platform it is queued on
+  async function prepareMedia(candidate, { videoFingerprint, audioFingerprint }) {
+    // Upload once (video)
+    const s3Key = `autopilot/queue/${Date.now()}_${Math.random().toString(36).slice(2,8)}.mp4`;
+    const s3Url = await uploadUrlToS3(candidate.url, s3Key, 'video/mp4');
 
-      // Upload thumbnail (image) for UI preview when available + persist
-      let s3ThumbUrl = null;
+    // Upload thumbnail (image) for UI preview when available + persist
+    let s3ThumbUrl = null;
+    try {
+      // Prefer IG thumbnail if available; otherwise capture from video
+      if (candidate.thumbnailUrl) {
+        const thumbKey = `autopilot/queue-thumbs/${Date.now()}_${Math.random().toString(36).slice(2,8)}.jpg`;
+        s3ThumbUrl = await uploadUrlToS3(candidate.thumbnailUrl, thumbKey, 'image/jpeg');
+      } else {
+        const thumbBuf = await generateThumbnailBuffer(candidate.url);
+        const thumbKey = `autopilot/queue-thumbs/${Date.now()}_${Math.random().toString(36).slice(2,8)}.jpg`;
+        s3ThumbUrl = await uploadBufferToS3(thumbBuf, thumbKey, 'image/jpeg');
+      }
+    } catch (_) {}
+
+    // Caption: proofread, then add CTA ONLY if not already present anywhere
+    const ctaLine = '⬆️ Fill out the link in bio for info ⬆️';
+    const proof = await proofreadCaptionWithKey(candidate.caption || '', settings.openaiApiKey || null);
+    const body = (proof || '').trim();
+    const hasCta = /\b(link in bio|link in profile)\b/i.test(body) || body.includes('⬆️') || body.includes('⬇️');
+    const finalCaption = hasCta ? body : `${ctaLine}\n\n${body}`.trim();
+
+    // Compute dedupe signals; selection already cached the source thumbnail's hash (services/signalCache)
+    // No hash when the thumbnail can't be read; a URL digest would never match anything visually
+    const { computeHashFromImageUrl, hashVersionOf } = require('../utils/visualHash');
+    const { getSignals } = require('./signalCache');
+    let visualHash = candidate.thumbnailUrl ? (await getSignals(candidate, ['visualHash'])).visualHash : null;
+    if (!visualHash) {
       try {
-        // Prefer IG thumbnail if available; otherwise capture from video
-        if (candidate.thumbnailUrl) {
-          const thumbKey = `autopilot/queue-thumbs/${Date.now()}_${Math.random().toString(36).slice(2,8)}.jpg`;
-          s3ThumbUrl = await uploadUrlToS3(candidate.thumbnailUrl, thumbKey, 'image/jpeg');
-        } else {
-          const thumbBuf = await generateThumbnailBuffer(candidate.url);
-          const thumbKey = `autopilot/queue-thumbs/${Date.now()}_${Math.random().toString(36).slice(2,8)}.jpg`;
-          s3ThumbUrl = await uploadBufferToS3(thumbBuf, thumbKey, 'image/jpeg');
-        }
+        visualHash = await computeHashFromImageUrl(s3ThumbUrl || candidate.url);
       } catch (_) {}
+    }
+    const { normalizeCaption } = require('./candidateBuilder');
+    return {
+      s3Url,
+      s3ThumbUrl,
+      finalCaption,
+      visualHash,
+      hashVersion: hashVersionOf(visualHash) || undefined,
+      videoFingerprint: videoFingerprint || undefined,
+      audioFingerprint: audioFingerprint || undefined,
+      captionNorm: normalizeCaption(candidate.caption || ''),
+      audioKey: audioKeyFor(candidate, audioFingerprint, dedupeCtx, settings),
+      locationKey: candidate.locationKey || undefined,
+      durationSec: typeof candidate.duration === 'number' ? Math.round(candidate.duration) : undefined,
+    };
+  }
 
-      // Caption: proofread, then add CTA ONLY if not already present anywhere
-      const ctaLine = '⬆️ Fill out the link in bio for info ⬆️';
-      const proof = await proofreadCaptionWithKey(candidate.caption || '', settings.openaiApiKey || null);
-      const body = (proof || '').trim();
-      const hasCta = /\b(link in bio|link in profile)\b/i.test(body) || body.includes('⬆️') || body.includes('⬇️');
-      const finalCaption = hasCta ? body : `${ctaLine}\n\n${body}`.trim();
+  async function enqueue(platform, candidate, media, scheduledTime, extra = {}) {
+    await SchedulerQueueModel.create({
+      platform,
+      caption: media.finalCaption,
+      scheduledTime,
+      status: 'scheduled',
+      source: 'autopilot',
+      videoUrl: media.s3Url,
+      s3Url: media.s3Url,
+      thumbnailUrl: media.s3ThumbUrl || candidate.thumbnailUrl || undefined,
+      visualHash: media.visualHash || undefined,
+      hashVersion: media.hashVersion,
+      videoFingerprint: media.videoFingerprint,
+      audioFingerprint: media.audioFingerprint,
+      captionNorm: media.captionNorm,
+      audioKey: media.audioKey,
+      locationKey: media.locationKey,
+      durationSec: media.durationSec,
+      engagement: candidate.engagement,
+      originalVideoId: candidate.id,
+      ...extra,
+    });
+  }
 
-      // Schedule time: use fixed Austin local slots (6–10pm CT) when no optimal slot
-      const scheduledTime = isValidDate(desired) ? desired : new Date(now.getTime() + (existing + i + 1) * 60 * 60 * 1000);
+  async function markUsed(candidate, media) {
+    if (media.videoFingerprint) dedupeCtx.recentFingerprints.push(media.videoFingerprint);
+    if (media.audioFingerprint) dedupeCtx.recentAudio.push({ audioKey: media.audioKey, audioFingerprint: media.audioFingerprint });
+    if (candidate.origin === 'inbox') {
+      try { await require('./inbox').markInboxItem(candidate.id, 'scheduled'); } catch (_) {}
+    }
+    // Block this id for subsequent selections in this run
+    blockedIds.add(candidate.id);
+  }
 
-      // Create ONE queue item for the current platform only (avoid duplicates)
-      // Compute dedupe signals
-      let visualHash = null;
-      try {
-        const { computeAverageHashFromImageUrl } = require('../utils/visualHash');
-        const imgForHash = s3ThumbUrl || candidate.thumbnailUrl || candidate.url;
-        visualHash = await computeAverageHashFromImageUrl(imgForHash);
-      } catch (_) {}
-      if (!visualHash) {
-        const crypto = require('crypto');
-        const basis = (s3ThumbUrl || candidate.thumbnailUrl || candidate.url || String(candidate.id)).toLowerCase();
-        visualHash = crypto.createHash('md5').update(basis).digest('hex');
+  // Open slots per platform over the next 24h
+  const { nextTemplateSlots } = require('./scheduleTemplates');
+  const plans = [];
+  for (const platform of platforms) {
+    const existing = await SchedulerQueueModel.countDocuments({ platform, status: { $in: ['pending','scheduled'] }, scheduledTime: { $gte: now, $lte: tomorrow } });
+    const need = Math.max(0, platformLimits(settings, platform).daily - existing);
+    // Template slots first (schedulerType 'template'), then optimal slots; Austin prime time 6–10pm CT is covered in normalizeOptimalSlots
+    const templateSlots = await nextTemplateSlots(settings, platform, { count: need, from: now, to: tomorrow, SchedulerQueueModel }).catch(() => []);
+    const slotList = [...templateSlots, ...normalizeOptimalSlots(optimal, platform)].slice(0, need);
+    plans.push({ platform, existing, need, slotList });
+  }
+
+  const { groupMembers, newGroupId, memberCaption } = require('./postGroups');
+  const members = groupMembers(settings, platforms);
+  if (members) {
+    // Cross-post groups: one candidate per round, fanned out to every platform that still needs posts
+    const lead = plans[0];
+    const rounds = Math.max(...plans.map(p => p.need));
+    for (let i = 0; i < rounds; i++) {
+      // Every member gets this video, so it is checked against the recent posts of all of them
+      const picked = await selectCandidate();
+      if (!picked) { totalSkipped += 1; skipReasons.push('NO_UNIQUE_CANDIDATE'); break; }
+      const { candidate } = picked;
+      const media = await prepareMedia(candidate, picked.fingerprints);
+      const base = toSlotDate(lead.slotList[i]) || new Date(now.getTime() + (lead.existing + i + 1) * HOUR_MS);
+      const groupId = newGroupId();
+      let queued = 0;
+      for (const member of members) {
+        const plan = plans.find(p => p.platform === member.platform);
+        if (!plan || plan.need <= 0) continue;
+        // Final duplicate guard using last 30 most recent queue items (not time-based)
+        if (await checkQueueCollision(SchedulerQueueModel, member.platform, candidate.id, media.visualHash)) {
+          totalSkipped += 1; skipReasons.push('ALREADY_IN_LAST_30'); continue;
+        }
+        const scheduledTime = planner.place(new Date(base.getTime() + member.offsetMinutes * 60 * 1000), { platform: member.platform, audioKey: media.audioKey, locationKey: media.locationKey });
+        await enqueue(member.platform, candidate, media, scheduledTime, { caption: memberCaption(media.finalCaption, member), groupId });
+        plan.need -= 1;
+        queued += 1;
       }
-      const { normalizeCaption } = require('./candidateBuilder');
-      const captionNorm = normalizeCaption(candidate.caption || '');
-      const audioKey = candidate.audioId || candidate.musicMetadata?.music_product_id || candidate.musicMetadata?.song_name || candidate.musicMetadata?.artist_name || undefined;
-      const durationSec = typeof candidate.duration === 'number' ? Math.round(candidate.duration) : undefined;
-
-      // Final duplicate guard using last 30 most recent queue items (not time-based)
-      const recentQueue = await SchedulerQueueModel.find({ platform })
-        .sort({ createdAt: -1 })
-        .limit(30)
-        .select('originalVideoId visualHash')
-        .lean();
-      const recentIds = new Set((recentQueue || []).map(r => r.originalVideoId).filter(Boolean));
-      const recentHashes = new Set((recentQueue || []).map(r => r.visualHash).filter(Boolean));
-      if (recentIds.has(candidate.id) || (visualHash && recentHashes.has(visualHash))) {
-        totalSkipped += 1; skipReasons.push('ALREADY_IN_LAST_30'); continue;
+      if (queued) {
+        await markUsed(candidate, media);
+        totalEnqueued += queued;
       }
+    }
+  } else {
+    for (const { platform, existing, need, slotList } of plans) {
+      for (let i = 0; i < need; i++) {
+        const desired = toSlotDate(slotList[i]);
+        const picked = await selectCandidate(platform);
+        if (!picked) { totalSkipped += 1; skipReasons.push('NO_UNIQUE_CANDIDATE'); break; }
+        const { candidate } = picked;
+        const media = await prepareMedia(candidate, picked.fingerprints);
+
+        // Final duplicate guard using last 30 most recent queue items (not time-based)
+        if (await checkQueueCollision(SchedulerQueueModel, platform, candidate.id, media.visualHash)) {
+          totalSkipped += 1; skipReasons.push('ALREADY_IN_LAST_30'); continue;
+        }
+
+        // Schedule time: template/optimal slot, else hourly from now; then minimum gap, jitter and same audio/location spacing
+        const scheduledTime = planner.place(desired || new Date(now.getTime() + (existing + i + 1) * HOUR_MS), { platform, audioKey: media.audioKey, locationKey: media.locationKey });
 
-      await SchedulerQueueModel.create({
-        platform,
-        caption: finalCaption,
-        scheduledTime,
-        status: 'scheduled',
-        source: 'autopilot',
-        videoUrl: s3Url,
-        s3Url,
-        thumbnailUrl: s3ThumbUrl || candidate.thumbnailUrl || undefined,
-        visualHash: visualHash || undefined,
-        captionNorm,
-        audioKey,
-        durationSec,
-        engagement: candidate.engagement,
-        originalVideoId: candidate.id
-      });
-
-      // Block this id for subsequent selections in this run
-      blockedIds.add(candidate.id);
-      totalEnqueued += 1;
+        // Create ONE queue item for the current platform only (avoid duplicates)
+        await enqueue(platform, candidate, media, scheduledTime);
+        await markUsed(candidate, media);
+        totalEnqueued += 1;
+      }
     }
   }
 
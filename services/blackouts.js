@@ -0,0 +1,169 @@
+/**
+ * Blackouts - periods when nothing posts (hurricane week, brand pause, holidays)
+ * - Defined as date ranges or imported from an iCalendar (.ics) file
+ * - Date-only bounds are whole local days in settings.timeZone; ranges are [start, end)
+ * - settings.blackoutPolicy: 'push' (default) moves held items to the blackout end, 'skip' drops them
+ */
+
+const mongoose = require('mongoose');
+const { zonedTime, resolveTimeZone } = require('./dateBoundary');
+
+let BlackoutModel;
+try { BlackoutModel = mongoose.model('Blackouts'); } catch (_) {
+  const schema = new mongoose.Schema({
+    name: { type: String, default: 'Blackout' },
+    start: { type: Date, required: true, index: true },
+    end: { type: Date, required: true, index: true },
+    platforms: { type: [String], default: undefined }, // all platforms when unset
+    policy: { type: String, enum: ['push', 'skip'], default: undefined }, // overrides settings.blackoutPolicy
+    source: { type: String, enum: ['manual', 'ics'], default: 'manual' },
+    calendar: String, // .ics import name; re-importing replaces its events
+    uid: String,
+  }, { timestamps: true, collection: 'Blackouts' });
+  BlackoutModel = mongoose.model('Blackouts', schema);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const POLICIES = ['push', 'skip'];
+
+/**
+ * Parse a range bound: ISO instant, or YYYY-MM-DD as local midnight (end dates are inclusive, so the next midnight)
+ */
+function parseBound(value, tz, isEnd) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+  if (m) return zonedTime(Number(m[1]), Number(m[2]), Number(m[3]) + (isEnd ? 1 : 0), 0, 0, tz);
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// ---- iCalendar -------------------------------------------------------------
+
+function unfold(text) {
+  return String(text).replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+}
+
+function isTimeZone(tz) {
+  try { new Intl.DateTimeFormat('en-US', { timeZone: tz }); return true; } catch (_) { return false; }
+}
+
+// TZIDs that are not IANA names (Outlook's "Pacific Standard Time", custom VTIMEZONE ids) fall back to tz and are added to unknownZones
+function parseIcsDate(prop, value, tz, unknownZones) {
+  const params = Object.fromEntries(prop.split(';').slice(1).map(p => p.split('=')));
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!m) return null;
+  const [, y, mo, d, hh, mm, ss, z] = m;
+  if (!hh) return { date: zonedTime(+y, +mo, +d, 0, 0, tz), allDay: true };
+  if (z) return { date: new Date(Date.UTC(+y, +mo - 1, +d, +hh, +mm, +ss)), allDay: false };
+  const tzid = params.TZID ? params.TZID.replace(/^"|"$/g, '') : null;
+  if (tzid && !isTimeZone(tzid)) unknownZones.add(tzid);
+  return { date: zonedTime(+y, +mo, +d, +hh, +mm, tzid && isTimeZone(tzid) ? tzid : tz), allDay: false };
+}
+
+/**
+ * Minimal VEVENT reader: SUMMARY, UID, DTSTART, DTEND/DURATION (days only), RRULE FREQ=YEARLY
+ * @returns {{ events: Array<{ name, start, end, uid }>, ignored: number, unknownTimeZones: string[] }}
+ *   unknownTimeZones: TZIDs that were read in timeZone instead
+ */
+function parseIcs(text, { timeZone, horizonYears = 3 } = {}) {
+  const events = [];
+  const unknownZones = new Set();
+  let ignored = 0;
+  let cur = null;
+  for (const line of unfold(text)) {
+    if (line === 'BEGIN:VEVENT') { cur = {}; continue; }
+    if (line === 'END:VEVENT') {
+      if (cur && cur.start) {
+        const end = cur.end || (cur.allDay ? new Date(cur.start.getTime() + (cur.durationDays || 1) * DAY_MS) : cur.start);
+        const base = { name: cur.summary || 'Blackout', start: cur.start, end, uid: cur.uid };
+        if (!cur.rrule) events.push(base);
+        else if (/FREQ=YEARLY/.test(cur.rrule)) {
+          // COUNT and UNTIL count from DTSTART; only this year through the horizon is emitted, so an old DTSTART still lands
+          const countM = /COUNT=(\d+)/.exec(cur.rrule);
+          const count = countM ? Number(countM[1]) : Infinity;
+          const untilM = /UNTIL=(\d{8})/.exec(cur.rrule);
+          const until = untilM ? new Date(Date.UTC(+untilM[1].slice(0, 4), +untilM[1].slice(4, 6) - 1, +untilM[1].slice(6, 8), 23, 59)) : null;
+          const firstYear = base.start.getUTCFullYear();
+          const thisYear = new Date().getUTCFullYear();
+          for (let year = Math.max(firstYear, thisYear); year <= thisYear + horizonYears && year - firstYear < count; year++) {
+            const start = new Date(base.start); start.setUTCFullYear(year);
+            if (until && start > until) break;
+            events.push({ ...base, start, end: new Date(start.getTime() + (end - base.start)), uid: `${base.uid || base.name}#${start.getUTCFullYear()}` });
+          }
+        } else ignored += 1;
+      } else ignored += 1;
+      cur = null;
+      continue;
+    }
+    if (!cur) continue;
+    const idx = line.indexOf(':');
+    if (idx < 0) continue;
+    const prop = line.slice(0, idx);
+    const value = line.slice(idx + 1);
+    const key = prop.split(';')[0].toUpperCase();
+    if (key === 'SUMMARY') cur.summary = value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ');
+    else if (key === 'UID') cur.uid = value;
+    else if (key === 'RRULE') cur.rrule = value;
+    else if (key === 'DTSTART') { const p = parseIcsDate(prop, value, timeZone, unknownZones); if (p) { cur.start = p.date; cur.allDay = p.allDay; } }
+    else if (key === 'DTEND') { const p = parseIcsDate(prop, value, timeZone, unknownZones); if (p) cur.end = p.date; }
+    else if (key === 'DURATION') { const d = /^P(\d+)D$/.exec(value); if (d) cur.durationDays = Number(d[1]); }
+  }
+  return { events, ignored, unknownTimeZones: [...unknownZones] };
+}
+
+// ---- Lookup ----------------------------------------------------------------
+
+function appliesTo(b, platform) {
+  return !platform || !b.platforms || !b.platforms.length || b.platforms.includes(platform);
+}
+
+/**
+ * Blackout covering `at` for a platform; end is extended through overlapping/adjacent blackouts
+ * @param {Array<Object>} blackouts - preloaded with loadBlackouts
+ * @returns {{ name: string, start: Date, end: Date, policy: string|null, id: string }|null}
+ */
+function findBlackout(blackouts, at, platform) {
+  const t = new Date(at).getTime();
+  const list = (blackouts || []).filter(b => appliesTo(b, platform));
+  const hit = list.find(b => new Date(b.start).getTime() <= t && t < new Date(b.end).getTime());
+  if (!hit) return null;
+  let end = new Date(hit.end).getTime();
+  for (let moved = true; moved;) {
+    moved = false;
+    for (const b of list) {
+      const s = new Date(b.start).getTime(), e = new Date(b.end).getTime();
+      if (s <= end && e > end) { end = e; moved = true; }
+    }
+  }
+  return { id: String(hit._id || ''), name: hit.name, start: new Date(hit.start), end: new Date(end), policy: hit.policy || null };
+}
+
+/**
+ * Blackouts overlapping [from, to]; callers pad `to` so chained blackouts resolve
+ */
+async function loadBlackouts(from, to) {
+  return BlackoutModel.find({ start: { $lt: to }, end: { $gt: from } }).sort({ start: 1 }).lean();
+}
+
+async function getActiveBlackout(at = new Date(), platform) {
+  const list = await loadBlackouts(new Date(at.getTime() - DAY_MS), new Date(at.getTime() + 60 * DAY_MS));
+  return findBlackout(list, at, platform);
+}
+
+function blackoutPolicy(settings, blackout) {
+  const p = (blackout && blackout.policy) || (settings && settings.blackoutPolicy);
+  return POLICIES.includes(p) ? p : 'push';
+}
+
+/**
+ * Replace all events of one calendar with the contents of an .ics file
+ */
+async function importIcs(text, { calendar, settings, platforms, policy }) {
+  const { events, ignored, unknownTimeZones } = parseIcs(text, { timeZone: resolveTimeZone(settings) });
+  await BlackoutModel.deleteMany({ source: 'ics', calendar });
+  const docs = events.filter(e => e.end > e.start).map(e => ({ ...e, source: 'ics', calendar, platforms, policy }));
+  if (docs.length) await BlackoutModel.insertMany(docs);
+  if (unknownTimeZones.length) console.warn(`⚠️ [BLACKOUTS] ${calendar}: unknown TZID ${unknownTimeZones.join(', ')}, read in settings.timeZone`);
+  return { calendar, imported: docs.length, ignored: ignored + (events.length - docs.length), unknownTimeZones };
+}
+
+module.exports = { BlackoutModel, POLICIES, parseBound, parseIcs, findBlackout, loadBlackouts, getActiveBlackout, blackoutPolicy, importIcs };
@@ -0,0 +1,129 @@
+/**
+ * Burst windows - burstModeConfig.windows: [{ name, days, startTime, endTime, platforms, postsPerHour, maxTotal,
+ *   preloadMinutes, scrapeLimit, autoOffAfterWindow, enabled }]
+ * - A config without `windows` is read as one window from its startTime/endTime (legacy shape)
+ * - Window fields fall back to the top-level burstModeConfig values
+ * - days use the schedule template syntax ('mon-fri', 'sat', 0-6) and apply to the day the window opens
+ * - Overnight windows (endTime <= startTime) close the next day
+ */
+
+const { zonedParts, zonedTime, resolveTimeZone } = require('./dateBoundary');
+
+function toMinutes(hhmm) {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return (h || 0) * 60 + (m || 0);
+}
+
+function isHhmm(v) {
+  return /^\d{1,2}:\d{2}$/.test(String(v || ''));
+}
+
+/**
+ * @returns {Array<Object>} normalized, enabled windows in config order (earlier windows win on overlap)
+ */
+function listBurstWindows(settings) {
+  const cfg = (settings && settings.burstModeConfig) || {};
+  const legacy = !(Array.isArray(cfg.windows) && cfg.windows.length);
+  const raw = legacy ? [cfg] : cfg.windows;
+  const { parseDays } = require('./scheduleTemplates');
+  const out = [];
+  raw.forEach((w, i) => {
+    if (!w || w.enabled === false || !isHhmm(w.startTime) || !isHhmm(w.endTime)) return;
+    let days = null;
+    try { if (w.days !== undefined && w.days !== null) days = parseDays(w.days); } catch (_) { return; }
+    const pick = (k) => (w[k] !== undefined ? w[k] : cfg[k]);
+    const platforms = pick('platforms');
+    out.push({
+      id: String(w.id || w.name || (legacy ? 'default' : `window-${i}`)),
+      name: w.name || (legacy ? 'Burst' : `Window ${i + 1}`),
+      days,
+      startTime: String(w.startTime),
+      endTime: String(w.endTime),
+      platforms: Array.isArray(platforms) && platforms.length ? platforms : null,
+      postsPerHour: typeof pick('postsPerHour') === 'number' ? pick('postsPerHour') : undefined,
+      maxTotal: typeof pick('maxTotal') === 'number' ? pick('maxTotal') : undefined,
+      preloadMinutes: Number(pick('preloadMinutes') ?? 10),
+      scrapeLimit: Number(pick('scrapeLimit') ?? 50),
+      autoOffAfterWindow: pick('autoOffAfterWindow') === true,
+    });
+  });
+  return out;
+}
+
+/**
+ * Concrete openings of every window that overlap [from, to]
+ * @returns {Array<{ window: Object, startAt: Date, endAt: Date, key: string }>} ordered by window, then start
+ */
+function windowOccurrences(settings, from, to) {
+  const tz = resolveTimeZone(settings);
+  const p = zonedParts(from, tz);
+  const days = Math.ceil((to.getTime() - from.getTime()) / (24 * 60 * 60 * 1000)) + 1;
+  const out = [];
+  for (const win of listBurstWindows(settings)) {
+    const [sh, sm] = win.startTime.split(':').map(Number);
+    const [eh, em] = win.endTime.split(':').map(Number);
+    const overnight = toMinutes(win.endTime) <= toMinutes(win.startTime);
+    for (let i = -1; i <= days; i++) {
+      const day = new Date(Date.UTC(p.year, p.month - 1, p.day + i)); // UTC fields = local calendar day
+      if (win.days && !win.days.includes(day.getUTCDay())) continue;
+      const y = day.getUTCFullYear(), m = day.getUTCMonth() + 1, d = day.getUTCDate();
+      const startAt = zonedTime(y, m, d, sh, sm, tz);
+      const endAt = zonedTime(y, m, d + (overnight ? 1 : 0), eh, em, tz);
+      if (endAt > from && startAt <= to) out.push({ window: win, startAt, endAt, key: `${win.id}@${startAt.toISOString()}` });
+    }
+  }
+  return out;
+}
+
+/**
+ * Window open at `at`, regardless of burstModeEnabled
+ */
+function activeBurstOccurrence(settings, at = new Date()) {
+  return windowOccurrences(settings, at, at).find(o => o.startAt <= at && at < o.endAt) || null;
+}
+
+function nextBurstOccurrence(settings, at = new Date()) {
+  const within = windowOccurrences(settings, at, new Date(at.getTime() + 8 * 24 * 60 * 60 * 1000));
+  return within.filter(o => o.endAt > at).sort((a, b) => a.startAt - b.startAt)[0] || null;
+}
+
+/**
+ * Preload and auto-off due since the last housekeeping run
+ * @param {Object} settings
+ * @param {Date} now
+ * @param {{ lastRunAt?: string|Date, preloaded?: string[] }} state - settings.burstModeState
+ * @returns {{ preload: Array<Object>, autoOff: Array<Object> }} occurrences
+ */
+function planBurstHousekeeping(settings, now, state = {}) {
+  if (!settings || !settings.burstModeEnabled) return { preload: [], autoOff: [] };
+  const since = state.lastRunAt ? new Date(state.lastRunAt) : new Date(now.getTime() - 2 * 60 * 1000);
+  const done = new Set(state.preloaded || []);
+  const around = windowOccurrences(settings, new Date(Math.min(since.getTime(), now.getTime() - 60 * 1000)), new Date(now.getTime() + 24 * 60 * 60 * 1000));
+  const preload = around.filter(o => o.window.preloadMinutes > 0 && !done.has(o.key)
+    && o.startAt.getTime() - o.window.preloadMinutes * 60 * 1000 <= now.getTime() && now < o.startAt);
+  const autoOff = around.filter(o => o.window.autoOffAfterWindow && o.endAt > since && o.endAt <= now);
+  return { preload, autoOff };
+}
+
+/**
+ * @returns {string|null} first problem with a burstModeConfig body
+ */
+function validateBurstConfig(cfg) {
+  if (!cfg || typeof cfg !== 'object') return 'config must be an object';
+  if (cfg.windows === undefined) return null;
+  if (!Array.isArray(cfg.windows)) return 'windows must be an array';
+  const { parseDays } = require('./scheduleTemplates');
+  for (const [i, w] of cfg.windows.entries()) {
+    if (!w || !isHhmm(w.startTime) || !isHhmm(w.endTime)) return `windows[${i}] needs startTime and endTime as HH:MM`;
+    if (w.days !== undefined && w.days !== null) {
+      try { parseDays(w.days); } catch (e) { return `windows[${i}]: ${e.message}`; }
+    }
+    for (const k of ['postsPerHour', 'maxTotal', 'preloadMinutes', 'scrapeLimit']) {
+      if (w[k] !== undefined && (typeof w[k] !== 'number' || w[k] < 0)) return `windows[${i}].${k} must be a non-negative number`;
+    }
+    if (w.platforms !== undefined && !Array.isArray(w.platforms)) return `windows[${i}].platforms must be an array`;
+  }
+  return null;
+}
+
+module.exports = { validateBurstConfig, listBurstWindows, windowOccurrences, activeBurstOccurrence, nextBurstOccurrence, planBurstHousekeeping };
@@ -12,10 +12,10 @@ function normalizeCaption(input: string = ''): string {
   return noPunct.replace(/\s+/g, ' ').trim();
 }
 
-async function computeVisualHashFromUrl(imageOrVideoUrl: string): Promise<string> {
-  const { computeAverageHashFromImageUrl } = require('../utils/visualHash');
-  // Prefer image thumbnail URL for stability
-  return await computeAverageHashFromImageUrl(imageOrVideoUrl);
+// Read through services/signalCache; prefer the image thumbnail URL for stability
+async function cachedVisualHash(item: { id?: string; url?: string; thumbnailUrl?: string }): Promise<string | undefined> {
+  const { getSignals } = require('./signalCache');
+  return (await getSignals(item, ['visualHash'])).visualHash || undefined;
 }
 
 async function getSettingsModel() {
@@ -29,22 +29,23 @@ async function getSettingsModel() {
 async function upsertPostSignals(platform: Platform, externalPostId: string, postedAt: Date | string | undefined, signals: { visualHash?: string; audioKey?: string; captionNorm?: string; durationSec?: number; thumbUrl?: string }) {
   try {
     const { PostModel } = require('../models/Post');
+    const { hashVersionOf } = require('../utils/visualHash');
     const postedAtDate = postedAt ? new Date(postedAt) : new Date();
+    const hashVersion = hashVersionOf(signals.visualHash) || undefined;
     await PostModel.updateOne(
       { platform, externalPostId },
-      { $set: { platform, externalPostId, postedAt: postedAtDate, ...signals } },
+      { $set: { platform, externalPostId, postedAt: postedAtDate, ...signals, hashVersion } },
       { upsert: true }
     );
   } catch {}
 }
 
 async function fetchLast30Instagram(settings: any) {
-  const { scrapeInstagramEngagement, generateThumbnailHash } = require('../utils/instagramScraper');
+  const { scrapeInstagramEngagement } = require('../utils/instagramScraper');
   const list = await scrapeInstagramEngagement(settings.igBusinessId, settings.instagramToken, 30);
   const out: Array<{ visualHash?: string; audioKey?: string; captionNorm?: string; durationSec?: number; postedAt?: Date; thumbUrl?: string } & { externalPostId: string; url: string; thumbnailUrl?: string; caption?: string; duration?: number } > = [];
   for (const v of list) {
-    let vh: string | undefined;
-    try { vh = await generateThumbnailHash(v.thumbnailUrl || v.url); } catch {}
+    const vh = await cachedVisualHash({ id: v.id, url: v.url, thumbnailUrl: v.thumbnailUrl });
     const audioKey = v.audioId || v.musicMetadata?.music_product_id || v.musicMetadata?.song_name || v.musicMetadata?.artist_name || undefined;
     const captionNorm = normalizeCaption(v.caption || '');
     const durationSec = typeof v.duration === 'number' ? Math.round(v.duration) : undefined;
@@ -104,8 +105,7 @@ async function fetchLast30YouTube(settings: any) {
       const h = parseInt(m[1] || '0', 10), mm = parseInt(m[2] || '0', 10), s = parseInt(m[3] || '0', 10);
       return h * 3600 + mm * 60 + s;
     })();
-    let vh: string | undefined;
-    try { vh = await computeVisualHashFromUrl(thumb); } catch {}
+    const vh = await cachedVisualHash({ id, thumbnailUrl: thumb });
     const captionNorm = normalizeCaption(caption);
     await upsertPostSignals('youtube', id, snippet?.publishedAt, { visualHash: vh, captionNorm, durationSec: durSec, thumbUrl: thumb });
     results.push({ externalPostId: id, thumbnailUrl: thumb, caption, durationSec: durSec, visualHash: vh, captionNorm, postedAt: snippet?.publishedAt });
@@ -118,12 +118,6 @@ function captionSimilarity(a: string, b: string): number {
   return compareTwoStrings(a || '', b || '');
 }
 
-function hamming(a?: string, b?: string): number {
-  if (!a || !b || a.length !== b.length) return Infinity;
-  let d = 0; for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) d++;
-  return d;
-}
-
 export async function buildAndPostOnce(platform: Platform): Promise<any> {
   const Settings = await getSettingsModel();
   const settings = await Settings.findOne({});
@@ -131,7 +125,8 @@ export async function buildAndPostOnce(platform: Platform): Promise<any> {
 
   // Load last-30 from platform
   const last30 = platform === 'instagram' ? await fetchLast30Instagram(settings) : await fetchLast30YouTube(settings);
-  const lastVisuals = last30.map(x => x.visualHash).filter(Boolean) as string[];
+  const { createHashIndex } = require('../utils/hashIndex');
+  const lastVisuals = createHashIndex(last30.map(x => x.visualHash).filter(Boolean) as string[]);
   const lastCaptions = last30.map(x => x.captionNorm || '');
   const lastDurations = last30.map(x => x.durationSec).filter((n: any) => typeof n === 'number') as number[];
 
@@ -155,15 +150,13 @@ export async function buildAndPostOnce(platform: Platform): Promise<any> {
 
   for (const v of candidates.sort((a, b) => b.engagement - a.engagement)) {
     // Compute candidate signals
-    const thumb = v.thumbnailUrl || v.url;
-    let vh: string | undefined;
-    try { vh = await computeVisualHashFromUrl(thumb); } catch {}
+    const vh = await cachedVisualHash({ id: v.id, url: v.url, thumbnailUrl: v.thumbnailUrl });
     const audioKey = v.audioId || v.musicMetadata?.music_product_id || v.musicMetadata?.song_name || v.musicMetadata?.artist_name || undefined;
     const captionNorm = normalizeCaption(v.caption || '');
     const durationSec = typeof v.duration === 'number' ? Math.round(v.duration) : undefined;
 
     // Decision rule
-    const visualClash = vh ? lastVisuals.some(p => hamming(vh, p) <= VISUAL_MAX) : false;
+    const visualClash = vh ? lastVisuals.has(vh, VISUAL_MAX) : false;
     const captionClash = lastCaptions.some(c => captionSimilarity(captionNorm, c) >= CAPTION_MIN);
     const durationNear = typeof durationSec === 'number' ? lastDurations.some(d => Math.abs(d - durationSec) <= 1) : false;
     const audioClash = !!audioKey && last30.some(x => x.audioKey && x.audioKey === audioKey);
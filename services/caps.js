@@ -0,0 +1,200 @@
+/**
+ * Posting caps shared by the cron tick, queue edits, refill, autopilot and postOnce
+ * - Each platform has its own daily and hourly cap: settings.platformLimits[platform] = { daily, hourly }
+ * - Unset values fall back to settings.dailyLimit || settings.maxPosts (default 5) and AUTOPILOT_MAX_PER_HOUR || settings.hourlyLimit (default 6)
+ * - settings.dailyLimit used to be one total shared by all platforms; it is now each platform's default daily cap
+ * - migrateMaxPosts carries dailyLimit (else the old settings.maxPosts) into platformLimits once, at startup
+ * - Days follow settings.timeZone
+ * - Inside a burst window (services/burstWindows) its postsPerHour replaces the hourly cap and maxTotal can raise the daily cap
+ */
+
+const { startOfDay, resolveTimeZone } = require('./dateBoundary');
+
+function hhmmInTz(d, tz) {
+  const fmt = new Intl.DateTimeFormat('en-US', { timeZone: tz || 'America/Chicago', hour: '2-digit', minute: '2-digit', hour12: false });
+  const parts = fmt.formatToParts(d).reduce((a,p)=>(a[p.type]=p.value,a),{});
+  return `${parts.hour}:${parts.minute}`;
+}
+
+function isInWindow(now, start, end, tz) {
+  const cur = hhmmInTz(now, tz);
+  return (start <= end)
+    ? (cur >= start && cur < end)
+    : (cur >= start || cur < end); // overnight window
+}
+
+// Platforms with limits: every enabled provider (services/providers) plus anything configured in settings.platformLimits
+function knownPlatforms(settings) {
+  const { enabledPlatforms } = require('./providers');
+  return [...new Set([...enabledPlatforms(settings || {}), ...Object.keys(settings?.platformLimits || {})])];
+}
+
+/**
+ * Daily/hourly caps for one platform outside any burst window
+ * @returns {{ daily: number, hourly: number }}
+ */
+function basePlatformLimits(settings, platform) {
+  const own = (settings?.platformLimits || {})[platform] || {};
+  return {
+    daily: Number(own.daily ?? (settings?.dailyLimit || settings?.maxPosts || 5)),
+    hourly: Number(own.hourly ?? (process.env.AUTOPILOT_MAX_PER_HOUR || settings?.hourlyLimit || 6)),
+  };
+}
+
+/**
+ * Caps in force at a given instant
+ * @returns {{ platforms: Object<string, { daily: number, hourly: number }>, inBurst: boolean, burstPlatforms: string[]|null, burstWindow: Object|null }}
+ *   burstWindow: { id, name, startAt, endAt, maxTotal } of the open window
+ */
+function resolveCaps(settings, at = new Date()) {
+  const { activeBurstOccurrence } = require('./burstWindows');
+  const occ = settings?.burstModeEnabled ? activeBurstOccurrence(settings, at) : null;
+  const win = occ ? occ.window : null;
+  const platforms = {};
+  for (const platform of knownPlatforms(settings)) {
+    const limits = basePlatformLimits(settings, platform);
+    if (win && (!win.platforms || win.platforms.includes(platform))) {
+      if (typeof win.postsPerHour === 'number') limits.hourly = Number(win.postsPerHour);
+      if (typeof win.maxTotal === 'number') limits.daily = Math.max(limits.daily, Number(win.maxTotal));
+    }
+    platforms[platform] = limits;
+  }
+  return {
+    platforms,
+    inBurst: !!win,
+    burstPlatforms: win ? win.platforms : null,
+    burstWindow: win ? { id: win.id, name: win.name, startAt: occ.startAt, endAt: occ.endAt, maxTotal: win.maxTotal } : null,
+  };
+}
+
+/**
+ * Caps for a platform from resolveCaps output (unknown platforms get the settings defaults)
+ */
+function capsFor(caps, settings, platform) {
+  return caps.platforms[platform] || basePlatformLimits(settings, platform);
+}
+
+/**
+ * @returns {string|null} first problem with a settings.platformLimits body
+ */
+function validatePlatformLimits(limits) {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) return 'platformLimits must be an object keyed by platform';
+  for (const [platform, l] of Object.entries(limits)) {
+    if (!l || typeof l !== 'object') return `platformLimits.${platform} must be an object`;
+    for (const k of ['daily', 'hourly']) {
+      if (l[k] !== undefined && l[k] !== null && (typeof l[k] !== 'number' || l[k] < 0)) return `platformLimits.${platform}.${k} must be a non-negative number`;
+    }
+  }
+  return null;
+}
+
+function platformLimits(settings, platform, at = new Date()) {
+  return capsFor(resolveCaps(settings, at), settings, platform);
+}
+
+function dayKey(d, tz) {
+  return startOfDay(d, tz).getTime();
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Check that moving queue items to new times keeps every affected platform hour/day within caps
+ * and every moved item within the spacing policy (services/spacing).
+ * The hourly cap is a rolling 60 minutes, as the cron tick and the simulator count it: any post's trailing hour
+ * that includes a moved item may not hold more than the cap.
+ * Only windows touched by a moved item are reported, so pre-existing overloads elsewhere do not block an edit.
+ * @param {any} SchedulerQueueModel
+ * @param {Object} settings
+ * @param {Map<string, Date>} moves - queue item id -> new scheduledTime
+ * @returns {Promise<{ ok: boolean, violations: Array<Object> }>}
+ */
+async function validateMoves(SchedulerQueueModel, settings, moves) {
+  if (!moves.size) return { ok: true, violations: [] };
+  const tz = resolveTimeZone(settings);
+  const times = [...moves.values()].map(d => d.getTime());
+  const from = new Date(dayKey(Math.min(...times), tz));
+  const to = new Date(dayKey(Math.max(...times) + 24 * 60 * 60 * 1000, tz));
+  const { spacingPolicy, spacingConflict } = require('./spacing');
+  const policy = spacingPolicy(settings);
+  const postedSince = new Date(Math.min(from.getTime(), Math.min(...times) - Math.max(policy.sameAudioHours, policy.sameLocationHours, 24) * 60 * 60 * 1000));
+
+  const [upcoming, posted] = await Promise.all([
+    SchedulerQueueModel.find({ status: { $in: ['scheduled', 'pending', 'processing'] } }).select('_id platform scheduledTime audioKey locationKey').lean(),
+    SchedulerQueueModel.find({ status: { $in: ['posted', 'completed'] }, postedAt: { $gte: postedSince, $lt: to } }).select('_id platform postedAt audioKey locationKey').lean(),
+  ]);
+
+  const entries = [];
+  for (const it of upcoming) {
+    const id = String(it._id);
+    const at = moves.has(id) ? moves.get(id) : new Date(it.scheduledTime);
+    entries.push({ id, platform: it.platform, at, moved: moves.has(id), audioKey: it.audioKey, locationKey: it.locationKey });
+  }
+  for (const it of posted) entries.push({ id: String(it._id), platform: it.platform, at: new Date(it.postedAt), moved: false, audioKey: it.audioKey, locationKey: it.locationKey });
+
+  const dayBuckets = new Map();
+  for (const e of entries) {
+    const dk = `${e.platform}|${dayKey(e.at, tz)}`;
+    if (!dayBuckets.has(dk)) dayBuckets.set(dk, []);
+    dayBuckets.get(dk).push(e);
+  }
+
+  const violations = [];
+  // Trailing hour (at - 60min, at] of every post, like the cron tick's postedAt > hourAgo; one report per moved item
+  for (const m of entries.filter(e => e.moved)) {
+    const t = m.at.getTime();
+    const same = entries.filter(e => e.platform === m.platform);
+    let worst = null;
+    for (const anchor of same) {
+      const end = anchor.at.getTime();
+      if (end < t || end >= t + HOUR_MS) continue;
+      const count = same.filter(e => e.at.getTime() > end - HOUR_MS && e.at.getTime() <= end).length;
+      const { hourly } = platformLimits(settings, m.platform, anchor.at);
+      if (count > hourly && (!worst || count > worst.count)) worst = { end, count, cap: hourly };
+    }
+    if (worst) {
+      violations.push({ type: 'hourly', platform: m.platform, hour: new Date(worst.end - HOUR_MS).toISOString(), count: worst.count, cap: worst.cap, ids: [m.id] });
+    }
+  }
+  for (const [dk, list] of dayBuckets) {
+    const moved = list.filter(e => e.moved);
+    if (!moved.length) continue;
+    const [platform, ms] = dk.split('|');
+    // Daily cap can be raised by a burst window anywhere in that day
+    const cap = Math.max(...list.map(e => platformLimits(settings, platform, e.at).daily));
+    if (list.length > cap) {
+      violations.push({ type: 'daily', platform, day: new Date(Number(ms)).toISOString(), count: list.length, cap, ids: moved.map(e => e.id) });
+    }
+  }
+  const taken = entries.map(e => ({ id: e.id, platform: e.platform, at: e.at.getTime(), audioKey: e.audioKey, locationKey: e.locationKey }));
+  for (const e of entries.filter(x => x.moved)) {
+    const conflict = spacingConflict(e, e.at, taken, policy, settings);
+    if (conflict) {
+      violations.push({ type: 'spacing', platform: e.platform, reason: conflict.reason, at: e.at.toISOString(), conflictId: conflict.conflictId, ids: [e.id] });
+    }
+  }
+  return { ok: violations.length === 0, violations };
+}
+
+/**
+ * Pin the legacy cap as each enabled platform's daily cap while no per-platform limits are configured.
+ * dailyLimit wins when stored; otherwise settings.maxPosts (the old per-platform cap for autopilot, postOnce and
+ * scheduler status). Note dailyLimit changed meaning: it was a total across platforms and is now applied per platform.
+ * @returns {Promise<boolean>} whether settings were updated
+ */
+async function migrateMaxPosts(SettingsModel) {
+  const settings = await SettingsModel.findOne({}).lean();
+  if (!settings || Object.keys(settings.platformLimits || {}).length) return false;
+  const field = Number(settings.dailyLimit) > 0 ? 'dailyLimit' : 'maxPosts';
+  const daily = Number(settings[field]);
+  if (!(daily > 0)) return false;
+  const { enabledPlatforms } = require('./providers');
+  const platforms = enabledPlatforms(settings);
+  if (!platforms.length) return false;
+  const platformLimits = Object.fromEntries(platforms.map(p => [p, { daily }]));
+  await SettingsModel.updateOne({ _id: settings._id }, { $set: { platformLimits } });
+  console.log(`🛠️ [MIGRATION] Copied ${field}=${daily} into platformLimits as the daily cap of ${platforms.join(', ')}`);
+  return true;
+}
+
+module.exports = { resolveCaps, capsFor, platformLimits, knownPlatforms, validatePlatformLimits, validateMoves, migrateMaxPosts, isInWindow, hhmmInTz };
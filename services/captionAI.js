@@ -493,4 +493,100 @@ ${originalCaption}
   }
 }
 
-module.exports.proofreadCaptionWithKey = proofreadCaptionWithKey;
\ No newline at end of file
+module.exports.proofreadCaptionWithKey = proofreadCaptionWithKey;
+const CAPTION_STYLES = {
+  clickbait: {
+    instruction: 'Open with a short curiosity hook (a question or a bold claim) that makes people stop scrolling, then keep the key details.',
+    fallbackHook: 'You will not believe this one 👀',
+  },
+  informational: {
+    instruction: 'Lead with the concrete facts (location, features, price or numbers if present) in a clear, helpful tone. No hype.',
+    fallbackHook: 'Here is what you need to know 📋',
+  },
+  emotional: {
+    instruction: 'Speak to how it feels to live there (home, family, dreams) in a warm, personal tone.',
+    fallbackHook: 'Imagine coming home to this ❤️',
+  },
+};
+
+/**
+ * Generate ONE caption variant in the given style (each style is a separate request)
+ * - Keeps hashtags, removes dashes/bullets, ensures the link-in-bio CTA
+ * - Without a key (or on API failure) prefixes a style hook to the cleaned original
+ * @param {string} originalCaption
+ * @param {'clickbait'|'informational'|'emotional'} style
+ * @param {string} openaiApiKey
+ * @returns {Promise<string>}
+ */
+async function generateCaptionVariant(originalCaption = '', style, openaiApiKey) {
+  const spec = CAPTION_STYLES[style];
+  if (!spec) throw new Error(`Unknown caption style: ${style}`);
+  const fallback = () => keepOriginalCaptionWithCTA(`${spec.fallbackHook}\n\n${originalCaption || ''}`);
+  try {
+    if (!openaiApiKey) return fallback();
+    const prompt = `Rewrite this real estate Instagram caption in a ${style} style.
+Rules:
+- ${spec.instruction}
+- Keep ALL hashtags exactly as-is.
+- Do not use dashes or bullet points.
+- Keep it under 600 characters before hashtags.
+- Output ONLY the caption text with no wrapping quotes.
+
+Caption:
+"""
+${originalCaption}
+"""`;
+
+    const response = await fetch('https://api.openai.com/v1/chat/completions', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${openaiApiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: 'gpt-4o-mini',
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: 800,
+        temperature: 0.8
+      })
+    });
+    if (!response.ok) {
+      console.error(`❌ [AI CAPTION] ${style} variant failed:`, response.status);
+      return fallback();
+    }
+    const data = await response.json();
+    const out = data.choices?.[0]?.message?.content?.trim();
+    return out ? keepOriginalCaptionWithCTA(out) : fallback();
+  } catch (error) {
+    console.error(`❌ [AI CAPTION] ${style} variant error:`, error.message);
+    return fallback();
+  }
+}
+
+module.exports.CAPTION_STYLES = Object.keys(CAPTION_STYLES);
+module.exports.generateCaptionVariant = generateCaptionVariant;
+
+/**
+ * Rank audio by how often it backs top-performing candidates (engagement-weighted)
+ * @param {Object} settings
+ * @param {{ exclude?: string[], limit?: number }} options
+ * @returns {Promise<Array<{ audioKey: string, uses: number, score: number }>>}
+ */
+async function rankTrendingAudio(settings, options = {}) {
+  const { getCandidatePool } = require('./sources');
+  const exclude = new Set((options.exclude || []).filter(Boolean).map(String));
+  const pool = await getCandidatePool(settings, { limit: 200 });
+  const byKey = new Map();
+  for (const c of pool) {
+    if (!c.audioKey || exclude.has(c.audioKey)) continue;
+    const cur = byKey.get(c.audioKey) || { audioKey: c.audioKey, uses: 0, score: 0 };
+    cur.uses += 1;
+    cur.score += Number(c.engagement || 0);
+    byKey.set(c.audioKey, cur);
+  }
+  return [...byKey.values()]
+    .sort((a, b) => (b.uses - a.uses) || (b.score - a.score))
+    .slice(0, Number(options.limit || 10));
+}
+
+module.exports.rankTrendingAudio = rankTrendingAudio;
@@ -10,7 +10,10 @@ const cron = require('node-cron');
 const { executeScheduledPost } = require('./postExecutor');
 const fetch = require('node-fetch');
 const { acquireLock, releaseLock } = require('./locks');
-const { hammingDistanceHex } = require('../utils/visualHash');
+const { isPostDue, startOfDay, endOfDay, duplicateSettings, evaluateTick, evaluateItem } = require('./schedulerPolicy');
+const { resolveTimeZone } = require('./dateBoundary');
+const { resolveCaps } = require('./caps');
+const { createHashIndex } = require('../utils/hashIndex');
 const mongoose = require('mongoose');
 let SchedulerQueueModel;
 try { SchedulerQueueModel = mongoose.model('SchedulerQueue'); } catch (_) {
@@ -20,18 +23,6 @@ try { SchedulerQueueModel = mongoose.model('SchedulerQueue'); } catch (_) {
   } catch {}
 }
 
-// ✅ Timezone-safe post due checker
-function isPostDueNow(scheduledTime) {
-  const now = new Date();
-  const scheduled = new Date(scheduledTime);
-  
-  // Buffer of ±3 minutes to allow for cron job timing imprecision
-  const bufferMs = 3 * 60 * 1000; // 3 minutes in milliseconds
-  const timeDiff = Math.abs(now.getTime() - scheduled.getTime());
-  
-  return timeDiff <= bufferMs || scheduled <= now;
-}
-
 /**
  * Smart Autopilot Refill System - Maintains queue at target level
  * @param {Object} SchedulerQueueModel - Mongoose model for queue
@@ -48,12 +39,14 @@ async function triggerAutopilotRefill(SchedulerQueueModel, SettingsModel) {
       return;
     }
     
-    // Check current queue count
+    // Check current queue count (refill schedules Instagram, so its daily limit is the target)
     const currentQueueCount = await SchedulerQueueModel.countDocuments({ 
+      platform: 'instagram',
       status: 'scheduled' 
     });
     
-    const targetCount = settings.maxPosts || 5;
+    const { platformLimits } = require('./caps');
+    const targetCount = platformLimits(settings, 'instagram').daily;
     const refillThreshold = Math.max(1, Math.floor(targetCount * 0.6)); // Refill when 60% empty
     
     console.log(`📊 [REFILL] Queue: ${currentQueueCount}/${targetCount} (threshold: ${refillThreshold})`);
@@ -88,6 +81,38 @@ async function triggerAutopilotRefill(SchedulerQueueModel, SettingsModel) {
   }
 }
 
+/**
+ * Burst window preload and auto-off (services/burstWindows)
+ * - Preload: one refill per window opening, once we are within preloadMinutes of its start
+ * - Auto-off: burst mode is switched off when a window with autoOffAfterWindow closes
+ * - settings.burstModeState remembers the last run and preloaded openings, so missed ticks catch up
+ */
+async function runBurstHousekeeping(SettingsModel, now) {
+  const { planBurstHousekeeping } = require('./burstWindows');
+  const s = await SettingsModel.findOne({}).lean();
+  const state = (s && s.burstModeState) || {};
+  const { preload, autoOff } = planBurstHousekeeping(s, now, state);
+  const preloaded = [...(state.preloaded || [])];
+
+  for (const occ of preload) {
+    console.log(`🚀 [BURST] Preloading queue for "${occ.window.name}" opening ${occ.startAt.toISOString()}`);
+    try {
+      const baseUrl = process.env.NODE_ENV === 'production' ? 'https://lifestyle-design-backend-v2-clean.onrender.com' : 'http://localhost:3001';
+      await fetch(`${baseUrl}/api/autopilot/refill`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ scrapeLimit: occ.window.scrapeLimit }) });
+    } catch (e) {
+      console.warn('⚠️ [BURST] Preload refill failed:', e?.message || e);
+    }
+    preloaded.push(occ.key);
+  }
+
+  const set = { burstModeState: { lastRunAt: now, preloaded: preloaded.slice(-20) } };
+  if (autoOff.length) {
+    console.log(`🌙 [BURST] Window "${autoOff[0].window.name}" closed, turning burst mode off`);
+    set.burstModeEnabled = false;
+  }
+  await SettingsModel.updateOne({}, { $set: set });
+}
+
 /**
  * Main cron scheduler function - checks and executes due posts
  * @param {Object} SchedulerQueueModel - Mongoose model for queue
@@ -123,6 +148,9 @@ async function checkAndExecuteDuePosts(SchedulerQueueModel, SettingsModel) {
     
     // Get current time
     const now = new Date();
+
+    // Burst preload/auto-off run here so /api/scheduler/tick honours them too
+    try { await runBurstHousekeeping(SettingsModel, now); } catch (e) { console.warn('⚠️ [BURST] Housekeeping failed:', e?.message || e); }
     
     // Find posts that are scheduled and filter by timezone-safe due check
     const allScheduledPosts = await SchedulerQueueModel.find({
@@ -130,7 +158,7 @@ async function checkAndExecuteDuePosts(SchedulerQueueModel, SettingsModel) {
     }).sort({ scheduledTime: 1 }); // Oldest first
     
     // ✅ Filter using timezone-safe due checker
-    const duePosts = allScheduledPosts.filter(post => isPostDueNow(post.scheduledTime));
+    const duePosts = allScheduledPosts.filter(post => isPostDue(post.scheduledTime, now));
     
     if (duePosts.length === 0) {
       console.log('⏰ [CRON] No posts due at this time');
@@ -146,69 +174,87 @@ async function checkAndExecuteDuePosts(SchedulerQueueModel, SettingsModel) {
       return;
     }
     
-    // Enforce per-hour caps per platform (defaults)
-    let perHourCap = Number(process.env.AUTOPILOT_MAX_PER_HOUR || settings?.hourlyLimit || 6);
-    let dailyLimit = Number(settings?.dailyLimit || settings?.maxPosts || 5);
-
-    // Burst Mode window check using America/Chicago wall time
-    function hhmmInTz(d, tz) {
-      const fmt = new Intl.DateTimeFormat('en-US', { timeZone: tz || 'America/Chicago', hour: '2-digit', minute: '2-digit', hour12: false });
-      const parts = fmt.formatToParts(d).reduce((a,p)=>(a[p.type]=p.value,a),{});
-      return `${parts.hour}:${parts.minute}`;
-    }
-    function isInWindow(now, start, end, tz) {
-      const cur = hhmmInTz(now, tz);
-      return (start <= end)
-        ? (cur >= start && cur < end)
-        : (cur >= start || cur < end); // overnight window
+    // Caps and burst window (services/schedulerPolicy, shared with the simulator)
+    // Posts since the open burst window started count against its maxTotal
+    let postedInWindow = 0;
+    const { burstWindow: openWindow, burstPlatforms } = resolveCaps(settings, now);
+    if (openWindow) {
+      try {
+        const q = { status: { $in: ['posted','completed'] }, postedAt: { $gte: openWindow.startAt } };
+        if (burstPlatforms) q.platform = { $in: burstPlatforms };
+        postedInWindow = await SchedulerQueueModel.countDocuments(q);
+      } catch(_) {}
     }
-    const tz = settings?.timeZone || 'America/Chicago';
-    const burstEnabled = !!settings?.burstModeEnabled;
-    const cfg = settings?.burstModeConfig || {};
-    const inBurst = burstEnabled && cfg.startTime && cfg.endTime && isInWindow(now, String(cfg.startTime), String(cfg.endTime), tz);
-    if (inBurst) {
-      if (typeof cfg.postsPerHour === 'number') perHourCap = Number(cfg.postsPerHour);
-      if (typeof cfg.maxTotal === 'number') dailyLimit = Math.max(dailyLimit, Number(cfg.maxTotal));
+    const gate = evaluateTick({ now, settings, postedInWindow });
+    if (gate.halt === 'BURST_WINDOW_CAP') {
+      console.log(`🛑 [CRON] Burst window "${openWindow.name}" cap reached (${postedInWindow}/${openWindow.maxTotal}). Skipping tick.`);
+      return;
     }
-    // Enforce daily limit (across all platforms)
-    try {
-      const startOfDay = new Date(now); startOfDay.setHours(0,0,0,0);
-      const endOfDay = new Date(now); endOfDay.setHours(23,59,59,999);
-      const postedToday = await SchedulerQueueModel.countDocuments({ status: { $in: ['posted','completed'] }, postedAt: { $gte: startOfDay, $lte: endOfDay } });
-      if (postedToday >= dailyLimit) {
-        console.log(`🛑 [CRON] Daily cap reached (${postedToday}/${dailyLimit}). Skipping tick.`);
-        return;
-      }
-    } catch(_) {}
+    if (gate.halt) return;
+    const caps = gate.caps;
 
+    // Per-platform posts today (settings.timeZone) and in the last hour
     const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
-    const counts = { instagram: 0, youtube: 0 };
+    const dailyCounts = {};
+    const counts = {};
     try {
-      counts.instagram = await SchedulerQueueModel.countDocuments({ platform: 'instagram', status: { $in: ['posted','completed'] }, postedAt: { $gte: hourAgo } });
-      counts.youtube   = await SchedulerQueueModel.countDocuments({ platform: 'youtube',   status: { $in: ['posted','completed'] }, postedAt: { $gte: hourAgo } });
+      const tz = resolveTimeZone(settings);
+      const recent = await SchedulerQueueModel.find({ status: { $in: ['posted','completed'] }, postedAt: { $gte: startOfDay(now, tz), $lte: endOfDay(now, tz) } }).select('platform').lean();
+      for (const r of recent) dailyCounts[r.platform] = (dailyCounts[r.platform] || 0) + 1;
+      const lastHour = await SchedulerQueueModel.find({ status: { $in: ['posted','completed'] }, postedAt: { $gte: hourAgo } }).select('platform').lean();
+      for (const r of lastHour) counts[r.platform] = (counts[r.platform] || 0) + 1;
+    } catch {}
+
+    // Posted hashes, video and audio fingerprints within the duplicate lookback
+    const recentHashes = createHashIndex();
+    let recentFingerprints = [];
+    let recentAudio = [];
+    try {
+      const { lookbackDays } = duplicateSettings(settings);
+      const since = new Date(Date.now() - lookbackDays*24*60*60*1000);
+      const recent = await SchedulerQueueModel.find({ $or: [{ visualHash: { $exists: true } }, { videoFingerprint: { $exists: true } }, { audioFingerprint: { $exists: true } }], postedAt: { $gte: since }, status: { $in: ['posted','completed'] } }).select('platform visualHash videoFingerprint audioFingerprint audioKey').lean();
+      for (const r of recent) recentHashes.add(r.visualHash, { platform: r.platform });
+      recentFingerprints = recent.filter(r => r.videoFingerprint).map(r => ({ platform: r.platform, videoFingerprint: r.videoFingerprint }));
+      recentAudio = recent.filter(r => r.audioFingerprint).map(r => ({ platform: r.platform, audioKey: r.audioKey || null, audioFingerprint: r.audioFingerprint }));
+    } catch {}
+
+    // Posts within the spacing lookback (minimum gap, same audio/location)
+    let recentPosts = [];
+    try {
+      const { spacingPolicy } = require('./spacing');
+      const policy = spacingPolicy(settings);
+      const since = new Date(now.getTime() - Math.max(policy.sameAudioHours, policy.sameLocationHours, 24) * 60*60*1000);
+      const recent = await SchedulerQueueModel.find({ status: { $in: ['posted','completed'] }, postedAt: { $gte: since } }).select('platform postedAt audioKey locationKey').lean();
+      recentPosts = recent.map(r => ({ platform: r.platform, at: new Date(r.postedAt).getTime(), audioKey: r.audioKey || null, locationKey: r.locationKey || null }));
+    } catch {}
+
+    // Blackouts overlapping now, padded so chained blackouts resolve to their combined end
+    let blackouts = [];
+    try {
+      const { loadBlackouts } = require('./blackouts');
+      blackouts = await loadBlackouts(new Date(now.getTime() - 24*60*60*1000), new Date(now.getTime() + 60*24*60*60*1000));
     } catch {}
 
     // Execute each due post with caps and atomic claim
     for (const post of duePosts) {
-      if (inBurst && Array.isArray(cfg.platforms) && cfg.platforms.length > 0) {
-        if (!cfg.platforms.includes(post.platform)) continue;
+      const verdict = evaluateItem(post, { now, caps, dailyCounts, hourlyCounts: counts, recentHashes, recentFingerprints, recentAudio, recentPosts, blackouts, settings });
+      if (verdict.action === 'reschedule') {
+        if (verdict.blackout) console.log(`🌑 [CRON] Blackout "${verdict.blackout.name}": holding ${post._id} until ${verdict.until.toISOString()}`);
+        else console.log(`↪️ [CRON] ${verdict.reason === 'SAME_AUDIO' ? 'Same audio' : 'Same location'} posted recently: moving ${post._id} to ${verdict.until.toISOString()}`);
+        try { await SchedulerQueueModel.updateOne({ _id: post._id, status: 'scheduled' }, { $set: { scheduledTime: verdict.until } }); } catch {}
+        continue;
+      }
+      if (verdict.action === 'wait') {
+        if (verdict.reason === 'DAILY_CAP' || verdict.reason === 'HOURLY_CAP') console.log(`🛑 [CRON] ${post.platform} ${verdict.reason === 'DAILY_CAP' ? 'daily' : 'hourly'} cap reached, holding ${post._id}`);
+        continue;
+      }
+      if (verdict.action === 'drop') {
+        console.log(`⛔ [CRON] Skip ${verdict.reason === 'BLACKOUT' ? 'during blackout' : verdict.reason === 'DUPLICATE_VIDEO' ? 'duplicate video' : verdict.reason === 'DUPLICATE_AUDIO' ? 'duplicate audio' : 'duplicate visual'}`, post._id);
+        try { await SchedulerQueueModel.updateOne({ _id: post._id }, { $set: { status: 'skipped', skipReason: verdict.reason } }); } catch {}
+        continue;
       }
-      if (post.platform === 'instagram' && counts.instagram >= perHourCap) break;
-      if (post.platform === 'youtube'   && counts.youtube   >= perHourCap) break;
-      // Skip duplicate by visual hash within lookback
-      try {
-        if (post.ignoreDuplicate !== true && post.visualHash) {
-          const lookback = Number(process.env.DUP_LOOKBACK_DAYS || cfg.dupLookbackDays || 30);
-          const since = new Date(Date.now() - lookback*24*60*60*1000);
-          const recent = await SchedulerQueueModel.find({ visualHash: { $exists: true }, postedAt: { $gte: since }, status: { $in: ['posted','completed'] } }).select('visualHash').limit(200).lean();
-          const maxD = Number(cfg.dupHashMaxDistance || process.env.DUP_HASH_MAX_DISTANCE || 6);
-          let dup = false;
-          for (const r of recent) { if (hammingDistanceHex(post.visualHash, r.visualHash) <= maxD) { dup = true; break; } }
-          if (dup) { console.log('⛔ [CRON] Skip duplicate visual', post._id); await SchedulerQueueModel.updateOne({ _id: post._id }, { $set: { status: 'skipped', skipReason: 'DUPLICATE_VISUAL' } }); continue; }
-        }
-      } catch {}
       // Skip invalid queue items (no video URL/S3)
-      if (!post.videoUrl && !post.s3Url) { console.warn('⚠️ [CRON] Skip item with no video URL/S3', String(post._id)); continue; }
+      if (verdict.action === 'ignore') { console.warn('⚠️ [CRON] Skip item with no video URL/S3', String(post._id)); continue; }
       try {
         console.log(`🚀 [CRON] Executing post ${post._id} (${post.platform}) - was due at ${post.scheduledTime}`);
         // Atomically claim the item
@@ -232,8 +278,12 @@ async function checkAndExecuteDuePosts(SchedulerQueueModel, SettingsModel) {
             { _id: post._id, status: 'processing' },
             { $set: { status: 'posted', postedAt: new Date(), postId: result.postId, postUrl: result.url } }
           );
-          if (post.platform === 'instagram') counts.instagram += 1;
-          else if (post.platform === 'youtube') counts.youtube += 1;
+          dailyCounts[post.platform] = (dailyCounts[post.platform] || 0) + 1;
+          counts[post.platform] = (counts[post.platform] || 0) + 1;
+          if (post.visualHash) recentHashes.add(post.visualHash, { platform: post.platform });
+          if (post.videoFingerprint) recentFingerprints.push({ platform: post.platform, videoFingerprint: post.videoFingerprint });
+          if (post.audioFingerprint) recentAudio.push({ platform: post.platform, audioKey: post.audioKey || null, audioFingerprint: post.audioFingerprint });
+          recentPosts.push({ platform: post.platform, at: Date.now(), audioKey: post.audioKey || null, locationKey: post.locationKey || null });
 
           console.log(`✅ [CRON] Successfully posted to ${result.platform}: ${result.url}`);
           
@@ -290,7 +340,7 @@ async function checkAndExecuteDuePosts(SchedulerQueueModel, SettingsModel) {
         }
       }
       
-      // Small delay between posts to avoid rate limiting
+      // Small delay between posts to avoid rate limiting (spacing between posts is the minimum gap in services/spacing)
       await new Promise(resolve => setTimeout(resolve, 2000));
     }
     
@@ -316,47 +366,6 @@ function startCronScheduler(SchedulerQueueModel, SettingsModel, onTick) {
     try { if (typeof onTick === 'function') onTick(); } catch(_) {}
     // General low-queue refill each minute (independent of burst window)
     try { await triggerAutopilotRefill(SchedulerQueueModel, SettingsModel); } catch(_) {}
-    // Pre-window refill check and auto-off handling
-    try {
-      const s = await SettingsModel.findOne({}).lean();
-      const tz = s?.timeZone || 'America/Chicago';
-      const cfg = s?.burstModeConfig || {};
-      const enabled = !!s?.burstModeEnabled;
-      const now = new Date();
-      const fmt = new Intl.DateTimeFormat('en-US', { timeZone: tz, hour: '2-digit', minute: '2-digit', hour12: false });
-      const parts = fmt.formatToParts(now).reduce((a,p)=>(a[p.type]=p.value,a),{});
-      const cur = `${parts.hour}:${parts.minute}`;
-      const start = String(cfg.startTime || '18:00');
-      const end = String(cfg.endTime || '19:00');
-      const preloadMin = Number(cfg.preloadMinutes || 10);
-
-      function toMinutes(hhmm){ const [h,m]=String(hhmm).split(':').map(Number); return h*60+(m||0); }
-      const curM = toMinutes(cur);
-      const startM = toMinutes(start);
-      const endM = toMinutes(end);
-      const preloadStartM = (startM - preloadMin + 24*60) % (24*60);
-
-      // Pre-window: trigger single refill when current minute hits preload boundary
-      if (enabled && preloadMin > 0) {
-        const nearPreload = curM === preloadStartM; // every minute tick, exact match
-        if (nearPreload) {
-          try {
-            const baseUrl = process.env.NODE_ENV === 'production' ? 'https://lifestyle-design-backend-v2-clean.onrender.com' : 'http://localhost:3001';
-            await fetch(`${baseUrl}/api/autopilot/refill`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ scrapeLimit: Number(cfg.scrapeLimit || 50) }) });
-          } catch(_) {}
-        }
-      }
-
-      // Auto-off after window
-      if (enabled && cfg.autoOffAfterWindow === true) {
-        const inWindow = (startM <= endM) ? (curM >= startM && curM < endM) : (curM >= startM || curM < endM);
-        const justEnded = !inWindow && curM === endM; // at the exact end minute
-        if (justEnded) {
-          try { await SettingsModel.updateOne({}, { $set: { burstModeEnabled: false } }); } catch(_) {}
-        }
-      }
-    } catch(_) {}
-
     checkAndExecuteDuePosts(SchedulerQueueModel, SettingsModel);
   }, {
     timezone: 'America/Chicago' // Force Austin timezone execution
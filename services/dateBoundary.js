@@ -0,0 +1,75 @@
+/**
+ * Date boundaries - "today" in the account time zone (settings.timeZone), not the server's
+ * - Render runs in UTC, so setHours(0,0,0,0) would roll the day over at 7pm Central
+ * - dateKey is YYYYMMDD, the format stored in DailyCounters
+ */
+
+const DEFAULT_TIME_ZONE = 'America/Chicago';
+
+function resolveTimeZone(settings) {
+  return (settings && settings.timeZone) || process.env.SCHEDULER_TIME_ZONE || DEFAULT_TIME_ZONE;
+}
+
+function zonedParts(date, tz) {
+  const fmt = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz || DEFAULT_TIME_ZONE, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+  });
+  const p = fmt.formatToParts(new Date(date)).reduce((a, x) => (a[x.type] = x.value, a), {});
+  return { year: Number(p.year), month: Number(p.month), day: Number(p.day), hour: Number(p.hour), minute: Number(p.minute), second: Number(p.second) };
+}
+
+// Milliseconds the zone is ahead of UTC at that instant
+function offsetMs(date, tz) {
+  const d = new Date(date);
+  const p = zonedParts(d, tz);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(d.getTime() / 1000) * 1000;
+}
+
+// Instant of a wall-clock time in the zone (month is 1-based, day/hour may overflow)
+function zonedTime(year, month, day, hour, minute, tz) {
+  const wall = Date.UTC(year, month - 1, day, hour || 0, minute || 0);
+  const guess = wall - offsetMs(wall, tz);
+  return new Date(wall - offsetMs(guess, tz)); // second pass settles DST transitions
+}
+
+function midnight(year, month, day, tz) {
+  return zonedTime(year, month, day, 0, 0, tz);
+}
+
+/**
+ * @returns {{ start: Date, end: Date, dateKey: string }} end is the last millisecond of the day
+ */
+function dayBounds(date = new Date(), tz) {
+  const p = zonedParts(date, tz);
+  const start = midnight(p.year, p.month, p.day, tz);
+  const next = midnight(p.year, p.month, p.day + 1, tz);
+  return { start, end: new Date(next.getTime() - 1), dateKey: `${p.year}${String(p.month).padStart(2, '0')}${String(p.day).padStart(2, '0')}` };
+}
+
+function startOfDay(date = new Date(), tz) {
+  return dayBounds(date, tz).start;
+}
+
+function endOfDay(date = new Date(), tz) {
+  return dayBounds(date, tz).end;
+}
+
+function dateKey(date = new Date(), tz) {
+  return dayBounds(date, tz).dateKey;
+}
+
+/**
+ * Time zone from the settings document, for callers that do not already have it loaded
+ */
+async function loadTimeZone() {
+  try {
+    const mongoose = require('mongoose');
+    const s = await mongoose.model('SettingsClean').findOne({}).select('timeZone').lean();
+    return resolveTimeZone(s);
+  } catch (_) {
+    return resolveTimeZone(null);
+  }
+}
+
+module.exports = { DEFAULT_TIME_ZONE, resolveTimeZone, zonedParts, zonedTime, dayBounds, startOfDay, endOfDay, dateKey, loadTimeZone };
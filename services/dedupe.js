@@ -0,0 +1,212 @@
+/**
+ * Duplicate checks shared by autopilot selection and manual scheduling
+ * - buildDedupeContext: our last 30 posts on each connected platform, recently posted/queued ids and hash indexes (utils/hashIndex) over the last 30 and the whole cooldown window
+ * - checkCandidate: exact id, duration (±1s), visual hash, caption similarity, audio, cooldown
+ * - checkQueueCollision: same video or hash among the most recent queue items for a platform
+ * - isVideoDuplicate: multi-frame video fingerprint against posted (cooldown window) and queued items
+ * - findAudioDuplicate / audioKeyFor: soundtrack fingerprint against the last 30 posts, posted (cooldown window) and queued items
+ */
+
+const stringSimilarity = require('string-similarity');
+
+const VISUAL_MAX_DISTANCE = 6;
+const CAPTION_SIMILARITY = 0.85;
+
+function isDurationSimilar(a, b) {
+  if (a == null || b == null) return false;
+  return Math.abs(Math.round(a) - Math.round(b)) <= 1;
+}
+
+/**
+ * @param {Object} settings
+ * @param {{ SchedulerQueueModel: any, ActivityLogModel: any }} models
+ * @param {{ platforms?: string[] }} [options] - platforms being filled; only their recent posts are fetched
+ */
+async function buildDedupeContext(settings, { SchedulerQueueModel, ActivityLogModel }, options = {}) {
+  const { createHashIndex } = require('../utils/hashIndex');
+  const { getSignals } = require('./signalCache');
+  const { listProviders, platformNames } = require('./providers');
+
+  // Our last 30 posts per connected platform, kept apart so duration/caption/audio-id checks only see the platform being filled
+  const last30ByPlatform = {};
+  const recentAudio = [];
+  for (const provider of listProviders()) {
+    if (options.platforms && !options.platforms.includes(provider.name)) continue;
+    if (!provider.capabilities.fetchRecent || !provider.isConfigured(settings)) continue;
+    let posts = [];
+    try { posts = await provider.fetchRecent(settings, { limit: 30 }) || []; } catch (_) {}
+    const hashIndex = createHashIndex();
+    for (const post of posts) {
+      // Page URLs (YouTube watch links) have no decodable audio and come back without a fingerprint
+      const signals = await getSignals({ id: post.id, url: post.url, thumbnailUrl: post.thumbnailUrl, audioKey: post.audioId || post.audioKey }, ['visualHash', 'audioFingerprint']);
+      hashIndex.add(signals.visualHash);
+      if (signals.audioFingerprint) recentAudio.push({ audioKey: signals.audioKey, audioFingerprint: signals.audioFingerprint });
+    }
+    last30ByPlatform[provider.name] = {
+      ids: posts.map(p => p.id),
+      hashIndex,
+      captions: posts.map(p => p.caption),
+      durations: posts.map(p => p.duration),
+      audioIds: posts.map(p => p.audioId || p.audioKey).filter(Boolean),
+    };
+  }
+
+  // Blocked IDs: last30 + ActivityLog within repost delay + SchedulerQueue pending
+  const repostDelayDays = Number(settings.repostDelay || 30);
+  const blockedIds = new Set(Object.values(last30ByPlatform).flatMap(r => r.ids));
+  const since = new Date(Date.now() - repostDelayDays*24*60*60*1000);
+  const recentPosted = await ActivityLogModel.find({ platform: { $in: platformNames() }, status: 'success', createdAt: { $gte: since } }).select('originalVideoId').lean();
+  for (const x of recentPosted) if (x.originalVideoId) blockedIds.add(x.originalVideoId);
+  const pending = await SchedulerQueueModel.find({ status: { $in: ['pending','scheduled','processing'] } }).select('originalVideoId').lean();
+  for (const x of pending) if (x.originalVideoId) blockedIds.add(x.originalVideoId);
+
+  // Strict visual-hash cooldown against everything posted/completed within the window
+  const cooldownSince = cooldownStart(settings);
+  const cooldownHashIndex = createHashIndex();
+  try {
+    const recent = await SchedulerQueueModel.find({ status: { $in: ['posted','completed'] }, postedAt: { $gte: cooldownSince }, visualHash: { $exists: true } }).select('visualHash').lean();
+    for (const r of recent) cooldownHashIndex.add(r.visualHash);
+  } catch (_) {}
+
+  const history = await loadFingerprintHistory(settings, SchedulerQueueModel);
+  const recentFingerprints = history.recentFingerprints;
+  recentAudio.push(...history.recentAudio);
+
+  return {
+    blockedIds,
+    last30ByPlatform,
+    cooldownHashIndex,
+    recentFingerprints,
+    recentAudio,
+  };
+}
+
+function cooldownStart(settings) {
+  const cooldownDays = Number(settings.repostCooldownDays || settings.dupLookbackDays || settings.repostDelay || 30);
+  return new Date(Date.now() - cooldownDays * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Video and audio fingerprints posted within the cooldown (queue and Posts) plus everything still queued
+ * @returns {Promise<{ recentFingerprints: string[], recentAudio: Array<{ audioKey: string|null, audioFingerprint: string }> }>}
+ */
+async function loadFingerprintHistory(settings, SchedulerQueueModel) {
+  const cooldownSince = cooldownStart(settings);
+  const recentFingerprints = [];
+  const recentAudio = [];
+  try {
+    const queued = await SchedulerQueueModel.find({
+      $and: [
+        { $or: [{ videoFingerprint: { $exists: true } }, { audioFingerprint: { $exists: true } }] },
+        { $or: [{ status: { $in: ['posted','completed'] }, postedAt: { $gte: cooldownSince } }, { status: { $in: ['pending','scheduled','processing'] } }] },
+      ],
+    }).select('videoFingerprint audioFingerprint audioKey').lean();
+    for (const r of queued) {
+      if (r.videoFingerprint) recentFingerprints.push(r.videoFingerprint);
+      if (r.audioFingerprint) recentAudio.push({ audioKey: r.audioKey || null, audioFingerprint: r.audioFingerprint });
+    }
+  } catch (_) {}
+  try {
+    const { PostModel } = require('../models/Post');
+    const posts = await PostModel.find({ status: 'posted', $or: [{ videoFingerprint: { $exists: true } }, { audioFingerprint: { $exists: true } }], updatedAt: { $gte: cooldownSince } })
+      .select('videoFingerprint audioFingerprint audioKey').lean();
+    for (const r of posts) {
+      if (r.videoFingerprint) recentFingerprints.push(r.videoFingerprint);
+      if (r.audioFingerprint) recentAudio.push({ audioKey: r.audioKey || null, audioFingerprint: r.audioFingerprint });
+    }
+  } catch (_) {}
+  return { recentFingerprints, recentAudio };
+}
+
+/**
+ * @param {Object} candidate - Normalized candidate; visualHash may be precomputed (inbox items)
+ * @param {Object} ctx - From buildDedupeContext
+ * @param {{ qualityGate?: boolean, platform?: string }} options - qualityGate skips files under MIN_VIDEO_BYTES_QUALITY;
+ *   platform limits the last-30 checks to that platform's posts (default: every platform in ctx)
+ * @returns {Promise<{ duplicate: boolean, reason: string|null, visualHash: string|null }>}
+ */
+async function checkCandidate(candidate, ctx, options = {}) {
+  const { canonicalHash, hashVersionOf, CURRENT_HASH_VERSION } = require('../utils/visualHash');
+  const { getSignals } = require('./signalCache');
+  const result = (reason, visualHash = null) => ({ duplicate: !!reason, reason, visualHash });
+  const recent = options.platform
+    ? [ctx.last30ByPlatform[options.platform]].filter(Boolean)
+    : Object.values(ctx.last30ByPlatform);
+
+  if (ctx.blockedIds.has(candidate.id)) return result('EXACT_ID');
+  if (recent.some(r => r.durations.some(d => isDurationSimilar(d, candidate.duration)))) return result('DURATION_MATCH');
+
+  if (options.qualityGate) {
+    const MIN_BYTES_QUALITY = Number(process.env.MIN_VIDEO_BYTES_QUALITY || 3 * 1024 * 1024);
+    const { size } = await getSignals(candidate, ['size']);
+    if (size && size < MIN_BYTES_QUALITY) return result('TOO_SMALL');
+  }
+
+  // Precomputed hashes from before the current version are recomputed so they compare against last30
+  let visualHash = canonicalHash(candidate.visualHash);
+  if (hashVersionOf(visualHash) !== CURRENT_HASH_VERSION) {
+    visualHash = (await getSignals(candidate, ['visualHash'])).visualHash || visualHash;
+  }
+
+  if (recent.some(r => r.hashIndex.has(visualHash, VISUAL_MAX_DISTANCE))) return result('VISUAL_MATCH', visualHash);
+  const isDuplicateCaption = recent.flatMap(r => r.captions).some((c) => {
+    const a = (candidate.caption || '').toLowerCase();
+    const b = (c || '').toLowerCase();
+    return stringSimilarity.compareTwoStrings(a, b) > CAPTION_SIMILARITY;
+  });
+  if (isDuplicateCaption) return result('CAPTION_MATCH', visualHash);
+  if (candidate.audioKey && recent.some(r => r.audioIds.includes(candidate.audioKey))) return result('AUDIO_MATCH', visualHash);
+  if (ctx.cooldownHashIndex.has(visualHash, VISUAL_MAX_DISTANCE)) {
+    return result('COOLDOWN_VISUAL_MATCH', visualHash);
+  }
+  return result(null, visualHash);
+}
+
+/**
+ * Final guard using the last 30 most recent queue items for a platform (not time-based)
+ * @returns {Promise<boolean>} true when the video or its hash is already queued
+ */
+async function checkQueueCollision(SchedulerQueueModel, platform, originalVideoId, visualHash) {
+  const recentQueue = await SchedulerQueueModel.find({ platform })
+    .sort({ createdAt: -1 })
+    .limit(30)
+    .select('originalVideoId visualHash')
+    .lean();
+  const recentIds = new Set((recentQueue || []).map(r => r.originalVideoId).filter(Boolean));
+  const { isNearDuplicate } = require('../utils/visualHash');
+  return recentIds.has(originalVideoId) || isNearDuplicate(visualHash, (recentQueue || []).map(r => r.visualHash), 0);
+}
+
+/**
+ * Whether a video fingerprint (utils/videoFingerprint) matches anything in ctx.recentFingerprints
+ * @param {string|null} fingerprint
+ * @param {Object} ctx - From buildDedupeContext
+ */
+function isVideoDuplicate(fingerprint, ctx, settings) {
+  const { isDuplicateVideo } = require('../utils/videoFingerprint');
+  const { duplicateSettings } = require('./schedulerPolicy');
+  const { videoMaxDistance, videoMinSimilarity } = duplicateSettings(settings);
+  return isDuplicateVideo(fingerprint, ctx.recentFingerprints, { maxDistance: videoMaxDistance, minSimilarity: videoMinSimilarity });
+}
+
+/**
+ * The posted/queued item whose soundtrack matches an audio fingerprint (utils/audioFingerprint), or null
+ * @param {string|null} audioFingerprint
+ * @param {Object} ctx - From buildDedupeContext
+ */
+function findAudioDuplicate(audioFingerprint, ctx, settings) {
+  const { findAudioMatch } = require('../utils/audioFingerprint');
+  const { duplicateSettings } = require('./schedulerPolicy');
+  return findAudioMatch(audioFingerprint, ctx.recentAudio, { minSimilarity: duplicateSettings(settings).audioMinSimilarity });
+}
+
+/**
+ * audioKey for a new queue item: platform music id, else the key of matching recent audio, else fingerprint/id based
+ */
+function audioKeyFor(candidate, audioFingerprint, ctx, settings) {
+  const { resolveAudioKey } = require('../utils/audioFingerprint');
+  const { duplicateSettings } = require('./schedulerPolicy');
+  return resolveAudioKey({ metadataKey: candidate.audioKey, fingerprint: audioFingerprint, id: candidate.id }, ctx.recentAudio, { minSimilarity: duplicateSettings(settings).audioMinSimilarity });
+}
+
+module.exports = { buildDedupeContext, loadFingerprintHistory, checkCandidate, checkQueueCollision, isVideoDuplicate, findAudioDuplicate, audioKeyFor, isDurationSimilar };
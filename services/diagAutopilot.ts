@@ -22,6 +22,7 @@ export async function collectAutopilotReport() {
     repostDelay: Number(settingsDoc?.repostDelay ?? 0),
     postTime: settingsDoc?.timeZone || 'America/Chicago',
     dailyLimit: Number(settingsDoc?.maxPosts ?? 0),
+    platformLimits: require('./caps').resolveCaps(settingsDoc || {}, now).platforms,
   };
 
   // Queue snapshot
@@ -59,9 +60,10 @@ export async function collectAutopilotReport() {
 
   // Counters today (fallback to counting from queue if DailyCounter not available)
   let countersToday = { instagram: 0, youtube: 0, total: 0 };
+  const { dayBounds, resolveTimeZone } = require('./dateBoundary');
+  const today = dayBounds(now, resolveTimeZone(settingsDoc));
   if (DailyCounterModel) {
-    const d = new Date();
-    const dateKey = `${d.getFullYear()}${String(d.getMonth()+1).padStart(2,'0')}${String(d.getDate()).padStart(2,'0')}`;
+    const dateKey = today.dateKey;
     try {
       const rows = await DailyCounterModel.find({ dateKey }).lean();
       const ig = rows.find((r: any) => r.platform === 'instagram')?.count || 0;
@@ -69,8 +71,7 @@ export async function collectAutopilotReport() {
       countersToday = { instagram: ig, youtube: yt, total: ig + yt };
     } catch {}
   } else if (SchedulerQueueModel) {
-    const start = new Date(now); start.setHours(0,0,0,0);
-    const end = new Date(now); end.setHours(23,59,59,999);
+    const { start, end } = today;
     const [ig, yt] = await Promise.all([
       SchedulerQueueModel.countDocuments({ platform: 'instagram', status: { $in: ['posted','completed'] }, postedAt: { $gte: start, $lte: end } }).catch(() => 0),
       SchedulerQueueModel.countDocuments({ platform: 'youtube', status: { $in: ['posted','completed'] }, postedAt: { $gte: start, $lte: end } }).catch(() => 0)
@@ -119,6 +120,14 @@ export async function collectAutopilotReport() {
     if (h) render = { version: h.version || null, buildTime: h.buildTime || null };
   } catch {}
 
+  // Active blackout, if any
+  let blackout: any = null;
+  try {
+    const { getActiveBlackout, blackoutPolicy } = require('./blackouts');
+    const b = await getActiveBlackout(now);
+    if (b) blackout = { name: b.name, startIso: b.start.toISOString(), endIso: b.end.toISOString(), policy: blackoutPolicy(settingsDoc, b) };
+  } catch {}
+
   // Instance id best-effort
   const instanceId = (Math.random().toString(36).slice(2, 10));
 
@@ -132,7 +141,8 @@ export async function collectAutopilotReport() {
     postsLastHour,
     countersToday,
     locks: { schedulerLock, postOnceLocks },
-    render
+    render,
+    blackout
   };
 }
 
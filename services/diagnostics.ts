@@ -23,37 +23,35 @@ async function getAutopilotQueue(): Promise<any[]> {
   }));
 }
 
-async function getSchedulerStatus(): Promise<{ enabled: boolean; dailyLimit: number; postsToday: number }>{
+async function getSchedulerStatus(): Promise<{ enabled: boolean; platforms: Record<string, { limit: number; hourlyLimit: number; used: number }> }>{
   const SettingsModel = mongoose.model('SettingsClean');
   const settings: any = await SettingsModel.findOne({}).lean();
   const enabled = !!settings?.autopilotEnabled;
-  const dailyLimit = Number(settings?.maxPosts || 5);
-  const now = new Date();
-  const today = `${now.getFullYear()}${String(now.getMonth()+1).padStart(2,'0')}${String(now.getDate()).padStart(2,'0')}`;
-  const ig = await DailyCounterModel.findOne({ platform: 'instagram', dateKey: today }).lean();
-  const yt = await DailyCounterModel.findOne({ platform: 'youtube', dateKey: today }).lean();
-  const postsToday = (ig?.count || 0) + (yt?.count || 0);
-  return { enabled, dailyLimit, postsToday };
+  const { dateKey, resolveTimeZone } = require('./dateBoundary');
+  const { resolveCaps } = require('./caps');
+  const today = dateKey(new Date(), resolveTimeZone(settings));
+  const platforms: Record<string, { limit: number; hourlyLimit: number; used: number }> = {};
+  for (const [platform, caps] of Object.entries<any>(resolveCaps(settings || {}).platforms)) {
+    const counter = await DailyCounterModel.findOne({ platform, dateKey: today }).lean();
+    platforms[platform] = { limit: caps.daily, hourlyLimit: caps.hourly, used: counter?.count || 0 };
+  }
+  return { enabled, platforms };
 }
 
-async function listPostsToday(): Promise<any[]> {
-  const start = new Date(); start.setHours(0,0,0,0);
-  const end = new Date(); end.setHours(23,59,59,999);
+async function listPostsToday(tz: string): Promise<any[]> {
+  const { dayBounds } = require('./dateBoundary');
+  const { start, end } = dayBounds(new Date(), tz);
   const rows = await PostModel.find({ postedAt: { $gte: start, $lte: end }, status: 'posted' })
     .sort({ createdAt: -1 })
     .lean();
   return rows.map(r => ({ platform: r.platform, externalPostId: r.externalPostId, at: r.postedAt || r.createdAt }));
 }
 
-function startOfToday(): Date {
-  const d = new Date();
-  d.setHours(0, 0, 0, 0);
-  return d;
-}
-
 export async function runAutopilotDiagnostics() {
-  const today = startOfToday();
-  const postsToday = await listPostsToday();
+  const { zonedParts, loadTimeZone } = require('./dateBoundary');
+  const tz = await loadTimeZone();
+  const today = zonedParts(new Date(), tz);
+  const postsToday = await listPostsToday(tz);
   const scheduler = await getSchedulerStatus();
   const queue = await getAutopilotQueue();
 
@@ -63,8 +61,25 @@ export async function runAutopilotDiagnostics() {
     reasons.push({ reason: 'SCHEDULER_DISABLED' });
   }
 
-  if (scheduler.postsToday >= scheduler.dailyLimit) {
-    reasons.push({ reason: 'DAILY_LIMIT_REACHED', limit: scheduler.dailyLimit, used: scheduler.postsToday });
+  for (const [platform, s] of Object.entries(scheduler.platforms)) {
+    if (s.used >= s.limit) reasons.push({ reason: 'DAILY_LIMIT_REACHED', platform, limit: s.limit, used: s.used });
+  }
+
+  // Enabled platforms without credentials (services/providers)
+  const { listProviders, enabledPlatforms } = require('./providers');
+  const settings: any = (await mongoose.model('SettingsClean').findOne({}).lean()) || {};
+  const enabledNow: string[] = enabledPlatforms(settings);
+  const providers = listProviders().map((p: any) => ({
+    platform: p.name,
+    enabled: enabledNow.includes(p.name),
+    configured: !!p.isConfigured(settings),
+    capabilities: p.capabilities,
+  }));
+  for (const p of providers) {
+    if (p.enabled && !p.configured) reasons.push({ reason: 'PROVIDER_NOT_CONFIGURED', platform: p.platform });
+  }
+  for (const item of queue) {
+    if (!enabledNow.includes(item.platform)) reasons.push({ reason: 'PLATFORM_DISABLED', platform: item.platform, itemId: String(item._id || '') });
   }
 
   if (!queue || queue.length === 0) {
@@ -86,13 +101,14 @@ export async function runAutopilotDiagnostics() {
     reasons.push({ reason: 'NO_POSTS_TODAY' });
   }
 
-  const y = today.getFullYear();
-  const m = String(today.getMonth()+1).padStart(2,'0');
-  const d = String(today.getDate()).padStart(2,'0');
+  const m = String(today.month).padStart(2,'0');
+  const d = String(today.day).padStart(2,'0');
   return {
-    date: `${y}-${m}-${d}`,
+    date: `${today.year}-${m}-${d}`,
+    timeZone: tz,
     postsToday: postsToday.length,
     scheduler,
+    providers,
     queueLength: queue.length,
     reasons,
   };
@@ -96,9 +96,12 @@ export async function computeOptimalTimes(limitPerPlatform: number = 5) {
   const { DailyCounterModel } = require('../models/DailyCounter');
   const settings = await SettingsModel.findOne({});
   const heat = await computeWeeklyHeatmap();
-  const platforms: Array<'instagram' | 'youtube'> = (settings?.postToInstagram === false && settings?.postToYouTube) ? ['youtube'] : (settings?.postToYouTube ? ['instagram','youtube'] : ['instagram']);
+  const platforms: string[] = require('./providers').enabledPlatforms(settings || {});
   const tz = 'America/Chicago';
-  const limit = Number(settings?.maxPosts || limitPerPlatform);
+  // Daily cap per platform (services/caps); limitPerPlatform only applies without settings
+  const { platformLimits } = require('./caps');
+  const limits: Record<string, number> = {};
+  for (const p of platforms) limits[p] = settings ? platformLimits(settings, p).daily : limitPerPlatform;
 
   const slots: Array<{ platform: string; iso: string; localLabel: string; score: number }> = [];
   const now = new Date();
@@ -121,11 +124,12 @@ export async function computeOptimalTimes(limitPerPlatform: number = 5) {
 
   for (const platform of platforms) {
     const todaysCount = await (async () => {
-      const d = new Date(); const dateKey = `${d.getFullYear()}${String(d.getMonth()+1).padStart(2,'0')}${String(d.getDate()).padStart(2,'0')}`;
+      const { dateKey: keyFor, resolveTimeZone } = require('./dateBoundary');
+      const dateKey = keyFor(new Date(), resolveTimeZone(settings));
       const c = await DailyCounterModel.findOne({ platform, dateKey }).lean();
       return c?.count || 0;
     })();
-    const perDayLimit = Number(settings?.maxPosts || limitPerPlatform);
+    const perDayLimit = limits[platform];
     let added = 0;
     for (const s of heat.topSlots) {
       if (added >= perDayLimit) break;
@@ -137,16 +141,16 @@ export async function computeOptimalTimes(limitPerPlatform: number = 5) {
       const localLabel = new Date(dt).toLocaleString('en-US', { timeZone: tz, hour: 'numeric', minute: '2-digit', hour12: true });
       slots.push({ platform, iso: dt.toISOString(), localLabel: `${localLabel} CT`, score: s.score });
       added++;
-      if (slots.filter(x => x.platform === platform).length >= limit) break;
+      if (slots.filter(x => x.platform === platform).length >= perDayLimit) break;
     }
   }
 
   // Fallback window 17..22 CT if not enough; merge into slots until limits satisfied
-  if (slots.length < platforms.length * limit) {
+  if (platforms.some(p => slots.filter(s => s.platform === p).length < limits[p])) {
     for (const platform of platforms) {
       const existingForPlatform = slots.filter(s => s.platform === platform).length;
-      if (existingForPlatform >= limit) continue;
-      for (let h = 17; h <= 22 && slots.filter(s => s.platform === platform).length < limit; h++) {
+      if (existingForPlatform >= limits[platform]) continue;
+      for (let h = 17; h <= 22 && slots.filter(s => s.platform === platform).length < limits[platform]; h++) {
         const ctNow = new Date(new Date().toLocaleString('en-US', { timeZone: tz }));
         const dt = toNextDate(dayOfWeekMonday0(ctNow), h);
         if (+dt <= +now) continue;
@@ -160,7 +164,8 @@ export async function computeOptimalTimes(limitPerPlatform: number = 5) {
 
   return {
     platforms,
-    limitPerPlatform: limit,
+    limitPerPlatform: Math.max(0, ...platforms.map(p => limits[p])),
+    limits,
     slots,
     fallbackUsed: true,
     generatedAt: new Date().toISOString()
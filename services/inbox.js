@@ -0,0 +1,330 @@
+/**
+ * Inbox Service - original content dropped into a local folder or S3 prefix
+ * - Watches settings.inboxDir (or INBOX_DIR) and settings.inboxS3Prefix (or INBOX_S3_PREFIX) for MP4s
+ * - Optional sidecar JSON next to each video (same name, .json): { caption, hashtags }
+ * - Each new file is probed (getVideoInfo), thumbnailed, hashed and uploaded, then marked ready
+ * - Ready items are exposed as the 'inbox' content source and via /api/manual/videos
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { pathToFileURL } = require('url');
+
+const SCAN_MS = Number(process.env.INBOX_SCAN_MS || 5 * 60 * 1000);
+
+let InboxModel;
+try {
+  InboxModel = mongoose.model('InboxItems');
+} catch (_) {
+  const schema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true, index: true }, // local:<abs path> | s3:<key>
+    origin: { type: String, enum: ['local', 's3'], required: true },
+    sourcePath: String,
+    fileName: String,
+    signature: String, // size+mtime (local) or ETag (s3); a change triggers reprocessing
+    status: { type: String, enum: ['new', 'ready', 'scheduled', 'posted', 'error', 'ignored'], default: 'new', index: true },
+    videoUrl: String,
+    thumbnailUrl: String,
+    caption: { type: String, default: '' },
+    hashtags: { type: [String], default: [] },
+    audioKey: String,
+    info: {
+      duration: Number,
+      width: Number,
+      height: Number,
+      fps: String,
+      codec: String,
+      bitrate: Number,
+      size: Number,
+    },
+    contentHash: String,
+    visualHash: String,
+    hashVersion: String,
+    videoFingerprint: String,
+    audioFingerprint: String,
+    error: String,
+    scannedAt: Date,
+    processedAt: Date,
+  }, { timestamps: true, collection: 'InboxItems' });
+  InboxModel = mongoose.model('InboxItems', schema);
+}
+
+let scanning = false;
+let scanTimer = null;
+
+function inboxDir(settings = {}) {
+  return settings.inboxDir || process.env.INBOX_DIR || '';
+}
+
+function inboxS3Prefix(settings = {}) {
+  return settings.inboxS3Prefix || process.env.INBOX_S3_PREFIX || '';
+}
+
+function s3Client() {
+  const { S3Client } = require('@aws-sdk/client-s3');
+  return new S3Client({
+    region: process.env.AWS_REGION || 'us-east-1',
+    credentials: {
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    },
+  });
+}
+
+function s3PublicUrl(key) {
+  return `https://${process.env.S3_BUCKET_NAME}.s3.${process.env.AWS_REGION || 'us-east-1'}.amazonaws.com/${key}`;
+}
+
+function normalizeSidecar(raw) {
+  if (!raw || typeof raw !== 'object') return { caption: '', hashtags: [] };
+  const hashtags = (Array.isArray(raw.hashtags) ? raw.hashtags : String(raw.hashtags || '').split(/[\s,]+/))
+    .map(h => String(h).trim())
+    .filter(Boolean)
+    .map(h => (h.startsWith('#') ? h : `#${h}`));
+  return { caption: String(raw.caption || '').trim(), hashtags };
+}
+
+async function readLocalSidecar(videoPath) {
+  const sidecar = videoPath.replace(/\.mp4$/i, '.json');
+  try {
+    return normalizeSidecar(JSON.parse(await fs.promises.readFile(sidecar, 'utf8')));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`⚠️ [INBOX] Bad sidecar ${sidecar}:`, e.message);
+    return normalizeSidecar(null);
+  }
+}
+
+async function readS3Sidecar(client, key) {
+  const { GetObjectCommand } = require('@aws-sdk/client-s3');
+  try {
+    const obj = await client.send(new GetObjectCommand({ Bucket: process.env.S3_BUCKET_NAME, Key: key.replace(/\.mp4$/i, '.json') }));
+    return normalizeSidecar(JSON.parse(await obj.Body.transformToString()));
+  } catch (e) {
+    if (e?.name !== 'NoSuchKey') console.warn(`⚠️ [INBOX] Bad sidecar for ${key}:`, e?.message || e);
+    return normalizeSidecar(null);
+  }
+}
+
+/**
+ * Probe, thumbnail, hash and upload one file; `input` is a local path or public URL
+ */
+async function processItem(input, { contentHash, videoUrl }) {
+  const { getVideoInfo } = require('../utils/videoEnhancer');
+  const { generateThumbnailBuffer } = require('../utils/videoThumbnail');
+  const { uploadUrlToS3, uploadBufferToS3 } = require('../utils/s3Uploader');
+  const { computeHashFromBuffer, hashVersionOf } = require('../utils/visualHash');
+  const { computeVideoFingerprint } = require('../utils/videoFingerprint');
+  const { computeAudioFingerprint } = require('../utils/audioFingerprint');
+
+  const info = await getVideoInfo(input);
+  const duration = Number(info.duration) || 0;
+  const thumbBuf = await generateThumbnailBuffer(input, Math.min(1, duration / 2));
+  const stamp = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  const thumbnailUrl = await uploadBufferToS3(thumbBuf, `inbox/thumbs/${stamp}.jpg`, 'image/jpeg');
+  let visualHash = null;
+  try { visualHash = await computeHashFromBuffer(thumbBuf); } catch (e) {
+    console.warn('⚠️ [INBOX] Thumbnail hash failed:', e.message);
+  }
+  let videoFingerprint = null;
+  try { videoFingerprint = await computeVideoFingerprint(input, { durationSec: duration }); } catch (e) {
+    console.warn('⚠️ [INBOX] Video fingerprint failed:', e.message);
+  }
+  let audioFingerprint = null;
+  try { audioFingerprint = await computeAudioFingerprint(input); } catch (e) {
+    console.warn('⚠️ [INBOX] Audio fingerprint failed:', e.message);
+  }
+  const finalVideoUrl = videoUrl || await uploadUrlToS3(pathToFileURL(input).href, `inbox/videos/${stamp}.mp4`, 'video/mp4');
+
+  return {
+    status: 'ready',
+    videoUrl: finalVideoUrl,
+    thumbnailUrl,
+    info: {
+      duration,
+      width: info.width,
+      height: info.height,
+      fps: info.fps,
+      codec: info.codec,
+      bitrate: Number(info.bitrate) || undefined,
+      size: Number(info.size) || undefined,
+    },
+    contentHash,
+    visualHash: visualHash || undefined,
+    hashVersion: hashVersionOf(visualHash) || undefined,
+    videoFingerprint: videoFingerprint || undefined,
+    audioFingerprint: audioFingerprint || undefined,
+    error: undefined,
+    processedAt: new Date(),
+  };
+}
+
+async function upsertAndProcess(key, base, sidecar, run) {
+  const existing = await InboxModel.findOne({ key }).lean();
+  const now = new Date();
+  // Unchanged files only pick up sidecar edits
+  if (existing && existing.signature === base.signature && existing.status !== 'error') {
+    await InboxModel.updateOne({ key }, { $set: { caption: sidecar.caption, hashtags: sidecar.hashtags, scannedAt: now } });
+    return 'unchanged';
+  }
+  await InboxModel.updateOne(
+    { key },
+    { $set: { ...base, caption: sidecar.caption, hashtags: sidecar.hashtags, status: 'new', scannedAt: now } },
+    { upsert: true }
+  );
+  try {
+    const fields = await run();
+    await InboxModel.updateOne({ key }, { $set: fields });
+    console.log(`📥 [INBOX] Ready: ${base.fileName}`);
+    return 'processed';
+  } catch (e) {
+    await InboxModel.updateOne({ key }, { $set: { status: 'error', error: e?.message || String(e) } });
+    console.warn(`⚠️ [INBOX] Failed to process ${base.fileName}:`, e?.message || e);
+    return 'error';
+  }
+}
+
+async function scanLocal(dir, counts) {
+  const { hashFile } = require('../utils/fingerprint');
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    if (!entry.isFile() || !/\.mp4$/i.test(entry.name)) continue;
+    const full = path.resolve(dir, entry.name);
+    const stat = await fs.promises.stat(full);
+    const sidecar = await readLocalSidecar(full);
+    const base = { origin: 'local', sourcePath: full, fileName: entry.name, signature: `${stat.size}:${stat.mtimeMs}` };
+    const outcome = await upsertAndProcess(`local:${full}`, base, sidecar, async () => {
+      const contentHash = await hashFile(full);
+      return processItem(full, { contentHash });
+    });
+    counts[outcome] = (counts[outcome] || 0) + 1;
+  }
+}
+
+async function scanS3(prefix, counts) {
+  const { ListObjectsV2Command } = require('@aws-sdk/client-s3');
+  const client = s3Client();
+  let token;
+  do {
+    const page = await client.send(new ListObjectsV2Command({ Bucket: process.env.S3_BUCKET_NAME, Prefix: prefix, ContinuationToken: token }));
+    for (const obj of (page.Contents || [])) {
+      if (!/\.mp4$/i.test(obj.Key || '')) continue;
+      const etag = String(obj.ETag || '').replace(/"/g, '');
+      const sidecar = await readS3Sidecar(client, obj.Key);
+      const base = { origin: 's3', sourcePath: obj.Key, fileName: path.basename(obj.Key), signature: etag };
+      const url = s3PublicUrl(obj.Key);
+      // The object is already hosted, so it is probed over HTTP and not re-uploaded; the ETag stands in for the content hash
+      const outcome = await upsertAndProcess(`s3:${obj.Key}`, base, sidecar, () => processItem(url, { contentHash: `etag:${etag}`, videoUrl: url }));
+      counts[outcome] = (counts[outcome] || 0) + 1;
+    }
+    token = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (token);
+}
+
+/**
+ * Scan configured inbox locations once (sequential; one file at a time)
+ * @param {Object} settings
+ * @returns {Promise<{ ok: boolean, skipped?: string, processed?: number, unchanged?: number, error?: number }>}
+ */
+async function scanInbox(settings = {}) {
+  const dir = inboxDir(settings);
+  const prefix = inboxS3Prefix(settings);
+  if (!dir && !prefix) return { ok: true, skipped: 'inbox not configured' };
+  if (scanning) return { ok: true, skipped: 'scan in progress' };
+  scanning = true;
+  const counts = { processed: 0, unchanged: 0, error: 0 };
+  try {
+    if (dir) {
+      if (fs.existsSync(dir)) await scanLocal(dir, counts);
+      else console.warn(`⚠️ [INBOX] Directory not found: ${dir}`);
+    }
+    if (prefix && process.env.S3_BUCKET_NAME) await scanS3(prefix, counts);
+    return { ok: true, ...counts };
+  } finally {
+    scanning = false;
+  }
+}
+
+/**
+ * Periodically scan the inbox; one instance at a time via the shared lock collection
+ */
+function startInboxWatcher() {
+  if (scanTimer) return;
+  const tick = async () => {
+    const { acquireLock, releaseLock } = require('./locks');
+    let lock;
+    try {
+      lock = await acquireLock('inbox:scan', Math.ceil(SCAN_MS / 1000));
+      if (!lock.ok) return;
+      const settings = await mongoose.model('SettingsClean').findOne({}).lean();
+      const r = await scanInbox(settings || {});
+      if (r.processed || r.error) console.log('📥 [INBOX] Scan:', r);
+    } catch (e) {
+      console.warn('⚠️ [INBOX] Scan failed:', e?.message || e);
+    } finally {
+      if (lock && lock.ok) { try { await releaseLock('inbox:scan'); } catch (_) {} }
+    }
+  };
+  scanTimer = setInterval(tick, SCAN_MS);
+  if (typeof scanTimer.unref === 'function') scanTimer.unref();
+  setImmediate(tick);
+}
+
+function formatInboxItem(doc) {
+  const caption = [doc.caption, (doc.hashtags || []).join(' ')].filter(Boolean).join('\n\n');
+  return {
+    id: String(doc._id),
+    origin: doc.origin,
+    fileName: doc.fileName,
+    status: doc.status,
+    videoUrl: doc.videoUrl || null,
+    thumbnailUrl: doc.thumbnailUrl || null,
+    caption,
+    hashtags: doc.hashtags || [],
+    audioKey: doc.audioKey || null,
+    duration: doc.info?.duration ?? null,
+    width: doc.info?.width ?? null,
+    height: doc.info?.height ?? null,
+    size: doc.info?.size ?? null,
+    contentHash: doc.contentHash || null,
+    visualHash: doc.visualHash || null,
+    videoFingerprint: doc.videoFingerprint || null,
+    audioFingerprint: doc.audioFingerprint || null,
+    error: doc.error || null,
+    createdAt: doc.createdAt,
+  };
+}
+
+/**
+ * @param {{ status?: string, limit?: number }} filter
+ */
+async function listInboxItems(filter = {}) {
+  const query = {};
+  if (filter.status) query.status = { $in: String(filter.status).split(',').map(s => s.trim()).filter(Boolean) };
+  const limit = Math.min(Math.max(Number(filter.limit) || 100, 1), 500);
+  const docs = await InboxModel.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+  return docs.map(formatInboxItem);
+}
+
+async function getInboxItem(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const doc = await InboxModel.findById(id).lean();
+  return doc ? formatInboxItem(doc) : null;
+}
+
+/**
+ * Update status for a candidate/queue id that came from the inbox ('inbox:<_id>' or bare _id)
+ */
+async function markInboxItem(id, status) {
+  const raw = String(id || '').replace(/^inbox:/, '');
+  if (!mongoose.isValidObjectId(raw)) return;
+  await InboxModel.updateOne({ _id: raw }, { $set: { status } });
+}
+
+module.exports = {
+  scanInbox,
+  startInboxWatcher,
+  listInboxItems,
+  getInboxItem,
+  markInboxItem,
+};
@@ -1,73 +1,472 @@
 /**
- * Simple in-memory job queue for non-blocking Post Now execution
- * Sequential processing, single worker
+ * Persistent job queue for non-blocking Post Now execution
+ * - Jobs live in Mongo (PostNowJobs) so status survives restarts and is shared across instances
+ * - Handlers are registered by job type; only the type + JSON payload is stored
+ * - A worker leases a job, heartbeats while it runs, and expired leases are reclaimed
+ * - Handler errors and reclaimed leases both count against maxAttempts; handlers save checkpoints so the
+ *   next attempt resumes after the last completed step instead of redoing it
+ * - Every transition is appended to the job's history
+ * - Jobs run in named lanes (one per platform plus 'general'), each with its own concurrency
+ * - Cancellation is cooperative: handlers receive an AbortSignal and check it between steps
  */
 
-let nextJobId = 1;
-const jobQueue = [];
-const jobStatusById = new Map();
-let isProcessing = false;
-
-async function processNext() {
-  if (isProcessing) return;
-  const job = jobQueue.shift();
-  if (!job) return;
-  isProcessing = true;
-
-  const { id, handler } = job;
-  const status = jobStatusById.get(id);
-  if (status) {
-    status.status = 'running';
-    status.startedAt = new Date().toISOString();
+const mongoose = require('mongoose');
+const { getInstanceId } = require('./locks');
+
+const LEASE_MS = Number(process.env.JOB_LEASE_MS || 2 * 60 * 1000);
+const HEARTBEAT_MS = Number(process.env.JOB_HEARTBEAT_MS || 30 * 1000);
+const POLL_MS = Number(process.env.JOB_POLL_MS || 5 * 1000);
+const DEFAULT_MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS || 2);
+const HISTORY_LIMIT = 50;
+
+const WORKER_ID = `${getInstanceId()}:${process.pid}`;
+
+// Per-lane concurrency; override with JOB_LANE_CONCURRENCY="instagram=1,youtube=1,general=2"
+const DEFAULT_LANE = 'general';
+const laneConcurrency = { instagram: 1, youtube: 1, [DEFAULT_LANE]: 1 };
+for (const pair of String(process.env.JOB_LANE_CONCURRENCY || '').split(',')) {
+  const [lane, n] = pair.split('=').map(x => (x || '').trim());
+  if (lane && Number(n) > 0) laneConcurrency[lane] = Number(n);
+}
+
+let JobModel;
+try {
+  JobModel = mongoose.model('PostNowJobs');
+} catch (_) {
+  const historySchema = new mongoose.Schema({
+    at: { type: Date, default: Date.now },
+    event: String,
+    by: String,
+    note: String,
+  }, { _id: false });
+  const schema = new mongoose.Schema({
+    type: { type: String, required: true, index: true },
+    lane: { type: String, default: DEFAULT_LANE, index: true },
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    status: { type: String, enum: ['queued', 'running', 'success', 'error', 'cancelled'], default: 'queued', index: true },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: DEFAULT_MAX_ATTEMPTS },
+    leaseOwner: { type: String, default: null },
+    leaseExpiresAt: { type: Date, default: null },
+    heartbeatAt: { type: Date, default: null },
+    enqueuedAt: { type: Date, default: Date.now },
+    startedAt: Date,
+    finishedAt: Date,
+    result: mongoose.Schema.Types.Mixed,
+    error: String,
+    cancelRequestedAt: { type: Date, default: null },
+    cancelReason: String,
+    retryOf: { type: mongoose.Schema.Types.ObjectId, default: null },
+    // step name -> { ...data, at }, kept across attempts of the same job
+    checkpoints: { type: mongoose.Schema.Types.Mixed, default: {} },
+    history: { type: [historySchema], default: [] },
+  }, { timestamps: true, collection: 'PostNowJobs' });
+  try { schema.index({ lane: 1, status: 1, enqueuedAt: 1 }); } catch {}
+  try { schema.index({ status: 1, leaseExpiresAt: 1 }); } catch {}
+  try { schema.index({ enqueuedAt: -1 }); } catch {}
+  JobModel = mongoose.model('PostNowJobs', schema);
+}
+
+const handlers = new Map();
+const activeByLane = new Map(); // lane -> Set(jobId) running in this process
+const controllers = new Map(); // jobId -> AbortController for jobs running in this process
+let pumping = false;
+let pollTimer = null;
+
+/**
+ * Set concurrency for one or more lanes (unknown lanes are created)
+ * @param {Object<string, number>} config - e.g. { youtube: 1, instagram: 2 }
+ */
+function configureLanes(config = {}) {
+  for (const [lane, n] of Object.entries(config || {})) {
+    if (Number(n) > 0) laneConcurrency[lane] = Math.floor(Number(n));
   }
+  setImmediate(pump);
+  return { ...laneConcurrency };
+}
 
-  try {
-    const result = await handler();
-    if (status) {
-      status.status = 'success';
-      status.finishedAt = new Date().toISOString();
-      status.result = result;
+function isValidLane(lane) {
+  return Object.prototype.hasOwnProperty.call(laneConcurrency, lane);
+}
+
+function activeIn(lane) {
+  return activeByLane.get(lane)?.size || 0;
+}
+
+function historyEntry(event, note) {
+  return { $each: [{ at: new Date(), event, by: WORKER_ID, note: note || undefined }], $slice: -HISTORY_LIMIT };
+}
+
+/**
+ * Register the function that executes jobs of a given type
+ * @param {string} type - Job type (e.g. 'postNow')
+ * @param {(payload: Object, ctx: { jobId: string, attempt: number, signal: AbortSignal, throwIfCancelled: Function, checkpoints: Object, saveCheckpoint: (step: string, data?: Object) => Promise<void> }) => Promise<any>} handler
+ */
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Persist a job and wake the worker
+ * @param {string} type - Registered job type
+ * @param {Object} payload - JSON-serializable input for the handler
+ * @param {{ maxAttempts?: number, lane?: string, retryOf?: string, checkpoints?: Object }} options
+ * @returns {Promise<string>} Job id
+ */
+async function enqueue(type, payload = {}, options = {}) {
+  if (typeof type !== 'string' || !type) throw new Error('Job type is required');
+  const lane = options.lane || DEFAULT_LANE;
+  if (!isValidLane(lane)) throw new Error(`Unknown job lane: ${lane}`);
+  const doc = await JobModel.create({
+    type,
+    lane,
+    payload,
+    status: 'queued',
+    maxAttempts: Number(options.maxAttempts || DEFAULT_MAX_ATTEMPTS),
+    enqueuedAt: new Date(),
+    retryOf: options.retryOf || null,
+    checkpoints: options.checkpoints || {},
+    history: [{ at: new Date(), event: 'enqueued', by: WORKER_ID, note: options.retryOf ? `retry of ${options.retryOf}` : undefined }],
+  });
+  setImmediate(pump);
+  return String(doc._id);
+}
+
+// Running jobs whose lease lapsed and that have no attempts left are failed outright
+async function failExhaustedLeases(now) {
+  const expired = await JobModel.find({
+    status: 'running',
+    leaseExpiresAt: { $lte: now },
+    $expr: { $gte: ['$attempts', '$maxAttempts'] },
+  }).select('_id').lean();
+  for (const job of expired) {
+    await JobModel.updateOne(
+      { _id: job._id, status: 'running', leaseExpiresAt: { $lte: now } },
+      {
+        $set: { status: 'error', error: 'Lease expired (worker stopped responding)', finishedAt: now, leaseOwner: null, leaseExpiresAt: null },
+        $push: { history: historyEntry('lease-expired', 'no attempts left') },
+      }
+    );
+    console.warn(`⚠️ [JOB QUEUE] Job ${job._id} lease expired with no attempts left`);
+  }
+}
+
+async function claimNext(lane) {
+  const now = new Date();
+  const types = [...handlers.keys()];
+  if (!types.length) return null;
+  // Jobs persisted before lanes existed have no lane and belong to the default one
+  const laneMatch = lane === DEFAULT_LANE ? { $in: [DEFAULT_LANE, null] } : lane;
+  const lease = {
+    status: 'running',
+    leaseOwner: WORKER_ID,
+    leaseExpiresAt: new Date(now.getTime() + LEASE_MS),
+    heartbeatAt: now,
+    startedAt: now,
+  };
+
+  // A job cancelled while its worker was down is finalized instead of reclaimed
+  await JobModel.updateMany(
+    { lane: laneMatch, status: 'running', leaseExpiresAt: { $lte: now }, cancelRequestedAt: { $ne: null } },
+    {
+      $set: { status: 'cancelled', finishedAt: now, leaseOwner: null, leaseExpiresAt: null },
+      $push: { history: historyEntry('cancelled', 'lease expired after cancel request') },
     }
+  );
+
+  // Reclaim jobs left running by a dead worker first, then take fresh ones
+  const reclaimed = await JobModel.findOneAndUpdate(
+    { type: { $in: types }, lane: laneMatch, status: 'running', leaseExpiresAt: { $lte: now } },
+    { $set: lease, $inc: { attempts: 1 }, $push: { history: historyEntry('reclaimed') } },
+    { sort: { enqueuedAt: 1 }, new: true }
+  ).lean();
+  if (reclaimed) {
+    console.log(`♻️ [JOB QUEUE] Reclaimed stale job ${reclaimed._id} in lane ${lane} (attempt ${reclaimed.attempts})`);
+    return reclaimed;
+  }
+
+  return JobModel.findOneAndUpdate(
+    { type: { $in: types }, lane: laneMatch, status: 'queued' },
+    { $set: lease, $inc: { attempts: 1 }, $push: { history: historyEntry('claimed') } },
+    { sort: { enqueuedAt: 1 }, new: true }
+  ).lean();
+}
+
+async function runJob(job) {
+  const jobId = String(job._id);
+  const owned = { _id: job._id, status: 'running', leaseOwner: WORKER_ID };
+  const controller = new AbortController();
+  controllers.set(jobId, controller);
+  if (job.cancelRequestedAt) controller.abort();
+
+  // The heartbeat also picks up cancel requests made through another instance
+  const heartbeat = setInterval(() => {
+    const now = new Date();
+    JobModel.findOneAndUpdate(owned, { $set: { heartbeatAt: now, leaseExpiresAt: new Date(now.getTime() + LEASE_MS) } }, { new: true })
+      .select('cancelRequestedAt')
+      .lean()
+      .then((doc) => { if (doc && doc.cancelRequestedAt && !controller.signal.aborted) controller.abort(); })
+      .catch((e) => console.warn('⚠️ [JOB QUEUE] Heartbeat failed:', e?.message || e));
+  }, HEARTBEAT_MS);
+  if (typeof heartbeat.unref === 'function') heartbeat.unref();
+
+  const throwIfCancelled = (step) => {
+    if (controller.signal.aborted) throw new Error(`Job cancelled${step ? ` before ${step}` : ''}`);
+  };
+
+  // Only the lease owner may record progress; a worker that lost its lease stops here
+  const checkpoints = { ...(job.checkpoints || {}) };
+  const saveCheckpoint = async (step, data = {}) => {
+    checkpoints[step] = { ...data, at: new Date() };
+    const res = await JobModel.updateOne(owned, { $set: { [`checkpoints.${step}`]: checkpoints[step] }, $push: { history: historyEntry('checkpoint', step) } });
+    if (!res.matchedCount) throw new Error(`Lost lease before checkpoint ${step}`);
+  };
+
+  try {
+    const handler = handlers.get(job.type);
+    if (!handler) throw new Error(`No handler registered for job type: ${job.type}`);
+    throwIfCancelled();
+    const result = await handler(job.payload || {}, { jobId, attempt: job.attempts, signal: controller.signal, throwIfCancelled, checkpoints, saveCheckpoint });
+    await JobModel.updateOne(owned, {
+      $set: { status: 'success', finishedAt: new Date(), result, leaseOwner: null, leaseExpiresAt: null },
+      $push: { history: historyEntry('succeeded') },
+    });
   } catch (error) {
-    if (status) {
-      status.status = 'error';
-      status.finishedAt = new Date().toISOString();
-      status.error = error?.message || String(error);
+    const message = error?.message || String(error);
+    if (controller.signal.aborted) {
+      console.log(`🛑 [JOB QUEUE] Job ${jobId} cancelled: ${message}`);
+      await JobModel.updateOne(owned, {
+        $set: { status: 'cancelled', finishedAt: new Date(), error: message, leaseOwner: null, leaseExpiresAt: null },
+        $push: { history: historyEntry('cancelled', message) },
+      }).catch(() => {});
+      return;
     }
+    const maxAttempts = job.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    if (job.attempts < maxAttempts) {
+      console.warn(`🔁 [JOB QUEUE] Job ${jobId} failed on attempt ${job.attempts}/${maxAttempts}, requeued:`, message);
+      await JobModel.updateOne(owned, {
+        $set: { status: 'queued', error: message, leaseOwner: null, leaseExpiresAt: null },
+        $push: { history: historyEntry('retrying', message) },
+      }).catch(() => {});
+      return;
+    }
+    console.error(`❌ [JOB QUEUE] Job ${jobId} failed:`, message);
+    await JobModel.updateOne(owned, {
+      $set: { status: 'error', finishedAt: new Date(), error: message, leaseOwner: null, leaseExpiresAt: null },
+      $push: { history: historyEntry('failed', message) },
+    }).catch(() => {});
   } finally {
-    isProcessing = false;
-    // Kick off next
-    setImmediate(processNext);
+    clearInterval(heartbeat);
+    controllers.delete(jobId);
   }
 }
 
-function enqueue(handler) {
-  const id = String(nextJobId++);
-  jobQueue.push({ id, handler });
-  jobStatusById.set(id, {
-    id,
-    status: 'queued',
-    enqueuedAt: new Date().toISOString(),
-  });
-  // Start processing if idle
-  setImmediate(processNext);
-  return id;
+async function pump() {
+  if (pumping) return;
+  pumping = true;
+  try {
+    await failExhaustedLeases(new Date());
+    for (const lane of Object.keys(laneConcurrency)) {
+      while (activeIn(lane) < laneConcurrency[lane]) {
+        const job = await claimNext(lane);
+        if (!job) break;
+        const jobId = String(job._id);
+        if (!activeByLane.has(lane)) activeByLane.set(lane, new Set());
+        activeByLane.get(lane).add(jobId);
+        runJob(job).finally(() => {
+          activeByLane.get(lane)?.delete(jobId);
+          // Kick off next
+          setImmediate(pump);
+        });
+      }
+    }
+  } catch (e) {
+    console.warn('⚠️ [JOB QUEUE] Claim failed:', e?.message || e);
+  } finally {
+    pumping = false;
+  }
+}
+
+/**
+ * Start polling for queued and reclaimable jobs (idempotent)
+ */
+function startJobWorker() {
+  if (pollTimer) return;
+  pollTimer = setInterval(() => { pump(); }, POLL_MS);
+  if (typeof pollTimer.unref === 'function') pollTimer.unref();
+  setImmediate(pump);
+  console.log(`🧵 [JOB QUEUE] Worker ${WORKER_ID} started (lease ${LEASE_MS}ms, heartbeat ${HEARTBEAT_MS}ms)`);
+}
+
+function stopJobWorker() {
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+function formatJob(doc) {
+  return {
+    id: String(doc._id),
+    type: doc.type,
+    lane: doc.lane || DEFAULT_LANE,
+    status: doc.status,
+    attempts: doc.attempts || 0,
+    maxAttempts: doc.maxAttempts,
+    enqueuedAt: doc.enqueuedAt ? new Date(doc.enqueuedAt).toISOString() : null,
+    startedAt: doc.startedAt ? new Date(doc.startedAt).toISOString() : null,
+    finishedAt: doc.finishedAt ? new Date(doc.finishedAt).toISOString() : null,
+    heartbeatAt: doc.heartbeatAt ? new Date(doc.heartbeatAt).toISOString() : null,
+    leaseOwner: doc.leaseOwner || null,
+    result: doc.result,
+    error: doc.error,
+    cancelRequestedAt: doc.cancelRequestedAt ? new Date(doc.cancelRequestedAt).toISOString() : null,
+    retryOf: doc.retryOf ? String(doc.retryOf) : null,
+    checkpoints: Object.keys(doc.checkpoints || {}),
+    history: (doc.history || []).map(h => ({ at: h.at ? new Date(h.at).toISOString() : null, event: h.event, by: h.by, note: h.note })),
+  };
+}
+
+/**
+ * @param {string} jobId
+ * @returns {Promise<Object|null>} Job status or null when unknown
+ */
+async function getJobStatus(jobId) {
+  if (!mongoose.isValidObjectId(jobId)) return null;
+  const doc = await JobModel.findById(jobId).lean();
+  return doc ? formatJob(doc) : null;
+}
+
+/**
+ * List jobs, newest first
+ * @param {{ status?: string|string[], from?: Date|string, to?: Date|string, type?: string, lane?: string, limit?: number }} filter
+ * @returns {Promise<Object[]>}
+ */
+async function listJobs(filter = {}) {
+  const query = {};
+  if (filter.status) {
+    const statuses = Array.isArray(filter.status) ? filter.status : String(filter.status).split(',');
+    query.status = { $in: statuses.map(s => s.trim()).filter(Boolean) };
+  }
+  if (filter.type) query.type = filter.type;
+  if (filter.lane) query.lane = filter.lane;
+  const from = filter.from ? new Date(filter.from) : null;
+  const to = filter.to ? new Date(filter.to) : null;
+  if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+    throw new Error('Invalid from/to date');
+  }
+  if (from || to) {
+    query.enqueuedAt = {};
+    if (from) query.enqueuedAt.$gte = from;
+    if (to) query.enqueuedAt.$lte = to;
+  }
+  const limit = Math.min(Math.max(Number(filter.limit) || 50, 1), 500);
+  const docs = await JobModel.find(query).sort({ enqueuedAt: -1 }).limit(limit).lean();
+  return docs.map(formatJob);
+}
+
+/**
+ * Cancel a job. Queued jobs are cancelled immediately; running jobs are flagged
+ * and stop at the handler's next checkpoint.
+ * @param {string} jobId
+ * @param {string} [reason]
+ * @returns {Promise<{ outcome: 'cancelled'|'cancel-requested'|'not-cancellable', job: Object }|null>}
+ */
+async function cancelJob(jobId, reason) {
+  if (!mongoose.isValidObjectId(jobId)) return null;
+  const now = new Date();
+  const note = reason || 'requested via API';
+
+  const queued = await JobModel.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    {
+      $set: { status: 'cancelled', cancelRequestedAt: now, cancelReason: note, finishedAt: now },
+      $push: { history: historyEntry('cancelled', note) },
+    },
+    { new: true }
+  ).lean();
+  if (queued) return { outcome: 'cancelled', job: formatJob(queued) };
+
+  const running = await JobModel.findOneAndUpdate(
+    { _id: jobId, status: 'running' },
+    { $set: { cancelRequestedAt: now, cancelReason: note }, $push: { history: historyEntry('cancel-requested', note) } },
+    { new: true }
+  ).lean();
+  if (running) {
+    const controller = controllers.get(String(jobId));
+    if (controller) controller.abort();
+    return { outcome: 'cancel-requested', job: formatJob(running) };
+  }
+
+  const doc = await JobModel.findById(jobId).lean();
+  return doc ? { outcome: 'not-cancellable', job: formatJob(doc) } : null;
 }
 
-function getJobStatus(jobId) {
-  return jobStatusById.get(jobId) || null;
+/**
+ * Enqueue a fresh copy of a failed or cancelled job; it starts from the original's checkpoints
+ * @param {string} jobId
+ * @returns {Promise<{ outcome: 'retried'|'not-retryable', job: Object }|null>}
+ */
+async function retryJob(jobId) {
+  if (!mongoose.isValidObjectId(jobId)) return null;
+  const doc = await JobModel.findById(jobId).lean();
+  if (!doc) return null;
+  if (!['error', 'cancelled'].includes(doc.status)) {
+    return { outcome: 'not-retryable', job: formatJob(doc) };
+  }
+  const newId = await enqueue(doc.type, doc.payload || {}, {
+    lane: isValidLane(doc.lane) ? doc.lane : DEFAULT_LANE,
+    maxAttempts: doc.maxAttempts,
+    retryOf: String(doc._id),
+    checkpoints: doc.checkpoints || {},
+  });
+  await JobModel.updateOne({ _id: doc._id }, { $push: { history: historyEntry('retried', `new job ${newId}`) } });
+  return { outcome: 'retried', job: await getJobStatus(newId) };
 }
 
-function getQueueSnapshot() {
+async function getQueueSnapshot() {
+  const [depthRows, runningDocs] = await Promise.all([
+    JobModel.aggregate([{ $match: { status: 'queued' } }, { $group: { _id: '$lane', count: { $sum: 1 } } }]),
+    JobModel.find({ status: 'running' }).select('_id lane type startedAt leaseOwner').lean(),
+  ]);
+  const lanes = {};
+  for (const lane of Object.keys(laneConcurrency)) {
+    lanes[lane] = { concurrency: laneConcurrency[lane], depth: 0, active: [], activeHere: activeIn(lane) };
+  }
+  for (const row of depthRows) {
+    const lane = row._id || DEFAULT_LANE;
+    if (!lanes[lane]) lanes[lane] = { concurrency: 0, depth: 0, active: [], activeHere: 0 };
+    lanes[lane].depth = row.count;
+  }
+  for (const doc of runningDocs) {
+    const lane = doc.lane || DEFAULT_LANE;
+    if (!lanes[lane]) lanes[lane] = { concurrency: 0, depth: 0, active: [], activeHere: 0 };
+    lanes[lane].active.push({
+      id: String(doc._id),
+      type: doc.type,
+      startedAt: doc.startedAt ? new Date(doc.startedAt).toISOString() : null,
+      leaseOwner: doc.leaseOwner || null,
+    });
+  }
+  const queued = Object.values(lanes).reduce((n, l) => n + l.depth, 0);
   return {
-    queued: jobQueue.length,
-    processing: isProcessing,
+    queued,
+    running: runningDocs.length,
+    processing: runningDocs.length > 0,
+    workerId: WORKER_ID,
+    lanes,
   };
 }
 
 module.exports = {
+  DEFAULT_LANE,
   enqueue,
+  registerJobHandler,
+  configureLanes,
+  isValidLane,
+  startJobWorker,
+  stopJobWorker,
   getJobStatus,
   getQueueSnapshot,
+  listJobs,
+  cancelJob,
+  retryJob,
 };
-
@@ -1,17 +1,27 @@
 import mongoose from 'mongoose';
 import { DailyCounterModel } from '../models/DailyCounter';
 
-export async function getRemainingSlots(platform: 'instagram' | 'youtube', dailyLimit: number): Promise<number> {
-  const today = new Date();
-  const dateKey = `${today.getFullYear()}${String(today.getMonth() + 1).padStart(2, '0')}${String(today.getDate()).padStart(2, '0')}`;
+// Counter days follow settings.timeZone (services/dateBoundary)
+async function todayKey(): Promise<string> {
+  const { dateKey, loadTimeZone } = require('./dateBoundary');
+  return dateKey(new Date(), await loadTimeZone());
+}
+
+// dailyLimit defaults to the platform's own cap (services/caps)
+export async function getRemainingSlots(platform: string, dailyLimit?: number): Promise<number> {
+  if (dailyLimit === undefined) {
+    const { platformLimits } = require('./caps');
+    const settings = await mongoose.model('SettingsClean').findOne({}).lean();
+    dailyLimit = platformLimits(settings || {}, platform).daily as number;
+  }
+  const dateKey = await todayKey();
   const doc = await DailyCounterModel.findOne({ platform, dateKey }).lean();
   const used = doc?.count || 0;
   return Math.max(0, dailyLimit - used);
 }
 
-export async function incrementDailyCounter(platform: 'instagram' | 'youtube'): Promise<void> {
-  const today = new Date();
-  const dateKey = `${today.getFullYear()}${String(today.getMonth() + 1).padStart(2, '0')}${String(today.getDate()).padStart(2, '0')}`;
+export async function incrementDailyCounter(platform: string): Promise<void> {
+  const dateKey = await todayKey();
   await DailyCounterModel.updateOne(
     { platform, dateKey },
     { $inc: { count: 1 } },
@@ -0,0 +1,149 @@
+/**
+ * Post Groups - one source video cross-posted to several platforms as linked queue items
+ * - Members share SchedulerQueue.groupId; each has its own caption and scheduledTime
+ * - settings.postGroups: { enabled, platforms: { youtube: { offsetMinutes: 30, captionPrefix, captionSuffix, maxCaptionLength } } }
+ * - offsetMinutes is relative to the group's first platform slot (before spacing/jitter)
+ * - Cancelling a group marks every member that has not gone out as skipped (skipReason GROUP_CANCELLED)
+ */
+
+const crypto = require('crypto');
+
+const OPEN_STATUSES = ['pending', 'scheduled'];
+
+function newGroupId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Member config for each platform, in platform order
+ * @returns {Array<{ platform: string, offsetMinutes: number, captionPrefix?: string, captionSuffix?: string, maxCaptionLength?: number }>|null}
+ *   null unless groups are enabled and there are at least two platforms
+ */
+function groupMembers(settings, platforms) {
+  const cfg = (settings && settings.postGroups) || {};
+  if (!cfg.enabled || !platforms || platforms.length < 2) return null;
+  return platforms.map((platform) => {
+    const p = (cfg.platforms || {})[platform] || {};
+    return {
+      platform,
+      offsetMinutes: Number(p.offsetMinutes || 0),
+      captionPrefix: p.captionPrefix || undefined,
+      captionSuffix: p.captionSuffix || undefined,
+      maxCaptionLength: p.maxCaptionLength ? Number(p.maxCaptionLength) : undefined,
+    };
+  });
+}
+
+/**
+ * Member caption: prefix + base + suffix; over maxCaptionLength the base is shortened, never the prefix/suffix
+ */
+function memberCaption(base, member) {
+  const join = body => [member.captionPrefix, body, member.captionSuffix].filter(Boolean).join('\n\n');
+  let body = String(base || '').trim();
+  const max = member.maxCaptionLength;
+  if (max && join(body).length > max) body = body.slice(0, Math.max(0, body.length - (join(body).length - max))).trim();
+  return join(body).slice(0, max || undefined);
+}
+
+/**
+ * Overall state of a group from its members
+ * @returns {'scheduled'|'posting'|'posted'|'partial'|'failed'|'cancelled'}
+ */
+function groupStatus(members) {
+  const s = members.map(m => m.status);
+  const done = m => m === 'posted' || m === 'completed';
+  if (s.every(done)) return 'posted';
+  if (members.every(m => m.status === 'skipped' && m.skipReason === 'GROUP_CANCELLED')) return 'cancelled';
+  if (s.includes('processing')) return 'posting';
+  if (s.some(done)) return 'partial';
+  if (s.every(x => x === 'failed' || x === 'skipped')) return 'failed';
+  return 'scheduled';
+}
+
+/**
+ * Members of the given groups
+ * @returns {Promise<Map<string, { groupId: string, status: string, originalVideoId: string|null, members: Array<Object> }>>}
+ */
+async function loadGroups(SchedulerQueueModel, groupIds) {
+  const ids = [...new Set((groupIds || []).filter(Boolean).map(String))];
+  const out = new Map();
+  if (!ids.length) return out;
+  const docs = await SchedulerQueueModel.find({ groupId: { $in: ids } })
+    .sort({ scheduledTime: 1 })
+    .select('_id groupId platform status skipReason scheduledTime postedAt postUrl postId caption thumbnailUrl originalVideoId')
+    .lean();
+  for (const d of docs) {
+    if (!out.has(d.groupId)) out.set(d.groupId, { groupId: d.groupId, originalVideoId: d.originalVideoId || null, thumbnailUrl: d.thumbnailUrl || null, members: [] });
+    out.get(d.groupId).members.push({
+      _id: String(d._id),
+      platform: d.platform,
+      status: d.status,
+      skipReason: d.skipReason || null,
+      scheduledTime: d.scheduledTime || null,
+      postedAt: d.postedAt || null,
+      postUrl: d.postUrl || null,
+      caption: d.caption || '',
+    });
+  }
+  for (const g of out.values()) g.status = groupStatus(g.members);
+  return out;
+}
+
+/**
+ * Most recently created groups, newest first
+ */
+async function listGroups(SchedulerQueueModel, { limit = 20, since } = {}) {
+  const match = { groupId: { $exists: true, $ne: null } };
+  if (since) match.createdAt = { $gte: since };
+  const rows = await SchedulerQueueModel.aggregate([
+    { $match: match },
+    { $group: { _id: '$groupId', createdAt: { $min: '$createdAt' } } },
+    { $sort: { createdAt: -1 } },
+    { $limit: Math.min(Math.max(Number(limit) || 20, 1), 100) },
+  ]);
+  const groups = await loadGroups(SchedulerQueueModel, rows.map(r => r._id));
+  return rows.map(r => groups.get(r._id)).filter(Boolean);
+}
+
+/**
+ * Cancel every member that has not been claimed or posted yet
+ * @returns {Promise<{ found: boolean, cancelled: string[], remaining: Array<{ _id: string, platform: string, status: string }> }>}
+ */
+async function cancelGroup(SchedulerQueueModel, groupId) {
+  const members = await SchedulerQueueModel.find({ groupId: String(groupId) }).select('_id platform status').lean();
+  if (!members.length) return { found: false, cancelled: [], remaining: [] };
+  const open = members.filter(m => OPEN_STATUSES.includes(m.status)).map(m => m._id);
+  if (open.length) {
+    await SchedulerQueueModel.updateMany(
+      { _id: { $in: open }, status: { $in: OPEN_STATUSES } },
+      { $set: { status: 'skipped', skipReason: 'GROUP_CANCELLED' } }
+    );
+  }
+  const after = await SchedulerQueueModel.find({ groupId: String(groupId) }).select('_id platform status skipReason').lean();
+  return {
+    found: true,
+    cancelled: after.filter(m => m.skipReason === 'GROUP_CANCELLED').map(m => String(m._id)),
+    remaining: after.filter(m => m.skipReason !== 'GROUP_CANCELLED').map(m => ({ _id: String(m._id), platform: m.platform, status: m.status })),
+  };
+}
+
+/**
+ * @returns {string|null} first problem with a settings.postGroups body
+ */
+function validatePostGroups(cfg) {
+  if (!cfg || typeof cfg !== 'object' || Array.isArray(cfg)) return 'postGroups must be an object';
+  if (cfg.enabled !== undefined && typeof cfg.enabled !== 'boolean') return 'postGroups.enabled must be a boolean';
+  if (cfg.platforms === undefined) return null;
+  if (!cfg.platforms || typeof cfg.platforms !== 'object' || Array.isArray(cfg.platforms)) return 'postGroups.platforms must be an object keyed by platform';
+  for (const [platform, p] of Object.entries(cfg.platforms)) {
+    if (!p || typeof p !== 'object') return `postGroups.platforms.${platform} must be an object`;
+    if (p.offsetMinutes !== undefined && (typeof p.offsetMinutes !== 'number' || p.offsetMinutes < 0)) return `postGroups.platforms.${platform}.offsetMinutes must be a non-negative number`;
+    if (p.maxCaptionLength !== undefined && (typeof p.maxCaptionLength !== 'number' || p.maxCaptionLength < 1)) return `postGroups.platforms.${platform}.maxCaptionLength must be a positive number`;
+    for (const k of ['captionPrefix', 'captionSuffix']) {
+      if (p[k] !== undefined && typeof p[k] !== 'string') return `postGroups.platforms.${platform}.${k} must be a string`;
+    }
+  }
+  return null;
+}
+
+module.exports = { newGroupId, groupMembers, memberCaption, groupStatus, loadGroups, listGroups, cancelGroup, validatePostGroups };
@@ -31,21 +31,17 @@ async function fetchLast30InstagramPosts(settings) {
 }
 
 /**
- * Scrape candidate videos from Instagram
+ * Collect candidate videos from every enabled content source
  */
 async function scrapeInstagramVideos(settings) {
-  console.log('🎯 [STEP 2] Scraping candidate videos from Instagram...');
+  console.log('🎯 [STEP 2] Collecting candidate videos from content sources...');
   
-  const { scrapeInstagramEngagement } = require('../utils/instagramScraper');
+  const { getCandidatePool } = require('./sources');
   
-  // Scrape high-performing videos (limit to 500)
-  const videos = await scrapeInstagramEngagement(
-    settings.igBusinessId,
-    settings.instagramToken,
-    500
-  );
+  // Pooled own feed + discovery + local/S3 sources (500 per source)
+  const videos = await getCandidatePool(settings, { limit: 500 });
   
-  console.log(`✅ [STEP 2] Scraped ${videos.length} candidate videos`);
+  console.log(`✅ [STEP 2] Collected ${videos.length} candidate videos`);
   return videos;
 }
 
@@ -83,8 +79,16 @@ function isDurationSimilar(a, b) {
 
 /**
  * Execute Post Now - Complete logic with smart candidate selection
+ * @param {Object} settings
+ * @param {{ signal?: AbortSignal, checkpoints?: Object, saveCheckpoint?: Function }} options - Aborting stops the run between
+ *   steps (never after the post is made); checkpoints saved by an earlier attempt of the same job skip the steps they cover
  */
-async function executePostNow(settings) {
+async function executePostNow(settings, options = {}) {
+  const { signal, checkpoints = {} } = options;
+  const saveCheckpoint = options.saveCheckpoint || (async () => {});
+  const checkpoint = (step) => {
+    if (signal && signal.aborted) throw new Error(`Post Now cancelled before ${step}`);
+  };
   try {
     console.log('🚀 [POST NOW] Starting smart candidate selection (not always #1)...');
 
@@ -97,28 +101,29 @@ async function executePostNow(settings) {
       ActivityLogModel = mongoose.model('ActivityLog', activityLogSchema, 'activitylogs');
     }
 
+    // A retried or reclaimed job keeps the video it already picked (and may already have posted)
+    if (checkpoints.selected) {
+      console.log(`♻️ [POST NOW] Resuming with ${checkpoints.selected.video.id} after: ${Object.keys(checkpoints).join(', ')}`);
+      return await publishSelected(settings, checkpoints.selected.video, checkpoints.selected.hash, { ActivityLogModel, checkpoint, checkpoints, saveCheckpoint });
+    }
+
     //////////////////////////////////////////////////////////////
     // ✅ STEP 1: FETCH LAST 30 POSTS (FOR DUPLICATE CHECKING)
     //////////////////////////////////////////////////////////////
 
     const last30 = await fetchLast30InstagramPosts(settings); // [{ id, thumbnailUrl, caption, audioId, duration }]
     
-    // Build robust visual hashes for last 30 posts sequentially (thumbnail-based, low memory)
-    const { generateThumbnailHash } = require('../utils/instagramScraper');
-    const { computeAverageHashFromImageUrl, hammingDistance } = require('../utils/visualHash');
-    const last30Hashes = [];
-    const last30Ahashes = [];
+    // Versioned visual hashes for last 30 posts, sequentially (thumbnail-based, low memory); cached across runs (services/signalCache)
+    const { createHashIndex } = require('../utils/hashIndex');
+    const { findAudioMatch, resolveAudioKey } = require('../utils/audioFingerprint');
+    const { getSignals } = require('./signalCache');
+    const { audioMinSimilarity } = require('./schedulerPolicy').duplicateSettings(settings);
+    const last30HashIndex = createHashIndex();
+    const last30Audio = [];
     for (const post of last30) {
-      try {
-        const h = await generateThumbnailHash(post.thumbnailUrl || post.url || '');
-        last30Hashes.push(h);
-        try {
-          const ah = await computeAverageHashFromImageUrl(post.thumbnailUrl || post.url || '');
-          last30Ahashes.push(ah);
-        } catch (_) {}
-      } catch (e) {
-        console.warn('⚠️ [STEP 1] Thumbnail hash failed for past post, skipping:', e.message);
-      }
+      const signals = await getSignals({ id: post.id, url: post.url, thumbnailUrl: post.thumbnailUrl, audioKey: post.audioId }, ['visualHash', 'audioFingerprint']);
+      last30HashIndex.add(signals.visualHash);
+      if (signals.audioFingerprint) last30Audio.push({ audioKey: signals.audioKey, audioFingerprint: signals.audioFingerprint });
     }
     
     const last30Captions = last30.map(p => p.caption);
@@ -139,12 +144,13 @@ async function executePostNow(settings) {
     }
     const blockedIds = new Set([ ...last30Ids, ...last30DbIds ]);
 
-    console.log(`✅ [STEP 1] Built blacklist: ${last30Hashes.length} hashes, ${last30Captions.length} captions, ${last30AudioIds.length} audio IDs`);
+    console.log(`✅ [STEP 1] Built blacklist: ${last30HashIndex.size} hashes, ${last30Captions.length} captions, ${last30AudioIds.length} audio IDs, ${last30Audio.length} audio fingerprints`);
 
     //////////////////////////////////////////////////////
     // ✅ STEP 2: SCRAPE CANDIDATES, SORT BY ENGAGEMENT, FILTER DOWN  
     //////////////////////////////////////////////////////
 
+    checkpoint('STEP 2');
     // Ensure we skip anything already queued by Autopilot (avoid collision)
     let SchedulerQueueModel;
     try { SchedulerQueueModel = mongoose.model('SchedulerQueue'); } catch(e) {}
@@ -154,29 +160,11 @@ async function executePostNow(settings) {
     }
 
     // Fetch candidates WITHOUT computing thumbnail hashes to save memory/CPU
-    // Start with own feed, then optionally merge discovery sources to broaden pool
-    let candidates = await scrapeInstagramVideos(settings); // [{ id, videoUrl, caption, engagement, audioId, duration }]
-    try {
-      const discoveryUsernames = Array.isArray(settings.discoveryUsernames) ? settings.discoveryUsernames : [];
-      if (discoveryUsernames.length > 0) {
-        const { scrapeDiscoveryEngagement } = require('../utils/instagramScraper');
-        const discovered = await scrapeDiscoveryEngagement(
-          settings.igBusinessId,
-          settings.instagramToken,
-          discoveryUsernames,
-          500
-        );
-        if (Array.isArray(discovered) && discovered.length) {
-          candidates = candidates.concat(discovered);
-        }
-      }
-    } catch (e) {
-      console.warn('⚠️ [STEP 2] Discovery merge skipped:', e.message);
-    }
+    // Pool is already deduped and ranked (highest engagement first, metric-less sources last)
+    let candidates = await scrapeInstagramVideos(settings); // [{ id, url, caption, engagement, audioKey, duration, origin }]
     
     candidates = candidates
-      .filter(v => v.engagement >= 10000) // ✅ Only use high-engagement
-      .sort((a, b) => b.engagement - a.engagement); // ✅ Highest to lowest
+      .filter(v => v.engagement == null || v.engagement >= 10000); // ✅ Only use high-engagement (curated sources have no metrics)
 
     console.log(`✅ [STEP 2] Found ${candidates.length} high-engagement candidates`);
 
@@ -184,6 +172,7 @@ async function executePostNow(settings) {
     // ✅ STEP 3: Iterate and find the FIRST valid (not top 1 by default)
     //////////////////////////////////////////////////////////////////////////
 
+    checkpoint('STEP 3');
     console.log('🔍 [STEP 3] Finding FIRST unique video (not always #1)...');
     let selectedVideo = null;
     let selectedHash = null;
@@ -193,17 +182,14 @@ async function executePostNow(settings) {
     const MIN_BYTES_QUALITY = Number(process.env.MIN_VIDEO_BYTES_QUALITY || 3 * 1024 * 1024);
 
     for (const video of candidates) {
+      checkpoint('STEP 3');
       console.log(`🔍 Checking video ${video.id} (engagement: ${video.engagement})...`);
-      // Optional quick quality gate: HEAD check content-length >= 8MB (skip very small/low-res)
-      try {
-        const fetch = require('node-fetch');
-        const headResp = await fetch(video.url, { method: 'HEAD' });
-        const size = parseInt(headResp.headers.get('content-length') || '0', 10);
-        if (Number.isFinite(size) && size > 0 && size < MIN_BYTES_QUALITY) {
-          console.log(`⛔ Skipping video ${video.id} - too small (${size} bytes < ${MIN_BYTES_QUALITY})`);
-          continue;
-        }
-      } catch (_) {}
+      // Optional quick quality gate: content-length (HEAD, cached) >= MIN_BYTES_QUALITY (skip very small/low-res)
+      const { size } = await getSignals(video, ['size']);
+      if (size && size < MIN_BYTES_QUALITY) {
+        console.log(`⛔ Skipping video ${video.id} - too small (${size} bytes < ${MIN_BYTES_QUALITY})`);
+        continue;
+      }
       
       // ⛔ Skip if exact ID already posted (from IG or DB logs)
       if (blockedIds.has(video.id)) {
@@ -215,26 +201,22 @@ async function executePostNow(settings) {
         continue;
       }
 
-      // Compute robust thumbnail visual hash for candidate (sequential; avoids full video download)
-      let hash;
-      let candidateAhash = null;
-      try {
-        hash = await generateThumbnailHash(video.thumbnailUrl || video.url || '');
-        candidateAhash = await computeAverageHashFromImageUrl(video.thumbnailUrl || video.url || '');
-      } catch (e) {
-        const crypto = require('crypto');
-        const fallback = (video.thumbnailUrl || video.url || '').toLowerCase();
-        hash = crypto.createHash('md5').update(fallback).digest('hex').substring(0, 16);
-      }
+      // Thumbnail visual hash for candidate (sequential; avoids full video download); null when the thumbnail can't be read
+      const candidateVisualHash = (await getSignals(video, ['visualHash'])).visualHash;
 
-      const isDuplicateVisual = last30Hashes.includes(hash)
-        || (candidateAhash && last30Ahashes.some(past => hammingDistance(candidateAhash, past) <= 6));
+      const isDuplicateVisual = last30HashIndex.has(candidateVisualHash, 6);
       const isDuplicateCaption = last30Captions.some((c) => {
         const a = (video.caption || '').toLowerCase();
         const b = (c || '').toLowerCase();
         return stringSimilarity.compareTwoStrings(a, b) > 0.85;
       });
-      const isDuplicateAudio = last30AudioIds.includes(video.audioId);
+      // Music id when the platform has one, else the soundtrack itself (original audio)
+      let audioFingerprint = video.audioFingerprint || null;
+      let isDuplicateAudio = !!video.audioKey && last30AudioIds.includes(video.audioKey);
+      if (!isDuplicateAudio && !isDuplicateVisual && !isDuplicateCaption) {
+        if (!audioFingerprint) audioFingerprint = (await getSignals(video, ['audioFingerprint'])).audioFingerprint;
+        isDuplicateAudio = !!findAudioMatch(audioFingerprint, last30Audio, { minSimilarity: audioMinSimilarity });
+      }
 
       if (isDuplicateVisual || isDuplicateCaption || isDuplicateAudio) {
         console.log(`⛔ Skipping duplicate video ${video.id} [Hash:${isDuplicateVisual} | Caption:${isDuplicateCaption} | Audio:${isDuplicateAudio}]`);
@@ -242,8 +224,8 @@ async function executePostNow(settings) {
       }
 
       // ✅ This video passed all checks — it's unique
-      selectedVideo = video;
-      selectedHash = hash;
+      selectedVideo = { ...video, audioKey: resolveAudioKey({ metadataKey: video.audioKey, fingerprint: audioFingerprint, id: video.id }, last30Audio, { minSimilarity: audioMinSimilarity }) };
+      selectedHash = candidateVisualHash || null;
       // Defer downloading full video until after selection
       selectedBuffer = null;
       console.log(`✅ [STEP 3] Selected unique video: ${video.id} (may not be #1 engagement)`);
@@ -260,21 +242,43 @@ async function executePostNow(settings) {
       };
     }
 
-    ////////////////////////////////// 
-    // ✅ STEP 4: UPLOAD TO S3
-    //////////////////////////////////
-    
+    await saveCheckpoint('selected', { video: selectedVideo, hash: selectedHash });
+    return await publishSelected(settings, selectedVideo, selectedHash, { ActivityLogModel, checkpoint, checkpoints, saveCheckpoint });
+
+  } catch (error) {
+    console.error('❌ [POST NOW ERROR]', error);
+    throw error;
+  }
+}
+
+/**
+ * Steps 4-7 for the selected video; each completed step is checkpointed so a later attempt never uploads,
+ * posts or logs it twice
+ */
+async function publishSelected(settings, selectedVideo, selectedHash, { ActivityLogModel, checkpoint, checkpoints, saveCheckpoint }) {
+  //////////////////////////////////
+  // ✅ STEP 4: UPLOAD TO S3
+  //////////////////////////////////
+
+  let s3Url = checkpoints.uploaded?.s3Url;
+  if (!s3Url) {
+    checkpoint('STEP 4');
     console.log('☁️ [STEP 4] Uploading to S3...');
-    const { uploadBufferToS3, uploadUrlToS3 } = require('../utils/s3Uploader');
+    const { uploadUrlToS3 } = require('../utils/s3Uploader');
     const s3Key = `autopilot/manual/${Date.now()}_${Math.random().toString(36).substring(2, 8)}.mp4`;
     // Stream upload from source to minimize memory usage
-    const s3Url = await uploadUrlToS3(selectedVideo.url, s3Key, 'video/mp4');
+    s3Url = await uploadUrlToS3(selectedVideo.url, s3Key, 'video/mp4');
+    await saveCheckpoint('uploaded', { s3Url });
     console.log(`✅ [STEP 4] Uploaded to S3: ${s3Url}`);
+  }
 
-    //////////////////////////////////
-    // ✅ STEP 5: REWRITE CAPTION (NO DASHES)
-    //////////////////////////////////
-    
+  //////////////////////////////////
+  // ✅ STEP 5: REWRITE CAPTION (NO DASHES)
+  //////////////////////////////////
+
+  let finalCaption = checkpoints.caption?.text;
+  if (typeof finalCaption !== 'string') {
+    checkpoint('STEP 5');
     console.log('✏️ [STEP 5] Generating smart caption...');
     const { proofreadCaptionWithKey } = require('./captionAI');
     // Keep original caption exactly; only fix spelling, then ensure CTA exists ONLY if not already present
@@ -286,83 +290,100 @@ async function executePostNow(settings) {
     const ctaLine = '⬆️ Fill out the link in bio for info ⬆️';
     const hasCta = ctaRegex.test(proofread || '');
     finalCaption = hasCta ? (proofread || '') : `${ctaLine}\n\n${proofread || ''}`;
+    await saveCheckpoint('caption', { text: finalCaption });
     console.log(`✅ [STEP 5] Generated caption: ${finalCaption.substring(0, 100)}...`);
+  }
 
-    //////////////////////////////////
-    // ✅ STEP 6: POST TO INSTAGRAM
-    //////////////////////////////////
-    
+  //////////////////////////////////
+  // ✅ STEP 6: POST TO INSTAGRAM
+  //////////////////////////////////
+
+  if (!checkpoints.posted) {
+    checkpoint('STEP 6');
     console.log('📱 [STEP 6] Posting to Instagram...');
     const { postToInstagram } = require('./instagramPoster');
     await postToInstagram({ videoUrl: s3Url, caption: finalCaption, thumbnailUrl: s3Url, source: "manual" });
+    await saveCheckpoint('posted');
     console.log('✅ [STEP 6] Posted to Instagram successfully');
+    if (selectedVideo.origin === 'inbox') {
+      try { await require('./inbox').markInboxItem(selectedVideo.id, 'posted'); } catch (_) {}
+    }
+  } else {
+    console.log('⏭️ [STEP 6] Already posted to Instagram by an earlier attempt');
+  }
 
-    // YouTube (optional): if settings.postToYouTube true, post the same video to YouTube with custom thumbnail
-    if (settings && settings.postToYouTube) {
-      try {
-        console.log('📺 [STEP 6B] Posting to YouTube...');
-        const { postToYouTube } = require('./youtubePoster');
-        const ytResult = await postToYouTube({
-          videoUrl: s3Url,
-          caption: finalCaption,
-          thumbnailHash: selectedHash,
-          source: 'manual'
-        });
-        if (!ytResult.success) {
-          console.warn('⚠️ [STEP 6B] YouTube post failed:', ytResult.error);
-        } else {
-          console.log('✅ [STEP 6B] YouTube posted:', ytResult.url);
-        }
-      } catch (e) {
-        console.warn('⚠️ [STEP 6B] YouTube step error:', e.message);
+  // YouTube (optional): if settings.postToYouTube true, post the same video to YouTube with custom thumbnail
+  if (settings && settings.postToYouTube && !checkpoints.youtube) {
+    let ytResult = null;
+    try {
+      console.log('📺 [STEP 6B] Posting to YouTube...');
+      const { postToYouTube } = require('./youtubePoster');
+      ytResult = await postToYouTube({
+        videoUrl: s3Url,
+        caption: finalCaption,
+        thumbnailHash: selectedHash,
+        source: 'manual'
+      });
+      if (!ytResult.success) {
+        console.warn('⚠️ [STEP 6B] YouTube post failed:', ytResult.error);
+      } else {
+        console.log('✅ [STEP 6B] YouTube posted:', ytResult.url);
       }
+    } catch (e) {
+      console.warn('⚠️ [STEP 6B] YouTube step error:', e.message);
     }
+    // Attempted once either way; a retry must not upload it again
+    await saveCheckpoint('youtube', { success: !!ytResult?.success });
+  }
 
-    //////////////////////////////////
-    // ✅ STEP 7: LOG TO DATABASE ONLY
-    //////////////////////////////////
-    
+  //////////////////////////////////
+  // ✅ STEP 7: LOG TO DATABASE ONLY
+  //////////////////////////////////
+
+  if (!checkpoints.logged) {
     console.log('💾 [STEP 7] Logging to activitylogs...');
+    // Only versioned hashes are stored; a checkpoint from before the switch may still carry a legacy one
+    const hashVersion = require('../utils/visualHash').hashVersionOf(selectedHash);
     await ActivityLogModel.create({
       platform: "instagram",
       source: "manual",
       originalVideoId: selectedVideo.id,
       videoUrl: s3Url,
       thumbnailUrl: selectedVideo.thumbnailUrl || s3Url,
-      thumbnailHash: selectedHash,
+      visualHash: hashVersion ? selectedHash : undefined,
+      hashVersion: hashVersion || undefined,
       caption: finalCaption,
       engagement: selectedVideo.engagement,
-      audioId: selectedVideo.audioId,
+      audioId: selectedVideo.audioKey,
+      origin: selectedVideo.origin,
       duration: selectedVideo.duration,
       status: 'success',
       postedAt: new Date(),
     });
-
-    console.log("✅ Posted next-best valid video (not always #1) to Instagram successfully.");
-
-    return {
-      success: true,
-      status: "✅ Posted successfully with smart candidate selection",
-      platform: "Instagram",
-      thumbnailHash: selectedHash.substring(0, 12) + '...',
-      audioId: selectedVideo.audioId ? selectedVideo.audioId.substring(0, 20) + '...' : 'none',
-      s3Url: s3Url,
-      videoId: selectedVideo.id,
-      caption: finalCaption.substring(0, 100) + '...',
-      candidateRank: 'First unique found (not always #1)',
-      duplicateProtection: {
-        visualHash: true,
-        captionSimilarity: true,
-        audioId: !!selectedVideo.audioId,
-        duration: true,
-        exactId: true
-      }
-    };
-
-  } catch (error) {
-    console.error('❌ [POST NOW ERROR]', error);
-    throw error;
+    await saveCheckpoint('logged');
   }
+
+  console.log("✅ Posted next-best valid video (not always #1) to Instagram successfully.");
+
+  return {
+    success: true,
+    status: "✅ Posted successfully with smart candidate selection",
+    platform: "Instagram",
+    thumbnailHash: selectedHash ? selectedHash.substring(0, 12) + '...' : 'none',
+    audioId: selectedVideo.audioKey ? selectedVideo.audioKey.substring(0, 20) + '...' : 'none',
+    origin: selectedVideo.origin,
+    s3Url: s3Url,
+    videoId: selectedVideo.id,
+    caption: finalCaption.substring(0, 100) + '...',
+    candidateRank: 'First unique found (not always #1)',
+    duplicateProtection: {
+      visualHash: true,
+      captionSimilarity: true,
+      audioId: !!selectedVideo.audioKey,
+      duration: true,
+      exactId: true
+    }
+  };
 }
 
 module.exports = {
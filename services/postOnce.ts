@@ -2,17 +2,20 @@ import mongoose from 'mongoose';
 import { buildIdempotencyKey } from '../lib/idempotency';
 import { acquireLock, releaseLock } from '../lib/lock';
 import { PostModel } from '../models/Post';
-import { incrementDailyCounter } from './limits';
+import { incrementDailyCounter, getRemainingSlots } from './limits';
 
-type Platform = 'instagram' | 'youtube';
+// Any platform registered in services/providers
+type Platform = string;
 
 type PostOnceResult = { success?: boolean; deduped?: boolean; externalPostId?: string; note?: string };
+// Dedupe signals from the queue item, kept on the Posts record
+type PostSignals = { visualHash?: string; hashVersion?: string; videoFingerprint?: string; audioFingerprint?: string; audioKey?: string };
 
 export async function postOnce(
   platform: Platform,
   videoHash: string,
   scheduledAt: Date,
-  payload: { caption?: string; videoUrl: string; title?: string; description?: string; settings: any }
+  payload: { caption?: string; videoUrl: string; title?: string; description?: string; thumbUrl?: string; settings: any; signals?: PostSignals }
 ): Promise<PostOnceResult> {
   const idempotencyKey = buildIdempotencyKey(platform, videoHash, scheduledAt);
   const lockKey = `post:${idempotencyKey}`;
@@ -33,6 +36,14 @@ export async function postOnce(
       return { deduped: true, externalPostId: pre.externalPostId };
     }
 
+    // Per-platform daily cap (services/caps), checked under the lock
+    const { platformLimits } = require('./caps');
+    const remaining = await getRemainingSlots(platform, platformLimits(payload.settings || {}, platform).daily);
+    if (remaining <= 0) {
+      console.log(`🛑 [POST-ONCE] ${platform} daily limit reached: ${idempotencyKey}`);
+      return { success: false, note: 'daily-limit-reached' };
+    }
+
     await PostModel.updateOne(
       { idempotencyKey },
       {
@@ -46,7 +57,8 @@ export async function postOnce(
           payloadSummary: {
             videoUrl: payload.videoUrl,
             captionPreview: (payload.caption || payload.description || '').slice(0, 160)
-          }
+          },
+          ...Object.fromEntries(Object.entries(payload.signals || {}).filter(([, v]) => !!v))
         }
       },
       { upsert: true }
@@ -60,33 +72,10 @@ export async function postOnce(
       return { deduped: true, externalPostId: current.externalPostId };
     }
 
-    // 3) Provider call (no internal retries)
-    let externalPostId: string | undefined;
-    if (platform === 'instagram') {
-      const { publishInstagramOnce } = require('./providers/instagram');
-      const settings = payload.settings;
-      const out = await publishInstagramOnce({
-        videoUrl: payload.videoUrl,
-        caption: payload.caption || '',
-        igBusinessId: settings.igBusinessId,
-        accessToken: settings.instagramToken
-      });
-      externalPostId = out.externalPostId;
-    } else if (platform === 'youtube') {
-      const { uploadYouTubeOnce } = require('./providers/youtube');
-      const settings = payload.settings;
-      // Ensure we have a valid token (assumes caller refreshed token)
-      const accessToken = settings.youtubeAccessToken;
-      const out = await uploadYouTubeOnce({
-        videoUrl: payload.videoUrl,
-        title: payload.title || 'New Homes',
-        description: payload.description || (payload.caption || ''),
-        accessToken
-      });
-      externalPostId = out.externalPostId;
-    } else {
-      throw new Error(`Unsupported platform: ${platform}`);
-    }
+    // 3) Provider call (no internal retries); dispatch through the registry (services/providers)
+    const { requireProvider } = require('./providers');
+    const out = await requireProvider(platform).publish(payload, payload.settings || {});
+    const externalPostId: string | undefined = out?.externalPostId;
 
     if (!externalPostId) throw new Error('Provider returned empty externalPostId');
 
@@ -0,0 +1,36 @@
+/**
+ * Facebook Page Reels (../facebook.ts); facebookPageToken falls back to instagramToken
+ */
+
+const pageToken = (settings) => settings.facebookPageToken || settings.instagramToken;
+
+module.exports = {
+  name: 'facebook',
+  label: 'Facebook',
+  toggle: 'postToFacebook',
+  capabilities: { maxCaptionLength: 2200, maxDurationSec: 90, status: true, delete: true, fetchRecent: true, customThumbnail: false },
+  isEnabled: (settings) => !!settings.postToFacebook,
+  isConfigured: (settings) => !!(settings.facebookPage && pageToken(settings)),
+  async publish(payload, settings) {
+    const { publishFacebookReelOnce } = require('../facebook');
+    return publishFacebookReelOnce({
+      videoUrl: payload.videoUrl,
+      caption: payload.caption || payload.description || '',
+      pageId: settings.facebookPage,
+      accessToken: pageToken(settings),
+      apiBase: settings.facebookApiBase,
+    });
+  },
+  async status(externalPostId, settings) {
+    const { getFacebookReelStatus } = require('../facebook');
+    return getFacebookReelStatus(externalPostId, settings.facebookPage, pageToken(settings), settings.facebookApiBase);
+  },
+  async delete(externalPostId, settings) {
+    const { deleteFacebookVideo } = require('../facebook');
+    return deleteFacebookVideo(externalPostId, settings.facebookPage, pageToken(settings), settings.facebookApiBase);
+  },
+  async fetchRecent(settings, { limit }) {
+    const { fetchRecentFacebookReels } = require('../facebook');
+    return fetchRecentFacebookReels(settings.facebookPage, pageToken(settings), limit, settings.facebookApiBase);
+  },
+};
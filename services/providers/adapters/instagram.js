@@ -0,0 +1,33 @@
+/**
+ * Instagram Reels via the Graph API (../instagram.ts)
+ */
+
+module.exports = {
+  name: 'instagram',
+  label: 'Instagram',
+  toggle: 'postToInstagram',
+  capabilities: { maxCaptionLength: 2200, maxDurationSec: 900, status: true, delete: false, fetchRecent: true, customThumbnail: false },
+  // On unless explicitly turned off
+  isEnabled: (settings) => settings.postToInstagram !== false,
+  isConfigured: (settings) => !!(settings.igBusinessId && settings.instagramToken),
+  async publish(payload, settings) {
+    const { publishInstagramOnce } = require('../instagram');
+    return publishInstagramOnce({
+      videoUrl: payload.videoUrl,
+      caption: payload.caption || '',
+      igBusinessId: settings.igBusinessId,
+      accessToken: settings.instagramToken,
+    });
+  },
+  async status(externalPostId, settings) {
+    const { getInstagramMediaStatus } = require('../instagram');
+    return getInstagramMediaStatus(externalPostId, settings.instagramToken);
+  },
+  async delete() {
+    throw new Error('Instagram does not support deleting media through the API');
+  },
+  async fetchRecent(settings, { limit }) {
+    const { scrapeInstagramEngagement } = require('../../../utils/instagramScraper');
+    return scrapeInstagramEngagement(settings.igBusinessId, settings.instagramToken, limit);
+  },
+};
@@ -0,0 +1,37 @@
+/**
+ * Pinterest video pins on settings.pinterestBoardId (../pinterest.ts); settings.pinterestApiBase points at the mock server offline
+ */
+
+module.exports = {
+  name: 'pinterest',
+  label: 'Pinterest',
+  toggle: 'postToPinterest',
+  capabilities: { maxCaptionLength: 800, maxDurationSec: 900, status: true, delete: true, fetchRecent: true, customThumbnail: true },
+  isEnabled: (settings) => !!settings.postToPinterest,
+  isConfigured: (settings) => !!(settings.pinterestAccessToken && settings.pinterestBoardId),
+  async publish(payload, settings) {
+    const { publishPinterestOnce } = require('../pinterest');
+    return publishPinterestOnce({
+      videoUrl: payload.videoUrl,
+      caption: payload.caption || payload.description || '',
+      title: payload.title,
+      boardId: settings.pinterestBoardId,
+      accessToken: settings.pinterestAccessToken,
+      link: settings.pinterestLink,
+      coverImageUrl: payload.thumbUrl,
+      apiBase: settings.pinterestApiBase,
+    });
+  },
+  async status(externalPostId, settings) {
+    const { getPinterestPinStatus } = require('../pinterest');
+    return getPinterestPinStatus(externalPostId, settings.pinterestAccessToken, settings.pinterestApiBase);
+  },
+  async delete(externalPostId, settings) {
+    const { deletePinterestPin } = require('../pinterest');
+    return deletePinterestPin(externalPostId, settings.pinterestAccessToken, settings.pinterestApiBase);
+  },
+  async fetchRecent(settings, { limit }) {
+    const { fetchRecentPinterest } = require('../pinterest');
+    return fetchRecentPinterest(settings.pinterestBoardId, settings.pinterestAccessToken, limit, settings.pinterestApiBase);
+  },
+};
@@ -0,0 +1,34 @@
+/**
+ * Threads video posts (../threads.ts); settings.threadsApiBase points at the mock server offline
+ */
+
+module.exports = {
+  name: 'threads',
+  label: 'Threads',
+  toggle: 'postToThreads',
+  capabilities: { maxCaptionLength: 500, maxDurationSec: 300, status: true, delete: true, fetchRecent: true, customThumbnail: false },
+  isEnabled: (settings) => !!settings.postToThreads,
+  isConfigured: (settings) => !!(settings.threadsUserId && settings.threadsAccessToken),
+  async publish(payload, settings) {
+    const { publishThreadsOnce } = require('../threads');
+    return publishThreadsOnce({
+      videoUrl: payload.videoUrl,
+      caption: payload.caption || payload.description || '',
+      userId: settings.threadsUserId,
+      accessToken: settings.threadsAccessToken,
+      apiBase: settings.threadsApiBase,
+    });
+  },
+  async status(externalPostId, settings) {
+    const { getThreadsPostStatus } = require('../threads');
+    return getThreadsPostStatus(externalPostId, settings.threadsAccessToken, settings.threadsApiBase);
+  },
+  async delete(externalPostId, settings) {
+    const { deleteThreadsPost } = require('../threads');
+    return deleteThreadsPost(externalPostId, settings.threadsAccessToken, settings.threadsApiBase);
+  },
+  async fetchRecent(settings, { limit }) {
+    const { fetchRecentThreads } = require('../threads');
+    return fetchRecentThreads(settings.threadsUserId, settings.threadsAccessToken, limit, settings.threadsApiBase);
+  },
+};
@@ -0,0 +1,34 @@
+/**
+ * TikTok direct posts via the Content Posting API (../tiktok.ts); settings.tiktokApiBase points at the mock server offline
+ */
+
+module.exports = {
+  name: 'tiktok',
+  label: 'TikTok',
+  toggle: 'postToTikTok',
+  capabilities: { maxCaptionLength: 2200, maxDurationSec: 600, status: true, delete: false, fetchRecent: true, customThumbnail: false },
+  isEnabled: (settings) => !!settings.postToTikTok,
+  isConfigured: (settings) => !!settings.tiktokAccessToken,
+  async publish(payload, settings) {
+    const { publishTikTokOnce } = require('../tiktok');
+    // Same as YouTube: assumes caller refreshed the token
+    return publishTikTokOnce({
+      videoUrl: payload.videoUrl,
+      caption: payload.caption || payload.description || '',
+      accessToken: settings.tiktokAccessToken,
+      privacyLevel: settings.tiktokPrivacyLevel,
+      apiBase: settings.tiktokApiBase,
+    });
+  },
+  async status(externalPostId, settings) {
+    const { getTikTokVideoStatus } = require('../tiktok');
+    return getTikTokVideoStatus(externalPostId, settings.tiktokAccessToken, settings.tiktokApiBase);
+  },
+  async delete() {
+    throw new Error('TikTok does not support deleting posts through the API');
+  },
+  async fetchRecent(settings, { limit }) {
+    const { fetchRecentTikTok } = require('../tiktok');
+    return fetchRecentTikTok(settings.tiktokAccessToken, limit, settings.tiktokApiBase);
+  },
+};
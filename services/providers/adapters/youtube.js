@@ -0,0 +1,35 @@
+/**
+ * YouTube uploads via the Data API (../youtube.ts); assumes the caller refreshed youtubeAccessToken
+ */
+
+module.exports = {
+  name: 'youtube',
+  label: 'YouTube',
+  toggle: 'postToYouTube',
+  capabilities: { maxCaptionLength: 5000, maxDurationSec: 180, status: true, delete: true, fetchRecent: true, customThumbnail: true },
+  isEnabled: (settings) => !!settings.postToYouTube,
+  isConfigured: (settings) => !!(settings.youtubeAccessToken || (settings.youtubeClientId && settings.youtubeClientSecret && settings.youtubeRefreshToken)),
+  async publish(payload, settings) {
+    const { uploadYouTubeOnce } = require('../youtube');
+    const caption = payload.caption || '';
+    return uploadYouTubeOnce({
+      videoUrl: payload.videoUrl,
+      title: payload.title || caption.slice(0, 95) || 'New Homes Available',
+      description: payload.description || caption.slice(0, 4900),
+      accessToken: settings.youtubeAccessToken,
+      thumbUrl: payload.thumbUrl,
+    });
+  },
+  async status(externalPostId, settings) {
+    const { getYouTubeVideoStatus } = require('../youtube');
+    return getYouTubeVideoStatus(externalPostId, settings.youtubeAccessToken);
+  },
+  async delete(externalPostId, settings) {
+    const { deleteYouTubeVideo } = require('../youtube');
+    return deleteYouTubeVideo(externalPostId, settings.youtubeAccessToken);
+  },
+  async fetchRecent(settings, { limit }) {
+    const { fetchRecentYouTube } = require('../youtube');
+    return fetchRecentYouTube(settings.youtubeAccessToken, limit);
+  },
+};
@@ -0,0 +1,132 @@
+import fetch from 'node-fetch';
+
+type Input = {
+  videoUrl: string;
+  caption: string;
+  pageId: string;
+  accessToken: string; // Page token, or a user token with pages_manage_posts that can read the Page's token
+  apiBase?: string; // settings.facebookApiBase / FACEBOOK_API_BASE; points at scripts/mock-facebook-server.js offline
+};
+
+type Output = { externalPostId: string };
+
+const DEFAULT_API_BASE = 'https://graph.facebook.com';
+
+function base(apiBase?: string): string {
+  return `${(apiBase || process.env.FACEBOOK_API_BASE || DEFAULT_API_BASE).replace(/\/+$/, '')}/v18.0`;
+}
+
+// A user token is swapped for the Page's own token; a Page token reads back itself
+async function resolvePageToken(pageId: string, accessToken: string, apiBase?: string): Promise<string> {
+  try {
+    const resp = await fetch(`${base(apiBase)}/${pageId}?fields=access_token&access_token=${encodeURIComponent(accessToken)}`);
+    const data = await resp.json();
+    if (resp.ok && data?.access_token) return data.access_token as string;
+  } catch {}
+  return accessToken;
+}
+
+/**
+ * Page Reels: video_reels start → rupload from the hosted URL → finish (PUBLISHED) → poll until published.
+ * Once finish succeeds the reel is live on Facebook's side, so a poll that runs out still returns the
+ * video_id; status() settles it later and postOnce never republishes it.
+ */
+export async function publishFacebookReelOnce(input: Input): Promise<Output> {
+  const { videoUrl, caption, pageId } = input;
+  if (!videoUrl) throw new Error('Missing videoUrl');
+  if (!pageId) throw new Error('Missing facebookPage (Page ID)');
+  if (!input.accessToken) throw new Error('Missing Facebook access token');
+  const api = base(input.apiBase);
+  const accessToken = await resolvePageToken(pageId, input.accessToken, input.apiBase);
+
+  // Start
+  const startResp = await fetch(`${api}/${pageId}/video_reels`, {
+    method: 'POST',
+    body: new URLSearchParams({ upload_phase: 'start', access_token: accessToken })
+  });
+  const startData = await startResp.json();
+  if (!startResp.ok) throw new Error(startData?.error?.message || 'FB reel start failed');
+  const videoId = startData.video_id as string;
+  if (!videoId) throw new Error('FB reel start missing video_id');
+
+  // Upload (hosted file; Facebook pulls it from S3)
+  const uploadResp = await fetch(startData.upload_url || `https://rupload.facebook.com/video-upload/v18.0/${videoId}`, {
+    method: 'POST',
+    headers: { Authorization: `OAuth ${accessToken}`, file_url: videoUrl }
+  });
+  const uploadData = await uploadResp.json().catch(() => ({}));
+  if (!uploadResp.ok || uploadData?.success === false) throw new Error(uploadData?.debug_info?.message || uploadData?.error?.message || 'FB reel upload failed');
+
+  // Finish + publish
+  const finishResp = await fetch(`${api}/${pageId}/video_reels`, {
+    method: 'POST',
+    body: new URLSearchParams({
+      upload_phase: 'finish',
+      video_id: videoId,
+      video_state: 'PUBLISHED',
+      description: caption || '',
+      access_token: accessToken
+    })
+  });
+  const finishData = await finishResp.json();
+  if (!finishResp.ok || finishData?.success === false) throw new Error(finishData?.error?.message || 'FB reel finish failed');
+
+  // Poll processing/publishing (lightweight; the reel goes live on its own once processed)
+  const maxAttempts = 12;
+  const intervalMs = Number(process.env.FACEBOOK_POLL_INTERVAL_MS || 10000);
+  for (let i = 0; i < maxAttempts; i++) {
+    await new Promise(r => setTimeout(r, intervalMs));
+    let status: any = {};
+    try {
+      const statusResp = await fetch(`${api}/${videoId}?fields=status&access_token=${encodeURIComponent(accessToken)}`);
+      status = (await statusResp.json())?.status || {};
+    } catch {}
+    if (status.video_status === 'error' || status.processing_phase?.status === 'error') {
+      throw new Error(status.processing_phase?.errors?.[0]?.message || 'FB reel processing error');
+    }
+    if (status.publishing_phase?.status === 'complete' || status.video_status === 'ready') return { externalPostId: videoId };
+  }
+
+  console.warn(`⏳ [FACEBOOK] Reel ${videoId} still processing after ${maxAttempts} checks; keeping it as posted`);
+  return { externalPostId: videoId };
+}
+
+export async function getFacebookReelStatus(videoId: string, pageId: string, accessToken: string, apiBase?: string): Promise<{ state: string; url?: string }> {
+  const token = await resolvePageToken(pageId, accessToken, apiBase);
+  const resp = await fetch(`${base(apiBase)}/${videoId}?fields=status,permalink_url&access_token=${encodeURIComponent(token)}`);
+  const data = await resp.json();
+  if (!resp.ok) return { state: data?.error?.code === 100 ? 'failed' : 'unknown' };
+  const status = data.status || {};
+  const url = data.permalink_url ? `https://www.facebook.com${data.permalink_url}` : undefined;
+  if (status.video_status === 'error') return { state: 'failed', url };
+  if (status.publishing_phase?.status === 'complete' || status.video_status === 'ready') return { state: 'published', url };
+  return { state: 'processing', url };
+}
+
+export async function deleteFacebookVideo(videoId: string, pageId: string, accessToken: string, apiBase?: string): Promise<{ deleted: boolean }> {
+  const token = await resolvePageToken(pageId, accessToken, apiBase);
+  const resp = await fetch(`${base(apiBase)}/${videoId}?access_token=${encodeURIComponent(token)}`, { method: 'DELETE' });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) {
+    if (data?.error?.code === 100) return { deleted: false };
+    throw new Error(data?.error?.message || 'FB delete failed');
+  }
+  return { deleted: data?.success !== false };
+}
+
+export async function fetchRecentFacebookReels(pageId: string, accessToken: string, limit: number, apiBase?: string): Promise<any[]> {
+  const token = await resolvePageToken(pageId, accessToken, apiBase);
+  const resp = await fetch(`${base(apiBase)}/${pageId}/video_reels?fields=id,description,permalink_url,picture,length,created_time&limit=${Math.min(Math.max(limit, 1), 100)}&access_token=${encodeURIComponent(token)}`);
+  const data = await resp.json();
+  if (!resp.ok) throw new Error(data?.error?.message || 'FB recent reels failed');
+  return (data.data || []).map((v: any) => ({
+    id: String(v.id),
+    url: v.permalink_url ? `https://www.facebook.com${v.permalink_url}` : null,
+    thumbnailUrl: v.picture || null,
+    caption: v.description || '',
+    duration: typeof v.length === 'number' ? v.length : null,
+    timestamp: v.created_time || null,
+  }));
+}
+
+module.exports = { publishFacebookReelOnce, getFacebookReelStatus, deleteFacebookVideo, fetchRecentFacebookReels };
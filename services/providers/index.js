@@ -0,0 +1,89 @@
+/**
+ * Platform Provider Registry
+ * - One provider per posting platform; its name is the SchedulerQueue/Posts/DailyCounters platform value
+ * - Schema enums, autopilot platform lists, caps, dedupe, diagnostics and postOnce all read from here
+ * - Adapters (./adapters) hold settings mapping and capabilities only; the API calls live in the
+ *   TypeScript providers next to this file and are required lazily, so listing platforms never loads them
+ */
+
+/**
+ * @typedef {Object} PlatformProvider
+ * @property {string} name
+ * @property {string} label
+ * @property {string} toggle - settings flag that turns the platform on for autopilot
+ * @property {{ maxCaptionLength: number, maxDurationSec: number, status: boolean, delete: boolean, fetchRecent: boolean, customThumbnail: boolean }} capabilities
+ * @property {(settings: Object) => boolean} isEnabled
+ * @property {(settings: Object) => boolean} isConfigured - credentials present
+ * @property {(payload: { videoUrl: string, caption?: string, title?: string, description?: string, thumbUrl?: string }, settings: Object) => Promise<{ externalPostId: string }>} publish
+ * @property {(externalPostId: string, settings: Object) => Promise<{ state: 'published'|'processing'|'failed'|'unknown', url?: string }>} status
+ * @property {(externalPostId: string, settings: Object) => Promise<{ deleted: boolean }>} delete
+ * @property {(settings: Object, opts: { limit: number }) => Promise<Array<{ id: string, url: string|null, thumbnailUrl: string|null, caption: string, duration?: number|null, timestamp: string|null }>>} fetchRecent
+ */
+
+const providers = new Map();
+const METHODS = ['publish', 'status', 'delete', 'fetchRecent', 'isEnabled', 'isConfigured'];
+
+/**
+ * Register a platform provider
+ * @param {PlatformProvider} provider
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.name) throw new Error('Platform provider needs a name');
+  const missing = METHODS.filter(m => typeof provider[m] !== 'function');
+  if (missing.length) throw new Error(`Platform provider "${provider.name}" is missing: ${missing.join(', ')}`);
+  providers.set(provider.name, { capabilities: {}, ...provider });
+}
+
+/**
+ * @returns {PlatformProvider|null}
+ */
+function getProvider(name) {
+  return providers.get(String(name || '')) || null;
+}
+
+/**
+ * @returns {PlatformProvider}
+ * @throws when no provider is registered under `name`
+ */
+function requireProvider(name) {
+  const provider = getProvider(name);
+  if (!provider) throw new Error(`Unsupported platform: ${name}`);
+  return provider;
+}
+
+/**
+ * Every registered platform name, in registration order (schema enums, request validation)
+ */
+function platformNames() {
+  return [...providers.keys()];
+}
+
+function listProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * Platforms autopilot fills, from each provider's settings toggle; the first registered platform when none is on
+ */
+function enabledPlatforms(settings = {}) {
+  const on = listProviders().filter((p) => {
+    try { return !!p.isEnabled(settings || {}); } catch { return false; }
+  }).map(p => p.name);
+  return on.length ? on : platformNames().slice(0, 1);
+}
+
+registerProvider(require('./adapters/instagram'));
+registerProvider(require('./adapters/youtube'));
+registerProvider(require('./adapters/tiktok'));
+registerProvider(require('./adapters/facebook'));
+registerProvider(require('./adapters/threads'));
+registerProvider(require('./adapters/pinterest'));
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  requireProvider,
+  platformNames,
+  listProviders,
+  enabledPlatforms,
+};
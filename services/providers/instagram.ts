@@ -53,6 +53,13 @@ export async function publishInstagramOnce(input: Input): Promise<Output> {
   return { externalPostId: publishData.id as string };
 }
 
-module.exports = { publishInstagramOnce };
+export async function getInstagramMediaStatus(mediaId: string, accessToken: string): Promise<{ state: string; url?: string }> {
+  const resp = await fetch(`https://graph.facebook.com/v18.0/${mediaId}?fields=id,permalink&access_token=${accessToken}`);
+  const data = await resp.json();
+  if (!resp.ok) return { state: data?.error?.code === 100 ? 'failed' : 'unknown' };
+  return { state: 'published', url: data.permalink };
+}
+
+module.exports = { publishInstagramOnce, getInstagramMediaStatus };
 
 
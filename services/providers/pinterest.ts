@@ -0,0 +1,129 @@
+import fetch from 'node-fetch';
+import FormData from 'form-data';
+
+type Input = {
+  videoUrl: string;
+  caption: string;
+  title?: string;
+  boardId: string;
+  accessToken: string;
+  link?: string;         // pin destination, e.g. the listing page
+  coverImageUrl?: string;
+  apiBase?: string;      // settings.pinterestApiBase / PINTEREST_API_BASE; points at scripts/mock-pinterest-server.js offline
+};
+
+type Output = { externalPostId: string };
+
+const DEFAULT_API_BASE = 'https://api.pinterest.com';
+
+function base(apiBase?: string): string {
+  return `${(apiBase || process.env.PINTEREST_API_BASE || DEFAULT_API_BASE).replace(/\/+$/, '')}/v5`;
+}
+
+function auth(accessToken: string) {
+  return { Authorization: `Bearer ${accessToken}` };
+}
+
+/**
+ * Video pin: register media → POST the file to the returned upload URL → poll media until succeeded → create pin on the board
+ */
+export async function publishPinterestOnce(input: Input): Promise<Output> {
+  const { videoUrl, caption, boardId, accessToken } = input;
+  if (!videoUrl) throw new Error('Missing videoUrl');
+  if (!boardId) throw new Error('Missing pinterestBoardId');
+  if (!accessToken) throw new Error('Missing Pinterest access token');
+  const api = base(input.apiBase);
+
+  // Download video
+  const resp = await fetch(videoUrl);
+  if (!resp.ok) throw new Error(`Pinterest source download failed: ${resp.status}`);
+  const buffer = await resp.buffer();
+
+  // Register media upload
+  const mediaResp = await fetch(`${api}/media`, {
+    method: 'POST',
+    headers: { ...auth(accessToken), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ media_type: 'video' })
+  });
+  const media = await mediaResp.json();
+  if (!mediaResp.ok) throw new Error(`Pinterest media register failed: ${media?.message || mediaResp.status}`);
+  const mediaId = String(media.media_id || '');
+  if (!mediaId || !media.upload_url) throw new Error('Pinterest media register missing media_id/upload_url');
+
+  // Upload bytes (presigned form POST: every upload_parameters field, then the file)
+  const form = new FormData();
+  for (const [k, v] of Object.entries<any>(media.upload_parameters || {})) form.append(k, String(v));
+  form.append('file', buffer, { filename: 'video.mp4', contentType: 'video/mp4' });
+  const uploadResp = await fetch(media.upload_url, { method: 'POST', body: form as any, headers: form.getHeaders() });
+  if (!uploadResp.ok) throw new Error(`Pinterest upload failed: ${uploadResp.status} ${(await uploadResp.text().catch(() => '')).slice(0, 200)}`);
+
+  // Poll media processing
+  const intervalMs = Number(process.env.PINTEREST_POLL_INTERVAL_MS || 10000);
+  let ready = false;
+  for (let i = 0; i < 30 && !ready; i++) {
+    await new Promise(r => setTimeout(r, intervalMs));
+    const statusResp = await fetch(`${api}/media/${mediaId}`, { headers: auth(accessToken) });
+    const status = await statusResp.json().catch(() => ({}));
+    if (status?.status === 'succeeded') ready = true;
+    if (status?.status === 'failed') throw new Error('Pinterest media processing failed');
+  }
+  if (!ready) throw new Error(`Pinterest media ${mediaId} not ready`);
+
+  // Create pin
+  const text = caption || '';
+  const pinResp = await fetch(`${api}/pins`, {
+    method: 'POST',
+    headers: { ...auth(accessToken), 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      board_id: boardId,
+      title: (input.title || text.split('\n')[0] || '').slice(0, 100),
+      description: text.slice(0, 800),
+      link: input.link || undefined,
+      media_source: input.coverImageUrl
+        ? { source_type: 'video_id', media_id: mediaId, cover_image_url: input.coverImageUrl }
+        : { source_type: 'video_id', media_id: mediaId, cover_image_key_frame_time: 0 }
+    })
+  });
+  const pin = await pinResp.json();
+  if (!pinResp.ok) throw new Error(`Pinterest pin create failed: ${pin?.message || pinResp.status}`);
+
+  return { externalPostId: String(pin.id) };
+}
+
+export async function getPinterestPinStatus(pinId: string, accessToken: string, apiBase?: string): Promise<{ state: string; url?: string }> {
+  const resp = await fetch(`${base(apiBase)}/pins/${pinId}`, { headers: auth(accessToken) });
+  if (resp.status === 404) return { state: 'failed' };
+  if (!resp.ok) return { state: 'unknown' };
+  return { state: 'published', url: `https://www.pinterest.com/pin/${pinId}/` };
+}
+
+export async function deletePinterestPin(pinId: string, accessToken: string, apiBase?: string): Promise<{ deleted: boolean }> {
+  const resp = await fetch(`${base(apiBase)}/pins/${pinId}`, { method: 'DELETE', headers: auth(accessToken) });
+  if (resp.status === 404) return { deleted: false };
+  if (!resp.ok) throw new Error(`Pinterest delete failed: ${resp.status}`);
+  return { deleted: true };
+}
+
+export async function fetchRecentPinterest(boardId: string, accessToken: string, limit: number, apiBase?: string): Promise<any[]> {
+  const resp = await fetch(`${base(apiBase)}/boards/${boardId}/pins?page_size=${Math.min(Math.max(limit, 1), 100)}`, { headers: auth(accessToken) });
+  const data = await resp.json();
+  if (!resp.ok) throw new Error(`Pinterest recent failed: ${data?.message || resp.status}`);
+  return (data.items || []).map((p: any) => ({
+    id: String(p.id),
+    url: `https://www.pinterest.com/pin/${p.id}/`,
+    thumbnailUrl: p.media?.cover_image_url || p.media?.images?.['600x']?.url || null,
+    caption: [p.title, p.description].filter(Boolean).join('\n\n'),
+    duration: typeof p.media?.duration === 'number' ? Math.round(p.media.duration / 1000) : null,
+    timestamp: p.created_at || null,
+  }));
+}
+
+// Boards the token can pin to, for picking settings.pinterestBoardId
+export async function listPinterestBoards(accessToken: string, apiBase?: string): Promise<Array<{ id: string; name: string; privacy: string }>> {
+  const resp = await fetch(`${base(apiBase)}/boards?page_size=100`, { headers: auth(accessToken) });
+  const data = await resp.json();
+  if (!resp.ok) throw new Error(`Pinterest boards failed: ${data?.message || resp.status}`);
+  return (data.items || []).map((b: any) => ({ id: String(b.id), name: b.name, privacy: b.privacy }));
+}
+
+module.exports = { publishPinterestOnce, getPinterestPinStatus, deletePinterestPin, fetchRecentPinterest, listPinterestBoards };
@@ -0,0 +1,93 @@
+import fetch from 'node-fetch';
+
+type Input = {
+  videoUrl: string;
+  caption: string;
+  userId: string;
+  accessToken: string;
+  apiBase?: string; // settings.threadsApiBase / THREADS_API_BASE; points at scripts/mock-threads-server.js offline
+};
+
+type Output = { externalPostId: string };
+
+const DEFAULT_API_BASE = 'https://graph.threads.net';
+const MAX_TEXT = 500;
+
+function base(apiBase?: string): string {
+  return `${(apiBase || process.env.THREADS_API_BASE || DEFAULT_API_BASE).replace(/\/+$/, '')}/v1.0`;
+}
+
+/**
+ * Threads video post: create VIDEO container → poll until FINISHED → threads_publish
+ */
+export async function publishThreadsOnce(input: Input): Promise<Output> {
+  const { videoUrl, caption, userId, accessToken } = input;
+  if (!videoUrl) throw new Error('Missing videoUrl');
+  if (!userId || !accessToken) throw new Error('Missing Threads user id or access token');
+  const api = base(input.apiBase);
+
+  // Create container
+  const containerResp = await fetch(`${api}/${userId}/threads`, {
+    method: 'POST',
+    body: new URLSearchParams({ media_type: 'VIDEO', video_url: videoUrl, text: (caption || '').slice(0, MAX_TEXT), access_token: accessToken })
+  });
+  const containerData = await containerResp.json();
+  if (!containerResp.ok) throw new Error(containerData?.error?.message || 'Threads container create failed');
+  const creationId = containerData.id as string;
+
+  // Poll for readiness (Threads recommends ~30s before publishing a video)
+  const intervalMs = Number(process.env.THREADS_POLL_INTERVAL_MS || 10000);
+  let ready = false;
+  for (let i = 0; i < 30 && !ready; i++) {
+    await new Promise(r => setTimeout(r, intervalMs));
+    const statusResp = await fetch(`${api}/${creationId}?fields=status,error_message&access_token=${encodeURIComponent(accessToken)}`);
+    const status = await statusResp.json();
+    const code = String(status?.status || '').toUpperCase();
+    if (code === 'FINISHED') ready = true;
+    if (code === 'ERROR' || code === 'EXPIRED') throw new Error(`Threads media processing ${code.toLowerCase()}: ${status?.error_message || 'unknown'}`);
+  }
+  if (!ready) throw new Error(`Threads container ${creationId} not ready`);
+
+  // Publish
+  const publishResp = await fetch(`${api}/${userId}/threads_publish`, {
+    method: 'POST',
+    body: new URLSearchParams({ creation_id: creationId, access_token: accessToken })
+  });
+  const publishData = await publishResp.json();
+  if (!publishResp.ok) throw new Error(publishData?.error?.message || 'Threads publish failed');
+
+  return { externalPostId: publishData.id as string };
+}
+
+export async function getThreadsPostStatus(mediaId: string, accessToken: string, apiBase?: string): Promise<{ state: string; url?: string }> {
+  const resp = await fetch(`${base(apiBase)}/${mediaId}?fields=id,permalink&access_token=${encodeURIComponent(accessToken)}`);
+  const data = await resp.json();
+  if (!resp.ok) return { state: data?.error?.code === 100 ? 'failed' : 'unknown' };
+  return { state: 'published', url: data.permalink };
+}
+
+export async function deleteThreadsPost(mediaId: string, accessToken: string, apiBase?: string): Promise<{ deleted: boolean }> {
+  const resp = await fetch(`${base(apiBase)}/${mediaId}?access_token=${encodeURIComponent(accessToken)}`, { method: 'DELETE' });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) {
+    if (data?.error?.code === 100) return { deleted: false };
+    throw new Error(data?.error?.message || 'Threads delete failed');
+  }
+  return { deleted: data?.success !== false };
+}
+
+export async function fetchRecentThreads(userId: string, accessToken: string, limit: number, apiBase?: string): Promise<any[]> {
+  const fields = 'id,text,media_type,media_url,permalink,thumbnail_url,timestamp';
+  const resp = await fetch(`${base(apiBase)}/${userId}/threads?fields=${fields}&limit=${Math.min(Math.max(limit, 1), 100)}&access_token=${encodeURIComponent(accessToken)}`);
+  const data = await resp.json();
+  if (!resp.ok) throw new Error(data?.error?.message || 'Threads recent failed');
+  return (data.data || []).map((t: any) => ({
+    id: String(t.id),
+    url: t.permalink || t.media_url || null,
+    thumbnailUrl: t.thumbnail_url || null,
+    caption: t.text || '',
+    timestamp: t.timestamp || null,
+  }));
+}
+
+module.exports = { publishThreadsOnce, getThreadsPostStatus, deleteThreadsPost, fetchRecentThreads };
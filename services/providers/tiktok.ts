@@ -0,0 +1,159 @@
+import fetch from 'node-fetch';
+
+type PollConfig = { attempts: number; intervalMs: number };
+
+type Input = {
+  videoUrl: string;
+  caption: string;
+  accessToken: string;
+  privacyLevel?: string; // PUBLIC_TO_EVERYONE | MUTUAL_FOLLOW_FRIENDS | FOLLOWER_OF_CREATOR | SELF_ONLY
+  apiBase?: string;      // settings.tiktokApiBase / TIKTOK_API_BASE; points at scripts/mock-tiktok-server.js offline
+};
+
+type Output = { externalPostId: string };
+
+const DEFAULT_API_BASE = 'https://open.tiktokapis.com';
+const CHUNK_SIZE = 10 * 1024 * 1024; // FILE_UPLOAD chunks must be 5–64MB; videos under 64MB go up in one chunk
+const SINGLE_CHUNK_MAX = 64 * 1024 * 1024;
+
+// TikTok wraps every response as { data, error: { code, message, log_id } }; code 'ok' means success
+async function readTikTok(resp: any, step: string): Promise<any> {
+  const j = await resp.json().catch(() => ({}));
+  const code = j?.error?.code;
+  if (!resp.ok || (code && code !== 'ok')) {
+    throw new Error(`TikTok ${step} failed: ${j?.error?.message || code || resp.status}`);
+  }
+  return j?.data || {};
+}
+
+/**
+ * Content Posting API direct post: init → PUT video chunks → poll status until PUBLISH_COMPLETE.
+ * After the upload TikTok publishes on its own, so a poll that runs out returns the publish_id for
+ * getTikTokVideoStatus to settle instead of failing a post that will still go live.
+ */
+export async function publishTikTokOnce(input: Input): Promise<Output> {
+  const { videoUrl, caption, accessToken } = input;
+  if (!videoUrl) throw new Error('Missing videoUrl');
+  if (!accessToken) throw new Error('Missing TikTok access token');
+  const apiBase = (input.apiBase || process.env.TIKTOK_API_BASE || DEFAULT_API_BASE).replace(/\/+$/, '');
+  const headers = { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json; charset=UTF-8' };
+
+  // Download video
+  const resp = await fetch(videoUrl);
+  if (!resp.ok) throw new Error(`TikTok source download failed: ${resp.status}`);
+  const buffer = await resp.buffer();
+  const size = buffer.length;
+  const chunkSize = size <= SINGLE_CHUNK_MAX ? size : CHUNK_SIZE;
+  const totalChunks = size <= SINGLE_CHUNK_MAX ? 1 : Math.floor(size / CHUNK_SIZE); // last chunk takes the remainder
+
+  // Init
+  const initResp = await fetch(`${apiBase}/v2/post/publish/video/init/`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      post_info: {
+        title: (caption || '').slice(0, 2200),
+        privacy_level: input.privacyLevel || 'PUBLIC_TO_EVERYONE',
+        disable_duet: false,
+        disable_comment: false,
+        disable_stitch: false,
+      },
+      source_info: { source: 'FILE_UPLOAD', video_size: size, chunk_size: chunkSize, total_chunk_count: totalChunks },
+    }),
+  });
+  const init = await readTikTok(initResp, 'init');
+  const publishId = init.publish_id as string;
+  const uploadUrl = init.upload_url as string;
+  if (!publishId || !uploadUrl) throw new Error('TikTok init missing publish_id/upload_url');
+
+  // Upload bytes
+  for (let i = 0; i < totalChunks; i++) {
+    const start = i * chunkSize;
+    const end = i === totalChunks - 1 ? size : start + chunkSize;
+    const putResp = await fetch(uploadUrl, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'video/mp4',
+        'Content-Length': String(end - start),
+        'Content-Range': `bytes ${start}-${end - 1}/${size}`,
+      },
+      body: buffer.subarray(start, end),
+    });
+    if (!putResp.ok) throw new Error(`TikTok upload failed (chunk ${i + 1}/${totalChunks}): ${putResp.status} ${(await putResp.text().catch(() => '')).slice(0, 200)}`);
+  }
+
+  // Poll publish status
+  const poll: PollConfig = { attempts: 30, intervalMs: Number(process.env.TIKTOK_POLL_INTERVAL_MS || 10000) };
+  for (let i = 0; i < poll.attempts; i++) {
+    const statusResp = await fetch(`${apiBase}/v2/post/publish/status/fetch/`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ publish_id: publishId }),
+    });
+    const status = await readTikTok(statusResp, 'status');
+    if (status.status === 'PUBLISH_COMPLETE') {
+      // The API's own spelling; the id only shows up once moderation makes the post public
+      const ids = status.publicaly_available_post_id || [];
+      return { externalPostId: String(ids[0] || publishId) };
+    }
+    if (status.status === 'FAILED') throw new Error(`TikTok publish failed: ${status.fail_reason || 'unknown'}`);
+    await new Promise(r => setTimeout(r, poll.intervalMs));
+  }
+  console.warn(`⏳ [TIKTOK] ${publishId} still processing after ${poll.attempts} checks; keeping it as posted`);
+  return { externalPostId: publishId };
+}
+
+const VIDEO_FIELDS = 'id,title,video_description,share_url,cover_image_url,duration,create_time';
+
+function toRecent(v: any) {
+  return {
+    id: String(v.id),
+    url: v.share_url || null,
+    thumbnailUrl: v.cover_image_url || null,
+    caption: v.video_description || v.title || '',
+    duration: typeof v.duration === 'number' ? v.duration : null,
+    timestamp: v.create_time ? new Date(v.create_time * 1000).toISOString() : null,
+  };
+}
+
+export async function getTikTokVideoStatus(videoId: string, accessToken: string, apiBase?: string): Promise<{ state: string; url?: string }> {
+  const base = (apiBase || process.env.TIKTOK_API_BASE || DEFAULT_API_BASE).replace(/\/+$/, '');
+  const headers = { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json; charset=UTF-8' };
+  let postId = videoId;
+  // A publish_id (v_pub_…) is what publishTikTokOnce returns when polling ran out; ask the publish status first
+  if (videoId.startsWith('v_pub_')) {
+    const statusResp = await fetch(`${base}/v2/post/publish/status/fetch/`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ publish_id: videoId }),
+    });
+    const status = await readTikTok(statusResp, 'status');
+    if (status.status === 'FAILED') return { state: 'failed' };
+    const ids = status.publicaly_available_post_id || [];
+    if (status.status !== 'PUBLISH_COMPLETE') return { state: 'processing' };
+    if (!ids[0]) return { state: 'published' };
+    postId = String(ids[0]);
+  }
+  const resp = await fetch(`${base}/v2/video/query/?fields=${VIDEO_FIELDS}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ filters: { video_ids: [postId] } }),
+  });
+  const data = await readTikTok(resp, 'video query');
+  const video = (data.videos || [])[0];
+  // Not listed yet: still in moderation
+  return video ? { state: 'published', url: video.share_url } : { state: 'processing' };
+}
+
+export async function fetchRecentTikTok(accessToken: string, limit: number, apiBase?: string): Promise<any[]> {
+  const base = (apiBase || process.env.TIKTOK_API_BASE || DEFAULT_API_BASE).replace(/\/+$/, '');
+  const resp = await fetch(`${base}/v2/video/list/?fields=${VIDEO_FIELDS}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json; charset=UTF-8' },
+    body: JSON.stringify({ max_count: Math.min(Math.max(limit, 1), 20) }),
+  });
+  const data = await readTikTok(resp, 'video list');
+  return (data.videos || []).map(toRecent);
+}
+
+module.exports = { publishTikTokOnce, getTikTokVideoStatus, fetchRecentTikTok };
@@ -178,5 +178,43 @@ export async function uploadYouTubeOnce(input: Input): Promise<Output> {
   return { externalPostId: videoId, thumbnailSet };
 }
 
-module.exports = { uploadYouTubeOnce };
+export async function getYouTubeVideoStatus(videoId: string, accessToken: string): Promise<{ state: string; url?: string }> {
+  const resp = await fetch(`https://www.googleapis.com/youtube/v3/videos?part=status&id=${videoId}`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  if (!resp.ok) return { state: 'unknown' };
+  const status = (await resp.json())?.items?.[0]?.status;
+  if (!status) return { state: 'failed' };
+  const state = status.uploadStatus === 'processed' ? 'published'
+    : (['failed', 'rejected', 'deleted'].includes(status.uploadStatus) ? 'failed' : 'processing');
+  return { state, url: `https://www.youtube.com/shorts/${videoId}` };
+}
+
+export async function deleteYouTubeVideo(videoId: string, accessToken: string): Promise<{ deleted: boolean }> {
+  const resp = await fetch(`https://www.googleapis.com/youtube/v3/videos?id=${videoId}`, {
+    method: 'DELETE',
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  if (resp.status === 404) return { deleted: false };
+  if (!resp.ok) throw new Error(`YouTube delete failed: ${resp.status} ${(await resp.text().catch(() => '')).slice(0, 200)}`);
+  return { deleted: true };
+}
+
+// Our latest uploads, newest first
+export async function fetchRecentYouTube(accessToken: string, limit: number): Promise<any[]> {
+  const resp = await fetch(`https://www.googleapis.com/youtube/v3/search?part=snippet&forMine=true&type=video&order=date&maxResults=${Math.min(Math.max(limit, 1), 50)}`, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  const data = await resp.json();
+  if (!resp.ok) throw new Error(`YouTube recent failed: ${data?.error?.message || resp.status}`);
+  return (data.items || []).map((it: any) => ({
+    id: it.id?.videoId,
+    url: `https://www.youtube.com/watch?v=${it.id?.videoId}`,
+    thumbnailUrl: it.snippet?.thumbnails?.high?.url || it.snippet?.thumbnails?.default?.url || null,
+    caption: [it.snippet?.title, it.snippet?.description].filter(Boolean).join('\n\n'),
+    timestamp: it.snippet?.publishedAt || null,
+  }));
+}
+
+module.exports = { uploadYouTubeOnce, getYouTubeVideoStatus, deleteYouTubeVideo, fetchRecentYouTube };
 
@@ -0,0 +1,166 @@
+/**
+ * Schedule Templates - saved weekly posting plans
+ * - rules: [{ days: ['mon-fri'] | [1,2,3], times: ['09:00','13:00'], platforms?: ['instagram'] }]
+ * - platformOverrides: { youtube: { rules?, blackoutDates? } } replaces rules / adds blackouts for one platform
+ * - blackoutDates: ['2026-12-25'] local dates in the template time zone
+ * - Used when settings.schedulerType === 'template': the template in settings.scheduleTemplateId, else the active one
+ */
+
+const mongoose = require('mongoose');
+const { zonedParts, zonedTime, resolveTimeZone } = require('./dateBoundary');
+
+let ScheduleTemplateModel;
+try { ScheduleTemplateModel = mongoose.model('ScheduleTemplates'); } catch (_) {
+  const ruleSchema = new mongoose.Schema({
+    days: { type: [Number], default: [] }, // 0 = Sunday, as Date#getDay
+    times: { type: [String], default: [] }, // HH:MM local
+    platforms: { type: [String], default: undefined }, // all platforms when unset
+  }, { _id: false });
+  const schema = new mongoose.Schema({
+    name: { type: String, required: true },
+    timeZone: String, // falls back to settings.timeZone
+    rules: { type: [ruleSchema], default: [] },
+    platformOverrides: { type: mongoose.Schema.Types.Mixed, default: {} },
+    blackoutDates: { type: [String], default: [] },
+    active: { type: Boolean, default: false },
+  }, { timestamps: true, collection: 'ScheduleTemplates' });
+  ScheduleTemplateModel = mongoose.model('ScheduleTemplates', schema);
+}
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+function parseDay(v) {
+  if (typeof v === 'number' && Number.isInteger(v) && v >= 0 && v <= 6) return v;
+  const i = DAY_NAMES.indexOf(String(v).trim().toLowerCase().slice(0, 3));
+  return i >= 0 ? i : null;
+}
+
+// 'mon-fri', 'sat', 3 -> [1,2,3,4,5], [6], [3]
+function parseDays(list) {
+  const out = new Set();
+  for (const v of (Array.isArray(list) ? list : [list])) {
+    const range = typeof v === 'string' ? v.split('-') : [v];
+    const a = parseDay(range[0]);
+    const b = range.length > 1 ? parseDay(range[1]) : a;
+    if (a === null || b === null) throw new Error(`Invalid day: ${v}`);
+    for (let d = a; ; d = (d + 1) % 7) { out.add(d); if (d === b) break; }
+  }
+  return [...out].sort();
+}
+
+function parseTime(t) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(t).trim());
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) throw new Error(`Invalid time: ${t}`);
+  return `${m[1].padStart(2, '0')}:${m[2]}`;
+}
+
+function parseRules(rules, platforms) {
+  if (!Array.isArray(rules)) throw new Error('rules must be an array');
+  return rules.map((r) => {
+    const out = { days: parseDays(r.days), times: (r.times || []).map(parseTime) };
+    if (!out.times.length) throw new Error('Each rule needs at least one time');
+    if (r.platforms !== undefined) {
+      if (!Array.isArray(r.platforms) || r.platforms.some(p => !platforms.includes(p))) throw new Error(`platforms must be a subset of: ${platforms.join(', ')}`);
+      out.platforms = r.platforms;
+    }
+    return out;
+  });
+}
+
+function parseBlackouts(list) {
+  return (list || []).map((d) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(d))) throw new Error(`Invalid blackout date: ${d}`);
+    return String(d);
+  });
+}
+
+/**
+ * Validate and normalize a template body; throws Error with a user-facing message
+ * @param {Object} body
+ * @param {string[]} platforms - allowed platform names
+ */
+function normalizeTemplate(body, platforms) {
+  const out = {};
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) throw new Error('name is required');
+    out.name = body.name.trim();
+  }
+  if (body.timeZone !== undefined) {
+    try { new Intl.DateTimeFormat('en-US', { timeZone: body.timeZone }); } catch (_) { throw new Error(`Invalid timeZone: ${body.timeZone}`); }
+    out.timeZone = body.timeZone;
+  }
+  if (body.rules !== undefined) out.rules = parseRules(body.rules, platforms);
+  if (body.blackoutDates !== undefined) out.blackoutDates = parseBlackouts(body.blackoutDates);
+  if (body.platformOverrides !== undefined) {
+    out.platformOverrides = {};
+    for (const [platform, o] of Object.entries(body.platformOverrides || {})) {
+      if (!platforms.includes(platform)) throw new Error(`Unknown platform override: ${platform}`);
+      const override = {};
+      if (o && o.rules !== undefined) override.rules = parseRules(o.rules, platforms);
+      if (o && o.blackoutDates !== undefined) override.blackoutDates = parseBlackouts(o.blackoutDates);
+      out.platformOverrides[platform] = override;
+    }
+  }
+  if (body.active !== undefined) out.active = body.active === true;
+  return out;
+}
+
+/**
+ * Slot times a template produces for one platform in (from, to]
+ * @returns {Date[]} ascending
+ */
+function expandTemplate(template, platform, { from, to, timeZone }) {
+  const tz = template.timeZone || timeZone;
+  const override = (template.platformOverrides || {})[platform] || {};
+  const rules = (override.rules || template.rules || []).filter(r => !r.platforms || !r.platforms.length || r.platforms.includes(platform));
+  const blackouts = new Set([...(template.blackoutDates || []), ...(override.blackoutDates || [])]);
+  const start = zonedParts(from, tz);
+  const slots = [];
+  for (let i = 0; ; i++) {
+    const day = new Date(Date.UTC(start.year, start.month - 1, start.day + i)); // UTC fields = local calendar day
+    const y = day.getUTCFullYear(), m = day.getUTCMonth() + 1, d = day.getUTCDate();
+    if (zonedTime(y, m, d, 0, 0, tz) > to) break;
+    if (blackouts.has(`${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`)) continue;
+    for (const rule of rules) {
+      if (!rule.days.includes(day.getUTCDay())) continue;
+      for (const t of rule.times) {
+        const [hh, mm] = t.split(':').map(Number);
+        const at = zonedTime(y, m, d, hh, mm, tz);
+        if (at > from && at <= to) slots.push(at);
+      }
+    }
+  }
+  const seen = new Set();
+  return slots.sort((a, b) => a - b).filter(s => !seen.has(s.getTime()) && seen.add(s.getTime()));
+}
+
+async function getActiveTemplate(settings) {
+  if (!settings || settings.schedulerType !== 'template') return null;
+  if (settings.scheduleTemplateId && mongoose.isValidObjectId(settings.scheduleTemplateId)) {
+    const byId = await ScheduleTemplateModel.findById(settings.scheduleTemplateId).lean();
+    if (byId) return byId;
+  }
+  return ScheduleTemplateModel.findOne({ active: true }).sort({ updatedAt: -1 }).lean();
+}
+
+/**
+ * Next free template slots for a platform, skipping times already taken in the queue
+ * @param {Object} settings
+ * @param {string} platform
+ * @param {{ count: number, from?: Date, to?: Date, SchedulerQueueModel: any }} options
+ * @returns {Promise<Date[]>} empty when no template applies
+ */
+async function nextTemplateSlots(settings, platform, { count, from = new Date(), to, SchedulerQueueModel }) {
+  if (!count) return [];
+  const template = await getActiveTemplate(settings);
+  if (!template) return [];
+  const until = to || new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+  const slots = expandTemplate(template, platform, { from, to: until, timeZone: resolveTimeZone(settings) });
+  if (!slots.length) return [];
+  const queued = await SchedulerQueueModel.find({ platform, status: { $in: ['pending', 'scheduled', 'processing'] }, scheduledTime: { $gte: slots[0], $lte: slots[slots.length - 1] } })
+    .select('scheduledTime').lean();
+  const taken = new Set(queued.map(q => Math.floor(new Date(q.scheduledTime).getTime() / 60000)));
+  return slots.filter(s => !taken.has(Math.floor(s.getTime() / 60000))).slice(0, count);
+}
+
+module.exports = { ScheduleTemplateModel, normalizeTemplate, expandTemplate, getActiveTemplate, nextTemplateSlots, parseDays };
@@ -39,6 +39,15 @@ async function executeQueueItemOnce(queueItem, settings) {
     };
   }
 
+  if (require('./providers').getProvider(platform)) {
+    // No legacy poster for other registered platforms: use the exactly-once path (compiled postOnce in dist, ts-node in dev)
+    const { postOnce } = require('./postOnce');
+    const scheduledAt = queueItem.scheduledTime ? new Date(queueItem.scheduledTime) : new Date();
+    const videoHash = queueItem.thumbnailHash || queueItem.originalVideoId || String(queueItem._id);
+    const signals = { visualHash: queueItem.visualHash, hashVersion: queueItem.hashVersion, videoFingerprint: queueItem.videoFingerprint, audioFingerprint: queueItem.audioFingerprint, audioKey: queueItem.audioKey };
+    return await postOnce(platform, videoHash, scheduledAt, { videoUrl, caption, settings, signals });
+  }
+
   return { success: false, note: 'unsupported-platform' };
 }
 
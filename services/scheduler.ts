@@ -3,7 +3,7 @@ import { postOnce } from './postOnce';
 import { getRemainingSlots } from './limits';
 
 export async function executeQueueItemOnce(queueItem: any, settings: any): Promise<{ success: boolean; deduped?: boolean; externalPostId?: string; note?: string }>{
-  const platform = (queueItem.platform || 'instagram') as 'instagram' | 'youtube';
+  const platform: string = queueItem.platform || 'instagram';
   const scheduledAt: Date = queueItem.scheduledTime ? new Date(queueItem.scheduledTime) : new Date();
   const videoHash: string = queueItem.thumbnailHash || queueItem.originalVideoId || queueItem._id?.toString();
   const videoUrl: string = queueItem.videoUrl || queueItem.s3Url;
@@ -19,29 +19,19 @@ export async function executeQueueItemOnce(queueItem: any, settings: any): Promi
     }
   } catch (_) {}
 
-  const dailyLimit = Number(settings.maxPosts || 5);
+  const { platformLimits } = require('./caps');
+  const dailyLimit = platformLimits(settings, platform).daily;
   const remaining = await getRemainingSlots(platform, dailyLimit);
   if (remaining <= 0) {
     return { success: false, note: 'daily-limit-reached' };
   }
 
-  if (platform === 'instagram') {
-    return await postOnce(platform, videoHash, scheduledAt, {
-      videoUrl,
-      caption: queueItem.caption || '',
-      settings
-    }) as any;
-  }
-
-  // youtube
-  const caption = queueItem.caption || '';
-  const title = caption.slice(0, 95) || 'New Homes Available';
-  const description = caption.slice(0, 4900);
+  // Providers map caption onto their own fields (YouTube title/description) (services/providers)
   return await postOnce(platform, videoHash, scheduledAt, {
     videoUrl,
-    title,
-    description,
-    settings
+    caption: queueItem.caption || '',
+    settings,
+    signals: { visualHash: queueItem.visualHash, hashVersion: queueItem.hashVersion, videoFingerprint: queueItem.videoFingerprint, audioFingerprint: queueItem.audioFingerprint, audioKey: queueItem.audioKey }
   }) as any;
 }
 
@@ -0,0 +1,109 @@
+/**
+ * Scheduler Policy - the per-tick decisions of checkAndExecuteDuePosts as pure functions
+ * - Shared by the live cron tick and the dry-run simulator so both follow the same rules
+ * - No DB or provider calls here; callers pass in the counts and hashes they loaded
+ */
+
+const { resolveCaps, capsFor } = require('./caps');
+const { startOfDay, endOfDay } = require('./dateBoundary');
+const { findBlackout, blackoutPolicy } = require('./blackouts');
+const { spacingPolicy, spacingConflict } = require('./spacing');
+const { isDuplicateVideo } = require('../utils/videoFingerprint');
+const { findAudioMatch } = require('../utils/audioFingerprint');
+
+// Buffer of ±3 minutes to allow for cron job timing imprecision
+const DUE_BUFFER_MS = 3 * 60 * 1000;
+
+function isPostDue(scheduledTime, now = new Date()) {
+  const scheduled = new Date(scheduledTime);
+  const timeDiff = Math.abs(now.getTime() - scheduled.getTime());
+  return timeDiff <= DUE_BUFFER_MS || scheduled <= now;
+}
+
+function duplicateSettings(settings) {
+  const cfg = settings?.burstModeConfig || {};
+  return {
+    lookbackDays: Number(process.env.DUP_LOOKBACK_DAYS || cfg.dupLookbackDays || 30),
+    maxDistance: Number(cfg.dupHashMaxDistance || process.env.DUP_HASH_MAX_DISTANCE || 6),
+    // utils/videoFingerprint: per-frame bit distance, and the share of frames that must match
+    videoMaxDistance: Number(cfg.dupVideoMaxDistance || process.env.DUP_VIDEO_MAX_DISTANCE || 10),
+    videoMinSimilarity: Number(cfg.dupVideoMinSimilarity || process.env.DUP_VIDEO_MIN_SIMILARITY || 0.6),
+    // utils/audioFingerprint: share of landmarks that must agree for the same soundtrack
+    audioMinSimilarity: Number(cfg.dupAudioMinSimilarity || process.env.DUP_AUDIO_MIN_SIMILARITY || 0.5),
+  };
+}
+
+/**
+ * Gate applied once per tick before any item is considered (daily/hourly caps are per platform, see evaluateItem)
+ * @param {{ now: Date, settings: Object, postedInWindow?: number }} input
+ *   postedInWindow: posts on the open burst window's platforms since it opened
+ * @returns {{ halt: string|null, caps: Object }}
+ */
+function evaluateTick({ now, settings, postedInWindow = 0 }) {
+  if (settings && settings.autopilotEnabled === false) return { halt: 'AUTOPILOT_PAUSED', caps: null };
+  const caps = resolveCaps(settings, now);
+  if (caps.burstWindow && typeof caps.burstWindow.maxTotal === 'number' && postedInWindow >= caps.burstWindow.maxTotal) {
+    return { halt: 'BURST_WINDOW_CAP', caps };
+  }
+  return { halt: null, caps };
+}
+
+/**
+ * Decision for one due item, in queue order
+ * - 'reschedule': blackout with push policy, or same audio/location posted too recently; move to `until`
+ * - 'wait': leave it scheduled (not a burst platform, its platform hit the daily/hourly cap, or the minimum gap since the last post)
+ * - 'drop': mark skipped permanently (visual, video- or audio-fingerprint duplicate, blackout with skip policy)
+ * - 'ignore': leave it alone (no media)
+ * - 'post': claim and execute
+ * @param {Object} post - Queue item
+ * @param {{ now: Date, caps: Object, dailyCounts: Object<string, number>, hourlyCounts: Object<string, number>, recentHashes: Object, recentFingerprints?: Object[], recentAudio?: Object[], recentPosts?: Object[], blackouts?: Object[], settings: Object }} ctx
+ *   dailyCounts / hourlyCounts: posts per platform today (settings.timeZone) and in the last hour
+ *   recentHashes: utils/hashIndex over posted visual hashes within the duplicate lookback, payload { platform }
+ *   recentFingerprints: [{ platform, videoFingerprint }] / recentAudio: [{ platform, audioKey, audioFingerprint }] posted within the duplicate lookback
+ *   Duplicate checks only look at the item's own platform, so the other members of a cross-post group still go out
+ *   recentPosts: [{ platform, at, audioKey, locationKey }] posted within the spacing lookback (services/spacing)
+ * @returns {{ action: 'reschedule'|'wait'|'drop'|'ignore'|'post', reason: string|null, until?: Date, blackout?: Object }}
+ */
+function evaluateItem(post, { now, caps, dailyCounts, hourlyCounts, recentHashes, recentFingerprints, recentAudio, recentPosts, blackouts, settings }) {
+  const blackout = findBlackout(blackouts, now, post.platform);
+  if (blackout) {
+    return blackoutPolicy(settings, blackout) === 'skip'
+      ? { action: 'drop', reason: 'BLACKOUT', blackout }
+      : { action: 'reschedule', reason: 'BLACKOUT', until: blackout.end, blackout };
+  }
+  if (caps.inBurst && caps.burstPlatforms && !caps.burstPlatforms.includes(post.platform)) {
+    return { action: 'wait', reason: 'NOT_A_BURST_PLATFORM' };
+  }
+  const limits = capsFor(caps, settings, post.platform);
+  if (((dailyCounts || {})[post.platform] || 0) >= limits.daily) return { action: 'wait', reason: 'DAILY_CAP' };
+  if (((hourlyCounts || {})[post.platform] || 0) >= limits.hourly) return { action: 'wait', reason: 'HOURLY_CAP' };
+  if (post.ignoreDuplicate !== true && post.visualHash) {
+    const { maxDistance } = duplicateSettings(settings);
+    if (recentHashes.has(post.visualHash, maxDistance, p => p && p.platform === post.platform)) {
+      return { action: 'drop', reason: 'DUPLICATE_VISUAL' };
+    }
+  }
+  if (post.ignoreDuplicate !== true && post.videoFingerprint) {
+    const { videoMaxDistance, videoMinSimilarity } = duplicateSettings(settings);
+    const samePlatform = (recentFingerprints || []).filter(f => f.platform === post.platform).map(f => f.videoFingerprint);
+    if (isDuplicateVideo(post.videoFingerprint, samePlatform, { maxDistance: videoMaxDistance, minSimilarity: videoMinSimilarity })) {
+      return { action: 'drop', reason: 'DUPLICATE_VIDEO' };
+    }
+  }
+  if (post.ignoreDuplicate !== true && post.audioFingerprint) {
+    const { audioMinSimilarity } = duplicateSettings(settings);
+    if (findAudioMatch(post.audioFingerprint, (recentAudio || []).filter(a => a.platform === post.platform), { minSimilarity: audioMinSimilarity })) {
+      return { action: 'drop', reason: 'DUPLICATE_AUDIO' };
+    }
+  }
+  const spacing = spacingConflict(post, now, recentPosts, spacingPolicy(settings), settings);
+  if (spacing) {
+    return spacing.reason === 'MIN_GAP'
+      ? { action: 'wait', reason: 'MIN_GAP' }
+      : { action: 'reschedule', reason: spacing.reason, until: spacing.until };
+  }
+  if (!post.videoUrl && !post.s3Url) return { action: 'ignore', reason: 'NO_VIDEO_URL' };
+  return { action: 'post', reason: null };
+}
+
+module.exports = { isPostDue, startOfDay, endOfDay, duplicateSettings, evaluateTick, evaluateItem };
@@ -0,0 +1,137 @@
+/**
+ * Scheduler Simulator - replays checkAndExecuteDuePosts against the current queue with a virtual clock
+ * - Uses the same decisions as the live tick (services/schedulerPolicy)
+ * - Never claims items or calls providers; every 'post' is assumed to succeed
+ * - Mirrors burst preload (reported only) and auto-off from runBurstHousekeeping
+ * - Blackouts hold items the same way: pushed to the blackout end or skipped
+ */
+
+const { isPostDue, startOfDay, duplicateSettings, evaluateTick, evaluateItem } = require('./schedulerPolicy');
+const { resolveTimeZone } = require('./dateBoundary');
+const { planBurstHousekeeping } = require('./burstWindows');
+const { resolveCaps } = require('./caps');
+const { createHashIndex } = require('../utils/hashIndex');
+
+const MAX_HOURS = 168;
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * @param {any} SchedulerQueueModel
+ * @param {any} SettingsModel
+ * @param {{ hours?: number, from?: Date }} options
+ * @returns {Promise<Object>} { from, to, hours, timeline: [{ at, events: [{ id, platform, action, reason }] }], summary }
+ */
+async function simulateSchedule(SchedulerQueueModel, SettingsModel, options = {}) {
+  const hours = Math.min(MAX_HOURS, Math.max(1, Number(options.hours) || 24));
+  const from = new Date(options.from || Date.now());
+  from.setSeconds(0, 0);
+  const to = new Date(from.getTime() + hours * HOUR_MS);
+
+  const settings = { ...((await SettingsModel.findOne({}).lean()) || {}) };
+  const { lookbackDays } = duplicateSettings(settings);
+  const tz = resolveTimeZone(settings);
+  const { sameAudioHours, sameLocationHours } = require('./spacing').spacingPolicy(settings);
+  const historySince = new Date(Math.min(startOfDay(from, tz).getTime(), from.getTime() - Math.max(24, sameAudioHours, sameLocationHours) * HOUR_MS, from.getTime() - lookbackDays * 24 * HOUR_MS));
+
+  const { loadBlackouts } = require('./blackouts');
+  const [queued, history, blackouts] = await Promise.all([
+    SchedulerQueueModel.find({ status: 'scheduled' }).sort({ scheduledTime: 1 })
+      .select('_id platform scheduledTime videoUrl s3Url visualHash videoFingerprint audioFingerprint ignoreDuplicate audioKey locationKey').lean(),
+    SchedulerQueueModel.find({ status: { $in: ['posted', 'completed'] }, postedAt: { $gte: historySince } })
+      .select('platform postedAt visualHash videoFingerprint audioFingerprint audioKey locationKey').lean(),
+    loadBlackouts(new Date(from.getTime() - 24 * HOUR_MS), new Date(to.getTime() + 60 * 24 * HOUR_MS)),
+  ]);
+
+  // Everything the virtual clock counts against: real posts first, simulated ones appended as they happen
+  const posted = history.map(h => ({ platform: h.platform, at: new Date(h.postedAt).getTime(), visualHash: h.visualHash || null, videoFingerprint: h.videoFingerprint || null, audioFingerprint: h.audioFingerprint || null, audioKey: h.audioKey || null, locationKey: h.locationKey || null }));
+  const pending = queued.filter(q => q.scheduledTime).map(q => ({ ...q, id: String(q._id) }));
+  const lastReason = new Map();
+  const timeline = [];
+  const summary = { posted: 0, skipped: 0, remaining: 0 };
+  let lastHalt = null;
+  const burstState = { ...(settings.burstModeState || {}), lastRunAt: from };
+
+  for (let t = from.getTime(); t < to.getTime(); t += MINUTE_MS) {
+    const now = new Date(t);
+    const events = [];
+
+    // Burst housekeeping happens before the due check, as in checkAndExecuteDuePosts
+    const { preload, autoOff } = planBurstHousekeeping(settings, now, burstState);
+    for (const occ of preload) {
+      events.push({ id: null, platform: null, action: 'preload', reason: 'BURST_PRELOAD', window: occ.window.name, opensAt: occ.startAt.toISOString() });
+      burstState.preloaded = [...(burstState.preloaded || []), occ.key];
+    }
+    if (autoOff.length) {
+      settings.burstModeEnabled = false;
+      events.push({ id: null, platform: null, action: 'burst-off', reason: 'BURST_WINDOW_ENDED', window: autoOff[0].window.name });
+    }
+    burstState.lastRunAt = now;
+
+    const due = pending.filter(p => isPostDue(p.scheduledTime, now));
+    if (due.length) {
+      const dayStart = startOfDay(now, tz).getTime();
+      const { burstWindow, burstPlatforms } = resolveCaps(settings, now);
+      const postedInWindow = burstWindow
+        ? posted.filter(p => p.at >= burstWindow.startAt.getTime() && p.at <= t && (!burstPlatforms || burstPlatforms.includes(p.platform))).length
+        : 0;
+      const gate = evaluateTick({ now, settings, postedInWindow });
+      if (gate.halt) {
+        if (gate.halt !== lastHalt) events.push({ id: null, platform: null, action: 'halt', reason: gate.halt });
+        lastHalt = gate.halt;
+      } else {
+        lastHalt = null;
+        const hourAgo = t - HOUR_MS;
+        const dailyCounts = {};
+        const hourlyCounts = {};
+        const recentHashes = createHashIndex();
+        const recentFingerprints = [];
+        const recentAudio = [];
+        for (const p of posted) {
+          if (p.at >= dayStart && p.at <= t) dailyCounts[p.platform] = (dailyCounts[p.platform] || 0) + 1;
+          if (p.at > hourAgo && p.at <= t) hourlyCounts[p.platform] = (hourlyCounts[p.platform] || 0) + 1;
+          if (p.visualHash && p.at >= t - lookbackDays * 24 * HOUR_MS) recentHashes.add(p.visualHash, { platform: p.platform });
+          if (p.videoFingerprint && p.at >= t - lookbackDays * 24 * HOUR_MS) recentFingerprints.push({ platform: p.platform, videoFingerprint: p.videoFingerprint });
+          if (p.audioFingerprint && p.at >= t - lookbackDays * 24 * HOUR_MS) recentAudio.push({ platform: p.platform, audioKey: p.audioKey, audioFingerprint: p.audioFingerprint });
+        }
+        for (const item of due) {
+          const verdict = evaluateItem(item, { now, caps: gate.caps, dailyCounts, hourlyCounts, recentHashes, recentFingerprints, recentAudio, recentPosts: posted, blackouts, settings });
+          const event = { id: item.id, platform: item.platform, action: verdict.action, reason: verdict.reason, scheduledTime: item.scheduledTime };
+          if (verdict.action === 'reschedule') {
+            item.scheduledTime = verdict.until;
+            events.push({ ...event, until: verdict.until.toISOString(), ...(verdict.blackout ? { blackout: verdict.blackout.name } : {}) });
+            continue;
+          }
+          if (verdict.action === 'post' || verdict.action === 'drop') {
+            pending.splice(pending.indexOf(item), 1);
+            events.push(event);
+            if (verdict.action === 'drop') { summary.skipped += 1; continue; }
+            summary.posted += 1;
+            dailyCounts[item.platform] = (dailyCounts[item.platform] || 0) + 1;
+            hourlyCounts[item.platform] = (hourlyCounts[item.platform] || 0) + 1;
+            posted.push({ platform: item.platform, at: t, visualHash: item.visualHash || null, videoFingerprint: item.videoFingerprint || null, audioFingerprint: item.audioFingerprint || null, audioKey: item.audioKey || null, locationKey: item.locationKey || null });
+            if (item.visualHash) recentHashes.add(item.visualHash, { platform: item.platform });
+            if (item.videoFingerprint) recentFingerprints.push({ platform: item.platform, videoFingerprint: item.videoFingerprint });
+            if (item.audioFingerprint) recentAudio.push({ platform: item.platform, audioKey: item.audioKey, audioFingerprint: item.audioFingerprint });
+            continue;
+          }
+          // wait/ignore repeat every tick; only report when the reason changes
+          if (lastReason.get(item.id) !== verdict.reason) events.push(event);
+          lastReason.set(item.id, verdict.reason);
+        }
+      }
+    }
+    if (events.length) timeline.push({ at: now.toISOString(), events });
+  }
+
+  summary.remaining = pending.length;
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    hours,
+    timeline,
+    summary,
+  };
+}
+
+module.exports = { simulateSchedule };
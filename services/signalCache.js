@@ -0,0 +1,185 @@
+/**
+ * Candidate signal cache - per-media dedupe signals kept in Mongo so selection runs stop re-downloading
+ * thumbnails and re-probing videos
+ * - Keyed by media id, else by thumbnail URL; signed CDN query strings are ignored so rotating tokens still hit
+ * - Stores visualHash, size (HEAD content-length), duration, audioKey, captionNorm and the audio fingerprint
+ * - Entries expire SIGNAL_CACHE_TTL_HOURS (default 72) after they are created (Mongo TTL index); a new
+ *   thumbnail for the same media, an older hash version or invalidateSignals() forces a recompute
+ * - A failed audio decode (page URLs, expired links) is cached too and retried after SIGNAL_CACHE_AUDIO_RETRY_HOURS (default 6)
+ * - getSignals is read-through: only the fields a caller asks for are computed, then written back
+ */
+
+const mongoose = require('mongoose');
+
+const TTL_HOURS = Number(process.env.SIGNAL_CACHE_TTL_HOURS || 72);
+const AUDIO_RETRY_HOURS = Number(process.env.SIGNAL_CACHE_AUDIO_RETRY_HOURS || 6);
+const MEMO_MAX = Number(process.env.SIGNAL_CACHE_MEMO_MAX || 5000);
+const EXPENSIVE_FIELDS = ['visualHash', 'size', 'audioFingerprint'];
+
+let CandidateSignalModel;
+try {
+  CandidateSignalModel = mongoose.model('CandidateSignals');
+} catch (_) {
+  const schema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true, index: true }, // id:<media id> | url:<thumbnail url without query>
+    mediaId: { type: String, index: true },
+    thumbKey: String, // thumbnail the visual hash was computed from
+    visualHash: String,
+    hashVersion: String,
+    size: Number,
+    duration: Number,
+    audioKey: String,
+    captionNorm: String,
+    audioFingerprint: String, // '' = decoded, no usable audio (or decode failed, see audioRetryAt)
+    audioRetryAt: Date, // set when the decode failed; the fingerprint is recomputed after it
+    expiresAt: { type: Date, index: { expireAfterSeconds: 0 } },
+  }, { timestamps: true, collection: 'CandidateSignals' });
+  CandidateSignalModel = mongoose.model('CandidateSignals', schema);
+}
+
+// Recently used entries, so one run reads each key from Mongo once; least recently used go first past MEMO_MAX
+const memo = new Map();
+
+function remember(key, entry) {
+  memo.delete(key);
+  memo.set(key, entry);
+  while (memo.size > MEMO_MAX) memo.delete(memo.keys().next().value);
+}
+
+function stripQuery(url) {
+  return String(url || '').split('?')[0];
+}
+
+function cacheKey({ id, thumbnailUrl, url } = {}) {
+  if (id) return `id:${id}`;
+  const thumb = stripQuery(thumbnailUrl || url);
+  return thumb ? `url:${thumb}` : null;
+}
+
+function dbReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+async function readEntry(key) {
+  const hit = memo.get(key);
+  if (hit && (!hit.expiresAt || new Date(hit.expiresAt) > new Date())) {
+    remember(key, hit);
+    return hit;
+  }
+  memo.delete(key);
+  if (!dbReady()) return null;
+  try {
+    const doc = await CandidateSignalModel.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    if (doc) remember(key, doc);
+    return doc;
+  } catch (_) {
+    return null;
+  }
+}
+
+async function headSize(url) {
+  const fetch = require('node-fetch');
+  const resp = await fetch(url, { method: 'HEAD' });
+  const size = parseInt(resp.headers.get('content-length') || '0', 10);
+  return Number.isFinite(size) && size > 0 ? size : null;
+}
+
+/**
+ * @param {{ id?: string, url?: string, thumbnailUrl?: string, caption?: string, duration?: number, audioKey?: string }} item
+ *   url is the video, thumbnailUrl the image hashed (falls back to url)
+ * @param {Array<'visualHash'|'size'|'audioFingerprint'>} [fields] - expensive signals to compute when missing
+ * @returns {Promise<{ visualHash: string|null, hashVersion: string|null, size: number|null, duration: number|null, audioKey: string|null, captionNorm: string|null, audioFingerprint: string|null }>}
+ */
+async function getSignals(item, fields = ['visualHash']) {
+  const { computeHashFromImageUrl, hashVersionOf, CURRENT_HASH_VERSION } = require('../utils/visualHash');
+  const key = cacheKey(item);
+  const thumbnailUrl = item.thumbnailUrl || item.url || '';
+  const thumbKey = stripQuery(thumbnailUrl);
+  const entry = { ...((key && await readEntry(key)) || {}) };
+  if (entry.thumbKey && thumbKey && entry.thumbKey !== thumbKey) {
+    delete entry.visualHash;
+    delete entry.hashVersion;
+  }
+
+  // Item metadata is cheap and always current; cached copies only fill gaps
+  const updates = {};
+  if (typeof item.duration === 'number') updates.duration = item.duration;
+  if (item.audioKey) updates.audioKey = String(item.audioKey);
+  if (typeof item.caption === 'string') updates.captionNorm = require('./candidateBuilder').normalizeCaption(item.caption);
+
+  if (fields.includes('visualHash') && hashVersionOf(entry.visualHash) !== CURRENT_HASH_VERSION && thumbnailUrl) {
+    try {
+      updates.visualHash = await computeHashFromImageUrl(thumbnailUrl);
+      updates.hashVersion = CURRENT_HASH_VERSION;
+      updates.thumbKey = thumbKey;
+    } catch (_) {}
+  }
+  if (fields.includes('size') && !(entry.size > 0) && item.url) {
+    try {
+      const size = await headSize(item.url);
+      if (size) updates.size = size;
+    } catch (_) {}
+  }
+  const audioDue = typeof entry.audioFingerprint !== 'string' || (entry.audioRetryAt && new Date(entry.audioRetryAt) <= new Date());
+  if (fields.includes('audioFingerprint') && audioDue && item.url) {
+    try {
+      const { computeAudioFingerprint } = require('../utils/audioFingerprint');
+      updates.audioFingerprint = (await computeAudioFingerprint(item.url)) || '';
+      updates.audioRetryAt = null;
+    } catch (_) {
+      updates.audioFingerprint = '';
+      updates.audioRetryAt = new Date(Date.now() + AUDIO_RETRY_HOURS * 60 * 60 * 1000);
+    }
+  }
+
+  const changed = Object.keys(updates).filter(k => updates[k] !== entry[k]);
+  const merged = { ...entry, ...updates };
+  if (key && changed.length) {
+    const expiresAt = entry.expiresAt || new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000);
+    const mediaId = item.id ? String(item.id) : merged.mediaId;
+    remember(key, { ...merged, key, mediaId, expiresAt });
+    // Metadata alone is not worth a new document
+    if (dbReady() && (entry._id || EXPENSIVE_FIELDS.some(f => f in updates))) {
+      try {
+        await CandidateSignalModel.updateOne(
+          { key },
+          { $set: { ...updates, ...(mediaId ? { mediaId } : {}) }, $setOnInsert: { expiresAt } },
+          { upsert: true }
+        );
+      } catch (e) {
+        console.warn('⚠️ [SIGNAL CACHE] Write failed:', e?.message || e);
+      }
+    }
+  }
+
+  return {
+    visualHash: merged.visualHash || null,
+    hashVersion: merged.hashVersion || hashVersionOf(merged.visualHash) || null,
+    size: merged.size || null,
+    duration: typeof merged.duration === 'number' ? merged.duration : null,
+    audioKey: merged.audioKey || null,
+    captionNorm: merged.captionNorm ?? null,
+    audioFingerprint: merged.audioFingerprint || null,
+  };
+}
+
+/**
+ * Drop cached signals for one media id / thumbnail URL, or everything when neither is given
+ * @returns {Promise<number>} entries removed from Mongo
+ */
+async function invalidateSignals({ mediaId, thumbnailUrl } = {}) {
+  const keys = [mediaId && cacheKey({ id: mediaId }), thumbnailUrl && cacheKey({ thumbnailUrl })].filter(Boolean);
+  if (!keys.length) memo.clear();
+  for (const [k, e] of memo) {
+    if (keys.includes(k) || (mediaId && e.mediaId === String(mediaId)) || (thumbnailUrl && e.thumbKey === stripQuery(thumbnailUrl))) memo.delete(k);
+  }
+  if (!dbReady()) return 0;
+  const query = keys.length
+    ? { $or: [{ key: { $in: keys } }, ...(mediaId ? [{ mediaId: String(mediaId) }] : []), ...(thumbnailUrl ? [{ thumbKey: stripQuery(thumbnailUrl) }] : [])] }
+    : {};
+  const res = await CandidateSignalModel.deleteMany(query);
+  console.log(`🧹 [SIGNAL CACHE] Invalidated ${res.deletedCount || 0} entr${res.deletedCount === 1 ? 'y' : 'ies'}`);
+  return res.deletedCount || 0;
+}
+
+module.exports = { getSignals, invalidateSignals, cacheKey };
@@ -0,0 +1,13 @@
+/**
+ * Business-discovery source: videos from settings.discoveryUsernames
+ */
+
+module.exports = {
+  name: 'discovery',
+  isConfigured: (settings) => !!(settings.igBusinessId && settings.instagramToken)
+    && Array.isArray(settings.discoveryUsernames) && settings.discoveryUsernames.length > 0,
+  async fetch(settings, { limit }) {
+    const { scrapeDiscoveryEngagement } = require('../../utils/instagramScraper');
+    return scrapeDiscoveryEngagement(settings.igBusinessId, settings.instagramToken, settings.discoveryUsernames, limit);
+  },
+};
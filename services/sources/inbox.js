@@ -0,0 +1,28 @@
+/**
+ * Inbox source: original videos that services/inbox has probed and uploaded (status 'ready')
+ * - Ranked ahead of reposts via priority
+ */
+
+module.exports = {
+  name: 'inbox',
+  priority: 10,
+  isConfigured: () => true,
+  async fetch(_settings, { limit }) {
+    const { listInboxItems } = require('../inbox');
+    const items = await listInboxItems({ status: 'ready', limit });
+    return items
+      .filter(it => it.videoUrl)
+      .map(it => ({
+        id: `inbox:${it.id}`,
+        url: it.videoUrl,
+        thumbnailUrl: it.thumbnailUrl,
+        caption: it.caption,
+        audioKey: it.audioKey,
+        duration: it.duration,
+        visualHash: it.visualHash,
+        videoFingerprint: it.videoFingerprint,
+        audioFingerprint: it.audioFingerprint,
+        timestamp: it.createdAt ? new Date(it.createdAt).toISOString() : null,
+      }));
+  },
+};
@@ -0,0 +1,171 @@
+/**
+ * Content Source Registry
+ * - Each source yields normalized candidates:
+ *   { id, url, thumbnailUrl, caption, likes, views, audioKey, locationKey, duration, origin, engagement, timestamp }
+ * - likes/views/engagement are null when a source has no metrics (inbox, local folder, S3 prefix)
+ * - Sources with a higher priority (inbox originals) rank ahead of everything else
+ * - getCandidatePool merges every enabled source into one deduped, ranked pool that
+ *   Post Now, autopilot and refill all read from
+ */
+
+const sources = new Map();
+
+const POOL_TTL_MS = Number(process.env.CANDIDATE_POOL_TTL_MS || 5 * 60 * 1000);
+const DEFAULT_SOURCES = ['inbox', 'ownFeed', 'discovery', 'localFolder', 's3Prefix'];
+let poolCache = null; // { key, at, candidates }
+
+/**
+ * Register a content source
+ * @param {{ name: string, priority?: number, isConfigured: (settings: Object) => boolean, fetch: (settings: Object, opts: { limit: number }) => Promise<Array> }} source
+ */
+function registerSource(source) {
+  if (!source || !source.name || typeof source.fetch !== 'function') {
+    throw new Error('Content source needs a name and a fetch function');
+  }
+  sources.set(source.name, source);
+}
+
+function listSources() {
+  return [...sources.keys()];
+}
+
+function toNumberOrNull(v) {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Audio identity for a raw IG media object (music id first, then song/artist)
+ */
+function deriveAudioKey(raw = {}) {
+  const m = raw.musicMetadata || raw.music_metadata || {};
+  const key = raw.audioKey || raw.audioId || m.music_product_id || m.song_name || m.artist_name || null;
+  return key ? String(key) : null;
+}
+
+/**
+ * Location identity for a raw IG media object (location id first, then name)
+ */
+function deriveLocationKey(raw = {}) {
+  const loc = raw.location;
+  const key = raw.locationKey || (loc && typeof loc === 'object' ? (loc.id || loc.name) : loc) || null;
+  return key ? String(key) : null;
+}
+
+/**
+ * Map a raw source record onto the candidate shape
+ */
+function normalizeCandidate(raw = {}, origin) {
+  const likes = toNumberOrNull(raw.likes ?? raw.like_count);
+  const views = toNumberOrNull(raw.views ?? raw.play_count);
+  const engagement = toNumberOrNull(raw.engagement) ?? (likes != null || views != null ? (likes || 0) + (views || 0) : null);
+  return {
+    id: String(raw.id),
+    url: raw.url || raw.media_url || raw.videoUrl || null,
+    thumbnailUrl: raw.thumbnailUrl || raw.thumbnail_url || null,
+    caption: raw.caption || '',
+    likes,
+    views,
+    audioKey: deriveAudioKey(raw),
+    locationKey: deriveLocationKey(raw),
+    duration: toNumberOrNull(raw.duration),
+    // Precomputed signals (inbox items); dedupe computes whatever is missing
+    visualHash: raw.visualHash || null,
+    videoFingerprint: raw.videoFingerprint || null,
+    audioFingerprint: raw.audioFingerprint || null,
+    origin: origin || raw.origin || 'unknown',
+    engagement,
+    timestamp: raw.timestamp || null,
+  };
+}
+
+// Higher source priority first; within a priority, candidates with metrics first
+// (highest engagement), then metric-less ones in source order
+function rankCandidates(list) {
+  const priorityOf = (c) => Number(sources.get(c.origin)?.priority || 0);
+  return list
+    .map((c, i) => ({ c, i }))
+    .sort((a, b) => {
+      const pa = priorityOf(a.c), pb = priorityOf(b.c);
+      if (pa !== pb) return pb - pa;
+      const ea = a.c.engagement, eb = b.c.engagement;
+      if (ea == null && eb == null) return a.i - b.i;
+      if (ea == null) return 1;
+      if (eb == null) return -1;
+      return eb - ea;
+    })
+    .map(x => x.c);
+}
+
+function enabledSourceNames(settings = {}) {
+  const configured = Array.isArray(settings.contentSources) && settings.contentSources.length
+    ? settings.contentSources
+    : DEFAULT_SOURCES;
+  return configured.filter((name) => {
+    const source = sources.get(name);
+    if (!source) {
+      console.warn(`⚠️ [SOURCES] Unknown content source "${name}" ignored`);
+      return false;
+    }
+    try { return source.isConfigured ? !!source.isConfigured(settings) : true; } catch { return false; }
+  });
+}
+
+/**
+ * Pooled candidate stream shared by every selection path
+ * @param {Object} settings
+ * @param {{ limit?: number, fresh?: boolean }} options - limit applies per source
+ * @returns {Promise<Array>} Normalized, deduped, ranked candidates
+ */
+async function getCandidatePool(settings = {}, options = {}) {
+  const limit = Number(options.limit || 500);
+  const names = enabledSourceNames(settings);
+  const key = `${names.join(',')}|${limit}|${settings.igBusinessId || ''}`;
+  if (!options.fresh && poolCache && poolCache.key === key && Date.now() - poolCache.at < POOL_TTL_MS) {
+    return poolCache.candidates.slice();
+  }
+
+  const seen = new Set();
+  const merged = [];
+  for (const name of names) {
+    try {
+      const raw = await sources.get(name).fetch(settings, { limit });
+      let added = 0;
+      for (const item of (raw || [])) {
+        if (!item || item.id == null) continue;
+        const candidate = normalizeCandidate(item, name);
+        if (!candidate.url || seen.has(candidate.id)) continue;
+        seen.add(candidate.id);
+        merged.push(candidate);
+        added += 1;
+      }
+      console.log(`📥 [SOURCES] ${name}: ${added} candidates`);
+    } catch (e) {
+      console.warn(`⚠️ [SOURCES] ${name} failed:`, e?.message || e);
+    }
+  }
+
+  const candidates = rankCandidates(merged);
+  poolCache = { key, at: Date.now(), candidates };
+  return candidates.slice();
+}
+
+function invalidateCandidatePool() {
+  poolCache = null;
+}
+
+registerSource(require('./inbox'));
+registerSource(require('./ownFeed'));
+registerSource(require('./discovery'));
+registerSource(require('./localFolder'));
+registerSource(require('./s3Prefix'));
+
+module.exports = {
+  registerSource,
+  listSources,
+  normalizeCandidate,
+  deriveAudioKey,
+  getCandidatePool,
+  invalidateCandidatePool,
+};
@@ -0,0 +1,43 @@
+/**
+ * Local-folder source: MP4 files in settings.localSourceDir (or LOCAL_SOURCE_DIR)
+ * - url is a file:// URL; uploadUrlToS3 streams it from disk
+ * - id is stable per path + size + mtime so an edited file counts as new content
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
+
+function resolveDir(settings) {
+  return settings.localSourceDir || process.env.LOCAL_SOURCE_DIR || '';
+}
+
+module.exports = {
+  name: 'localFolder',
+  isConfigured: (settings) => {
+    const dir = resolveDir(settings);
+    return !!dir && fs.existsSync(dir);
+  },
+  async fetch(settings, { limit }) {
+    const dir = resolveDir(settings);
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    const files = entries.filter(e => e.isFile() && /\.mp4$/i.test(e.name));
+    const out = [];
+    for (const entry of files) {
+      if (out.length >= limit) break;
+      const full = path.join(dir, entry.name);
+      const stat = await fs.promises.stat(full);
+      const id = crypto.createHash('sha1').update(`${full}|${stat.size}|${stat.mtimeMs}`).digest('hex').slice(0, 16);
+      const thumbPath = full.replace(/\.mp4$/i, '.jpg');
+      out.push({
+        id: `local:${id}`,
+        url: pathToFileURL(full).href,
+        thumbnailUrl: fs.existsSync(thumbPath) ? pathToFileURL(thumbPath).href : null,
+        caption: '',
+        timestamp: stat.mtime.toISOString(),
+      });
+    }
+    return out;
+  },
+};
@@ -0,0 +1,12 @@
+/**
+ * Own-feed source: videos from our IG business account (Graph API)
+ */
+
+module.exports = {
+  name: 'ownFeed',
+  isConfigured: (settings) => !!(settings.igBusinessId && settings.instagramToken),
+  async fetch(settings, { limit }) {
+    const { scrapeInstagramEngagement } = require('../../utils/instagramScraper');
+    return scrapeInstagramEngagement(settings.igBusinessId, settings.instagramToken, limit);
+  },
+};
@@ -0,0 +1,46 @@
+/**
+ * S3-prefix source: MP4 objects under settings.s3SourcePrefix in S3_BUCKET_NAME
+ * - Uses the same env credentials as utils/s3Uploader
+ */
+
+const { S3Client, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+
+function publicUrl(key) {
+  return `https://${process.env.S3_BUCKET_NAME}.s3.${process.env.AWS_REGION || 'us-east-1'}.amazonaws.com/${key}`;
+}
+
+module.exports = {
+  name: 's3Prefix',
+  isConfigured: (settings) => !!(settings.s3SourcePrefix && process.env.S3_BUCKET_NAME),
+  async fetch(settings, { limit }) {
+    const client = new S3Client({
+      region: process.env.AWS_REGION || 'us-east-1',
+      credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+      },
+    });
+    const out = [];
+    let token;
+    do {
+      const page = await client.send(new ListObjectsV2Command({
+        Bucket: process.env.S3_BUCKET_NAME,
+        Prefix: settings.s3SourcePrefix,
+        ContinuationToken: token,
+      }));
+      for (const obj of (page.Contents || [])) {
+        if (!/\.mp4$/i.test(obj.Key || '')) continue;
+        out.push({
+          id: `s3:${obj.Key}`,
+          url: publicUrl(obj.Key),
+          thumbnailUrl: null,
+          caption: '',
+          timestamp: obj.LastModified ? new Date(obj.LastModified).toISOString() : null,
+        });
+        if (out.length >= limit) break;
+      }
+      token = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (token && out.length < limit);
+    return out;
+  },
+};
@@ -0,0 +1,157 @@
+/**
+ * Spacing Policy - how close together posts on one platform may land
+ * - settings.spacingPolicy: { minGapMinutes: 20 | { instagram: 20, youtube: 60 }, jitterMinutes, sameAudioHours, sameLocationHours }
+ * - minGapMinutes: no two posts on a platform closer than this; inside a burst window the gap shrinks to fit its postsPerHour
+ * - jitterMinutes: new slots move by a random ±N minutes so posts do not land on the hour
+ * - sameAudioHours / sameLocationHours: no two posts on a platform with the same audioKey / locationKey within X hours (0 = off)
+ * - Rules are per platform; cross-posting one video to several platforms is not a conflict
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * Effective policy with defaults (env SPACING_MIN_GAP_MINUTES, SPACING_JITTER_MINUTES)
+ * @returns {{ minGapMinutes: number|Object<string, number>, jitterMinutes: number, sameAudioHours: number, sameLocationHours: number }}
+ */
+function spacingPolicy(settings) {
+  const cfg = (settings && settings.spacingPolicy) || {};
+  const num = (v, d) => (typeof v === 'number' && v >= 0 ? v : d);
+  const defaultGap = Number(process.env.SPACING_MIN_GAP_MINUTES || 15);
+  return {
+    // Per-platform objects fall back to their `default` key, then the env default
+    minGapMinutes: cfg.minGapMinutes && typeof cfg.minGapMinutes === 'object'
+      ? { default: defaultGap, ...cfg.minGapMinutes }
+      : num(cfg.minGapMinutes, defaultGap),
+    jitterMinutes: num(cfg.jitterMinutes, Number(process.env.SPACING_JITTER_MINUTES || 0)),
+    sameAudioHours: num(cfg.sameAudioHours, 0),
+    sameLocationHours: num(cfg.sameLocationHours, 0),
+  };
+}
+
+/**
+ * Minimum gap for a platform at an instant, in minutes
+ */
+function gapMinutes(policy, settings, platform, at) {
+  const g = policy.minGapMinutes;
+  let gap = typeof g === 'object' ? Number(g[platform] ?? g.default) : Number(g);
+  if (gap > 0 && settings && settings.burstModeEnabled) {
+    const { resolveCaps, capsFor } = require('./caps');
+    const caps = resolveCaps(settings, at);
+    if (caps.inBurst && (!caps.burstPlatforms || caps.burstPlatforms.includes(platform))) {
+      const perHour = capsFor(caps, settings, platform).hourly;
+      if (perHour > 0) gap = Math.min(gap, 60 / perHour);
+    }
+  }
+  return gap;
+}
+
+/**
+ * First spacing rule `item` breaks at `at` against other posts on its platform
+ * @param {{ id?: string, platform: string, audioKey?: string, locationKey?: string }} item
+ * @param {Date} at
+ * @param {Array<{ id?: string, platform: string, at: number, audioKey?: string, locationKey?: string }>} taken - posted and queued items
+ * @returns {{ reason: 'MIN_GAP'|'SAME_AUDIO'|'SAME_LOCATION', until: Date, conflictId: string|null }|null}
+ *   until: earliest time the conflict clears
+ */
+function spacingConflict(item, at, taken, policy, settings) {
+  const t = new Date(at).getTime();
+  const rules = [
+    { reason: 'MIN_GAP', windowMs: gapMinutes(policy, settings, item.platform, at) * MINUTE_MS, matches: () => true },
+    { reason: 'SAME_AUDIO', windowMs: policy.sameAudioHours * HOUR_MS, matches: o => !!item.audioKey && o.audioKey === item.audioKey },
+    { reason: 'SAME_LOCATION', windowMs: policy.sameLocationHours * HOUR_MS, matches: o => !!item.locationKey && o.locationKey === item.locationKey },
+  ];
+  for (const rule of rules) {
+    if (!(rule.windowMs > 0)) continue;
+    const hits = (taken || []).filter(o => o.platform === item.platform && (!item.id || o.id !== item.id)
+      && Math.abs(o.at - t) < rule.windowMs && rule.matches(o));
+    if (hits.length) {
+      const last = hits.reduce((a, b) => (b.at > a.at ? b : a));
+      return { reason: rule.reason, until: new Date(last.at + rule.windowMs), conflictId: last.id || null };
+    }
+  }
+  return null;
+}
+
+/**
+ * Final slot for a desired time: jitter first, then push forward past every conflict
+ * @param {Date} desired
+ * @param {Object} item - { id?, platform, audioKey?, locationKey? }
+ * @param {{ taken: Array<Object>, policy: Object, settings: Object, notBefore?: Date, jitter?: boolean, random?: () => number }} ctx
+ * @returns {Date}
+ */
+function placeSlot(desired, item, { taken, policy, settings, notBefore, jitter = true, random = Math.random }) {
+  let t = new Date(desired).getTime();
+  if (jitter && policy.jitterMinutes > 0) t += Math.round((random() * 2 - 1) * policy.jitterMinutes * MINUTE_MS);
+  if (notBefore) t = Math.max(t, new Date(notBefore).getTime());
+  t = Math.floor(t / MINUTE_MS) * MINUTE_MS;
+  for (let i = 0; i < 500; i++) {
+    const conflict = spacingConflict(item, new Date(t), taken, policy, settings);
+    if (!conflict) break;
+    t = Math.ceil(conflict.until.getTime() / MINUTE_MS) * MINUTE_MS;
+  }
+  return new Date(t);
+}
+
+/**
+ * Slot planner over the current queue and recent posts; each placed slot is reserved for the next call
+ * - place: final time for a generated slot (jitter unless { jitter: false }, then pushed past conflicts)
+ * - conflict: rule an explicitly chosen time breaks, for callers that reject instead of moving
+ * @param {Object} SchedulerQueueModel
+ * @param {Object} settings
+ * @param {{ now?: Date }} [options]
+ * @returns {Promise<{ policy: Object, taken: Array<Object>, place: Function, conflict: Function }>}
+ */
+async function createSlotPlanner(SchedulerQueueModel, settings, { now = new Date() } = {}) {
+  const policy = spacingPolicy(settings);
+  const lookbackMs = Math.max(policy.sameAudioHours, policy.sameLocationHours, 24) * HOUR_MS;
+  const since = new Date(now.getTime() - lookbackMs);
+  const docs = await SchedulerQueueModel.find({
+    $or: [
+      { status: { $in: ['pending', 'scheduled', 'processing'] }, scheduledTime: { $gte: since } },
+      { status: { $in: ['posted', 'completed'] }, postedAt: { $gte: since } },
+    ],
+  }).select('_id platform scheduledTime postedAt status audioKey locationKey').lean();
+  const taken = docs.map(d => ({
+    id: String(d._id),
+    platform: d.platform,
+    at: new Date(['posted', 'completed'].includes(d.status) ? d.postedAt : d.scheduledTime).getTime(),
+    audioKey: d.audioKey || null,
+    locationKey: d.locationKey || null,
+  }));
+  const notBefore = new Date(now.getTime() + MINUTE_MS);
+  return {
+    policy,
+    taken,
+    place(desired, item, opts = {}) {
+      const at = placeSlot(desired, item, { taken, policy, settings, notBefore, jitter: opts.jitter !== false });
+      const entry = { id: item.id ? String(item.id) : null, platform: item.platform, at: at.getTime(), audioKey: item.audioKey || null, locationKey: item.locationKey || null };
+      const prev = entry.id ? taken.findIndex(o => o.id === entry.id) : -1;
+      if (prev >= 0) taken[prev] = entry; else taken.push(entry);
+      return at;
+    },
+    conflict(at, item) {
+      return spacingConflict({ ...item, id: item.id ? String(item.id) : undefined }, at, taken, policy, settings);
+    },
+  };
+}
+
+/**
+ * @returns {string|null} first problem with a settings.spacingPolicy body
+ */
+function validateSpacingPolicy(cfg) {
+  if (!cfg || typeof cfg !== 'object' || Array.isArray(cfg)) return 'spacingPolicy must be an object';
+  const nonNeg = v => typeof v === 'number' && v >= 0;
+  if (cfg.minGapMinutes !== undefined) {
+    const g = cfg.minGapMinutes;
+    if (g && typeof g === 'object') {
+      for (const [platform, v] of Object.entries(g)) if (!nonNeg(v)) return `spacingPolicy.minGapMinutes.${platform} must be a non-negative number`;
+    } else if (!nonNeg(g)) return 'spacingPolicy.minGapMinutes must be a non-negative number or an object keyed by platform';
+  }
+  for (const k of ['jitterMinutes', 'sameAudioHours', 'sameLocationHours']) {
+    if (cfg[k] !== undefined && !nonNeg(cfg[k])) return `spacingPolicy.${k} must be a non-negative number`;
+  }
+  return null;
+}
+
+module.exports = { spacingPolicy, gapMinutes, spacingConflict, placeSlot, createSlotPlanner, validateSpacingPolicy };
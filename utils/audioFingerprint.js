@@ -0,0 +1,193 @@
+/**
+ * Audio fingerprint: chroma landmarks from the soundtrack, computed locally with ffmpeg (no lookup service)
+ * - Audio is decoded to mono 11025 Hz; every 2048-sample hop keeps the strongest of the 12 pitch classes
+ * - Stored form is "afp-v1:<one char per hop>", '0'-'b' for the pitch class, '-' for silence
+ * - Landmarks are runs of 3 consecutive pitch classes; two clips match when many landmarks agree at one
+ *   time offset, so trims, re-encodes and volume changes still line up
+ * - resolveAudioKey gives every item an audioKey: platform music id, else the key of a known clip with the
+ *   same soundtrack, else one derived from the fingerprint, else the item's own id
+ */
+
+const crypto = require('crypto');
+
+const FINGERPRINT_VERSION = 'afp-v1';
+const SAMPLE_RATE = 11025;
+const FRAME_SIZE = 4096;
+const HOP_SIZE = 2048;
+const LANDMARK_SPAN = 3;
+// int16 RMS under this is treated as silence
+const SILENCE_RMS = 200;
+
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = (-2 * Math.PI) / len;
+    for (let i = 0; i < n; i += len) {
+      for (let k = 0; k < len / 2; k++) {
+        const wr = Math.cos(ang * k), wi = Math.sin(ang * k);
+        const a = i + k, b = a + len / 2;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr; im[b] = im[a] - ti;
+        re[a] += tr; im[a] += ti;
+      }
+    }
+  }
+}
+
+// FFT bin → pitch class (0 = C), for bins between 55 Hz and 4 kHz
+const PITCH_CLASS = (() => {
+  const out = new Int8Array(FRAME_SIZE / 2).fill(-1);
+  for (let k = 1; k < FRAME_SIZE / 2; k++) {
+    const f = (k * SAMPLE_RATE) / FRAME_SIZE;
+    if (f < 55 || f > 4000) continue;
+    out[k] = ((Math.round(12 * Math.log2(f / 440) + 69) % 12) + 12) % 12;
+  }
+  return out;
+})();
+
+const HANN = (() => {
+  const w = new Float64Array(FRAME_SIZE);
+  for (let i = 0; i < FRAME_SIZE; i++) w[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FRAME_SIZE - 1));
+  return w;
+})();
+
+/**
+ * @param {Int16Array} samples - mono PCM at 11025 Hz
+ * @returns {string|null} stored form, null when the clip is too short or silent
+ */
+function fingerprintFromPcm(samples) {
+  let chars = '';
+  const re = new Float64Array(FRAME_SIZE);
+  const im = new Float64Array(FRAME_SIZE);
+  for (let start = 0; start + FRAME_SIZE <= samples.length; start += HOP_SIZE) {
+    let energy = 0;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      const s = samples[start + i];
+      energy += s * s;
+      re[i] = s * HANN[i];
+      im[i] = 0;
+    }
+    if (Math.sqrt(energy / FRAME_SIZE) < SILENCE_RMS) { chars += '-'; continue; }
+    fft(re, im);
+    const chroma = new Float64Array(12);
+    for (let k = 1; k < FRAME_SIZE / 2; k++) {
+      if (PITCH_CLASS[k] >= 0) chroma[PITCH_CLASS[k]] += Math.hypot(re[k], im[k]);
+    }
+    let best = 0;
+    for (let c = 1; c < 12; c++) if (chroma[c] > chroma[best]) best = c;
+    chars += best.toString(16);
+  }
+  return /[0-9a-b]/.test(chars) ? `${FINGERPRINT_VERSION}:${chars}` : null;
+}
+
+/**
+ * Decode the first `seconds` of audio and fingerprint it; `input` is a local path or a URL ffmpeg can read
+ * @returns {Promise<string|null>} null when the video has no audio track or only silence
+ */
+async function computeAudioFingerprint(input, { seconds = Number(process.env.AUDIO_FINGERPRINT_SECONDS || 60) } = {}) {
+  if (!input) throw new Error('Missing video input');
+  const ffmpeg = require('fluent-ffmpeg');
+  ffmpeg.setFfmpegPath(require('ffmpeg-static'));
+  const pcm = await new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = ffmpeg(input)
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(SAMPLE_RATE)
+      .duration(seconds)
+      .format('s16le')
+      .on('error', (e) => (/does not contain any stream|matches no streams/i.test(e.message) ? resolve(Buffer.alloc(0)) : reject(e)))
+      .pipe();
+    stream.on('data', c => chunks.push(c));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+  const samples = new Int16Array(pcm.buffer, pcm.byteOffset, Math.floor(pcm.length / 2));
+  return fingerprintFromPcm(samples);
+}
+
+function parseFingerprint(fingerprint) {
+  if (!fingerprint || typeof fingerprint !== 'string') return null;
+  const m = /^(afp-v\d+):([0-9a-b-]+)$/.exec(fingerprint);
+  if (!m || m[1] !== FINGERPRINT_VERSION) return null;
+  return { version: m[1], frames: m[2] };
+}
+
+function landmarks(frames) {
+  const out = new Map();
+  for (let i = 0; i + LANDMARK_SPAN <= frames.length; i++) {
+    const lm = frames.slice(i, i + LANDMARK_SPAN);
+    if (lm.includes('-')) continue;
+    if (!out.has(lm)) out.set(lm, []);
+    out.get(lm).push(i);
+  }
+  return out;
+}
+
+/**
+ * @returns {{ similarity: number, offset: number }} share of the shorter clip's landmarks that agree at the best offset (in hops)
+ * @throws when either value is not a fingerprint of the current version
+ */
+function compareAudioFingerprints(a, b) {
+  const pa = parseFingerprint(a);
+  const pb = parseFingerprint(b);
+  if (!pa || !pb) {
+    const err = new Error('compareAudioFingerprints needs two afp-v1 fingerprints');
+    err.code = 'HASH_VERSION_MISMATCH';
+    throw err;
+  }
+  const la = landmarks(pa.frames);
+  const lb = landmarks(pb.frames);
+  const count = (m) => [...m.values()].reduce((n, list) => n + list.length, 0);
+  const denom = Math.min(count(la), count(lb));
+  if (!denom) return { similarity: 0, offset: 0 };
+  const votes = new Map();
+  for (const [lm, positions] of la) {
+    const other = lb.get(lm);
+    if (!other) continue;
+    for (const i of positions) for (const j of other) votes.set(j - i, (votes.get(j - i) || 0) + 1);
+  }
+  let offset = 0, best = 0;
+  for (const [o, v] of votes) if (v > best) { best = v; offset = o; }
+  return { similarity: Math.min(1, best / denom), offset };
+}
+
+/**
+ * The first entry of `known` ({ audioFingerprint }) whose soundtrack matches; other versions are skipped
+ */
+function findAudioMatch(fingerprint, known, { minSimilarity = 0.5 } = {}) {
+  if (!parseFingerprint(fingerprint)) return null;
+  return (known || []).find(k => parseFingerprint(k && k.audioFingerprint) && compareAudioFingerprints(fingerprint, k.audioFingerprint).similarity >= minSimilarity) || null;
+}
+
+/**
+ * @param {{ metadataKey?: string|null, fingerprint?: string|null, id?: string }} item
+ * @param {Array<{ audioKey?: string, audioFingerprint?: string }>} known - history/queue items to inherit a key from
+ * @returns {string}
+ */
+function resolveAudioKey({ metadataKey, fingerprint, id }, known = [], options = {}) {
+  if (metadataKey) return String(metadataKey);
+  const match = findAudioMatch(fingerprint, (known || []).filter(k => k && k.audioKey), options);
+  if (match) return match.audioKey;
+  if (parseFingerprint(fingerprint)) return `afp:${crypto.createHash('sha1').update(fingerprint).digest('hex').slice(0, 16)}`;
+  return `orig:${id || crypto.randomUUID()}`;
+}
+
+module.exports = {
+  FINGERPRINT_VERSION,
+  computeAudioFingerprint,
+  fingerprintFromPcm,
+  parseFingerprint,
+  compareAudioFingerprints,
+  findAudioMatch,
+  resolveAudioKey,
+};
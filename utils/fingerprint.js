@@ -2,7 +2,7 @@ const crypto = require('crypto');
 
 /**
  * Extract visual fingerprint hash from video buffer
- * This creates a unique hash to identify duplicate videos
+ * Exact bytes only: any re-encode changes it. Duplicate detection uses utils/videoFingerprint
  * @param {Buffer} videoBuffer - The video file buffer
  * @returns {Promise<string>} - SHA256 hash of the video buffer
  */
@@ -25,6 +25,23 @@ async function extractFirstFrameHash(videoBuffer) {
   }
 }
 
+/**
+ * SHA256 of a file on disk, streamed so large videos are not buffered
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+function hashFile(filePath) {
+  const fs = require('fs');
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
 module.exports = {
-  extractFirstFrameHash
+  extractFirstFrameHash,
+  hashFile
 };
\ No newline at end of file
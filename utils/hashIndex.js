@@ -0,0 +1,111 @@
+/**
+ * Near-duplicate index over perceptual hashes (utils/visualHash): one BK-tree per hash version
+ * - Built once per run from the whole lookback window, then "everything within d bits" queries visit
+ *   only the branches that can still match instead of every stored hash
+ * - Hashes of different versions are never compared, as with isNearDuplicate
+ * - Entries may carry a payload (e.g. { at }) that queries filter on
+ */
+
+const { parseHash, canonicalHash } = require('./visualHash');
+
+function popcount32(x) {
+  x -= (x >>> 1) & 0x55555555;
+  x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+  x = (x + (x >>> 4)) & 0x0f0f0f0f;
+  return Math.imul(x, 0x01010101) >>> 24;
+}
+
+function toWords(hex) {
+  return [parseInt(hex.slice(0, 8), 16), parseInt(hex.slice(8, 16), 16)];
+}
+
+function wordDistance(a, b) {
+  return popcount32(a[0] ^ b[0]) + popcount32(a[1] ^ b[1]);
+}
+
+/**
+ * @param {string[]} [hashes] - initial entries; anything that is not a perceptual hash is ignored
+ * @returns {{ size: number, add: Function, within: Function, has: Function }}
+ */
+function createHashIndex(hashes = []) {
+  const trees = new Map(); // hash version → root node { hash, words, payloads, children: Map<distance, node> }
+  let size = 0;
+
+  // Calls visit(node, distance) for every node within maxDistance; stops early when visit returns true
+  function search(hash, maxDistance, visit) {
+    const parsed = parseHash(hash);
+    const root = parsed && trees.get(parsed.version);
+    if (!root) return;
+    const words = toWords(parsed.hex);
+    const r = Math.max(0, Number(maxDistance) || 0);
+    const stack = [root];
+    while (stack.length) {
+      const node = stack.pop();
+      const d = wordDistance(words, node.words);
+      if (d <= r && visit(node, d)) return;
+      // Triangle inequality: only children at distance d±r from this node can hold a match
+      for (const [k, child] of node.children) {
+        if (k >= d - r && k <= d + r) stack.push(child);
+      }
+    }
+  }
+
+  const index = {
+    get size() { return size; },
+
+    /**
+     * @param {string} hash
+     * @param {*} [payload]
+     * @returns {boolean} false when `hash` is not a perceptual hash
+     */
+    add(hash, payload) {
+      const parsed = parseHash(hash);
+      if (!parsed) return false;
+      const node = { hash: canonicalHash(hash), words: toWords(parsed.hex), payloads: [payload], children: new Map() };
+      size++;
+      let cur = trees.get(parsed.version);
+      if (!cur) { trees.set(parsed.version, node); return true; }
+      for (;;) {
+        const d = wordDistance(node.words, cur.words);
+        if (d === 0) { cur.payloads.push(payload); return true; }
+        const next = cur.children.get(d);
+        if (!next) { cur.children.set(d, node); return true; }
+        cur = next;
+      }
+    },
+
+    /**
+     * Every stored entry of the same version within maxDistance bits
+     * @param {(payload: *) => boolean} [filter]
+     * @returns {Array<{ hash: string, distance: number, payload: * }>}
+     */
+    within(hash, maxDistance, filter) {
+      const out = [];
+      search(hash, maxDistance, (node, distance) => {
+        for (const payload of node.payloads) {
+          if (!filter || filter(payload)) out.push({ hash: node.hash, distance, payload });
+        }
+        return false;
+      });
+      return out.sort((a, b) => a.distance - b.distance);
+    },
+
+    /**
+     * Same answer as isNearDuplicate(hash, storedHashes, maxDistance)
+     * @param {(payload: *) => boolean} [filter]
+     */
+    has(hash, maxDistance, filter) {
+      let found = false;
+      search(hash, maxDistance, (node) => {
+        found = !filter || node.payloads.some(filter);
+        return found;
+      });
+      return found;
+    },
+  };
+
+  for (const h of hashes || []) index.add(h);
+  return index;
+}
+
+module.exports = { createHashIndex };
@@ -122,7 +122,7 @@ module.exports = {
 
 /**
  * Stream a remote URL directly into S3 without buffering the whole file in memory
- * @param {string} fileUrl - Remote file URL (e.g., Instagram media URL)
+ * @param {string} fileUrl - Remote file URL (e.g., Instagram media URL) or file:// URL for local sources
  * @param {string} s3Key - S3 object key
  * @param {string} contentType - MIME type (default video/mp4)
  * @returns {Promise<string>} Public S3 URL
@@ -131,9 +131,15 @@ async function uploadUrlToS3(fileUrl, s3Key, contentType = 'video/mp4') {
   try {
     console.log('☁️ [S3 STREAM UPLOAD] Streaming URL to S3:', s3Key);
 
-    const response = await fetch(fileUrl);
-    if (!response.ok || !response.body) {
-      throw new Error(`Failed to fetch remote file: ${response.status}`);
+    let body;
+    if (String(fileUrl).startsWith('file://')) {
+      body = fs.createReadStream(require('url').fileURLToPath(fileUrl));
+    } else {
+      const response = await fetch(fileUrl);
+      if (!response.ok || !response.body) {
+        throw new Error(`Failed to fetch remote file: ${response.status}`);
+      }
+      body = response.body;
     }
 
     const s3Client = new S3Client({
@@ -147,7 +153,7 @@ async function uploadUrlToS3(fileUrl, s3Key, contentType = 'video/mp4') {
     const params = {
       Bucket: process.env.S3_BUCKET_NAME,
       Key: s3Key,
-      Body: response.body, // stream
+      Body: body, // stream
       ContentType: contentType,
     };
 
@@ -69,7 +69,9 @@ async function extractMultipleThumbnails(videoPath, timestamps = [0, 5, 10], out
       outputDir = path.dirname(videoPath);
     }
     
-    const filename = path.basename(videoPath, path.extname(videoPath));
+    // URLs work as input too; drop the query string so it stays out of the file name
+    const sourcePath = String(videoPath).split('?')[0];
+    const filename = path.basename(sourcePath, path.extname(sourcePath));
     const thumbnailPaths = [];
     
     for (let i = 0; i < timestamps.length; i++) {
@@ -0,0 +1,105 @@
+/**
+ * Video fingerprint: pHashes of N frames sampled evenly across the clip (ffmpeg, see thumbnailExtractor)
+ * - Stored form is "vfp-v1:<hex>.<hex>…", one 64-bit phash-v1 per usable frame
+ * - Frames are center-cropped square before hashing, so side crops and letterboxing move few bits
+ * - Comparison matches each frame to its nearest frame in the other clip instead of by position,
+ *   so trims and different lengths still line up; re-encodes only move a few bits per frame
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FINGERPRINT_VERSION = 'vfp-v1';
+const DEFAULT_FRAMES = 8;
+// Frames this flat (fades, black/white slates) hash alike across unrelated clips
+const MIN_FRAME_STDEV = 6;
+
+/**
+ * @param {string} fingerprint
+ * @returns {{ version: string, frames: string[] }|null} frames as phash-v1 values
+ */
+function parseFingerprint(fingerprint) {
+  if (!fingerprint || typeof fingerprint !== 'string') return null;
+  const m = /^(vfp-v\d+):([0-9a-f]{16}(?:\.[0-9a-f]{16})*)$/.exec(fingerprint);
+  if (!m || m[1] !== FINGERPRINT_VERSION) return null;
+  return { version: m[1], frames: m[2].split('.').map(hex => `phash-v1:${hex}`) };
+}
+
+function sampleTimestamps(durationSec, count) {
+  if (!(durationSec > 0)) return Array.from({ length: count }, (_, i) => i);
+  return Array.from({ length: count }, (_, i) => Math.round(((i + 0.5) * durationSec / count) * 100) / 100);
+}
+
+/**
+ * Sample frames and hash them; `input` is a local path or a URL ffmpeg can read
+ * @param {string} input
+ * @param {{ frames?: number, durationSec?: number }} [options] - durationSec skips the ffprobe call when the caller knows it
+ * @returns {Promise<string|null>} null when no usable frame came out
+ */
+async function computeVideoFingerprint(input, { frames = Number(process.env.VIDEO_FINGERPRINT_FRAMES || DEFAULT_FRAMES), durationSec } = {}) {
+  if (!input) throw new Error('Missing video input');
+  const ffmpeg = require('fluent-ffmpeg');
+  ffmpeg.setFfmpegPath(require('ffmpeg-static'));
+  const sharp = require('sharp');
+  const { extractMultipleThumbnails, cleanupThumbnails } = require('./thumbnailExtractor');
+  const { computeHashFromBuffer, parseHash } = require('./visualHash');
+
+  let duration = Number(durationSec) || 0;
+  if (!duration) {
+    try { duration = Number((await require('./videoEnhancer').getVideoInfo(input)).duration) || 0; } catch (_) {}
+  }
+
+  const tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'vfp-'));
+  let paths = [];
+  try {
+    paths = await extractMultipleThumbnails(input, sampleTimestamps(duration, frames), tmpDir);
+    const hexes = [];
+    for (const p of paths) {
+      // Seeks past the end of a short clip finish without writing a frame
+      const buf = await fs.promises.readFile(p).catch(() => null);
+      if (!buf) continue;
+      const { channels } = await sharp(buf).grayscale().stats();
+      if (channels[0].stdev < MIN_FRAME_STDEV) continue;
+      hexes.push(parseHash(await computeHashFromBuffer(buf, 'phash')).hex);
+    }
+    return hexes.length ? `${FINGERPRINT_VERSION}:${hexes.join('.')}` : null;
+  } finally {
+    try { await cleanupThumbnails(paths); } catch (_) {}
+    try { await fs.promises.rm(tmpDir, { recursive: true, force: true }); } catch (_) {}
+  }
+}
+
+/**
+ * @returns {{ matched: number, total: number, similarity: number }} share of the shorter clip's frames with a near frame in the other
+ * @throws when either value is not a fingerprint of the current version
+ */
+function compareFingerprints(a, b, { maxDistance = 10 } = {}) {
+  const { hammingDistance } = require('./visualHash');
+  const pa = parseFingerprint(a);
+  const pb = parseFingerprint(b);
+  if (!pa || !pb) {
+    const err = new Error('compareFingerprints needs two vfp-v1 fingerprints');
+    err.code = 'HASH_VERSION_MISMATCH';
+    throw err;
+  }
+  const [short, long] = pa.frames.length <= pb.frames.length ? [pa.frames, pb.frames] : [pb.frames, pa.frames];
+  const matched = short.filter(f => long.some(g => hammingDistance(f, g) <= maxDistance)).length;
+  return { matched, total: short.length, similarity: short.length ? matched / short.length : 0 };
+}
+
+/**
+ * True when any current-version fingerprint in `others` is at least minSimilarity alike; other values are skipped
+ */
+function isDuplicateVideo(fingerprint, others, { maxDistance = 10, minSimilarity = 0.6 } = {}) {
+  if (!parseFingerprint(fingerprint)) return false;
+  return (others || []).some(o => parseFingerprint(o) && compareFingerprints(fingerprint, o, { maxDistance }).similarity >= minSimilarity);
+}
+
+module.exports = {
+  FINGERPRINT_VERSION,
+  computeVideoFingerprint,
+  parseFingerprint,
+  compareFingerprints,
+  isDuplicateVideo,
+};
@@ -1,86 +1,179 @@
+/**
+ * Perceptual image hashes used for visual dedupe
+ * - aHash (8x8 mean), dHash (9x8 gradient) and pHash (32x32 DCT, top-left 8x8 against the median)
+ * - Stored form is "<hashVersion>:<16 hex>", e.g. "phash-v1:c3d1e0f08c8e9a1b"; the version travels with the value
+ * - Hashes of different versions are never compared: hammingDistance throws, isNearDuplicate skips them
+ * - Bare 64-char bit strings written before versioning are the 8x8 aHash and read as ahash-v1
+ */
+
 const fetch = require('node-fetch');
 
-function hexToBitString(hex) {
-  return hex.split('').map((c) => parseInt(c, 16).toString(2).padStart(4, '0')).join('');
-}
+const HASH_VERSIONS = { ahash: 'ahash-v1', dhash: 'dhash-v1', phash: 'phash-v1' };
+const CURRENT_HASH_VERSION = HASH_VERSIONS.phash;
+const HASH_BITS = 64;
 
-function bitStringToHex(bits) {
+function bitsToHex(bits) {
   let out = '';
-  for (let i = 0; i < bits.length; i += 4) {
-    const nibble = bits.slice(i, i + 4);
-    out += parseInt(nibble, 2).toString(16);
+  for (let i = 0; i < bits.length; i += 4) out += parseInt(bits.slice(i, i + 4), 2).toString(16);
+  return out;
+}
+
+function hexToBits(hex) {
+  return hex.split('').map(c => parseInt(c, 16).toString(2).padStart(4, '0')).join('');
+}
+
+async function grayscalePixels(buf, width, height) {
+  const sharp = require('sharp');
+  return sharp(buf).resize(width, height, { fit: 'fill' }).grayscale().raw().toBuffer();
+}
+
+function averageBits(px) {
+  let sum = 0;
+  for (let i = 0; i < px.length; i++) sum += px[i];
+  const avg = sum / px.length;
+  let bits = '';
+  for (let i = 0; i < px.length; i++) bits += px[i] >= avg ? '1' : '0';
+  return bits;
+}
+
+function differenceBits(px) {
+  let bits = '';
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) bits += px[y * 9 + x] > px[y * 9 + x + 1] ? '1' : '0';
+  }
+  return bits;
+}
+
+// Separable 2D DCT-II of an N×N block, keeping only the low-frequency K×K corner
+function dctLowFrequencies(px, n, k) {
+  const cos = [];
+  for (let u = 0; u < k; u++) {
+    cos[u] = [];
+    for (let x = 0; x < n; x++) cos[u][x] = Math.cos(((2 * x + 1) * u * Math.PI) / (2 * n));
+  }
+  const rows = [];
+  for (let y = 0; y < n; y++) {
+    rows[y] = [];
+    for (let u = 0; u < k; u++) {
+      let s = 0;
+      for (let x = 0; x < n; x++) s += px[y * n + x] * cos[u][x];
+      rows[y][u] = s;
+    }
+  }
+  const out = [];
+  for (let v = 0; v < k; v++) {
+    for (let u = 0; u < k; u++) {
+      let s = 0;
+      for (let y = 0; y < n; y++) s += rows[y][u] * cos[v][y];
+      out.push(s);
+    }
   }
   return out;
 }
 
-function hammingDistanceHex(a, b) {
-  if (!a || !b) return Number.MAX_SAFE_INTEGER;
-  const aBits = hexToBitString(String(a));
-  const bBits = hexToBitString(String(b));
-  const len = Math.min(aBits.length, bBits.length);
-  let d = 0;
-  for (let i = 0; i < len; i++) if (aBits[i] !== bBits[i]) d++;
-  d += Math.abs(aBits.length - bBits.length);
-  return d;
+function perceptualBits(px) {
+  const coeffs = dctLowFrequencies(px, 32, 8);
+  // DC term is overall brightness; leave it out of the median
+  const sorted = coeffs.slice(1).sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+  return coeffs.map(c => (c > median ? '1' : '0')).join('');
 }
 
-async function computeAverageHashFromImageUrl(url, size = 8) {
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`image fetch failed: ${res.status}`);
-  const buf = await res.buffer();
-  const img = await sharp(buf).resize(size, size).grayscale().raw().toBuffer();
-  const pixels = Array.from(img);
-  const avg = pixels.reduce((a, v) => a + v, 0) / pixels.length;
-  const bits = pixels.map((v) => (v >= avg ? '1' : '0')).join('');
-  const hex = bitStringToHex(bits);
-  return { hash: hex, bits: bits.length, version: `ahash-${size}x${size}-v1` };
+const ALGORITHMS = {
+  ahash: { size: [8, 8], bits: averageBits },
+  dhash: { size: [9, 8], bits: differenceBits },
+  phash: { size: [32, 32], bits: perceptualBits },
+};
+
+function formatHash(version, hex) {
+  return `${version}:${hex}`;
 }
 
-module.exports = { hammingDistanceHex, computeAverageHashFromImageUrl };
+/**
+ * @returns {{ version: string, hex: string, bits: string }|null} null for anything that is not a perceptual hash (md5, url hashes, empty)
+ */
+function parseHash(value) {
+  if (!value || typeof value !== 'string') return null;
+  const m = /^([a-z]+-v\d+):([0-9a-f]{16})$/.exec(value);
+  if (m) return Object.values(HASH_VERSIONS).includes(m[1]) ? { version: m[1], hex: m[2], bits: hexToBits(m[2]) } : null;
+  if (/^[01]{64}$/.test(value)) return { version: HASH_VERSIONS.ahash, hex: bitsToHex(value), bits: value };
+  return null;
+}
+
+function hashVersionOf(value) {
+  const parsed = parseHash(value);
+  return parsed ? parsed.version : null;
+}
+
+/**
+ * Rewrite a legacy bit string into the stored form; stored-form values come back unchanged, anything else as null
+ */
+function canonicalHash(value) {
+  const parsed = parseHash(value);
+  return parsed ? formatHash(parsed.version, parsed.hex) : null;
+}
+
+/**
+ * @param {Buffer} buf - any image sharp can read
+ * @param {'ahash'|'dhash'|'phash'} [algorithm]
+ * @returns {Promise<string>} stored form, e.g. "phash-v1:…"
+ */
+async function computeHashFromBuffer(buf, algorithm = 'phash') {
+  if (!buf || !Buffer.isBuffer(buf)) throw new Error('Missing image buffer');
+  const algo = ALGORITHMS[algorithm];
+  if (!algo) throw new Error(`Unknown hash algorithm: ${algorithm}`);
+  const px = await grayscalePixels(buf, algo.size[0], algo.size[1]);
+  return formatHash(HASH_VERSIONS[algorithm], bitsToHex(algo.bits(px)));
+}
 
 /**
- * Compute a simple 8x8 average hash (aHash) for an image URL
- * Returns a 64-bit binary string (e.g., '0101...')
+ * @param {string} imageUrl
+ * @param {'ahash'|'dhash'|'phash'} [algorithm]
+ * @returns {Promise<string>}
  */
-async function computeAverageHashFromImageUrl(imageUrl) {
+async function computeHashFromImageUrl(imageUrl, algorithm = 'phash') {
   if (!imageUrl) throw new Error('Missing image URL');
   const response = await fetch(imageUrl);
   if (!response.ok) throw new Error(`Failed to fetch image: ${response.status}`);
-  const buf = await response.buffer();
-
-  const image = await sharp(buf)
-    .resize(8, 8, { fit: 'fill' })
-    .grayscale()
-    .raw()
-    .toBuffer();
-
-  // Compute average brightness
-  let sum = 0;
-  for (let i = 0; i < image.length; i++) sum += image[i];
-  const avg = sum / image.length;
+  return computeHashFromBuffer(await response.buffer(), algorithm);
+}
 
-  // Convert to 64-bit hash based on average
-  let bits = '';
-  for (let i = 0; i < image.length; i++) {
-    bits += image[i] >= avg ? '1' : '0';
+/**
+ * Bits that differ between two hashes of the same version
+ * @throws when either value is not a perceptual hash or the versions differ
+ */
+function hammingDistance(a, b) {
+  const pa = parseHash(a);
+  const pb = parseHash(b);
+  if (!pa || !pb) throw new Error('hammingDistance needs two perceptual hashes');
+  if (pa.version !== pb.version) {
+    const err = new Error(`Cannot compare ${pa.version} with ${pb.version}`);
+    err.code = 'HASH_VERSION_MISMATCH';
+    throw err;
   }
-  return bits; // 64 bits
+  let d = 0;
+  for (let i = 0; i < HASH_BITS; i++) if (pa.bits[i] !== pb.bits[i]) d++;
+  return d;
 }
 
 /**
- * Compute Hamming distance between two equal-length binary strings
+ * True when any hash in `others` of the same version is within maxDistance bits; other versions are skipped
+ * Linear scan: for many queries against the same set build a utils/hashIndex once instead
  */
-function hammingDistance(hashA, hashB) {
-  if (!hashA || !hashB || hashA.length !== hashB.length) return Infinity;
-  let dist = 0;
-  for (let i = 0; i < hashA.length; i++) {
-    if (hashA[i] !== hashB[i]) dist++;
-  }
-  return dist;
+function isNearDuplicate(hash, others, maxDistance) {
+  const version = hashVersionOf(hash);
+  if (!version) return false;
+  return (others || []).some(h => hashVersionOf(h) === version && hammingDistance(hash, h) <= maxDistance);
 }
 
 module.exports = {
-  computeAverageHashFromImageUrl,
+  HASH_VERSIONS,
+  CURRENT_HASH_VERSION,
+  computeHashFromBuffer,
+  computeHashFromImageUrl,
+  parseHash,
+  hashVersionOf,
+  canonicalHash,
   hammingDistance,
+  isNearDuplicate,
 };
-